@@ -1,6 +1,21 @@
+import { rankBySimilarity } from './utils/vectors.js';
+import { addUsage } from './utils/usage.js';
+import { mergeLibraryChanges, expiredTombstones, libraryChangesSince } from './utils/library-sync.js';
+import { USAGE } from './utils/constants.js';
+
+/**
+ * Index key that sorts cached responses by expiry time
+ * @param {number} expiresAt - Expiry time in ms
+ * @param {string} cacheKey - Cache key
+ * @returns {string} Storage key
+ */
+function cacheExpiryKey(expiresAt, cacheKey) {
+  return `cacheExpiry:${String(expiresAt).padStart(15, '0')}:${cacheKey}`;
+}
+
 /**
  * ChatStorage Durable Object
- * Stores study session data including class, mode, progress, and content
+ * Stores study session data including class, mode, study sets and their graded attempts
  */
 
 export class ChatStorage {
@@ -12,6 +27,15 @@ export class ChatStorage {
   async fetch(request) {
     const url = new URL(request.url);
 
+    // Set study session data (class, mode, etc.)
+    if (url.pathname === '/session' && request.method === 'POST') {
+      const sessionData = await request.json();
+      await this.state.storage.put('session', sessionData);
+      return new Response(JSON.stringify({ success: true }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
     // Get study session data
     if (url.pathname === '/session') {
       const session = (await this.state.storage.get('session')) || {};
@@ -20,45 +44,469 @@ export class ChatStorage {
       });
     }
 
-    // Set study session data (class, mode, etc.)
-    if (url.pathname === '/session' && request.method === 'POST') {
-      const sessionData = await request.json();
-      await this.state.storage.put('session', sessionData);
+    // List study sets without their items, newest first
+    if (url.pathname === '/sets') {
+      await this._migrateLegacyContent();
+      const className = (url.searchParams.get('className') || '').trim().toLowerCase();
+      const mode = url.searchParams.get('mode');
+      const sets = await this.state.storage.list({ prefix: 'set:' });
+      const attempts = await this.state.storage.list({ prefix: 'setAttempt:' });
+
+      const attemptsBySet = {};
+      attempts.forEach(attempt => {
+        (attemptsBySet[attempt.setId] = attemptsBySet[attempt.setId] || []).push(attempt);
+      });
+
+      const summaries = [...sets.values()]
+        .filter(set => (!className || set.className.trim().toLowerCase() === className) && (!mode || set.mode === mode))
+        .map(({ items = [], sections, ...set }) => {
+          const setAttempts = attemptsBySet[set.id] || [];
+          const last = setAttempts[setAttempts.length - 1];
+          return {
+            ...set,
+            itemCount: items.length,
+            attemptCount: setAttempts.length,
+            lastAttempt: last
+              ? { number: last.number, version: last.version, totalScore: last.totalScore, totalPossible: last.totalPossible, gradedAt: last.gradedAt }
+              : null,
+          };
+        })
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+      return new Response(JSON.stringify(summaries), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    // Record a graded attempt at a study set, numbered after the existing ones
+    if (url.pathname.startsWith('/sets/') && url.pathname.endsWith('/attempts') && request.method === 'POST') {
+      const setId = decodeURIComponent(url.pathname.slice('/sets/'.length, -'/attempts'.length));
+      const attempt = await request.json();
+      const attempts = await this.state.storage.list({ prefix: `setAttempt:${setId}:` });
+      const number = attempts.size + 1;
+      const stored = { ...attempt, setId, number };
+      await this.state.storage.put(`setAttempt:${setId}:${String(number).padStart(5, '0')}`, stored);
+      return new Response(JSON.stringify(stored), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    // Replace one attempt, e.g. after a grade appeal
+    if (url.pathname.startsWith('/sets/') && url.pathname.includes('/attempts/') && request.method === 'POST') {
+      const [setId, number] = url.pathname.slice('/sets/'.length).split('/attempts/').map(decodeURIComponent);
+      const key = `setAttempt:${setId}:${String(number).padStart(5, '0')}`;
+      const attempt = await request.json();
+      await this.state.storage.put(key, { ...attempt, setId, number: Number(number) });
+      return new Response(JSON.stringify({ success: true }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    // Save a study set. Saving over an existing set is a regeneration: it keeps the
+    // set's creation time and attempts and bumps its version.
+    if (url.pathname.startsWith('/sets/') && request.method === 'POST') {
+      const setId = decodeURIComponent(url.pathname.slice('/sets/'.length));
+      const { attempts, ...set } = await request.json();
+      const existing = await this.state.storage.get(`set:${setId}`);
+      const now = Date.now();
+      const stored = {
+        ...set,
+        id: setId,
+        version: existing ? existing.version + 1 : 1,
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now,
+      };
+      await this.state.storage.put(`set:${setId}`, stored);
+      return new Response(JSON.stringify({ id: setId, version: stored.version, createdAt: stored.createdAt }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    // Delete a study set with its attempts and the follow-up chats about its questions
+    if (url.pathname.startsWith('/sets/') && request.method === 'DELETE') {
+      const setId = decodeURIComponent(url.pathname.slice('/sets/'.length));
+      const existed = await this.state.storage.delete(`set:${setId}`);
+      for (const prefix of [`setAttempt:${setId}:`, `chat:explain:${setId}:`]) {
+        const keys = [...(await this.state.storage.list({ prefix })).keys()];
+        // Durable Object storage deletes at most 128 keys at a time
+        for (let i = 0; i < keys.length; i += 128) {
+          await this.state.storage.delete(keys.slice(i, i + 128));
+        }
+      }
+      return new Response(JSON.stringify({ success: existed }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    // Get a study set with all of its attempts, oldest first
+    if (url.pathname.startsWith('/sets/')) {
+      await this._migrateLegacyContent();
+      const setId = decodeURIComponent(url.pathname.slice('/sets/'.length));
+      const set = await this.state.storage.get(`set:${setId}`);
+
+      if (!set) {
+        return new Response(JSON.stringify(null), {
+          headers: { 'Content-Type': 'application/json' },
+        });
+      }
+
+      const attempts = await this.state.storage.list({ prefix: `setAttempt:${setId}:` });
+      return new Response(JSON.stringify({ ...set, attempts: [...attempts.values()] }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    // Store uploaded course notes (metadata plus one key per chunk)
+    if (url.pathname === '/sources' && request.method === 'POST') {
+      const { chunks, ...source } = await request.json();
+      const sources = (await this.state.storage.get('sources')) || [];
+
+      const entries = {};
+      chunks.forEach(chunk => {
+        entries[`sourceChunk:${source.id}:${String(chunk.index).padStart(5, '0')}`] = chunk;
+      });
+
+      // Durable Object storage accepts at most 128 keys per put
+      const keys = Object.keys(entries);
+      for (let i = 0; i < keys.length; i += 128) {
+        const batch = {};
+        keys.slice(i, i + 128).forEach(key => { batch[key] = entries[key]; });
+        await this.state.storage.put(batch);
+      }
+
+      sources.unshift(source);
+      await this.state.storage.put('sources', sources);
+      return new Response(JSON.stringify({ success: true }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    // List uploaded course notes
+    if (url.pathname === '/sources') {
+      const sources = (await this.state.storage.get('sources')) || [];
+      return new Response(JSON.stringify(sources), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    // Get one set of course notes with its chunks
+    if (url.pathname.startsWith('/sources/')) {
+      const sourceId = decodeURIComponent(url.pathname.slice('/sources/'.length));
+      const sources = (await this.state.storage.get('sources')) || [];
+      const source = sources.find(s => s.id === sourceId);
+
+      if (!source) {
+        return new Response(JSON.stringify(null), {
+          headers: { 'Content-Type': 'application/json' },
+        });
+      }
+
+      const chunks = await this.state.storage.list({ prefix: `sourceChunk:${sourceId}:` });
+      return new Response(JSON.stringify({ ...source, chunks: [...chunks.values()] }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    // Rank a source's chunk vectors against a query vector
+    if (url.pathname.startsWith('/vectors/') && url.pathname.endsWith('/query') && request.method === 'POST') {
+      const sourceId = decodeURIComponent(url.pathname.slice('/vectors/'.length, -'/query'.length));
+      const { vector, topK } = await request.json();
+      const entries = await this.state.storage.list({ prefix: `vector:${sourceId}:` });
+      const results = rankBySimilarity([...entries.values()], vector, topK);
+      return new Response(JSON.stringify(results), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    // Count the vectors stored for a source
+    if (url.pathname.startsWith('/vectors/') && url.pathname.endsWith('/count')) {
+      const sourceId = decodeURIComponent(url.pathname.slice('/vectors/'.length, -'/count'.length));
+      const entries = await this.state.storage.list({ prefix: `vector:${sourceId}:` });
+      return new Response(JSON.stringify({ count: entries.size }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    // Store chunk vectors for a source
+    if (url.pathname.startsWith('/vectors/') && request.method === 'POST') {
+      const sourceId = decodeURIComponent(url.pathname.slice('/vectors/'.length));
+      const { entries } = await request.json();
+
+      // Durable Object storage accepts at most 128 keys per put
+      for (let i = 0; i < entries.length; i += 128) {
+        const batch = {};
+        entries.slice(i, i + 128).forEach(entry => {
+          batch[`vector:${sourceId}:${String(entry.chunkIndex).padStart(5, '0')}`] = entry;
+        });
+        await this.state.storage.put(batch);
+      }
+
+      return new Response(JSON.stringify({ success: true }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    // List chat threads without their messages, newest first
+    if (url.pathname === '/chats') {
+      const kind = url.searchParams.get('kind');
+      const chats = await this.state.storage.list({ prefix: 'chat:' });
+      const summaries = [...chats.values()]
+        .filter(chat => !kind || chat.kind === kind)
+        .map(({ messages = [], ...chat }) => ({ ...chat, messageCount: messages.length }))
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+      return new Response(JSON.stringify(summaries), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    // Save a chat thread (messages plus what the chat is about)
+    if (url.pathname.startsWith('/chats/') && request.method === 'POST') {
+      const chatId = decodeURIComponent(url.pathname.slice('/chats/'.length));
+      const chat = await request.json();
+      await this.state.storage.put(`chat:${chatId}`, { ...chat, id: chatId, updatedAt: Date.now() });
       return new Response(JSON.stringify({ success: true }), {
         headers: { 'Content-Type': 'application/json' },
       });
     }
 
-    // Store generated content (flashcards, quiz, test)
-    if (url.pathname === '/content' && request.method === 'POST') {
-      const content = await request.json();
-      await this.state.storage.put('content', content);
+    // Get a chat thread
+    if (url.pathname.startsWith('/chats/')) {
+      const chatId = decodeURIComponent(url.pathname.slice('/chats/'.length));
+      const chat = (await this.state.storage.get(`chat:${chatId}`)) || null;
+      return new Response(JSON.stringify(chat), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    // List every class's study plan
+    if (url.pathname === '/plans') {
+      const plans = await this.state.storage.list({ prefix: 'plan:' });
+      return new Response(JSON.stringify([...plans.values()]), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    // Save a class's study plan, replacing the previous one
+    if (url.pathname.startsWith('/plans/') && request.method === 'POST') {
+      const planKey = decodeURIComponent(url.pathname.slice('/plans/'.length));
+      const plan = await request.json();
+      await this.state.storage.put(`plan:${planKey}`, plan);
+      return new Response(JSON.stringify({ success: true }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    // Get a class's study plan
+    if (url.pathname.startsWith('/plans/')) {
+      const planKey = decodeURIComponent(url.pathname.slice('/plans/'.length));
+      const plan = (await this.state.storage.get(`plan:${planKey}`)) || null;
+      return new Response(JSON.stringify(plan), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    // Add a draft to an essay, numbered after the existing ones
+    if (url.pathname.startsWith('/essays/') && url.pathname.endsWith('/drafts') && request.method === 'POST') {
+      const essayId = decodeURIComponent(url.pathname.slice('/essays/'.length, -'/drafts'.length));
+      const draft = await request.json();
+      const drafts = await this.state.storage.list({ prefix: `essayDraft:${essayId}:` });
+      const number = drafts.size + 1;
+      await this.state.storage.put(`essayDraft:${essayId}:${String(number).padStart(5, '0')}`, { ...draft, number });
+      return new Response(JSON.stringify({ success: true, number }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    // Save an essay prompt and rubric (drafts are stored one key each)
+    if (url.pathname.startsWith('/essays/') && request.method === 'POST') {
+      const essayId = decodeURIComponent(url.pathname.slice('/essays/'.length));
+      const { drafts, ...essay } = await request.json();
+      await this.state.storage.put(`essay:${essayId}`, { ...essay, id: essayId });
+      return new Response(JSON.stringify({ success: true }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    // Get an essay with all of its drafts, oldest first
+    if (url.pathname.startsWith('/essays/')) {
+      const essayId = decodeURIComponent(url.pathname.slice('/essays/'.length));
+      const essay = await this.state.storage.get(`essay:${essayId}`);
+
+      if (!essay) {
+        return new Response(JSON.stringify(null), {
+          headers: { 'Content-Type': 'application/json' },
+        });
+      }
+
+      const drafts = await this.state.storage.list({ prefix: `essayDraft:${essayId}:` });
+      return new Response(JSON.stringify({ ...essay, drafts: [...drafts.values()] }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    // Merge a device's library changes (last writer wins per item) and return a page of what changed since its cursor
+    if (url.pathname === '/library/sync' && request.method === 'POST') {
+      const { changes, since, continueFull } = await request.json();
+      const now = Date.now();
+      const meta = (await this.state.storage.get('libraryMeta')) || { seq: 0, prunedSeq: 0 };
+      const stored = new Map();
+      (await this.state.storage.list({ prefix: 'library:' })).forEach(item => stored.set(item.id, item));
+
+      const { writes, rejected, seq } = mergeLibraryChanges(stored, changes, meta.seq, now);
+      writes.forEach((item, id) => stored.set(id, item));
+
+      const expired = expiredTombstones(stored, now);
+      expired.forEach(item => stored.delete(item.id));
+      const next = { seq, prunedSeq: Math.max(meta.prunedSeq, ...expired.map(item => item.seq)) };
+
+      // At most MAX_CHANGES writes plus the metadata, within the 128 keys a put accepts
+      const entries = { libraryMeta: next };
+      writes.forEach((item, id) => { entries[`library:${id}`] = item; });
+      await this.state.storage.put(entries);
+
+      const keys = expired.map(item => `library:${item.id}`);
+      for (let i = 0; i < keys.length; i += 128) {
+        await this.state.storage.delete(keys.slice(i, i + 128));
+      }
+
+      return new Response(JSON.stringify({ ...libraryChangesSince(stored, since, next, continueFull), rejected }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    // Add a model call to the day's usage totals for its operation and class
+    if (url.pathname === '/usage' && request.method === 'POST') {
+      const record = await request.json();
+      const className = record.className || ((await this.state.storage.get('session')) || {}).className || null;
+      const usage = (await this.state.storage.get(`usage:${record.day}`)) || { day: record.day, entries: {} };
+      const entryKey = `${record.operation}|${className || ''}`;
+
+      usage.entries[entryKey] = addUsage(usage.entries[entryKey] || { operation: record.operation, className }, record);
+      await this.state.storage.put(`usage:${record.day}`, usage);
+
+      // Drop days past the retention window (keys sort by date)
+      const days = await this.state.storage.list({ prefix: 'usage:' });
+      const expired = [...days.keys()].slice(0, Math.max(0, days.size - USAGE.RETENTION_DAYS));
+      if (expired.length > 0) {
+        await this.state.storage.delete(expired);
+      }
+
       return new Response(JSON.stringify({ success: true }), {
         headers: { 'Content-Type': 'application/json' },
       });
     }
 
-    // Get stored content
-    if (url.pathname === '/content') {
-      const content = (await this.state.storage.get('content')) || null;
-      return new Response(JSON.stringify(content), {
+    // Get daily usage totals from a date on, oldest first
+    if (url.pathname === '/usage') {
+      const since = url.searchParams.get('since') || '';
+      const days = await this.state.storage.list({ prefix: 'usage:', start: `usage:${since}` });
+      return new Response(JSON.stringify([...days.values()]), {
         headers: { 'Content-Type': 'application/json' },
       });
     }
 
-    // Store quiz/test progress
-    if (url.pathname === '/progress' && request.method === 'POST') {
-      const progress = await request.json();
-      await this.state.storage.put('progress', progress);
+    // Take tokens from a rate limit bucket, refilling it for the time since it was last used
+    if (url.pathname === '/rate-limit' && request.method === 'POST') {
+      const { bucket, capacity, refillPerMinute, cost = 1 } = await request.json();
+      const now = Date.now();
+      const refillPerMs = refillPerMinute / 60000;
+      const stored = await this.state.storage.get(`rateLimit:${bucket}`);
+      const tokens = stored
+        ? Math.min(capacity, stored.tokens + (now - stored.updatedAt) * refillPerMs)
+        : capacity;
+
+      const allowed = tokens >= cost;
+      const remaining = allowed ? tokens - cost : tokens;
+      await this.state.storage.put(`rateLimit:${bucket}`, { tokens: remaining, updatedAt: now });
+
+      const retryAfter = allowed ? 0 : Math.ceil((cost - tokens) / refillPerMs / 1000);
+      return new Response(JSON.stringify({ allowed, remaining: Math.floor(remaining), retryAfter }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    // Save a cached response with its expiry time, dropping entries that expired unread
+    if (url.pathname.startsWith('/cache/') && request.method === 'POST') {
+      const cacheKey = decodeURIComponent(url.pathname.slice('/cache/'.length));
+      const entry = await request.json();
+
+      // Expiry keys sort by time, so the expired ones are a range and nothing else is read
+      const expired = await this.state.storage.list({ prefix: 'cacheExpiry:', end: cacheExpiryKey(Date.now(), ''), limit: 64 });
+      await this.state.storage.delete([...expired.keys(), ...[...expired.values()].map(key => `cache:${key}`)]);
+
+      const previous = await this.state.storage.get(`cache:${cacheKey}`);
+      if (previous) {
+        await this.state.storage.delete(cacheExpiryKey(previous.expiresAt, cacheKey));
+      }
+      await this.state.storage.put({ [`cache:${cacheKey}`]: entry, [cacheExpiryKey(entry.expiresAt, cacheKey)]: cacheKey });
       return new Response(JSON.stringify({ success: true }), {
         headers: { 'Content-Type': 'application/json' },
       });
     }
 
-    // Get quiz/test progress
-    if (url.pathname === '/progress') {
-      const progress = (await this.state.storage.get('progress')) || {};
-      return new Response(JSON.stringify(progress), {
+    // Get a cached response, dropping it once it has expired
+    if (url.pathname.startsWith('/cache/')) {
+      const cacheKey = decodeURIComponent(url.pathname.slice('/cache/'.length));
+      let entry = (await this.state.storage.get(`cache:${cacheKey}`)) || null;
+
+      if (entry && entry.expiresAt <= Date.now()) {
+        await this.state.storage.delete([`cache:${cacheKey}`, cacheExpiryKey(entry.expiresAt, cacheKey)]);
+        entry = null;
+      }
+
+      return new Response(JSON.stringify(entry), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    // Create an account unless its email is already registered
+    if (url.pathname.startsWith('/accounts/') && request.method === 'POST') {
+      const email = decodeURIComponent(url.pathname.slice('/accounts/'.length));
+      const account = await request.json();
+      const taken = Boolean(await this.state.storage.get(`account:${email}`));
+      if (!taken) {
+        await this.state.storage.put(`account:${email}`, account);
+      }
+      return new Response(JSON.stringify({ created: !taken }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    // Get an account by email
+    if (url.pathname.startsWith('/accounts/')) {
+      const email = decodeURIComponent(url.pathname.slice('/accounts/'.length));
+      const account = (await this.state.storage.get(`account:${email}`)) || null;
+      return new Response(JSON.stringify(account), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    // Take a pairing code for a session unless it is already held, dropping expired codes
+    if (url.pathname.startsWith('/pairing/') && !url.pathname.endsWith('/claim') && request.method === 'POST') {
+      const code = decodeURIComponent(url.pathname.slice('/pairing/'.length));
+      const entry = await request.json();
+      const codes = await this.state.storage.list({ prefix: 'pairing:' });
+      const expired = [...codes].filter(([, stored]) => stored.expiresAt <= Date.now()).map(([key]) => key);
+      for (let i = 0; i < expired.length; i += 128) {
+        await this.state.storage.delete(expired.slice(i, i + 128));
+      }
+
+      const taken = codes.has(`pairing:${code}`) && !expired.includes(`pairing:${code}`);
+      if (!taken) {
+        await this.state.storage.put(`pairing:${code}`, entry);
+      }
+      return new Response(JSON.stringify({ created: !taken }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    // Use up a pairing code, returning its entry if it was still valid
+    if (url.pathname.startsWith('/pairing/') && request.method === 'POST') {
+      const code = decodeURIComponent(url.pathname.slice('/pairing/'.length, -'/claim'.length));
+      const entry = (await this.state.storage.get(`pairing:${code}`)) || null;
+      if (entry) {
+        await this.state.storage.delete(`pairing:${code}`);
+      }
+      return new Response(JSON.stringify(entry && entry.expiresAt > Date.now() ? entry : null), {
         headers: { 'Content-Type': 'application/json' },
       });
     }
@@ -73,4 +521,41 @@ export class ChatStorage {
 
     return new Response('Not Found', { status: 404 });
   }
+
+  /**
+   * Move the single `content` and `progress` keys of older sessions into a study set
+   * @private
+   */
+  async _migrateLegacyContent() {
+    const content = await this.state.storage.get('content');
+    if (!content) return;
+
+    const session = (await this.state.storage.get('session')) || {};
+    const progress = (await this.state.storage.get('progress')) || {};
+    const items = content.flashcards || content.questions || [];
+    const mode = content.sections ? 'studyGuide' : content.flashcards ? 'flashcards' : (session.mode || 'quiz');
+    const setId = `set-legacy-${Date.now()}`;
+    const now = Date.now();
+
+    const { flashcards, questions, cache, ...rest } = content;
+    await this.state.storage.put(`set:${setId}`, {
+      ...rest,
+      id: setId,
+      version: 1,
+      className: session.className || 'Unknown class',
+      topic: session.topic || '',
+      mode,
+      sourceId: session.sourceId || null,
+      items,
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    if (Array.isArray(progress.results)) {
+      await this.state.storage.put(`setAttempt:${setId}:00001`, { ...progress, setId, number: 1, version: 1, gradedAt: now });
+    }
+
+    await this.state.storage.delete(['content', 'progress']);
+    await this.state.storage.put('session', { ...session, setId });
+  }
 }
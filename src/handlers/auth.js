@@ -0,0 +1,45 @@
+/**
+ * Handlers for /api/auth endpoints
+ * Sign up, sign in and look up the signed-in account
+ */
+
+import { AccountService } from '../services/account-service.js';
+import { authenticate } from '../utils/auth.js';
+import { jsonResponse, errorResponse, failureResponse } from '../utils/response-helpers.js';
+
+export async function handleSignUp(request, env, corsHeaders) {
+  try {
+    const { email, password } = await request.json();
+
+    const signedIn = await new AccountService(env).signUp(email, password);
+    return jsonResponse(signedIn, 200, corsHeaders);
+  } catch (error) {
+    if (error.message.includes('required') || error.message.includes('must be') || error.message.includes('too long')) {
+      return errorResponse(error.message, 400, corsHeaders);
+    }
+    return failureResponse(error, corsHeaders);
+  }
+}
+
+export async function handleLogIn(request, env, corsHeaders) {
+  try {
+    const { email, password } = await request.json();
+
+    const signedIn = await new AccountService(env).logIn(email, password);
+    return jsonResponse(signedIn, 200, corsHeaders);
+  } catch (error) {
+    if (error.message.includes('required')) {
+      return errorResponse(error.message, 400, corsHeaders);
+    }
+    return failureResponse(error, corsHeaders);
+  }
+}
+
+export async function handleGetAccount(request, env, corsHeaders) {
+  try {
+    const { accountId, email, sessionId, expiresAt } = await authenticate(request, env);
+    return jsonResponse({ account: { id: accountId, email, sessionId }, expiresAt }, 200, corsHeaders);
+  } catch (error) {
+    return failureResponse(error, corsHeaders);
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * Handlers for /api/explain endpoint
+ * Follow-up chat about one stored quiz or test question
+ */
+
+import { AIService } from '../services/ai-service.js';
+import { StorageService } from '../services/storage-service.js';
+import { StudySetService } from '../services/study-set-service.js';
+import { validateChatMessage } from '../utils/validators.js';
+import { guardFields, guardAnswer } from '../utils/guard.js';
+import { requireSession } from '../utils/auth.js';
+import { jsonResponse, errorResponse, failureResponse } from '../utils/response-helpers.js';
+import { CHAT } from '../utils/constants.js';
+
+/**
+ * Chat thread ID for a question (deleted along with its set by ChatStorage)
+ * @param {string} setId - Study set ID
+ * @param {number} questionIndex - Question index
+ * @returns {string} Chat ID
+ */
+function explainChatId(setId, questionIndex) {
+  return `explain:${setId}:${questionIndex}`;
+}
+
+/**
+ * Load the stored thread for a question, ignoring threads about an earlier version of the set
+ * @param {StorageService} storageService - Storage service
+ * @param {string} sessionId - Session ID
+ * @param {string} setId - Study set ID
+ * @param {number} questionIndex - Question index
+ * @param {Object} question - Current question at that index
+ * @returns {Promise<Array>} Earlier messages
+ */
+async function loadThread(storageService, sessionId, setId, questionIndex, question) {
+  const chat = await storageService.getChat(sessionId, explainChatId(setId, questionIndex));
+  return chat && chat.question === question.question ? chat.messages : [];
+}
+
+export async function handleExplainQuestion(request, env, corsHeaders) {
+  try {
+    const body = await request.json();
+    const sessionId = await requireSession(request, env, body.sessionId);
+
+    const { setId, questionIndex, message } = guardFields(body, ['message']);
+    const studentAnswer = body.studentAnswer === undefined
+      ? undefined
+      : guardAnswer(body.studentAnswer, { field: 'studentAnswer', label: 'Answer' });
+
+    // Validate input
+    validateChatMessage(message);
+
+    const storageService = new StorageService(env);
+    const studySets = new StudySetService(env);
+    const set = await studySets.get(sessionId, setId, ['quiz', 'test']);
+
+    const question = set.items[questionIndex];
+    if (!Number.isInteger(questionIndex) || !question) {
+      return errorResponse('Question index is out of range', 400, corsHeaders);
+    }
+
+    // Answers and feedback come from the latest graded attempt unless the page sends the answer
+    const progress = studySets.attempt(set) || {};
+    const answer = studentAnswer !== undefined ? studentAnswer : (progress.answers || [])[questionIndex];
+    const graded = (progress.results || []).find(result => result.questionIndex === questionIndex);
+
+    const history = await loadThread(storageService, sessionId, set.id, questionIndex, question);
+
+    const aiService = new AIService(env).trackUsage(sessionId, set.className);
+    const reply = await aiService.explainMistake(question, answer, history, message.trim(), graded ? graded.feedback : '');
+
+    const messages = [
+      ...history,
+      { role: 'user', content: message.trim() },
+      { role: 'assistant', content: reply },
+    ].slice(-CHAT.STORED_MESSAGES);
+
+    await storageService.saveChat(sessionId, explainChatId(set.id, questionIndex), {
+      kind: 'explain',
+      setId: set.id,
+      questionIndex,
+      question: question.question,
+      messages,
+    });
+
+    return jsonResponse({ reply, messages }, 200, corsHeaders);
+  } catch (error) {
+    if (error.message.startsWith('Study set not found')) {
+      return errorResponse(error.message, 404, corsHeaders);
+    }
+    if (error.message.includes('required') || error.message.includes('empty') || error.message.includes('too long') || error.message.includes('must be one of')) {
+      return errorResponse(error.message, 400, corsHeaders);
+    }
+    return failureResponse(error, corsHeaders);
+  }
+}
+
+export async function handleGetExplanation(request, env, corsHeaders) {
+  const url = new URL(request.url);
+  let sessionId;
+  try {
+    sessionId = await requireSession(request, env, url.searchParams.get('sessionId'));
+  } catch (error) {
+    return failureResponse(error, corsHeaders);
+  }
+  const setId = url.searchParams.get('setId');
+  const questionIndex = parseInt(url.searchParams.get('questionIndex'), 10);
+
+  const storageService = new StorageService(env);
+  const set = setId ? await storageService.getSet(sessionId, setId) : null;
+  const question = set ? set.items[questionIndex] : null;
+
+  if (!question) {
+    return jsonResponse({ messages: [] }, 200, corsHeaders);
+  }
+
+  const messages = await loadThread(storageService, sessionId, setId, questionIndex, question);
+  return jsonResponse({ messages }, 200, corsHeaders);
+}
@@ -0,0 +1,68 @@
+/**
+ * Handler for /api/generate-essay endpoint
+ */
+
+import { AIService } from '../services/ai-service.js';
+import { StorageService } from '../services/storage-service.js';
+import { NotesService } from '../services/notes-service.js';
+import { validateClassName, validateDifficulty } from '../utils/validators.js';
+import { guardFields } from '../utils/guard.js';
+import { requireSession } from '../utils/auth.js';
+import { jsonResponse, errorResponse, failureResponse } from '../utils/response-helpers.js';
+
+export async function handleGenerateEssay(request, env, corsHeaders) {
+  try {
+    const body = await request.json();
+    const sessionId = await requireSession(request, env, body.sessionId);
+
+    const {
+      className,
+      topic = '',
+      sourceId = null,
+      difficulty
+    } = guardFields(body, ['className', 'topic']);
+
+    // Validate input
+    validateClassName(className);
+    const targets = { difficulty: validateDifficulty(difficulty) };
+
+    // Pull matching excerpts from uploaded course notes
+    let notes = [];
+    if (sourceId) {
+      notes = await new NotesService(env).getContext(sessionId, sourceId, `${className} ${topic}`);
+      if (!notes) {
+        return errorResponse('Course notes not found for this session', 404, corsHeaders);
+      }
+    }
+
+    // Generate the essay prompt and rubric using AI service
+    const aiService = new AIService(env).trackUsage(sessionId, className);
+    const generated = await aiService.generateEssayPrompt(className, topic, notes, targets);
+
+    const essay = {
+      id: `essay-${crypto.randomUUID()}`,
+      className,
+      topic,
+      ...generated,
+      createdAt: Date.now(),
+    };
+
+    // Store in Durable Object; drafts are added as the student submits them
+    const storageService = new StorageService(env);
+    await storageService.saveSession(sessionId, {
+      className,
+      mode: 'essay',
+      topic,
+      sourceId,
+      difficulty: targets.difficulty
+    });
+    await storageService.saveEssay(sessionId, essay);
+
+    return jsonResponse({ ...essay, drafts: [] }, 200, corsHeaders);
+  } catch (error) {
+    if (error.message.includes('required') || error.message.includes('empty') || error.message.includes('must be one of')) {
+      return errorResponse(error.message, 400, corsHeaders);
+    }
+    return failureResponse(error, corsHeaders);
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * Handler for /api/generate-study-guide endpoint
+ */
+
+import { AIService } from '../services/ai-service.js';
+import { StorageService } from '../services/storage-service.js';
+import { NotesService } from '../services/notes-service.js';
+import { CacheService } from '../services/cache-service.js';
+import { StudySetService } from '../services/study-set-service.js';
+import { validateClassName, validateDifficulty } from '../utils/validators.js';
+import { guardFields } from '../utils/guard.js';
+import { requireSession } from '../utils/auth.js';
+import { jsonResponse, errorResponse, failureResponse } from '../utils/response-helpers.js';
+
+export async function handleGenerateStudyGuide(request, env, corsHeaders) {
+  try {
+    const body = await request.json();
+    const sessionId = await requireSession(request, env, body.sessionId);
+
+    const {
+      className,
+      topic = '',
+      sourceId = null,
+      setId = null,
+      difficulty,
+      fresh = false
+    } = guardFields(body, ['className', 'topic']);
+
+    // Validate input
+    validateClassName(className);
+    const targets = { difficulty: validateDifficulty(difficulty) };
+
+    // Regenerating an existing set must keep its mode
+    const studySets = new StudySetService(env);
+    if (setId) {
+      await studySets.get(sessionId, setId, ['studyGuide']);
+    }
+
+    // Reuse an identical earlier guide unless the caller asks for a fresh one or a regeneration
+    const cacheParams = {
+      className,
+      topic,
+      notes: sourceId ? `${sessionId}/${sourceId}` : null,
+      difficulty: targets.difficulty
+    };
+    const { value: studyGuide, cache } = await new CacheService(env).getOrGenerate('studyGuide', cacheParams, fresh === true || Boolean(setId), async () => {
+      // Pull matching excerpts from uploaded course notes
+      let notes = [];
+      if (sourceId) {
+        notes = await new NotesService(env).getContext(sessionId, sourceId, `${className} ${topic}`);
+        if (!notes) {
+          throw new Error('Course notes not found for this session');
+        }
+      }
+
+      // Generate the study guide using AI service
+      const aiService = new AIService(env).trackUsage(sessionId, className);
+      return aiService.generateStudyGuide(className, topic, notes, targets);
+    });
+
+    // Store as its own study set in Durable Object
+    const set = await studySets.save(sessionId, 'studyGuide', { setId, className, topic, sourceId }, studyGuide);
+    const storageService = new StorageService(env);
+    await storageService.saveSession(sessionId, {
+      className,
+      mode: 'studyGuide',
+      topic,
+      sourceId,
+      setId: set.id,
+      difficulty: targets.difficulty
+    });
+
+    return jsonResponse({ ...studyGuide, cache, setId: set.id, version: set.version }, 200, corsHeaders);
+  } catch (error) {
+    if (error.message.startsWith('Course notes not found') || error.message.startsWith('Study set not found')) {
+      return errorResponse(error.message, 404, corsHeaders);
+    }
+    if (error.message.includes('required') || error.message.includes('empty') || error.message.includes('must be one of')) {
+      return errorResponse(error.message, 400, corsHeaders);
+    }
+    return failureResponse(error, corsHeaders);
+  }
+}
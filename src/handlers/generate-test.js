@@ -4,41 +4,94 @@
 
 import { AIService } from '../services/ai-service.js';
 import { StorageService } from '../services/storage-service.js';
-import { validateClassName, validateCount } from '../utils/validators.js';
-import { jsonResponse, errorResponse } from '../utils/response-helpers.js';
+import { NotesService } from '../services/notes-service.js';
+import { CacheService } from '../services/cache-service.js';
+import { StudySetService } from '../services/study-set-service.js';
+import { validateClassName, validateCount, validateDifficulty, validateBloomLevels, validateQuestionTypes } from '../utils/validators.js';
+import { guardFields } from '../utils/guard.js';
+import { requireSession } from '../utils/auth.js';
+import { jsonResponse, errorResponse, failureResponse } from '../utils/response-helpers.js';
 import { DEFAULTS } from '../utils/constants.js';
 
 export async function handleGenerateTest(request, env, corsHeaders) {
   try {
+    const body = await request.json();
+    const sessionId = await requireSession(request, env, body.sessionId);
+
     const {
       className,
       topic = '',
-      sessionId = DEFAULTS.SESSION_ID,
+      sourceId = null,
+      setId = null,
+      difficulty,
+      bloomLevels,
+      questionTypes,
+      fresh = false,
       count = DEFAULTS.TEST_COUNT
-    } = await request.json();
+    } = guardFields(body, ['className', 'topic']);
 
     // Validate input
     validateClassName(className);
     const validatedCount = validateCount(count, 1, 50);
+    const targets = {
+      difficulty: validateDifficulty(difficulty),
+      bloomLevels: validateBloomLevels(bloomLevels),
+      questionTypes: validateQuestionTypes(questionTypes)
+    };
+
+    // Regenerating an existing set must keep its mode
+    const studySets = new StudySetService(env);
+    if (setId) {
+      await studySets.get(sessionId, setId, ['test']);
+    }
 
-    // Generate test using AI service
-    const aiService = new AIService(env);
-    const test = await aiService.generateTest(className, topic, validatedCount);
+    // Reuse an identical earlier set unless the caller asks for a fresh one or a regeneration;
+    // sets drawn from notes are only shared within the session that uploaded them
+    const cacheParams = {
+      className,
+      topic,
+      count: validatedCount,
+      notes: sourceId ? `${sessionId}/${sourceId}` : null,
+      difficulty: targets.difficulty,
+      bloomLevels: targets.bloomLevels,
+      questionTypes: targets.questionTypes
+    };
+    const { value: test, cache } = await new CacheService(env).getOrGenerate('test', cacheParams, fresh === true || Boolean(setId), async () => {
+      // Pull matching excerpts from uploaded course notes
+      let notes = [];
+      if (sourceId) {
+        notes = await new NotesService(env).getContext(sessionId, sourceId, `${className} ${topic}`);
+        if (!notes) {
+          throw new Error('Course notes not found for this session');
+        }
+      }
 
-    // Store in Durable Object
+      // Generate test using AI service
+      const aiService = new AIService(env).trackUsage(sessionId, className);
+      return aiService.generateTest(className, topic, validatedCount, notes, targets);
+    });
+
+    // Store as its own study set in Durable Object
+    const set = await studySets.save(sessionId, 'test', { setId, className, topic, sourceId }, test);
     const storageService = new StorageService(env);
     await storageService.saveSession(sessionId, {
       className,
       mode: 'test',
-      topic
+      topic,
+      sourceId,
+      setId: set.id,
+      difficulty: targets.difficulty,
+      bloomLevels: targets.bloomLevels
     });
-    await storageService.saveContent(sessionId, test);
 
-    return jsonResponse(test, 200, corsHeaders);
+    return jsonResponse({ ...test, cache, setId: set.id, version: set.version }, 200, corsHeaders);
   } catch (error) {
-    if (error.message.includes('required') || error.message.includes('empty')) {
+    if (error.message.startsWith('Course notes not found') || error.message.startsWith('Study set not found')) {
+      return errorResponse(error.message, 404, corsHeaders);
+    }
+    if (error.message.includes('required') || error.message.includes('empty') || error.message.includes('must be one of')) {
       return errorResponse(error.message, 400, corsHeaders);
     }
-    return errorResponse(error.message, 500, corsHeaders, error.message);
+    return failureResponse(error, corsHeaders);
   }
 }
\ No newline at end of file
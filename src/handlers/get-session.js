@@ -3,15 +3,19 @@
  */
 
 import { StorageService } from '../services/storage-service.js';
-import { jsonResponse } from '../utils/response-helpers.js';
-import { DEFAULTS } from '../utils/constants.js';
+import { requireSession } from '../utils/auth.js';
+import { jsonResponse, failureResponse } from '../utils/response-helpers.js';
 
 export async function handleGetSession(request, env, corsHeaders) {
-  const url = new URL(request.url);
-  const sessionId = url.searchParams.get('sessionId') || DEFAULTS.SESSION_ID;
+  try {
+    const url = new URL(request.url);
+    const sessionId = await requireSession(request, env, url.searchParams.get('sessionId'));
 
-  const storageService = new StorageService(env);
-  const session = await storageService.getSession(sessionId);
+    const storageService = new StorageService(env);
+    const session = await storageService.getSession(sessionId);
 
-  return jsonResponse(session, 200, corsHeaders);
+    return jsonResponse(session, 200, corsHeaders);
+  } catch (error) {
+    return failureResponse(error, corsHeaders);
+  }
 }
\ No newline at end of file
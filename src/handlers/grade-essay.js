@@ -0,0 +1,72 @@
+/**
+ * Handlers for /api/grade-essay and /api/essay endpoints
+ * Grades essay drafts and returns every stored draft so revisions can be compared
+ */
+
+import { AIService } from '../services/ai-service.js';
+import { StorageService } from '../services/storage-service.js';
+import { validateEssayText } from '../utils/validators.js';
+import { countWords } from '../utils/essays.js';
+import { guardFields } from '../utils/guard.js';
+import { requireSession } from '../utils/auth.js';
+import { jsonResponse, errorResponse, failureResponse } from '../utils/response-helpers.js';
+
+export async function handleGradeEssay(request, env, corsHeaders) {
+  try {
+    const body = await request.json();
+    const sessionId = await requireSession(request, env, body.sessionId);
+
+    const { essayId, text } = guardFields(body, ['text']);
+
+    // Validate input
+    validateEssayText(text);
+
+    const storageService = new StorageService(env);
+    const essay = essayId ? await storageService.getEssay(sessionId, essayId) : null;
+
+    if (!essay) {
+      return errorResponse('Essay not found for this session', 404, corsHeaders);
+    }
+
+    // Compare with the latest draft so the feedback can speak to the revision
+    const previous = essay.drafts.length > 0 ? essay.drafts[essay.drafts.length - 1].grading : null;
+
+    const aiService = new AIService(env).trackUsage(sessionId, essay.className);
+    const grading = await aiService.gradeEssay(essay, text, previous);
+
+    const draft = {
+      text,
+      wordCount: countWords(text),
+      grading,
+      submittedAt: Date.now(),
+    };
+    const { number } = await storageService.addEssayDraft(sessionId, essay.id, draft);
+
+    return jsonResponse({ ...essay, drafts: [...essay.drafts, { ...draft, number }] }, 200, corsHeaders);
+  } catch (error) {
+    if (error.message.includes('required') || error.message.includes('empty') || error.message.includes('too long')) {
+      return errorResponse(error.message, 400, corsHeaders);
+    }
+    return failureResponse(error, corsHeaders);
+  }
+}
+
+export async function handleGetEssay(request, env, corsHeaders) {
+  const url = new URL(request.url);
+  let sessionId;
+  try {
+    sessionId = await requireSession(request, env, url.searchParams.get('sessionId'));
+  } catch (error) {
+    return failureResponse(error, corsHeaders);
+  }
+  const essayId = url.searchParams.get('essayId');
+
+  const storageService = new StorageService(env);
+  const essay = essayId ? await storageService.getEssay(sessionId, essayId) : null;
+
+  if (!essay) {
+    return errorResponse('Essay not found for this session', 404, corsHeaders);
+  }
+
+  return jsonResponse(essay, 200, corsHeaders);
+}
@@ -3,38 +3,63 @@
  */
 
 import { AIService } from '../services/ai-service.js';
-import { StorageService } from '../services/storage-service.js';
+import { StudySetService } from '../services/study-set-service.js';
 import { validateAnswers } from '../utils/validators.js';
-import { jsonResponse, errorResponse } from '../utils/response-helpers.js';
-import { DEFAULTS } from '../utils/constants.js';
+import { gradeLocally, summarizeGrading } from '../utils/grading.js';
+import { guardAnswers } from '../utils/guard.js';
+import { requireSession } from '../utils/auth.js';
+import { jsonResponse, errorResponse, failureResponse } from '../utils/response-helpers.js';
 
 export async function handleGradeTest(request, env, corsHeaders) {
   try {
-    const { answers, sessionId = DEFAULTS.SESSION_ID } = await request.json();
+    const body = await request.json();
+    const sessionId = await requireSession(request, env, body.sessionId);
+
+    const { setId } = body;
 
     // Validate input
-    validateAnswers(answers);
+    validateAnswers(body.answers);
+    const answers = guardAnswers(body.answers);
+
+    // Get the quiz or test from Durable Object
+    const studySets = new StudySetService(env);
+    const set = await studySets.get(sessionId, setId, ['quiz', 'test']);
+    const questions = set.items;
 
-    // Get test content from Durable Object
-    const storageService = new StorageService(env);
-    const content = await storageService.getContent(sessionId);
+    // Grade objective answers in code and collect the open-ended ones for the AI
+    const results = [];
+    const openEnded = [];
+    questions.forEach((question, i) => {
+      const result = gradeLocally(question, answers[i], i);
+      if (result) results.push(result);
+      else openEnded.push(i);
+    });
 
-    if (!content || !content.questions) {
-      return errorResponse('No test found for this session', 400, corsHeaders);
+    if (openEnded.length > 0) {
+      const aiService = new AIService(env).trackUsage(sessionId, set.className);
+      const aiGrading = await aiService.gradeTest(
+        openEnded.map(i => questions[i]),
+        openEnded.map(i => answers[i])
+      );
+      aiGrading.results.forEach((result, k) => {
+        results.push({ ...result, questionIndex: openEnded[k], gradedBy: 'ai' });
+      });
     }
 
-    // Grade test using AI service
-    const aiService = new AIService(env);
-    const grading = await aiService.gradeTest(content.questions, answers);
+    // Totals are always recomputed here rather than taken from the model
+    const grading = summarizeGrading(results);
 
-    // Store grading results
-    await storageService.saveProgress(sessionId, grading);
+    // Store grading results as a new attempt, with the answers they were based on for appeals
+    const attempt = await studySets.addAttempt(sessionId, set, { ...grading, answers });
 
-    return jsonResponse(grading, 200, corsHeaders);
+    return jsonResponse({ ...grading, setId: set.id, version: set.version, attempt: attempt.number }, 200, corsHeaders);
   } catch (error) {
-    if (error.message.includes('required') || error.message.includes('empty')) {
+    if (error.message.startsWith('Study set not found')) {
+      return errorResponse(error.message, 404, corsHeaders);
+    }
+    if (error.message.includes('required') || error.message.includes('empty') || error.message.includes('must be one of')) {
       return errorResponse(error.message, 400, corsHeaders);
     }
-    return errorResponse(error.message, 500, corsHeaders, error.message);
+    return failureResponse(error, corsHeaders);
   }
 }
\ No newline at end of file
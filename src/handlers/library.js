@@ -0,0 +1,36 @@
+/**
+ * Handler for /api/library/sync endpoint
+ * Keeps the Study Library of every device that shares a session in step
+ */
+
+import { StorageService } from '../services/storage-service.js';
+import { validateLibraryChanges } from '../utils/validators.js';
+import { requireSession } from '../utils/auth.js';
+import { jsonResponse, errorResponse, failureResponse } from '../utils/response-helpers.js';
+
+export async function handleSyncLibrary(request, env, corsHeaders) {
+  try {
+    const body = await request.json();
+    const sessionId = await requireSession(request, env, body.sessionId);
+
+    const { changes, since } = body;
+
+    // Validate input
+    const validated = validateLibraryChanges(changes);
+    const cursor = Number.isInteger(since) && since > 0 ? since : 0;
+
+    const storageService = new StorageService(env);
+    const result = await storageService.syncLibrary(sessionId, {
+      changes: validated,
+      since: cursor,
+      continueFull: body.continueFull === true,
+    });
+
+    return jsonResponse(result, 200, corsHeaders);
+  } catch (error) {
+    if (error.message.includes('required') || error.message.includes('must be') || error.message.includes('missing') || error.message.startsWith('Too many')) {
+      return errorResponse(error.message, 400, corsHeaders);
+    }
+    return failureResponse(error, corsHeaders);
+  }
+}
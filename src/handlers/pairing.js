@@ -0,0 +1,38 @@
+/**
+ * Handlers for /api/pair endpoints
+ * A signed-in device shows a short code, another enters it to sign in to the same account
+ */
+
+import { PairingService } from '../services/pairing-service.js';
+import { AccountService } from '../services/account-service.js';
+import { authenticate } from '../utils/auth.js';
+import { jsonResponse, errorResponse, failureResponse } from '../utils/response-helpers.js';
+
+export async function handleCreatePairingCode(request, env, corsHeaders) {
+  try {
+    const identity = await authenticate(request, env);
+
+    const pairing = await new PairingService(env).create(identity);
+    return jsonResponse(pairing, 200, corsHeaders);
+  } catch (error) {
+    return failureResponse(error, corsHeaders);
+  }
+}
+
+export async function handleClaimPairingCode(request, env, corsHeaders) {
+  try {
+    const { code } = await request.json();
+
+    const identity = await new PairingService(env).claim(code);
+    const signedIn = await new AccountService(env).issue(identity);
+    return jsonResponse(signedIn, 200, corsHeaders);
+  } catch (error) {
+    if (error.message.includes('required')) {
+      return errorResponse(error.message, 400, corsHeaders);
+    }
+    if (error.message.startsWith('Pairing code not found')) {
+      return errorResponse(error.message, 404, corsHeaders);
+    }
+    return failureResponse(error, corsHeaders);
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * Handler for /api/regrade endpoint
+ * Reviews an appeal of one graded test answer and updates the stored score
+ */
+
+import { AIService } from '../services/ai-service.js';
+import { StudySetService } from '../services/study-set-service.js';
+import { validateJustification } from '../utils/validators.js';
+import { guardFields } from '../utils/guard.js';
+import { summarizeGrading } from '../utils/grading.js';
+import { requireSession } from '../utils/auth.js';
+import { jsonResponse, errorResponse, failureResponse } from '../utils/response-helpers.js';
+
+export async function handleRegrade(request, env, corsHeaders) {
+  try {
+    const body = await request.json();
+    const sessionId = await requireSession(request, env, body.sessionId);
+
+    const {
+      setId,
+      attempt: attemptNumber = null,
+      questionIndex,
+      justification
+    } = guardFields(body, ['justification']);
+
+    // Validate input
+    validateJustification(justification);
+
+    // Get the test and the graded attempt (the latest one unless a number is given) from Durable Object
+    const studySets = new StudySetService(env);
+    const set = await studySets.get(sessionId, setId, ['quiz', 'test']);
+    const progress = studySets.attempt(set, attemptNumber);
+
+    if (!progress || !Array.isArray(progress.results)) {
+      return errorResponse('No graded attempt found for this set', 400, corsHeaders);
+    }
+
+    // Answers graded against an earlier version refer to questions that have since been replaced
+    if (progress.version !== set.version) {
+      return errorResponse('This attempt was graded before the set was regenerated', 409, corsHeaders);
+    }
+
+    if (!Number.isInteger(questionIndex) || questionIndex < 0 || questionIndex >= set.items.length) {
+      return errorResponse('Question index is out of range', 400, corsHeaders);
+    }
+
+    const original = progress.results.find(result => result.questionIndex === questionIndex);
+    if (!original) {
+      return errorResponse('This question has not been graded', 400, corsHeaders);
+    }
+
+    // One appeal per question, so a score can't be argued up repeatedly
+    if (original.appeal) {
+      return errorResponse('This grade has already been appealed', 409, corsHeaders);
+    }
+
+    const answers = progress.answers || [];
+    const aiService = new AIService(env).trackUsage(sessionId, set.className);
+    const review = await aiService.regradeAnswer(
+      set.items[questionIndex],
+      answers[questionIndex],
+      original,
+      justification.trim()
+    );
+
+    const revised = {
+      ...original,
+      ...review,
+      questionIndex,
+      appeal: {
+        justification: justification.trim(),
+        originalScore: original.pointsEarned,
+        revisedScore: review.pointsEarned,
+        reason: review.reason,
+        appealedAt: Date.now(),
+      },
+    };
+    delete revised.reason;
+    if (!review.criteria) delete revised.criteria;
+
+    // Recompute the final score with the revised result
+    const results = progress.results.map(result => (result.questionIndex === questionIndex ? revised : result));
+    const grading = summarizeGrading(results);
+
+    await studySets.saveAttempt(sessionId, set, { ...progress, ...grading });
+
+    return jsonResponse({ ...grading, result: revised, setId: set.id, attempt: progress.number }, 200, corsHeaders);
+  } catch (error) {
+    if (error.message.startsWith('Study set not found')) {
+      return errorResponse(error.message, 404, corsHeaders);
+    }
+    if (error.message.includes('required') || error.message.includes('empty') || error.message.includes('must be one of')) {
+      return errorResponse(error.message, 400, corsHeaders);
+    }
+    return failureResponse(error, corsHeaders);
+  }
+}
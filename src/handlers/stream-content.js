@@ -0,0 +1,199 @@
+/**
+ * Handler for the streaming generation endpoints:
+ * /api/generate-flashcards/stream, /api/generate-quiz/stream, /api/generate-test/stream
+ */
+
+import { AIService } from '../services/ai-service.js';
+import { StorageService } from '../services/storage-service.js';
+import { NotesService } from '../services/notes-service.js';
+import { CacheService, cacheReport } from '../services/cache-service.js';
+import { StudySetService } from '../services/study-set-service.js';
+import { validateClassName, validateCount, validateDifficulty, validateBloomLevels, validateQuestionTypes } from '../utils/validators.js';
+import { guardFields } from '../utils/guard.js';
+import { requireSession } from '../utils/auth.js';
+import { errorResponse, failureResponse, eventStreamResponse, formatEvent } from '../utils/response-helpers.js';
+import { AIError, GuardError, AuthError, toAIError } from '../utils/errors.js';
+import { DEFAULTS } from '../utils/constants.js';
+
+// Per-mode defaults and the field the items are stored under
+const MODE_CONFIG = {
+  flashcards: { key: 'flashcards', defaultCount: DEFAULTS.FLASHCARD_COUNT },
+  quiz: { key: 'questions', defaultCount: DEFAULTS.QUIZ_COUNT },
+  test: { key: 'questions', defaultCount: DEFAULTS.TEST_COUNT },
+};
+
+export async function handleStreamContent(request, env, corsHeaders, mode) {
+  const config = MODE_CONFIG[mode];
+  const studySets = new StudySetService(env);
+  let params;
+
+  try {
+    const body = await request.json();
+    const sessionId = await requireSession(request, env, body.sessionId);
+
+    const {
+      className,
+      topic = '',
+      sourceId = null,
+      setId = null,
+      difficulty,
+      bloomLevels,
+      questionTypes,
+      fresh = false,
+      count = config.defaultCount
+    } = guardFields(body, ['className', 'topic']);
+
+    // Validate input
+    validateClassName(className);
+    params = {
+      className,
+      topic,
+      sourceId,
+      setId,
+      sessionId,
+      // Regenerating a set always asks the model again
+      fresh: fresh === true || Boolean(setId),
+      count: validateCount(count, 1, 50),
+      targets: {
+        difficulty: validateDifficulty(difficulty),
+        bloomLevels: validateBloomLevels(bloomLevels),
+        // Only tests mix question types
+        questionTypes: mode === 'test' ? validateQuestionTypes(questionTypes) : []
+      }
+    };
+
+    // Regenerating an existing set must keep its mode
+    if (setId) {
+      await studySets.get(sessionId, setId, [mode]);
+    }
+  } catch (error) {
+    if (error instanceof GuardError || error instanceof AuthError) {
+      return failureResponse(error, corsHeaders);
+    }
+    if (error.message.startsWith('Study set not found')) {
+      return errorResponse(error.message, 404, corsHeaders);
+    }
+    return errorResponse(error.message, 400, corsHeaders);
+  }
+
+  // Same key as the non-streaming endpoint, so either one can serve the other's sets
+  const cacheService = new CacheService(env);
+  const cacheParams = {
+    className: params.className,
+    topic: params.topic,
+    count: params.count,
+    notes: params.sourceId ? `${params.sessionId}/${params.sourceId}` : null,
+    difficulty: params.targets.difficulty,
+    bloomLevels: params.targets.bloomLevels,
+    ...(mode === 'test' && { questionTypes: params.targets.questionTypes })
+  };
+  const cached = params.fresh ? null : await cacheService.get(mode, cacheParams);
+
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+
+  // Once the client disconnects, writes reject; later events are dropped and the set is still saved
+  let disconnected = false;
+  const send = async (event, data) => {
+    if (disconnected) return;
+    try {
+      await writer.write(encoder.encode(formatEvent(event, data)));
+    } catch (error) {
+      disconnected = true;
+    }
+  };
+
+  // Generate in the background while the response streams to the client
+  (async () => {
+    const items = [];
+    const stats = {};
+    let streamError = null;
+
+    try {
+      if (cached) {
+        // Replay the cached set so the client handles it like a generated one
+        for (const item of cached.value[config.key]) {
+          items.push(item);
+          await send('item', { index: items.length - 1, item });
+        }
+      } else {
+        // Pull matching excerpts from uploaded course notes; a failure here ends the stream with an error event
+        const notes = params.sourceId
+          ? await new NotesService(env).getContext(params.sessionId, params.sourceId, `${params.className} ${params.topic}`)
+          : [];
+        if (!notes) {
+          throw new Error('Course notes not found for this session');
+        }
+
+        const aiService = new AIService(env).trackUsage(params.sessionId, params.className);
+        for await (const item of aiService.streamItems(mode, params.className, params.topic, params.count, notes, params.targets, stats)) {
+          items.push(item);
+          await send('item', { index: items.length - 1, item });
+        }
+      }
+    } catch (error) {
+      console.error('Stream Error:', error.message);
+      streamError = error;
+    }
+
+    try {
+      if (items.length === 0) {
+        throw streamError || new AIError('AI_BAD_RESPONSE', `Failed to generate ${mode}. Please try again.`);
+      }
+
+      // Store whatever completed as its own study set, even if the model stopped early
+      const partial = streamError !== null || items.length < params.count;
+      const content = {
+        [config.key]: items,
+        difficulty: params.targets.difficulty,
+        bloomLevels: params.targets.bloomLevels,
+        partial
+      };
+      const set = await studySets.save(params.sessionId, mode, params, content);
+      const storageService = new StorageService(env);
+      await storageService.saveSession(params.sessionId, {
+        className: params.className,
+        mode,
+        topic: params.topic,
+        sourceId: params.sourceId,
+        setId: set.id,
+        difficulty: params.targets.difficulty,
+        bloomLevels: params.targets.bloomLevels
+      });
+
+      if (cached) {
+        await send('done', { ...cached.value, cache: cacheReport(true, cached), setId: set.id, version: set.version });
+        return;
+      }
+
+      const validation = {
+        requested: params.count,
+        received: stats.received,
+        valid: items.length,
+        repaired: stats.repaired,
+        dropped: stats.dropped,
+        duplicates: stats.duplicates,
+        retried: false,
+      };
+      const result = { ...content, validation };
+
+      // Only complete sets are worth serving to the next identical request
+      const entry = partial ? null : await cacheService.set(mode, cacheParams, result);
+      await send('done', { ...result, cache: cacheReport(false, entry), setId: set.id, version: set.version });
+    } catch (error) {
+      if (error.message.startsWith('Course notes not found')) {
+        await send('error', { error: error.message });
+        return;
+      }
+      const failure = error instanceof GuardError ? error : toAIError(error);
+      await send('error', { error: failure.message, code: failure.code });
+    } finally {
+      if (!disconnected) {
+        await writer.close().catch(() => {});
+      }
+    }
+  })().catch(error => console.error('Stream Error:', error.message));
+
+  return eventStreamResponse(readable, corsHeaders);
+}
@@ -0,0 +1,75 @@
+/**
+ * Handlers for /api/study-plan endpoint
+ * Day-by-day study plans built from a syllabus, stored per class
+ */
+
+import { AIService } from '../services/ai-service.js';
+import { StorageService } from '../services/storage-service.js';
+import { validateClassName, validateSyllabus, validatePlanDates } from '../utils/validators.js';
+import { guardFields } from '../utils/guard.js';
+import { requireSession } from '../utils/auth.js';
+import { jsonResponse, errorResponse, failureResponse } from '../utils/response-helpers.js';
+
+export async function handleCreateStudyPlan(request, env, corsHeaders) {
+  try {
+    const body = await request.json();
+    const sessionId = await requireSession(request, env, body.sessionId);
+
+    const { className, syllabus, examDate, startDate } = guardFields(body, ['className', 'syllabus']);
+
+    // Validate input
+    validateClassName(className);
+    validateSyllabus(syllabus);
+    const dates = validatePlanDates(examDate, startDate);
+
+    // Generate the plan using AI service
+    const aiService = new AIService(env).trackUsage(sessionId, className.trim());
+    const { days } = await aiService.generateStudyPlan(className.trim(), syllabus.trim(), dates);
+
+    const plan = {
+      className: className.trim(),
+      syllabus: syllabus.trim(),
+      startDate: dates.startDate,
+      examDate: dates.examDate,
+      days,
+      createdAt: Date.now(),
+    };
+
+    // Store in Durable Object, replacing the class's earlier plan
+    const storageService = new StorageService(env);
+    await storageService.saveStudyPlan(sessionId, plan);
+
+    return jsonResponse(plan, 200, corsHeaders);
+  } catch (error) {
+    if (error.message.includes('required') || error.message.includes('empty') || error.message.includes('must be') || error.message.includes('too long')) {
+      return errorResponse(error.message, 400, corsHeaders);
+    }
+    return failureResponse(error, corsHeaders);
+  }
+}
+
+export async function handleGetStudyPlan(request, env, corsHeaders) {
+  const url = new URL(request.url);
+  let sessionId;
+  try {
+    sessionId = await requireSession(request, env, url.searchParams.get('sessionId'));
+  } catch (error) {
+    return failureResponse(error, corsHeaders);
+  }
+  const className = url.searchParams.get('className');
+
+  const storageService = new StorageService(env);
+
+  // Without a class, list the plans of every class
+  if (!className) {
+    const plans = await storageService.listStudyPlans(sessionId);
+    return jsonResponse({ plans }, 200, corsHeaders);
+  }
+
+  const plan = await storageService.getStudyPlan(sessionId, className);
+  if (!plan) {
+    return errorResponse('No study plan found for this class', 404, corsHeaders);
+  }
+
+  return jsonResponse(plan, 200, corsHeaders);
+}
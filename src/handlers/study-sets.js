@@ -0,0 +1,61 @@
+/**
+ * Handlers for /api/sets endpoint
+ * Lists, loads and deletes the study sets generated in a session
+ */
+
+import { StudySetService, STUDY_SET_MODES } from '../services/study-set-service.js';
+import { requireSession } from '../utils/auth.js';
+import { jsonResponse, errorResponse, failureResponse } from '../utils/response-helpers.js';
+
+export async function handleGetSets(request, env, corsHeaders) {
+  const url = new URL(request.url);
+  let sessionId;
+  try {
+    sessionId = await requireSession(request, env, url.searchParams.get('sessionId'));
+  } catch (error) {
+    return failureResponse(error, corsHeaders);
+  }
+  const setId = url.searchParams.get('setId');
+
+  const studySets = new StudySetService(env);
+
+  // Without an ID, list the session's sets, optionally for one class or mode
+  if (!setId) {
+    const mode = url.searchParams.get('mode') || '';
+    if (mode && !STUDY_SET_MODES.includes(mode)) {
+      return errorResponse(`Mode must be one of: ${STUDY_SET_MODES.join(', ')}`, 400, corsHeaders);
+    }
+
+    const sets = await studySets.list(sessionId, { className: url.searchParams.get('className') || '', mode });
+    return jsonResponse({ sets }, 200, corsHeaders);
+  }
+
+  try {
+    const set = await studySets.get(sessionId, setId);
+    return jsonResponse(set, 200, corsHeaders);
+  } catch (error) {
+    return errorResponse(error.message, 404, corsHeaders);
+  }
+}
+
+export async function handleDeleteSet(request, env, corsHeaders) {
+  const url = new URL(request.url);
+  let sessionId;
+  try {
+    sessionId = await requireSession(request, env, url.searchParams.get('sessionId'));
+  } catch (error) {
+    return failureResponse(error, corsHeaders);
+  }
+  const setId = url.searchParams.get('setId');
+
+  if (!setId) {
+    return errorResponse('Set ID is required', 400, corsHeaders);
+  }
+
+  const deleted = await new StudySetService(env).delete(sessionId, setId);
+  if (!deleted) {
+    return errorResponse('Study set not found for this session', 404, corsHeaders);
+  }
+
+  return jsonResponse({ success: true, setId }, 200, corsHeaders);
+}
@@ -0,0 +1,91 @@
+/**
+ * Handlers for /api/tutor endpoint
+ * Socratic tutor conversations about a class and topic
+ */
+
+import { AIService } from '../services/ai-service.js';
+import { StorageService } from '../services/storage-service.js';
+import { validateClassName, validateChatMessage } from '../utils/validators.js';
+import { guardFields } from '../utils/guard.js';
+import { requireSession } from '../utils/auth.js';
+import { jsonResponse, errorResponse, failureResponse } from '../utils/response-helpers.js';
+import { CHAT } from '../utils/constants.js';
+
+export async function handleTutorMessage(request, env, corsHeaders) {
+  try {
+    const body = await request.json();
+    const sessionId = await requireSession(request, env, body.sessionId);
+
+    const { className, topic = '', message, conversationId } = guardFields(body, ['className', 'topic', 'message']);
+
+    // Validate input
+    validateChatMessage(message);
+
+    const storageService = new StorageService(env);
+    let conversation;
+
+    if (conversationId) {
+      conversation = await storageService.getChat(sessionId, conversationId);
+      if (!conversation || conversation.kind !== 'tutor') {
+        return errorResponse('Conversation not found', 404, corsHeaders);
+      }
+    } else {
+      validateClassName(className);
+      conversation = {
+        id: `tutor-${crypto.randomUUID()}`,
+        kind: 'tutor',
+        className: className.trim(),
+        topic: (topic || '').trim(),
+        title: message.trim().slice(0, 80),
+        messages: [],
+        createdAt: Date.now(),
+      };
+    }
+
+    const aiService = new AIService(env).trackUsage(sessionId, conversation.className);
+    const reply = await aiService.tutorReply(conversation.className, conversation.topic, conversation.messages, message.trim());
+
+    // The latest CHAT.STORED_MESSAGES turns are kept, so one Durable Object value never outgrows
+    // its size limit; of those, only the last CHAT.HISTORY_MESSAGES are sent to the model
+    conversation.messages = [
+      ...conversation.messages,
+      { role: 'user', content: message.trim() },
+      { role: 'assistant', content: reply },
+    ].slice(-CHAT.STORED_MESSAGES);
+
+    await storageService.saveChat(sessionId, conversation.id, conversation);
+
+    return jsonResponse({ conversationId: conversation.id, reply, messages: conversation.messages }, 200, corsHeaders);
+  } catch (error) {
+    if (error.message.includes('required') || error.message.includes('empty') || error.message.includes('too long')) {
+      return errorResponse(error.message, 400, corsHeaders);
+    }
+    return failureResponse(error, corsHeaders);
+  }
+}
+
+export async function handleGetTutor(request, env, corsHeaders) {
+  const url = new URL(request.url);
+  let sessionId;
+  try {
+    sessionId = await requireSession(request, env, url.searchParams.get('sessionId'));
+  } catch (error) {
+    return failureResponse(error, corsHeaders);
+  }
+  const conversationId = url.searchParams.get('conversationId');
+
+  const storageService = new StorageService(env);
+
+  // Without an ID, list the session's conversations
+  if (!conversationId) {
+    const conversations = await storageService.listChats(sessionId, 'tutor');
+    return jsonResponse({ conversations }, 200, corsHeaders);
+  }
+
+  const conversation = await storageService.getChat(sessionId, conversationId);
+  if (!conversation || conversation.kind !== 'tutor') {
+    return errorResponse('Conversation not found', 404, corsHeaders);
+  }
+
+  return jsonResponse(conversation, 200, corsHeaders);
+}
@@ -0,0 +1,69 @@
+/**
+ * Handlers for /api/notes endpoints (upload and list course notes)
+ */
+
+import { NotesService } from '../services/notes-service.js';
+import { validateNotesText } from '../utils/validators.js';
+import { requireSession } from '../utils/auth.js';
+import { jsonResponse, errorResponse, failureResponse } from '../utils/response-helpers.js';
+import { AuthError } from '../utils/errors.js';
+
+export async function handleUploadNotes(request, env, corsHeaders) {
+  const notesService = new NotesService(env);
+  let sessionId;
+  let notes;
+
+  try {
+    const contentType = request.headers.get('Content-Type') || '';
+
+    if (contentType.includes('multipart/form-data')) {
+      // File upload (.txt, .md or .pdf)
+      const form = await request.formData();
+      const file = form.get('file');
+      sessionId = await requireSession(request, env, form.get('sessionId'));
+
+      if (!file || typeof file === 'string') {
+        throw new Error('A notes file is required');
+      }
+
+      const { type, text } = await notesService.extractText(file.name, await file.arrayBuffer());
+      notes = { name: form.get('name') || file.name, type, text };
+    } else {
+      // Pasted text
+      const { text, name = 'Pasted notes', sessionId: requested } = await request.json();
+      sessionId = await requireSession(request, env, requested);
+      notes = { name, type: 'text', text };
+    }
+
+    validateNotesText(notes.text);
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return failureResponse(error, corsHeaders);
+    }
+    return errorResponse(error.message, 400, corsHeaders);
+  }
+
+  try {
+    const source = await notesService.addNotes(sessionId, notes);
+    return jsonResponse(source, 200, corsHeaders);
+  } catch (error) {
+    if (error.message.includes('required') || error.message.includes('empty')) {
+      return errorResponse(error.message, 400, corsHeaders);
+    }
+    return failureResponse(error, corsHeaders);
+  }
+}
+
+export async function handleListNotes(request, env, corsHeaders) {
+  try {
+    const url = new URL(request.url);
+    const sessionId = await requireSession(request, env, url.searchParams.get('sessionId'));
+
+    const notesService = new NotesService(env);
+    const sources = await notesService.listNotes(sessionId);
+
+    return jsonResponse(sources, 200, corsHeaders);
+  } catch (error) {
+    return failureResponse(error, corsHeaders);
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * Handler for /api/usage endpoint (GET)
+ */
+
+import { StorageService } from '../services/storage-service.js';
+import { validateCount } from '../utils/validators.js';
+import { requireSession } from '../utils/auth.js';
+import { jsonResponse, failureResponse } from '../utils/response-helpers.js';
+import { summarizeUsage } from '../utils/usage.js';
+import { formatDate, addDays } from '../utils/dates.js';
+import { USAGE } from '../utils/constants.js';
+
+export async function handleGetUsage(request, env, corsHeaders) {
+  const url = new URL(request.url);
+  let sessionId;
+  try {
+    sessionId = await requireSession(request, env, url.searchParams.get('sessionId'));
+  } catch (error) {
+    return failureResponse(error, corsHeaders);
+  }
+
+  const className = (url.searchParams.get('className') || '').trim().toLowerCase();
+  const days = validateCount(url.searchParams.get('days') || USAGE.DEFAULT_DAYS, 1, USAGE.RETENTION_DAYS);
+
+  // The window ends today (UTC) and covers `days` calendar days
+  const to = formatDate(new Date());
+  const from = addDays(to, 1 - days);
+
+  const storageService = new StorageService(env);
+  const stored = (await storageService.getUsage(sessionId, from)).filter(usage => usage.day >= from);
+
+  // Narrow to one class when asked
+  const usage = className
+    ? stored.map(({ day, entries }) => ({
+      day,
+      entries: Object.fromEntries(Object.entries(entries).filter(([, entry]) => (entry.className || '').toLowerCase() === className)),
+    }))
+    : stored;
+
+  return jsonResponse({ sessionId, from, to, ...summarizeUsage(usage) }, 200, corsHeaders);
+}
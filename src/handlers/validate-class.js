@@ -4,17 +4,22 @@
 
 import { AIService } from '../services/ai-service.js';
 import { validateClassName } from '../utils/validators.js';
-import { jsonResponse, errorResponse } from '../utils/response-helpers.js';
+import { guardFields } from '../utils/guard.js';
+import { requireSession } from '../utils/auth.js';
+import { jsonResponse, errorResponse, failureResponse } from '../utils/response-helpers.js';
 
 export async function handleValidateClass(request, env, corsHeaders) {
   try {
-    const { className } = await request.json();
+    const body = await request.json();
+    const sessionId = await requireSession(request, env, body.sessionId);
+
+    const { className } = guardFields(body, ['className']);
 
     // Validate input
     validateClassName(className);
 
     // Use AI service to validate
-    const aiService = new AIService(env);
+    const aiService = new AIService(env).trackUsage(sessionId, className.trim());
     const result = await aiService.validateClass(className);
 
     return jsonResponse(result, 200, corsHeaders);
@@ -22,6 +27,6 @@ export async function handleValidateClass(request, env, corsHeaders) {
     if (error.message.includes('required') || error.message.includes('empty')) {
       return errorResponse(error.message, 400, corsHeaders);
     }
-    return errorResponse('Error validating class: ' + error.message, 500, corsHeaders);
+    return failureResponse(error, corsHeaders);
   }
 }
\ No newline at end of file
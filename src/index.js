@@ -11,8 +11,26 @@ import { handleValidateClass } from './handlers/validate-class.js';
 import { handleGenerateFlashcards } from './handlers/generate-flashcards.js';
 import { handleGenerateQuiz } from './handlers/generate-quiz.js';
 import { handleGenerateTest } from './handlers/generate-test.js';
+import { handleGenerateStudyGuide } from './handlers/generate-study-guide.js';
+import { handleGenerateEssay } from './handlers/generate-essay.js';
+import { handleGradeEssay, handleGetEssay } from './handlers/grade-essay.js';
 import { handleGradeTest } from './handlers/grade-test.js';
+import { handleRegrade } from './handlers/regrade.js';
+import { handleExplainQuestion, handleGetExplanation } from './handlers/explain-question.js';
+import { handleTutorMessage, handleGetTutor } from './handlers/tutor.js';
+import { handleCreateStudyPlan, handleGetStudyPlan } from './handlers/study-plan.js';
 import { handleGetSession } from './handlers/get-session.js';
+import { handleGetSets, handleDeleteSet } from './handlers/study-sets.js';
+import { handleSyncLibrary } from './handlers/library.js';
+import { handleSignUp, handleLogIn, handleGetAccount } from './handlers/auth.js';
+import { handleCreatePairingCode, handleClaimPairingCode } from './handlers/pairing.js';
+import { handleGetUsage } from './handlers/usage.js';
+import { handleStreamContent } from './handlers/stream-content.js';
+import { handleUploadNotes, handleListNotes } from './handlers/upload-notes.js';
+
+// Import services and helpers
+import { RateLimiter } from './services/rate-limiter.js';
+import { rateLimitResponse } from './utils/response-helpers.js';
 
 // Import constants
 import { CORS_HEADERS } from './utils/constants.js';
@@ -34,6 +52,29 @@ export default {
         });
       }
 
+      // Enforce per-session and per-client limits on endpoints that call the model
+      const rateLimiter = new RateLimiter(env);
+      const category = rateLimiter.categoryFor(request.method, url.pathname);
+      if (category) {
+        const limit = await rateLimiter.check(request, category);
+        if (!limit.allowed) {
+          return rateLimitResponse(limit.message, limit.retryAfter, CORS_HEADERS, category);
+        }
+      }
+
+      // API endpoints for accounts; every other endpoint needs the token these issue
+      if (url.pathname === '/api/auth/signup' && request.method === 'POST') {
+        return handleSignUp(request, env, CORS_HEADERS);
+      }
+
+      if (url.pathname === '/api/auth/login' && request.method === 'POST') {
+        return handleLogIn(request, env, CORS_HEADERS);
+      }
+
+      if (url.pathname === '/api/auth/me' && request.method === 'GET') {
+        return handleGetAccount(request, env, CORS_HEADERS);
+      }
+
       // API endpoint to validate class
       if (url.pathname === '/api/validate-class' && request.method === 'POST') {
         return handleValidateClass(request, env, CORS_HEADERS);
@@ -54,16 +95,116 @@ export default {
         return handleGenerateTest(request, env, CORS_HEADERS);
       }
 
+      // API endpoint to generate a study guide
+      if (url.pathname === '/api/generate-study-guide' && request.method === 'POST') {
+        return handleGenerateStudyGuide(request, env, CORS_HEADERS);
+      }
+
+      // API endpoints for essay practice
+      if (url.pathname === '/api/generate-essay' && request.method === 'POST') {
+        return handleGenerateEssay(request, env, CORS_HEADERS);
+      }
+
+      if (url.pathname === '/api/grade-essay' && request.method === 'POST') {
+        return handleGradeEssay(request, env, CORS_HEADERS);
+      }
+
+      if (url.pathname === '/api/essay' && request.method === 'GET') {
+        return handleGetEssay(request, env, CORS_HEADERS);
+      }
+
+      // Streaming variants of the generate endpoints (Server-Sent Events)
+      if (url.pathname === '/api/generate-flashcards/stream' && request.method === 'POST') {
+        return handleStreamContent(request, env, CORS_HEADERS, 'flashcards');
+      }
+
+      if (url.pathname === '/api/generate-quiz/stream' && request.method === 'POST') {
+        return handleStreamContent(request, env, CORS_HEADERS, 'quiz');
+      }
+
+      if (url.pathname === '/api/generate-test/stream' && request.method === 'POST') {
+        return handleStreamContent(request, env, CORS_HEADERS, 'test');
+      }
+
       // API endpoint to grade test
       if (url.pathname === '/api/grade-test' && request.method === 'POST') {
         return handleGradeTest(request, env, CORS_HEADERS);
       }
 
+      // API endpoint to appeal the grade of one test answer
+      if (url.pathname === '/api/regrade' && request.method === 'POST') {
+        return handleRegrade(request, env, CORS_HEADERS);
+      }
+
+      // API endpoints for the follow-up chat about one question
+      if (url.pathname === '/api/explain' && request.method === 'POST') {
+        return handleExplainQuestion(request, env, CORS_HEADERS);
+      }
+
+      if (url.pathname === '/api/explain' && request.method === 'GET') {
+        return handleGetExplanation(request, env, CORS_HEADERS);
+      }
+
+      // API endpoints for Socratic tutor conversations
+      if (url.pathname === '/api/tutor' && request.method === 'POST') {
+        return handleTutorMessage(request, env, CORS_HEADERS);
+      }
+
+      if (url.pathname === '/api/tutor' && request.method === 'GET') {
+        return handleGetTutor(request, env, CORS_HEADERS);
+      }
+
+      // API endpoints for syllabus-based study plans
+      if (url.pathname === '/api/study-plan' && request.method === 'POST') {
+        return handleCreateStudyPlan(request, env, CORS_HEADERS);
+      }
+
+      if (url.pathname === '/api/study-plan' && request.method === 'GET') {
+        return handleGetStudyPlan(request, env, CORS_HEADERS);
+      }
+
+      // API endpoints to upload and list course notes
+      if (url.pathname === '/api/notes' && request.method === 'POST') {
+        return handleUploadNotes(request, env, CORS_HEADERS);
+      }
+
+      if (url.pathname === '/api/notes' && request.method === 'GET') {
+        return handleListNotes(request, env, CORS_HEADERS);
+      }
+
+      // API endpoints to list, load and delete generated study sets
+      if (url.pathname === '/api/sets' && request.method === 'GET') {
+        return handleGetSets(request, env, CORS_HEADERS);
+      }
+
+      if (url.pathname === '/api/sets' && request.method === 'DELETE') {
+        return handleDeleteSet(request, env, CORS_HEADERS);
+      }
+
+      // API endpoint to sync the Study Library between devices
+      if (url.pathname === '/api/library/sync' && request.method === 'POST') {
+        return handleSyncLibrary(request, env, CORS_HEADERS);
+      }
+
+      // API endpoints to pair another device with this session
+      if (url.pathname === '/api/pair' && request.method === 'POST') {
+        return handleCreatePairingCode(request, env, CORS_HEADERS);
+      }
+
+      if (url.pathname === '/api/pair/claim' && request.method === 'POST') {
+        return handleClaimPairingCode(request, env, CORS_HEADERS);
+      }
+
       // API endpoint to get session data
       if (url.pathname === '/api/session' && request.method === 'GET') {
         return handleGetSession(request, env, CORS_HEADERS);
       }
 
+      // API endpoint for model token usage and latency totals
+      if (url.pathname === '/api/usage' && request.method === 'GET') {
+        return handleGetUsage(request, env, CORS_HEADERS);
+      }
+
       // 404 for other routes
       return new Response('Not Found', { status: 404, headers: CORS_HEADERS });
     } catch (error) {
@@ -282,7 +423,227 @@ const HTML_CONTENT = `
       font-size: 14px;
     }
 
+    /* Study Plan Styles */
+    .plan-heading {
+      font-size: 12px;
+      font-weight: 600;
+      text-transform: uppercase;
+      letter-spacing: 0.5px;
+      margin-bottom: 12px;
+    }
+
+    .plan-class {
+      margin-bottom: 16px;
+    }
+
+    .plan-class-name {
+      font-weight: 600;
+      color: var(--text-primary);
+      cursor: pointer;
+    }
+
+    .plan-class-name:hover {
+      color: var(--accent-primary);
+    }
+
+    .plan-exam,
+    .plan-rest,
+    .plan-task-mode {
+      font-size: 12px;
+      color: var(--text-tertiary);
+    }
+
+    .plan-exam {
+      margin-bottom: 6px;
+    }
+
+    .class-suggestions {
+      margin-bottom: 20px;
+      padding: 16px;
+      background: var(--bg-secondary);
+      border: 1px solid var(--border-color);
+      border-radius: 8px;
+    }
+
+    .class-suggestions-title {
+      font-weight: 600;
+      color: var(--text-primary);
+    }
+
+    .class-suggestions-meta,
+    .class-suggestions-label {
+      font-size: 13px;
+      color: var(--text-secondary);
+      margin: 4px 0 8px;
+    }
+
+    .suggestion-chips {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 6px;
+      margin-bottom: 8px;
+    }
+
+    .suggestion-chip {
+      padding: 6px 10px;
+      background: var(--bg-primary);
+      border: 1px solid var(--border-color);
+      border-radius: 16px;
+      color: var(--text-primary);
+      font-size: 13px;
+      cursor: pointer;
+      transition: border-color 0.2s;
+    }
+
+    .suggestion-chip:hover,
+    .suggestion-chip.selected {
+      border-color: var(--accent-primary);
+    }
+
+    .suggestion-chip.selected {
+      color: var(--accent-primary);
+    }
+
+    .plan-task {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 8px 10px;
+      margin-bottom: 6px;
+      background: var(--bg-primary);
+      border: 1px solid var(--border-color);
+      border-radius: 6px;
+      color: var(--text-primary);
+      cursor: pointer;
+      transition: border-color 0.2s;
+    }
+
+    .plan-task:hover {
+      border-color: var(--accent-primary);
+    }
+
+    .plan-day {
+      padding: 12px 0;
+      border-bottom: 1px solid var(--border-color);
+    }
+
+    .plan-day.past {
+      opacity: 0.6;
+    }
+
+    .plan-day.today .plan-day-date,
+    .plan-day.exam .plan-day-date {
+      color: var(--accent-primary);
+    }
+
+    .plan-day-date {
+      font-weight: 600;
+      margin-bottom: 8px;
+    }
+
     /* Study Library Styles */
+    .library-header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+    }
+
+    .pairing-toggle {
+      padding: 4px 8px;
+      background: none;
+      border: 1px solid var(--border-color);
+      border-radius: 6px;
+      color: var(--text-secondary);
+      font-size: 11px;
+      cursor: pointer;
+      text-transform: none;
+      letter-spacing: 0;
+    }
+
+    .pairing-toggle:hover {
+      border-color: var(--accent-primary);
+      color: var(--accent-primary);
+    }
+
+    .pairing-panel {
+      padding: 12px 16px;
+      border-bottom: 1px solid var(--border-color);
+    }
+
+    .pairing-btn {
+      padding: 8px 12px;
+      font-size: 13px;
+    }
+
+    .pairing-code {
+      margin: 10px 0 4px;
+      font-family: monospace;
+      font-size: 22px;
+      font-weight: 600;
+      letter-spacing: 2px;
+      color: var(--accent-primary);
+    }
+
+    .pairing-hint {
+      margin: 8px 0;
+      font-size: 12px;
+      color: var(--text-secondary);
+    }
+
+    .pairing-join {
+      display: flex;
+      gap: 6px;
+    }
+
+    .pairing-join input {
+      flex: 1;
+      min-width: 0;
+      padding: 8px;
+      font-family: monospace;
+      text-transform: uppercase;
+    }
+
+    /* Account Styles */
+    .account-menu {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      font-size: 13px;
+      color: var(--text-secondary);
+    }
+
+    .auth-overlay {
+      position: fixed;
+      inset: 0;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: rgba(0, 0, 0, 0.5);
+      z-index: 1000;
+    }
+
+    .auth-card {
+      width: 380px;
+      max-width: calc(100% - 32px);
+      padding: 24px;
+      background: var(--bg-primary);
+      border: 1px solid var(--border-color);
+      border-radius: 12px;
+      box-shadow: var(--shadow-lg);
+    }
+
+    .auth-actions {
+      display: flex;
+      gap: 8px;
+      margin-bottom: 16px;
+    }
+
+    .auth-actions .btn {
+      flex: 1;
+      padding: 10px 12px;
+      font-size: 14px;
+    }
+
     .library-empty {
       text-align: center;
       padding: 40px 20px;
@@ -496,7 +857,10 @@ const HTML_CONTENT = `
     }
 
     input[type="text"],
+    input[type="email"],
+    input[type="password"],
     input[type="number"],
+    textarea,
     select {
       width: 100%;
       padding: 12px 16px;
@@ -509,7 +873,10 @@ const HTML_CONTENT = `
     }
 
     input[type="text"]:focus,
+    input[type="email"]:focus,
+    input[type="password"]:focus,
     input[type="number"]:focus,
+    textarea:focus,
     select:focus {
       outline: none;
       border-color: var(--accent-primary);
@@ -532,6 +899,19 @@ const HTML_CONTENT = `
       background: var(--bg-tertiary);
     }
 
+    textarea {
+      font-family: inherit;
+      font-size: 14px;
+      resize: vertical;
+      min-height: 100px;
+    }
+
+    .form-hint {
+      font-size: 12px;
+      color: var(--text-tertiary);
+      margin-top: 6px;
+    }
+
     .file-item {
       display: flex;
       align-items: center;
@@ -651,36 +1031,112 @@ const HTML_CONTENT = `
       margin-bottom: 20px;
     }
 
-    .success {
-      background: var(--success-bg);
-      border: 1px solid var(--success);
-      color: var(--success);
+    .cooldown {
+      background: var(--bg-secondary);
+      border: 1px solid var(--accent-primary);
+      color: var(--text-primary);
       padding: 12px;
       border-radius: 8px;
       margin-bottom: 20px;
+      font-size: 14px;
     }
 
-    .loading {
-      text-align: center;
-      padding: 40px;
+    .notice {
+      background: var(--warning-bg);
+      border: 1px solid var(--warning);
+      color: var(--text-primary);
+      padding: 12px;
+      border-radius: 8px;
+      margin-bottom: 20px;
+      font-size: 14px;
     }
 
-    .spinner {
-      border: 4px solid var(--bg-tertiary);
-      border-top: 4px solid var(--accent-primary);
-      border-radius: 50%;
-      width: 40px;
-      height: 40px;
-      animation: spin 1s linear infinite;
-      margin: 0 auto 20px;
+    .cache-notice {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 12px;
+      background: var(--bg-secondary);
+      border-color: var(--border-color);
     }
 
-    @keyframes spin {
-      0% { transform: rotate(0deg); }
-      100% { transform: rotate(360deg); }
+    .level-picker {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 8px 20px;
     }
 
-    .flashcard {
+    .level-picker label {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      font-weight: 500;
+      margin-bottom: 0;
+      cursor: pointer;
+    }
+
+    .level-badge {
+      display: inline-block;
+      margin-left: 8px;
+      padding: 2px 8px;
+      border-radius: 10px;
+      background: var(--bg-tertiary);
+      color: var(--text-secondary);
+      font-size: 11px;
+      font-weight: 600;
+      text-transform: capitalize;
+    }
+
+    .level-filter {
+      padding: 6px 10px;
+      font-size: 13px;
+    }
+
+    .level-breakdown {
+      width: 100%;
+      border-collapse: collapse;
+      margin-bottom: 30px;
+      font-size: 14px;
+    }
+
+    .level-breakdown th,
+    .level-breakdown td {
+      padding: 8px 12px;
+      text-align: left;
+      border-bottom: 1px solid var(--border-color);
+      text-transform: capitalize;
+    }
+
+    .success {
+      background: var(--success-bg);
+      border: 1px solid var(--success);
+      color: var(--success);
+      padding: 12px;
+      border-radius: 8px;
+      margin-bottom: 20px;
+    }
+
+    .loading {
+      text-align: center;
+      padding: 40px;
+    }
+
+    .spinner {
+      border: 4px solid var(--bg-tertiary);
+      border-top: 4px solid var(--accent-primary);
+      border-radius: 50%;
+      width: 40px;
+      height: 40px;
+      animation: spin 1s linear infinite;
+      margin: 0 auto 20px;
+    }
+
+    @keyframes spin {
+      0% { transform: rotate(0deg); }
+      100% { transform: rotate(360deg); }
+    }
+
+    .flashcard {
       background: var(--bg-secondary);
       border: 2px solid var(--border-color);
       border-radius: 12px;
@@ -818,6 +1274,20 @@ const HTML_CONTENT = `
       color: var(--text-primary);
     }
 
+    .source-excerpt {
+      margin-top: 10px;
+      padding: 8px 12px;
+      border-left: 3px solid var(--accent-primary);
+      background: var(--bg-secondary);
+      font-size: 13px;
+      line-height: 1.5;
+      color: var(--text-secondary);
+    }
+
+    .source-excerpt strong {
+      color: var(--text-primary);
+    }
+
     .test-results {
       background: var(--bg-secondary);
       border: 2px solid var(--border-color);
@@ -854,132 +1324,478 @@ const HTML_CONTENT = `
       margin-bottom: 20px;
     }
 
-    .test-input {
-      width: 100%;
-      padding: 10px;
-      border: 2px solid var(--border-color);
-      border-radius: 8px;
+    .appeal {
+      margin-top: 12px;
+    }
+
+    .appeal-form {
+      display: none;
       margin-top: 8px;
-      font-size: 14px;
-      background: var(--bg-primary);
-      color: var(--text-primary);
-      transition: border-color 0.2s;
     }
 
-    .test-input:focus {
-      outline: none;
-      border-color: var(--accent-primary);
+    .appeal-form.show {
+      display: block;
     }
 
-    .test-instructions {
-      background: #fef3c7;
-      border: none;
+    .explain {
+      margin-top: 12px;
+    }
+
+    .explain-thread {
+      display: none;
+      margin-top: 8px;
+      border: 1px solid var(--border-color);
       border-radius: 8px;
-      padding: 16px;
-      margin-bottom: 20px;
-      color: #1a1a1a;
+      background: var(--bg-secondary);
     }
 
-    .test-instructions strong {
-      color: #000000;
+    .explain-thread.show {
+      display: block;
     }
 
-    .menu-btn {
-      background: transparent;
-      border: none;
-      color: var(--text-secondary);
-      cursor: pointer;
-      padding: 4px 8px;
-      border-radius: 4px;
-      font-size: 16px;
-      transition: all 0.2s;
-      position: relative;
-      line-height: 1;
+    .chat-messages {
+      max-height: 280px;
+      overflow-y: auto;
+      padding: 10px 12px;
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
     }
 
-    .menu-btn:hover {
+    .chat-message {
+      max-width: 85%;
+      padding: 8px 12px;
+      border-radius: 8px;
+      font-size: 14px;
+      line-height: 1.5;
+      white-space: pre-wrap;
+    }
+
+    .chat-message.user {
+      align-self: flex-end;
+      background: var(--accent-primary);
+      color: white;
+    }
+
+    .chat-message.assistant {
+      align-self: flex-start;
       background: var(--bg-tertiary);
       color: var(--text-primary);
     }
 
-    .dropdown-menu {
-      display: none;
-      position: absolute;
-      right: 0;
-      top: 100%;
-      background: var(--bg-primary);
+    .guide-section {
+      margin-bottom: 24px;
+      padding: 16px 20px;
       border: 1px solid var(--border-color);
+      border-radius: 12px;
+      background: var(--bg-secondary);
+    }
+
+    .guide-section-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      gap: 12px;
+      margin-bottom: 12px;
+    }
+
+    .guide-entry {
+      padding: 10px 0;
+      border-bottom: 1px solid var(--border-color);
+      line-height: 1.6;
+    }
+
+    .guide-entry:last-child {
+      border-bottom: none;
+    }
+
+    .guide-entry ol {
+      margin: 8px 0 8px 20px;
+    }
+
+    .guide-formula {
+      margin: 6px 0;
+      padding: 6px 10px;
       border-radius: 6px;
-      box-shadow: var(--shadow-lg);
-      min-width: 120px;
-      z-index: 1000;
-      margin-top: 4px;
+      background: var(--bg-tertiary);
+      font-family: monospace;
     }
 
-    .dropdown-menu.show {
-      display: block;
+    .guide-correction {
+      color: var(--success);
     }
 
-    .dropdown-item {
-      padding: 10px 16px;
-      cursor: pointer;
-      transition: background 0.2s;
-      color: var(--text-primary);
+    .essay-prompt {
+      padding: 16px 20px;
+      margin-bottom: 16px;
+      border: 1px solid var(--border-color);
+      border-radius: 12px;
+      background: var(--bg-secondary);
+      line-height: 1.6;
+    }
+
+    .essay-rubric {
+      margin: 8px 0 0 20px;
       font-size: 14px;
+    }
+
+    .essay-editor {
+      width: 100%;
+      min-height: 360px;
+      line-height: 1.7;
+    }
+
+    .essay-toolbar {
       display: flex;
+      justify-content: space-between;
       align-items: center;
-      gap: 8px;
+      margin: 10px 0 24px;
     }
 
-    .dropdown-item:hover {
-      background: var(--bg-tertiary);
+    .essay-word-count {
+      font-size: 14px;
     }
 
-    .dropdown-item.danger {
-      color: var(--error);
+    .essay-word-count.under {
+      color: var(--text-secondary);
     }
 
-    .dropdown-item.danger:hover {
-      background: var(--error-bg);
+    .essay-word-count.within {
+      color: var(--success);
     }
 
-    .quantity-options {
-      display: flex;
-      gap: 12px;
-      margin-top: 12px;
-      flex-wrap: wrap;
+    .essay-word-count.over {
+      color: var(--warning);
     }
 
-    .quantity-btn {
-      padding: 10px 20px;
+    .essay-suggestions {
+      margin: 8px 0 0 20px;
+      line-height: 1.6;
+    }
+
+    .essay-paragraph {
+      padding: 10px 0;
+      border-bottom: 1px solid var(--border-color);
+    }
+
+    .essay-paragraph-text {
+      line-height: 1.7;
+      white-space: pre-wrap;
+    }
+
+    .essay-comment {
+      margin-top: 6px;
+      padding: 6px 10px;
+      border-left: 3px solid var(--accent-primary);
       background: var(--bg-tertiary);
-      border: 2px solid var(--border-color);
-      border-radius: 8px;
-      cursor: pointer;
-      transition: all 0.2s;
       font-size: 14px;
-      font-weight: 600;
-      color: var(--text-primary);
     }
 
-    .quantity-btn:hover {
-      border-color: var(--accent-primary);
+    .essay-history {
+      border-collapse: collapse;
+      font-size: 14px;
+    }
+
+    .essay-history th,
+    .essay-history td {
+      padding: 6px 10px;
+      text-align: left;
+      border-bottom: 1px solid var(--border-color);
+    }
+
+    .essay-up {
+      color: var(--success);
+      font-size: 12px;
+    }
+
+    .essay-down {
+      color: var(--error);
+      font-size: 12px;
+    }
+
+    .tutor-chat {
+      border: 1px solid var(--border-color);
+      border-radius: 12px;
       background: var(--bg-secondary);
     }
 
-    .quantity-btn.selected {
-      border-color: var(--accent-primary);
-      background: var(--accent-primary);
-      color: white;
+    .tutor-chat .chat-messages {
+      max-height: 480px;
+      min-height: 240px;
     }
 
-    .custom-quantity-input {
-      display: none;
+    .explain-input textarea {
+      flex: 1;
+      resize: vertical;
+    }
+
+    .explain-empty {
+      font-size: 14px;
+      color: var(--text-secondary);
+    }
+
+    .explain-input {
+      display: flex;
+      gap: 8px;
+      padding: 10px 12px;
+      border-top: 1px solid var(--border-color);
+    }
+
+    .explain-input input {
+      flex: 1;
+    }
+
+    .appeal-outcome {
       margin-top: 12px;
+      padding: 10px 12px;
+      border-radius: 8px;
+      background: var(--bg-tertiary);
+      font-size: 14px;
+      line-height: 1.5;
     }
 
-    .custom-quantity-input.show {
-      display: block;
+    .rubric {
+      margin-top: 12px;
+      border-left: 3px solid var(--border-color);
+      padding-left: 12px;
+    }
+
+    .rubric-criterion {
+      font-size: 14px;
+      padding: 6px 0;
+    }
+
+    .rubric-criterion.met {
+      color: var(--success);
+    }
+
+    .rubric-criterion.partial {
+      color: var(--warning);
+    }
+
+    .rubric-criterion.missed {
+      color: var(--error);
+    }
+
+    .rubric-feedback,
+    .rubric-concepts {
+      color: var(--text-secondary);
+      font-size: 13px;
+      margin-top: 2px;
+    }
+
+    .test-input {
+      width: 100%;
+      padding: 10px;
+      border: 2px solid var(--border-color);
+      border-radius: 8px;
+      margin-top: 8px;
+      font-size: 14px;
+      background: var(--bg-primary);
+      color: var(--text-primary);
+      transition: border-color 0.2s;
+    }
+
+    .blank-input {
+      display: inline-block;
+      width: 160px;
+      margin: 0 6px;
+      padding: 4px 8px;
+      border: none;
+      border-bottom: 2px solid var(--accent-primary);
+      background: transparent;
+      color: var(--text-primary);
+      font-size: 16px;
+    }
+
+    .blank-input:focus {
+      outline: none;
+    }
+
+    .matching-row {
+      display: flex;
+      align-items: center;
+      gap: 16px;
+      margin-bottom: 10px;
+    }
+
+    .matching-row > span {
+      flex: 1;
+      font-weight: 600;
+    }
+
+    .matching-row select {
+      flex: 2;
+      padding: 8px 12px;
+      font-size: 14px;
+    }
+
+    .ordering {
+      list-style: decimal inside;
+      margin-bottom: 16px;
+    }
+
+    .ordering-item {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      background: var(--bg-tertiary);
+      border: 2px solid var(--border-color);
+      border-radius: 8px;
+      padding: 8px 12px;
+      margin-bottom: 8px;
+      color: var(--text-primary);
+    }
+
+    .ordering-item button {
+      padding: 4px 10px;
+      margin-left: 4px;
+    }
+
+    .numeric-answer {
+      display: flex;
+      align-items: center;
+      gap: 10px;
+    }
+
+    .unit-label {
+      margin-top: 8px;
+      color: var(--text-secondary);
+      font-weight: 600;
+    }
+
+    .test-input:focus {
+      outline: none;
+      border-color: var(--accent-primary);
+    }
+
+    .test-instructions {
+      background: #fef3c7;
+      border: none;
+      border-radius: 8px;
+      padding: 16px;
+      margin-bottom: 20px;
+      color: #1a1a1a;
+    }
+
+    .test-instructions strong {
+      color: #000000;
+    }
+
+    .menu-btn {
+      background: transparent;
+      border: none;
+      color: var(--text-secondary);
+      cursor: pointer;
+      padding: 4px 8px;
+      border-radius: 4px;
+      font-size: 16px;
+      transition: all 0.2s;
+      position: relative;
+      line-height: 1;
+    }
+
+    .menu-btn:hover {
+      background: var(--bg-tertiary);
+      color: var(--text-primary);
+    }
+
+    .dropdown-menu {
+      display: none;
+      position: absolute;
+      right: 0;
+      top: 100%;
+      background: var(--bg-primary);
+      border: 1px solid var(--border-color);
+      border-radius: 6px;
+      box-shadow: var(--shadow-lg);
+      min-width: 120px;
+      z-index: 1000;
+      margin-top: 4px;
+    }
+
+    .dropdown-menu.show {
+      display: block;
+    }
+
+    .dropdown-item {
+      padding: 10px 16px;
+      cursor: pointer;
+      transition: background 0.2s;
+      color: var(--text-primary);
+      font-size: 14px;
+      display: flex;
+      align-items: center;
+      gap: 8px;
+    }
+
+    .dropdown-item:hover {
+      background: var(--bg-tertiary);
+    }
+
+    .dropdown-item.danger {
+      color: var(--error);
+    }
+
+    .dropdown-item.danger:hover {
+      background: var(--error-bg);
+    }
+
+    .quantity-options {
+      display: flex;
+      gap: 12px;
+      margin-top: 12px;
+      flex-wrap: wrap;
+    }
+
+    .quantity-btn {
+      padding: 10px 20px;
+      background: var(--bg-tertiary);
+      border: 2px solid var(--border-color);
+      border-radius: 8px;
+      cursor: pointer;
+      transition: all 0.2s;
+      font-size: 14px;
+      font-weight: 600;
+      color: var(--text-primary);
+    }
+
+    .quantity-btn:hover {
+      border-color: var(--accent-primary);
+      background: var(--bg-secondary);
+    }
+
+    .quantity-btn.selected {
+      border-color: var(--accent-primary);
+      background: var(--accent-primary);
+      color: white;
+    }
+
+    .custom-quantity-input {
+      display: none;
+      margin-top: 12px;
+    }
+
+    .custom-quantity-input.show {
+      display: block;
+    }
+
+    .stream-status {
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      padding: 12px 0;
+      color: var(--text-secondary);
+      font-size: 14px;
+    }
+
+    .spinner-small {
+      border: 3px solid var(--bg-tertiary);
+      border-top: 3px solid var(--accent-primary);
+      border-radius: 50%;
+      width: 18px;
+      height: 18px;
+      animation: spin 1s linear infinite;
     }
   </style>
 </head>
@@ -994,6 +1810,10 @@ const HTML_CONTENT = `
         </div>
       </div>
       <div class="navbar-right">
+        <div class="account-menu" id="accountMenu" style="display: none;">
+          <span id="accountEmail"></span>
+          <button class="pairing-toggle" onclick="signOut()">Sign out</button>
+        </div>
         <button class="new-session-btn" onclick="startNewSession()">
           <span>+</span>
           <span>New Study Session</span>
@@ -1010,8 +1830,10 @@ const HTML_CONTENT = `
       <div class="sidebar left" id="leftSidebar">
         <div class="resize-handle left" id="leftResize"></div>
         <div class="sidebar-header">Explorer</div>
-        <div class="sidebar-content">
-          <p>Coming soon...</p>
+        <div class="sidebar-content" id="explorerContent">
+          <div class="library-empty">
+            No study plan yet.<br>Create one from the study mode page to see today's tasks here.
+          </div>
         </div>
       </div>
 
@@ -1024,13 +1846,21 @@ const HTML_CONTENT = `
             <div id="errorMessage"></div>
             <div class="form-group">
               <label for="className">Class or Subject Name</label>
-              <input type="text" id="className" placeholder="e.g., Biology 101, World History, Calculus" />
+              <input type="text" id="className" maxlength="120" placeholder="e.g., Biology 101, World History, Calculus" oninput="clearClassSuggestions()" />
             </div>
+            <div id="classSuggestions"></div>
             <div class="form-group">
               <label for="topic">Specific Focus (Optional)</label>
-              <input type="text" id="topic" placeholder="e.g., Chapter 5, Photosynthesis, etc." />
+              <input type="text" id="topic" maxlength="200" placeholder="e.g., Chapter 5, Photosynthesis, etc." />
+            </div>
+            <div class="form-group">
+              <label for="notesFile">Course Notes (Optional)</label>
+              <input type="file" id="notesFile" accept=".txt,.md,.pdf" onchange="renderNotesSelection()" />
+              <div id="notesSelection"></div>
+              <textarea id="notesText" placeholder="...or paste your lecture notes here" style="margin-top: 8px;"></textarea>
+              <div class="form-hint">Flashcards, quizzes and tests will be drawn from your notes. Supports .txt, .md and text-based PDF.</div>
             </div>
-            <button class="btn" onclick="validateClass()">Continue</button>
+            <button class="btn" id="continueBtn" onclick="validateClass()">Continue</button>
           </div>
 
           <!-- Step 2: Select Study Mode -->
@@ -1040,9 +1870,41 @@ const HTML_CONTENT = `
               <div style="font-size: 14px; color: var(--text-secondary); margin-bottom: 16px;">
                 Class: <span style="font-weight: 600; color: var(--text-primary);" id="currentClassDisplay"></span>
               </div>
+              <div id="currentNotesDisplay" style="font-size: 14px; color: var(--text-secondary); margin-bottom: 16px;"></div>
               <div class="form-group" style="margin-bottom: 0;">
                 <label for="topicMode">Specific Focus (Optional - can be changed)</label>
-                <input type="text" id="topicMode" placeholder="Add information about the topic" />
+                <input type="text" id="topicMode" maxlength="200" placeholder="Add information about the topic" />
+              </div>
+              <div class="form-group" style="margin-top: 16px; margin-bottom: 0;">
+                <label for="difficultyMode">Difficulty</label>
+                <select id="difficultyMode">
+                  <option value="intro">Intro - new to the subject</option>
+                  <option value="intermediate">Intermediate - know the basics</option>
+                  <option value="advanced">Advanced - exam preparation</option>
+                </select>
+              </div>
+              <div class="form-group" style="margin-top: 16px; margin-bottom: 0;">
+                <label>Cognitive Levels (Optional)</label>
+                <div class="level-picker">
+                  <label><input type="checkbox" class="bloom-option" value="recall" /> Recall</label>
+                  <label><input type="checkbox" class="bloom-option" value="apply" /> Apply</label>
+                  <label><input type="checkbox" class="bloom-option" value="analyze" /> Analyze</label>
+                  <label><input type="checkbox" class="bloom-option" value="evaluate" /> Evaluate</label>
+                </div>
+                <div class="form-hint">Leave all unchecked for a mix of levels.</div>
+              </div>
+              <div class="form-group" style="margin-top: 16px; margin-bottom: 0;">
+                <label>Test Question Types (Optional)</label>
+                <div class="level-picker">
+                  <label><input type="checkbox" class="qtype-option" value="multiple_choice" /> Multiple choice</label>
+                  <label><input type="checkbox" class="qtype-option" value="short_answer" /> Short answer</label>
+                  <label><input type="checkbox" class="qtype-option" value="true_false" /> True/false</label>
+                  <label><input type="checkbox" class="qtype-option" value="fill_blank" /> Fill in the blank</label>
+                  <label><input type="checkbox" class="qtype-option" value="matching" /> Matching</label>
+                  <label><input type="checkbox" class="qtype-option" value="ordering" /> Ordering</label>
+                  <label><input type="checkbox" class="qtype-option" value="numeric" /> Numeric</label>
+                </div>
+                <div class="form-hint">Used by Graded Test. Leave all unchecked for a mix of every type.</div>
               </div>
             </div>
             <div class="mode-grid">
@@ -1061,9 +1923,25 @@ const HTML_CONTENT = `
                 <div class="mode-title">Graded Test</div>
                 <div class="mode-desc">Take a comprehensive test with AI grading</div>
               </div>
+              <div class="mode-card" onclick="selectMode('studyGuide')">
+                <div class="mode-icon">📝</div>
+                <div class="mode-title">Study Guide</div>
+                <div class="mode-desc">A structured review sheet of concepts, formulas, pitfalls and examples</div>
+              </div>
+              <div class="mode-card" onclick="selectMode('essay')">
+                <div class="mode-icon">✍️</div>
+                <div class="mode-title">Essay</div>
+                <div class="mode-desc">Write to a prompt and get rubric scores, paragraph comments and revision tips</div>
+              </div>
+              <div class="mode-card" onclick="selectMode('tutor')">
+                <div class="mode-icon">💬</div>
+                <div class="mode-title">Tutor</div>
+                <div class="mode-desc">Talk the topic through with a tutor that asks guiding questions</div>
+              </div>
             </div>
             <div style="margin-top: 30px;">
               <button class="btn btn-secondary" onclick="goToStep(1)">Back</button>
+              <button class="btn btn-secondary" onclick="openStudyPlan()">📅 Study Plan</button>
             </div>
           </div>
 
@@ -1077,7 +1955,20 @@ const HTML_CONTENT = `
       <!-- Right Sidebar -->
       <div class="sidebar right" id="rightSidebar">
         <div class="resize-handle right" id="rightResize"></div>
-        <div class="sidebar-header">Study Library</div>
+        <div class="sidebar-header library-header">
+          <span>Study Library</span>
+          <button class="pairing-toggle" onclick="togglePairingPanel()" title="Use this library on another device">🔗 Devices</button>
+        </div>
+        <div class="pairing-panel" id="pairingPanel" style="display: none;">
+          <button class="btn btn-secondary pairing-btn" onclick="createPairingCode()">Show a pairing code</button>
+          <div id="pairingCode"></div>
+          <div class="pairing-hint">Or enter the code shown on your other device:</div>
+          <div class="pairing-join">
+            <input type="text" id="pairingCodeInput" placeholder="XXXX-XXXX" maxlength="9" autocomplete="off">
+            <button class="btn pairing-btn" onclick="claimPairingCode()">Join</button>
+          </div>
+          <div id="pairingStatus"></div>
+        </div>
         <div class="sidebar-content" id="libraryContent">
           <div class="library-empty">
             No saved content yet.<br>Generate flashcards, quizzes, or tests to get started!
@@ -1087,27 +1978,147 @@ const HTML_CONTENT = `
     </div>
   </div>
 
+  <!-- Sign-in Overlay -->
+  <div class="auth-overlay" id="authOverlay" style="display: none;">
+    <div class="auth-card">
+      <h2 style="margin-bottom: 8px;">Sign in to study</h2>
+      <div class="pairing-hint">Your library, study sets and plans are kept with your account.</div>
+      <div id="authStatus"></div>
+      <div class="form-group">
+        <label for="authEmail">Email</label>
+        <input type="email" id="authEmail" maxlength="254" autocomplete="email">
+      </div>
+      <div class="form-group">
+        <label for="authPassword">Password</label>
+        <input type="password" id="authPassword" maxlength="128" autocomplete="current-password" onkeydown="if (event.key === 'Enter') submitAuth('login')">
+      </div>
+      <div class="auth-actions">
+        <button class="btn" onclick="submitAuth('login')">Sign in</button>
+        <button class="btn btn-secondary" onclick="submitAuth('signup')">Create account</button>
+      </div>
+      <div class="pairing-hint">Or enter a pairing code shown on a signed-in device:</div>
+      <div class="pairing-join">
+        <input type="text" id="authPairingCode" placeholder="XXXX-XXXX" maxlength="9" autocomplete="off">
+        <button class="btn pairing-btn" onclick="signInWithCode()">Join</button>
+      </div>
+    </div>
+  </div>
+
   <script>
     // Session and State Variables
-    let sessionId = initPersistentSession();
+    let sessionId = getAuth() ? getAuth().account.sessionId : '';
     let currentClass = '';
     let currentTopic = '';
     let currentMode = '';
     let currentQuantity = 10;
     let currentContent = null;
+    let currentSource = null;
+    let currentDifficulty = 'intermediate';
+    let currentBloomLevels = [];
+    let currentQuestionTypes = [];
+    let libraryLevelFilter = localStorage.getItem('libraryLevelFilter') || '';
     let currentFlashcardIndex = 0;
     let flashcardFlipped = false;
     let quizAnswers = [];
     let testAnswers = [];
+    let currentGrading = null;
+    let explainThreads = {};
+    let openExplains = new Set();
+    let tutorMessages = null;
+    let essayViewDraft = null;
+    let studyPlans = [];
+    let classValidation = null;
+    let forceFresh = false;
+    let regenerateSetId = null;
+    let librarySyncing = null;
+    let librarySyncQueued = false;
+    let cooldownTimer = null;
+    let tutorSending = false;
+    let isStreaming = false;
+
+    // Accounts - the token from signing in names the one session this device may use
+    function getAuth() {
+      const auth = JSON.parse(localStorage.getItem('auth') || 'null');
+      return auth && auth.expiresAt > Date.now() ? auth : null;
+    }
+
+    function showSignIn(message) {
+      localStorage.removeItem('auth');
+      document.getElementById('accountMenu').style.display = 'none';
+      document.getElementById('authStatus').innerHTML = message ? '<div class="error">' + escapeHtml(message) + '</div>' : '';
+      document.getElementById('authOverlay').style.display = 'flex';
+    }
+
+    function showAccount() {
+      document.getElementById('accountEmail').textContent = getAuth().account.email;
+      document.getElementById('accountMenu').style.display = 'flex';
+    }
+
+    async function submitAuth(action) {
+      const email = document.getElementById('authEmail').value.trim();
+      const password = document.getElementById('authPassword').value;
+      const status = document.getElementById('authStatus');
+      if (!email || !password) {
+        status.innerHTML = '<div class="error">Enter your email and a password.</div>';
+        return;
+      }
+
+      status.innerHTML = '<div class="pairing-hint">' + (action === 'signup' ? 'Creating your account...' : 'Signing in...') + '</div>';
+      try {
+        const response = await apiFetch('/api/auth/' + action, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ email, password })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Request failed');
+        }
+
+        document.getElementById('authPassword').value = '';
+        completeSignIn(data);
+      } catch (error) {
+        status.innerHTML = errorHtml('', error);
+      }
+    }
+
+    async function signInWithCode() {
+      const input = document.getElementById('authPairingCode');
+      const status = document.getElementById('authStatus');
+      const code = input.value.trim();
+      if (!code) return;
+
+      try {
+        await redeemPairingCode(code);
+        input.value = '';
+      } catch (error) {
+        status.innerHTML = errorHtml('Could not sign in: ', error);
+      }
+    }
+
+    function completeSignIn(data) {
+      localStorage.setItem('auth', JSON.stringify({ token: data.token, expiresAt: data.expiresAt, account: data.account }));
+      document.getElementById('authStatus').innerHTML = '';
+      document.getElementById('authOverlay').style.display = 'none';
+      showAccount();
+
+      if (data.account.sessionId !== sessionId) {
+        switchSession(data.account.sessionId);
+      } else {
+        loadStudyPlans();
+      }
+      return syncLibrary();
+    }
 
-    // Persistent Session Management
-    function initPersistentSession() {
-      let id = localStorage.getItem('persistentSessionId');
-      if (!id) {
-        id = 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-        localStorage.setItem('persistentSessionId', id);
+    async function signOut() {
+      if (!confirm('Sign out of this device? Your library stays with your account and comes back when you sign in again.')) {
+        return;
       }
-      return id;
+
+      // Send changes that have not synced yet before forgetting them
+      await syncLibrary();
+      ['auth', 'studyLibrary', 'librarySync', 'currentSession', 'studyHistory'].forEach(key => localStorage.removeItem(key));
+      location.reload();
     }
 
     // Session State Persistence
@@ -1117,6 +2128,10 @@ const HTML_CONTENT = `
         topic: currentTopic,
         mode: currentMode,
         content: currentContent,
+        source: currentSource,
+        difficulty: currentDifficulty,
+        bloomLevels: currentBloomLevels,
+        questionTypes: currentQuestionTypes,
         flashcardIndex: currentFlashcardIndex,
         quizAnswers: quizAnswers,
         testAnswers: testAnswers,
@@ -1136,6 +2151,10 @@ const HTML_CONTENT = `
             currentTopic = state.topic || '';
             currentMode = state.mode || '';
             currentContent = state.content || null;
+            currentSource = state.source || null;
+            currentDifficulty = state.difficulty || 'intermediate';
+            currentBloomLevels = state.bloomLevels || [];
+            currentQuestionTypes = state.questionTypes || [];
             currentFlashcardIndex = state.flashcardIndex || 0;
             quizAnswers = state.quizAnswers || [];
             testAnswers = state.testAnswers || [];
@@ -1157,6 +2176,12 @@ const HTML_CONTENT = `
                 displayQuiz();
               } else if (currentMode === 'test') {
                 displayTest();
+              } else if (currentMode === 'studyGuide') {
+                displayStudyGuide();
+              } else if (currentMode === 'essay') {
+                displayEssay();
+              } else if (currentMode === 'tutor') {
+                displayTutor();
               }
             } else if (currentClass) {
               // If we have a class but no content, go to mode selection
@@ -1178,9 +2203,14 @@ const HTML_CONTENT = `
       currentTopic = '';
       currentMode = '';
       currentContent = null;
+      currentSource = null;
+      currentDifficulty = 'intermediate';
+      currentBloomLevels = [];
+      currentQuestionTypes = [];
       currentFlashcardIndex = 0;
       quizAnswers = [];
       testAnswers = [];
+      resetExplainThreads();
     }
 
     // Study History Management
@@ -1219,6 +2249,10 @@ const HTML_CONTENT = `
           return content.questions ? \`\${content.questions.length} questions\` : '';
         case 'test':
           return content.questions ? \`\${content.questions.length} test questions\` : '';
+        case 'studyGuide':
+          return content.title || 'Study guide';
+        case 'essay':
+          return content.prompt ? content.prompt.slice(0, 80) : '';
         default:
           return '';
       }
@@ -1236,13 +2270,35 @@ const HTML_CONTENT = `
     // Study Library Management
     function getStudyLibrary() {
       try {
-        return JSON.parse(localStorage.getItem('studyLibrary') || '{}');
+        const library = JSON.parse(localStorage.getItem('studyLibrary') || '{}');
+
+        // Items saved before sync had numeric IDs and no update time
+        let upgraded = false;
+        Object.values(library).forEach(classData => classData.items.forEach(item => {
+          if (typeof item.id === 'number') {
+            item.id = 'lib_' + item.id;
+            upgraded = true;
+          }
+          if (!item.updatedAt) {
+            item.updatedAt = item.timestamp;
+            upgraded = true;
+          }
+        }));
+        if (upgraded) {
+          localStorage.setItem('studyLibrary', JSON.stringify(library));
+        }
+
+        return library;
       } catch (error) {
         console.error('Error loading library:', error);
         return {};
       }
     }
 
+    function newLibraryId() {
+      return 'lib_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
     function saveToLibrary(className, topic, mode, content) {
       try {
         let library = getStudyLibrary();
@@ -1255,23 +2311,36 @@ const HTML_CONTENT = `
           };
         }
 
-        // Create library item
+        // Create library item (whether it came from the cache only matters right after generating)
+        const { cache, ...stored } = content;
+        const now = Date.now();
+
+        // A regenerated set replaces its earlier version, keeping its ID so other devices update it too
+        const previous = stored.setId
+          ? library[className].items.find(i => i.content && i.content.setId === stored.setId)
+          : null;
         const item = {
-          id: Date.now(),
+          id: previous ? previous.id : newLibraryId(),
           mode: mode,
           topic: topic || '',
-          content: content,
-          timestamp: Date.now()
+          content: stored,
+          timestamp: previous ? previous.timestamp : now,
+          updatedAt: now
         };
+        library[className].items = library[className].items.filter(i => i.id !== item.id);
 
         // Add to beginning of class items
         library[className].items.unshift(item);
 
-        // Keep only last 10 items per class
-        library[className].items = library[className].items.slice(0, 10);
+        // Keep only the last 50 items per class; dropped items are deleted on every device
+        const dropped = library[className].items.slice(50);
+        library[className].items = library[className].items.slice(0, 50);
 
         localStorage.setItem('studyLibrary', JSON.stringify(library));
         renderLibrary();
+
+        recordLibraryChange(item.id, now);
+        dropped.forEach(old => recordLibraryChange(old.id, now, true));
       } catch (error) {
         console.error('Error saving to library:', error);
       }
@@ -1290,6 +2359,8 @@ const HTML_CONTENT = `
         currentTopic = item.topic;
         currentMode = item.mode;
         currentContent = item.content;
+        currentDifficulty = item.content.difficulty || currentDifficulty;
+        currentBloomLevels = item.content.bloomLevels || [];
 
         // Reset state based on mode
         if (item.mode === 'flashcards') {
@@ -1299,12 +2370,25 @@ const HTML_CONTENT = `
           displayFlashcard();
         } else if (item.mode === 'quiz') {
           quizAnswers = new Array(item.content.questions.length).fill(null);
+          resetExplainThreads();
           goToStep(3);
           displayQuiz();
         } else if (item.mode === 'test') {
           testAnswers = new Array(item.content.questions.length).fill('');
+          resetExplainThreads();
           goToStep(3);
           displayTest();
+        } else if (item.mode === 'studyGuide') {
+          goToStep(3);
+          displayStudyGuide();
+        } else if (item.mode === 'essay') {
+          essayViewDraft = null;
+          goToStep(3);
+          displayEssay();
+        } else if (item.mode === 'tutor') {
+          tutorMessages = null;
+          goToStep(3);
+          displayTutor();
         }
 
         saveSessionState();
@@ -1328,11 +2412,17 @@ const HTML_CONTENT = `
         return;
       }
 
-      let html = '';
+      let html = levelFilterHtml();
+      let shown = 0;
 
       classes.forEach(className => {
         const classData = library[className];
-        const itemCount = classData.items.length;
+        const items = classData.items.filter(matchesLevelFilter);
+        const itemCount = items.length;
+
+        // Hide classes with nothing at the selected level
+        if (libraryLevelFilter && itemCount === 0) return;
+        shown++;
 
         html += \`
           <div class="class-section" id="class-\${encodeURIComponent(className)}">
@@ -1350,14 +2440,16 @@ const HTML_CONTENT = `
               </button>
         \`;
 
-        classData.items.forEach(item => {
+        items.forEach(item => {
           const modeIcon = getModeIcon(item.mode);
           const modeName = getModeName(item.mode);
           const date = new Date(item.timestamp).toLocaleDateString();
           const topicText = item.topic ? \`Topic: \${item.topic}\` : 'General';
+          const titleText = item.mode === 'tutor' && item.content.title ? escapeHtml(item.content.title) : '';
+          const levelText = levelSummary(item.content);
 
           html += \`
-            <div class="content-item" onclick="loadFromLibrary('\${className.replace(/'/g, "\\'")}', \${item.id})">
+            <div class="content-item" onclick="loadFromLibrary('\${className.replace(/'/g, "\\'")}', '\${item.id}')">
               <div style="flex: 1;">
                 <div class="content-item-header">
                   <div class="content-item-type">
@@ -1369,7 +2461,7 @@ const HTML_CONTENT = `
                     <div style="position: relative;">
                       <button class="menu-btn" onclick="event.stopPropagation(); toggleDropdown('menu-\${item.id}')">⋮</button>
                       <div class="dropdown-menu" id="menu-\${item.id}">
-                        <div class="dropdown-item danger" onclick="event.stopPropagation(); deleteFromLibrary('\${className.replace(/'/g, "\\'")}', \${item.id})">
+                        <div class="dropdown-item danger" onclick="event.stopPropagation(); deleteFromLibrary('\${className.replace(/'/g, "\\'")}', '\${item.id}')">
                           🗑️ Delete
                         </div>
                       </div>
@@ -1377,6 +2469,8 @@ const HTML_CONTENT = `
                   </div>
                 </div>
                 <div class="content-item-topic">\${topicText}</div>
+                \${titleText ? \`<div class="content-item-topic">“\${titleText}”</div>\` : ''}
+                \${levelText ? \`<div class="content-item-topic" style="text-transform: capitalize;">\${levelText}</div>\` : ''}
               </div>
             </div>
           \`;
@@ -1388,6 +2482,10 @@ const HTML_CONTENT = `
         \`;
       });
 
+      if (shown === 0) {
+        html += '<div class="library-empty">No study tools at this level yet.</div>';
+      }
+
       libraryContent.innerHTML = html;
 
       // Auto-expand current class
@@ -1399,6 +2497,52 @@ const HTML_CONTENT = `
       }
     }
 
+    function levelFilterHtml() {
+      const option = (value, label) =>
+        \`<option value="\${value}" \${libraryLevelFilter === value ? 'selected' : ''}>\${label}</option>\`;
+
+      return \`
+        <div style="padding: 8px;">
+          <select class="level-filter" onchange="setLibraryLevelFilter(this.value)">
+            \${option('', 'All levels')}
+            <optgroup label="Difficulty">
+              \${option('intro', 'Intro')}
+              \${option('intermediate', 'Intermediate')}
+              \${option('advanced', 'Advanced')}
+            </optgroup>
+            <optgroup label="Cognitive level">
+              \${option('recall', 'Recall')}
+              \${option('apply', 'Apply')}
+              \${option('analyze', 'Analyze')}
+              \${option('evaluate', 'Evaluate')}
+            </optgroup>
+          </select>
+        </div>
+      \`;
+    }
+
+    function setLibraryLevelFilter(value) {
+      libraryLevelFilter = value;
+      localStorage.setItem('libraryLevelFilter', value);
+      renderLibrary();
+    }
+
+    function contentItems(content) {
+      return (content && (content.flashcards || content.questions)) || [];
+    }
+
+    function matchesLevelFilter(item) {
+      if (!libraryLevelFilter) return true;
+      if (item.content && item.content.difficulty === libraryLevelFilter) return true;
+      return contentItems(item.content).some(entry => entry.bloomLevel === libraryLevelFilter);
+    }
+
+    function levelSummary(content) {
+      if (!content) return '';
+      const bloomLevels = [...new Set(contentItems(content).map(entry => entry.bloomLevel).filter(Boolean))];
+      return [content.difficulty, bloomLevels.join(', ')].filter(Boolean).join(' · ');
+    }
+
     function toggleClassSection(className) {
       const element = document.getElementById(\`class-\${encodeURIComponent(className)}\`);
       if (element) {
@@ -1411,6 +2555,9 @@ const HTML_CONTENT = `
         case 'flashcards': return '📚';
         case 'quiz': return '🎯';
         case 'test': return '✅';
+        case 'studyGuide': return '📝';
+        case 'essay': return '✍️';
+        case 'tutor': return '💬';
         default: return '📄';
       }
     }
@@ -1420,6 +2567,9 @@ const HTML_CONTENT = `
         case 'flashcards': return 'Flashcards';
         case 'quiz': return 'Quiz';
         case 'test': return 'Test';
+        case 'studyGuide': return 'Study Guide';
+        case 'essay': return 'Essay';
+        case 'tutor': return 'Tutor';
         default: return 'Content';
       }
     }
@@ -1439,6 +2589,7 @@ const HTML_CONTENT = `
       currentTopic = lastTopic;
       currentMode = '';
       currentContent = null;
+      currentSource = null;
 
       // Update the input fields
       document.getElementById('className').value = className;
@@ -1449,6 +2600,7 @@ const HTML_CONTENT = `
       flashcardFlipped = false;
       quizAnswers = [];
       testAnswers = [];
+      resetExplainThreads();
 
       // Save state and go to mode selection
       saveSessionState();
@@ -1461,15 +2613,21 @@ const HTML_CONTENT = `
       currentTopic = '';
       currentMode = '';
       currentContent = null;
+      currentSource = null;
+      currentDifficulty = 'intermediate';
+      currentBloomLevels = [];
+      currentQuestionTypes = [];
       currentQuantity = 10;
       currentFlashcardIndex = 0;
       flashcardFlipped = false;
       quizAnswers = [];
       testAnswers = [];
+      resetExplainThreads();
 
       // Clear input fields
       document.getElementById('className').value = '';
       document.getElementById('topic').value = '';
+      clearNotesInput();
 
       // Save cleared state
       saveSessionState();
@@ -1549,6 +2707,21 @@ const HTML_CONTENT = `
       initResize();
       loadSessionState();
       renderLibrary();
+
+      if (!getAuth()) {
+        showSignIn();
+        return;
+      }
+      showAccount();
+      syncLibrary();
+      loadStudyPlans();
+    });
+
+    // Pick up changes made on other devices when coming back to this one
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible' && getAuth()) {
+        syncLibrary();
+      }
     });
 
     function goToStep(step) {
@@ -1567,6 +2740,16 @@ const HTML_CONTENT = `
         if (topicModeInput) {
           topicModeInput.value = currentTopic || '';
         }
+
+        document.getElementById('difficultyMode').value = currentDifficulty;
+        document.querySelectorAll('.bloom-option').forEach(option => {
+          option.checked = currentBloomLevels.includes(option.value);
+        });
+        document.querySelectorAll('.qtype-option').forEach(option => {
+          option.checked = currentQuestionTypes.includes(option.value);
+        });
+
+        renderCurrentNotes();
       }
     }
 
@@ -1576,6 +2759,67 @@ const HTML_CONTENT = `
       setTimeout(() => errorDiv.innerHTML = '', 5000);
     }
 
+    function showRequestError(prefix, error) {
+      if (!error.retryAfter) {
+        showError(prefix + error.message);
+        return;
+      }
+      document.getElementById('errorMessage').innerHTML = cooldownHtml(error.retryAfter);
+    }
+
+    // API requests - a 429 becomes an error carrying the seconds to wait
+    async function apiFetch(url, options = {}) {
+      const auth = getAuth();
+      const headers = auth ? { ...options.headers, Authorization: 'Bearer ' + auth.token } : options.headers;
+      const response = await fetch(url, { ...options, headers });
+      if (response.status === 401) {
+        const data = await response.json().catch(() => ({}));
+        const error = new Error(data.error || 'Please sign in to continue.');
+        showSignIn(error.message);
+        throw error;
+      }
+      if (response.status === 429) {
+        const data = await response.json().catch(() => ({}));
+        const error = new Error(data.error || 'Too many requests. Please try again shortly.');
+        error.retryAfter = Number(response.headers.get('Retry-After')) || data.retryAfter || 30;
+        throw error;
+      }
+      return response;
+    }
+
+    function errorHtml(prefix, error) {
+      if (error.retryAfter) return cooldownHtml(error.retryAfter);
+      return '<div class="error">' + prefix + escapeHtml(error.message) + '</div>';
+    }
+
+    // Cooldown notices count down in place until requests are accepted again
+    function cooldownHtml(seconds) {
+      startCooldownTimer();
+      return \`<div class="cooldown" data-until="\${Date.now() + seconds * 1000}">⏳ You're studying fast! Take a short break - you can try again in <span class="cooldown-seconds">\${seconds}</span>s.</div>\`;
+    }
+
+    function startCooldownTimer() {
+      if (cooldownTimer) return;
+      cooldownTimer = setInterval(() => {
+        const cooldowns = document.querySelectorAll('.cooldown[data-until]');
+        if (cooldowns.length === 0) {
+          clearInterval(cooldownTimer);
+          cooldownTimer = null;
+          return;
+        }
+
+        cooldowns.forEach(cooldown => {
+          const secondsLeft = Math.ceil((Number(cooldown.dataset.until) - Date.now()) / 1000);
+          if (secondsLeft > 0) {
+            cooldown.querySelector('.cooldown-seconds').textContent = secondsLeft;
+          } else {
+            cooldown.removeAttribute('data-until');
+            cooldown.textContent = '✅ Ready - you can try again now.';
+          }
+        });
+      }, 1000);
+    }
+
     function showLoading(message = 'Loading...') {
       document.getElementById('contentArea').innerHTML =
         '<div class="loading"><div class="spinner"></div><p>' + message + '</p></div>';
@@ -1583,34 +2827,171 @@ const HTML_CONTENT = `
 
     async function validateClass() {
       const className = document.getElementById('className').value.trim();
-      const topic = document.getElementById('topic').value.trim();
 
       if (!className) {
         showError('Please enter a class or subject name');
         return;
       }
 
-      currentClass = className;
-      currentTopic = topic;
+      // Suggestions are already showing for this input - Continue again accepts them
+      if (classValidation && classValidation.input === className && classValidation.result.valid) {
+        await continueToModes(classValidation.result.normalizedName || className);
+        return;
+      }
+
+      const continueBtn = document.getElementById('continueBtn');
+      continueBtn.disabled = true;
 
       try {
-        const response = await fetch('/api/validate-class', {
+        const response = await apiFetch('/api/validate-class', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ className })
+          body: JSON.stringify({ className, sessionId })
         });
 
         const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to validate class');
+        }
 
-        if (data.valid) {
-          saveSessionState();
-          goToStep(2);
+        classValidation = { input: className, result: data };
+        const hasSuggestions = (data.units || []).length > 0 || (data.suggestions || []).length > 0 ||
+          (data.normalizedName && data.normalizedName !== className);
+
+        if (data.valid && !hasSuggestions) {
+          await continueToModes(className);
         } else {
-          showError(data.message || 'This does not appear to be a valid academic subject. Please try again.');
+          if (!data.valid) {
+            showError(data.message || 'This does not appear to be a valid academic subject. Please try again.');
+          }
+          renderClassSuggestions();
         }
       } catch (error) {
-        showError('Error validating class: ' + error.message);
+        showRequestError('Error validating class: ', error);
+      } finally {
+        continueBtn.disabled = false;
+      }
+    }
+
+    async function continueToModes(className) {
+      currentClass = className;
+      currentTopic = document.getElementById('topic').value.trim();
+      document.getElementById('className').value = className;
+
+      try {
+        await uploadNotes();
+      } catch (error) {
+        showRequestError('Error uploading notes: ', error);
+        return;
+      }
+      clearClassSuggestions();
+      saveSessionState();
+      goToStep(2);
+    }
+
+    function renderClassSuggestions() {
+      const container = document.getElementById('classSuggestions');
+      const result = classValidation && classValidation.result;
+      if (!result) {
+        container.innerHTML = '';
+        return;
+      }
+
+      const topic = document.getElementById('topic').value.trim();
+      const chips = (items, onclick, selected) => '<div class="suggestion-chips">' + items.map((item, i) =>
+        \`<button class="suggestion-chip\${item === selected ? ' selected' : ''}" onclick="\${onclick}(\${i})">\${escapeHtml(item)}</button>\`
+      ).join('') + '</div>';
+
+      let html = '';
+      if (result.valid) {
+        const meta = [result.subjectArea, result.level].filter(Boolean).join(' · ');
+        html += \`<div class="class-suggestions-title">\${escapeHtml(result.normalizedName)}</div>\`;
+        if (meta) html += \`<div class="class-suggestions-meta">\${escapeHtml(meta)}</div>\`;
+      }
+      if ((result.suggestions || []).length > 0) {
+        html += '<div class="class-suggestions-label">Did you mean:</div>' + chips(result.suggestions, 'pickClassSuggestion');
+      }
+      if ((result.units || []).length > 0) {
+        html += '<div class="class-suggestions-label">Pick a unit to focus on (optional):</div>' + chips(result.units, 'pickUnit', topic);
+      }
+      if (result.valid) {
+        html += '<div class="form-hint">Press Continue to study ' + escapeHtml(result.normalizedName) + '.</div>';
+      }
+
+      container.innerHTML = '<div class="class-suggestions">' + html + '</div>';
+    }
+
+    function clearClassSuggestions() {
+      classValidation = null;
+      document.getElementById('classSuggestions').innerHTML = '';
+    }
+
+    function pickClassSuggestion(index) {
+      document.getElementById('className').value = classValidation.result.suggestions[index];
+      classValidation = null;
+      validateClass();
+    }
+
+    function pickUnit(index) {
+      const unit = classValidation.result.units[index];
+      const topicInput = document.getElementById('topic');
+      topicInput.value = topicInput.value.trim() === unit ? '' : unit;
+      renderClassSuggestions();
+    }
+
+    // Course Notes
+    async function uploadNotes() {
+      const file = document.getElementById('notesFile').files[0];
+      const text = document.getElementById('notesText').value.trim();
+      if (!file && !text) return;
+
+      let response;
+      if (file) {
+        const form = new FormData();
+        form.append('file', file);
+        form.append('sessionId', sessionId);
+        response = await apiFetch('/api/notes', { method: 'POST', body: form });
+      } else {
+        response = await apiFetch('/api/notes', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ text, sessionId })
+        });
       }
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to upload notes');
+      }
+
+      currentSource = { id: data.id, name: data.name };
+      clearNotesInput();
+    }
+
+    function renderNotesSelection() {
+      const file = document.getElementById('notesFile').files[0];
+      document.getElementById('notesSelection').innerHTML = file
+        ? \`<div class="file-item"><span>📄</span><span class="file-item-name">\${file.name}</span><button class="file-remove-btn" onclick="clearNotesInput()">✕</button></div>\`
+        : '';
+    }
+
+    function clearNotesInput() {
+      document.getElementById('notesFile').value = '';
+      document.getElementById('notesText').value = '';
+      renderNotesSelection();
+    }
+
+    function renderCurrentNotes() {
+      const notesDisplay = document.getElementById('currentNotesDisplay');
+      notesDisplay.innerHTML = currentSource
+        ? \`Notes: <span style="font-weight: 600; color: var(--text-primary);">\${currentSource.name}</span> <button class="file-remove-btn" onclick="removeCurrentNotes()">Stop using notes</button>\`
+        : '';
+    }
+
+    function removeCurrentNotes() {
+      currentSource = null;
+      saveSessionState();
+      renderCurrentNotes();
     }
 
     async function selectMode(mode) {
@@ -1620,6 +3001,10 @@ const HTML_CONTENT = `
         currentTopic = topicModeInput.value.trim();
       }
 
+      currentDifficulty = document.getElementById('difficultyMode').value;
+      currentBloomLevels = Array.from(document.querySelectorAll('.bloom-option:checked')).map(option => option.value);
+      currentQuestionTypes = Array.from(document.querySelectorAll('.qtype-option:checked')).map(option => option.value);
+
       currentMode = mode;
       saveSessionState();
       goToStep(3);
@@ -1630,6 +3015,12 @@ const HTML_CONTENT = `
         generateQuiz();
       } else if (mode === 'test') {
         generateTest();
+      } else if (mode === 'studyGuide') {
+        generateStudyGuide();
+      } else if (mode === 'essay') {
+        generateEssay();
+      } else if (mode === 'tutor') {
+        startTutor();
       }
     }
 
@@ -1671,7 +3062,18 @@ const HTML_CONTENT = `
         let library = getStudyLibrary();
 
         if (library[className]) {
+          const removed = library[className].items.find(item => item.id === itemId);
           library[className].items = library[className].items.filter(item => item.id !== itemId);
+          if (removed) {
+            recordLibraryChange(itemId, Date.now(), true);
+          }
+
+          // Drop the stored set and its attempts too; the local copy is gone either way
+          if (removed && removed.content && removed.content.setId) {
+            apiFetch(\`/api/sets?sessionId=\${encodeURIComponent(sessionId)}&setId=\${encodeURIComponent(removed.content.setId)}\`, {
+              method: 'DELETE'
+            }).catch(error => console.error('Error deleting study set:', error));
+          }
 
           // Remove the class if it has no items left
           if (library[className].items.length === 0) {
@@ -1687,37 +3089,395 @@ const HTML_CONTENT = `
       }
     }
 
+    // Study Library Sync - the library is also kept in the session's Durable Object so
+    // every device paired with the session shares it. Each item is settled on its own:
+    // the copy with the later updatedAt wins, and deletes are sent as tombstones.
+    function getLibrarySync() {
+      try {
+        const sync = JSON.parse(localStorage.getItem('librarySync') || 'null');
+        if (sync && sync.deviceId) return sync;
+      } catch (error) {
+        console.error('Error loading library sync state:', error);
+      }
+
+      // First run on this device: everything already in the library still has to be sent
+      const sync = {
+        deviceId: 'device_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+        cursor: 0,
+        pending: {},
+        localOnly: {}
+      };
+      markLibraryPending(sync);
+      localStorage.setItem('librarySync', JSON.stringify(sync));
+      return sync;
+    }
+
+    function markLibraryPending(sync) {
+      Object.values(getStudyLibrary()).forEach(classData => classData.items.forEach(item => {
+        sync.pending[item.id] = { updatedAt: item.updatedAt };
+      }));
+    }
+
+    function recordLibraryChange(id, updatedAt, deleted = false) {
+      const sync = getLibrarySync();
+      sync.pending[id] = deleted ? { updatedAt, deleted: true } : { updatedAt };
+      delete sync.localOnly[id];
+      localStorage.setItem('librarySync', JSON.stringify(sync));
+      syncLibrary();
+    }
+
+    // Only one sync runs at a time; changes made meanwhile go out in a follow-up sync
+    function syncLibrary() {
+      if (librarySyncing) {
+        librarySyncQueued = true;
+        return librarySyncing;
+      }
+
+      librarySyncing = runLibrarySync()
+        .catch(error => console.error('Error syncing library:', error))
+        .finally(() => {
+          librarySyncing = null;
+          if (librarySyncQueued) {
+            librarySyncQueued = false;
+            syncLibrary();
+          }
+        });
+      return librarySyncing;
+    }
+
+    async function runLibrarySync() {
+      const sync = getLibrarySync();
+      const library = getStudyLibrary();
+      const localItems = new Map();
+      Object.entries(library).forEach(([className, classData]) => classData.items.forEach(item => {
+        localItems.set(item.id, { ...item, className });
+      }));
+
+      // The server takes at most 100 changes per request
+      const sent = Object.entries(sync.pending).slice(0, 100);
+      librarySyncQueued = librarySyncQueued || Object.keys(sync.pending).length > sent.length;
+
+      const changes = sent.map(([id, change]) => {
+        if (change.deleted) {
+          return { id, updatedAt: change.updatedAt, deviceId: sync.deviceId, deleted: true };
+        }
+        const item = localItems.get(id);
+        if (!item) return null;
+        return {
+          id,
+          className: item.className,
+          mode: item.mode,
+          topic: item.topic,
+          content: item.content,
+          createdAt: item.timestamp,
+          updatedAt: item.updatedAt,
+          deviceId: sync.deviceId
+        };
+      }).filter(Boolean);
+
+      let data = await postLibrarySync(changes, sync.cursor);
+      let current = getLibrarySync();
+
+      // Sent changes the server has settled, unless they were changed again in the meantime
+      sent.forEach(([id, change]) => {
+        const pending = current.pending[id];
+        if (pending && pending.updatedAt === change.updatedAt && Boolean(pending.deleted) === Boolean(change.deleted)) {
+          delete current.pending[id];
+        }
+      });
+
+      // Items the server refused (too large, or the library is full) stay on this device only
+      data.rejected.forEach(({ id, error }) => {
+        current.localOnly[id] = error;
+      });
+
+      // The server answers a page at a time; a full sync lists the whole library across its pages
+      let remoteIds = null;
+      for (;;) {
+        // Re-read the library, since items may have been saved or deleted while the request was out
+        const merged = getStudyLibrary();
+        if (data.full) {
+          remoteIds = new Set();
+        }
+
+        // The server's copy wins, except for items changed here since the request was sent
+        data.items.forEach(remote => {
+          if (remoteIds) remoteIds.add(remote.id);
+          if (current.pending[remote.id]) return;
+          removeLibraryItem(merged, remote.id);
+          if (!remote.deleted) {
+            addLibraryItem(merged, remote);
+          }
+        });
+
+        // After the last page of a full sync, anything else was deleted on another device
+        if (remoteIds && !data.more) {
+          Object.values(merged).forEach(classData => classData.items
+            .filter(item => !remoteIds.has(item.id) && !current.pending[item.id] && !current.localOnly[item.id])
+            .forEach(item => removeLibraryItem(merged, item.id)));
+        }
+
+        // A full sync cut short starts over, so its cursor is kept only once every page is in
+        if (!remoteIds || !data.more) {
+          current.cursor = data.cursor;
+        }
+        localStorage.setItem('studyLibrary', JSON.stringify(merged));
+        localStorage.setItem('librarySync', JSON.stringify(current));
+        renderLibrary();
+
+        if (!data.more) break;
+        data = await postLibrarySync([], data.cursor, Boolean(remoteIds));
+        current = getLibrarySync();
+      }
+    }
+
+    async function postLibrarySync(changes, since, continueFull = false) {
+      const response = await apiFetch('/api/library/sync', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ changes, since, continueFull, sessionId })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Request failed');
+      }
+      return data;
+    }
+
+    function removeLibraryItem(library, id) {
+      Object.keys(library).forEach(className => {
+        library[className].items = library[className].items.filter(item => item.id !== id);
+        if (library[className].items.length === 0) {
+          delete library[className];
+        }
+      });
+    }
+
+    function addLibraryItem(library, remote) {
+      if (!library[remote.className]) {
+        library[remote.className] = {
+          className: remote.className,
+          items: []
+        };
+      }
+
+      const items = library[remote.className].items;
+      items.push({
+        id: remote.id,
+        mode: remote.mode,
+        topic: remote.topic,
+        content: remote.content,
+        timestamp: remote.createdAt,
+        updatedAt: remote.updatedAt
+      });
+      items.sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    // Device Pairing - another device enters a short code to sign in to this account
+    function togglePairingPanel() {
+      const panel = document.getElementById('pairingPanel');
+      panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+    }
+
+    async function createPairingCode() {
+      const codeArea = document.getElementById('pairingCode');
+      codeArea.innerHTML = '<div class="pairing-hint">Creating a code...</div>';
+
+      try {
+        const response = await apiFetch('/api/pair', { method: 'POST' });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Request failed');
+        }
+
+        const minutes = Math.round((data.expiresAt - Date.now()) / 60000);
+        codeArea.innerHTML = \`
+          <div class="pairing-code">\${escapeHtml(data.code)}</div>
+          <div class="pairing-hint">Enter this code on your other device within \${minutes} minutes. It works once.</div>
+        \`;
+      } catch (error) {
+        codeArea.innerHTML = errorHtml('Could not create a code: ', error);
+      }
+    }
+
+    async function claimPairingCode() {
+      const input = document.getElementById('pairingCodeInput');
+      const status = document.getElementById('pairingStatus');
+      const code = input.value.trim();
+      if (!code) return;
+
+      if (!confirm('Join the other device? This device will sign in to its account, and your library here will be merged into the shared one.')) {
+        return;
+      }
+
+      try {
+        status.innerHTML = '<div class="pairing-hint">Joining and syncing your library...</div>';
+        await redeemPairingCode(code);
+        input.value = '';
+        status.innerHTML = '<div class="pairing-hint">✓ Paired. Both devices now share one library.</div>';
+      } catch (error) {
+        status.innerHTML = errorHtml('Could not pair: ', error);
+      }
+    }
+
+    async function redeemPairingCode(code) {
+      const response = await apiFetch('/api/pair/claim', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Request failed');
+      }
+
+      await completeSignIn(data);
+    }
+
+    function switchSession(id) {
+      sessionId = id;
+
+      // Send this device's whole library to the shared session and fetch all of it back
+      const sync = getLibrarySync();
+      sync.cursor = 0;
+      sync.localOnly = {};
+      markLibraryPending(sync);
+      localStorage.setItem('librarySync', JSON.stringify(sync));
+
+      // What is on screen belongs to the old session
+      startNewSession();
+      loadStudyPlans();
+    }
+
+    // Streaming Generation
+    async function streamContent(endpoint, onItem) {
+      const response = await apiFetch(endpoint + '/stream', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          className: currentClass,
+          topic: currentTopic,
+          sourceId: currentSource ? currentSource.id : null,
+          difficulty: currentDifficulty,
+          bloomLevels: currentBloomLevels,
+          questionTypes: currentQuestionTypes,
+          sessionId,
+          count: currentQuantity,
+          fresh: forceFresh,
+          setId: regenerateSetId
+        })
+      });
+      forceFresh = false;
+      regenerateSetId = null;
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Request failed');
+      }
+
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = '';
+
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += value;
+        const events = buffer.split('\\n\\n');
+        buffer = events.pop();
+
+        for (const raw of events) {
+          const event = parseStreamEvent(raw);
+          if (event.name === 'item') {
+            onItem(event.data.item);
+          } else if (event.name === 'done') {
+            return event.data;
+          } else if (event.name === 'error') {
+            throw new Error(event.data.error);
+          }
+        }
+      }
+
+      throw new Error('The connection closed before generation finished');
+    }
+
+    function parseStreamEvent(raw) {
+      const event = { name: 'message', data: null };
+      raw.split('\\n').forEach(line => {
+        if (line.startsWith('event:')) {
+          event.name = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          event.data = JSON.parse(line.slice(5));
+        }
+      });
+      return event;
+    }
+
+    function streamStatusHtml(label) {
+      return isStreaming
+        ? \`<div class="stream-status" id="streamStatus"><div class="spinner-small"></div>Generating more \${label}...</div>\`
+        : '';
+    }
+
+    function validationNoticeHtml() {
+      const validation = currentContent && currentContent.validation;
+      if (isStreaming || !validation || validation.valid >= validation.requested) return '';
+
+      const reasons = [];
+      if (validation.dropped) reasons.push(\`\${validation.dropped} malformed\`);
+      if (validation.duplicates) reasons.push(\`\${validation.duplicates} repeated\`);
+
+      return \`<div class="notice">Only \${validation.valid} of \${validation.requested} requested items were usable\${reasons.length ? \` (\${reasons.join(', ')} dropped)\` : ''}. This set is partial.</div>\`;
+    }
+
+    function cacheNoticeHtml() {
+      const cache = currentContent && currentContent.cache;
+      if (isStreaming || !cache || !cache.hit) return '';
+
+      return \`<div class="notice cache-notice"><span>⚡ Loaded a set generated \${new Date(cache.cachedAt).toLocaleString()} for the same request.</span><button class="btn btn-secondary" onclick="regenerateFresh()">Generate fresh</button></div>\`;
+    }
+
+    // Regenerating replaces the items of the set on screen with a new version
+    function regenerateFresh() {
+      forceFresh = true;
+      regenerateSetId = currentContent && currentContent.setId ? currentContent.setId : null;
+      selectMode(currentMode);
+    }
+
+    function finishStreamingView() {
+      isStreaming = false;
+      const status = document.getElementById('streamStatus');
+      if (status) status.remove();
+    }
+
     async function generateFlashcards() {
       showLoading('Generating flashcards...');
+      currentContent = { flashcards: [] };
+      currentFlashcardIndex = 0;
+      flashcardFlipped = false;
+      isStreaming = true;
 
       try {
-        const response = await fetch('/api/generate-flashcards', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            className: currentClass,
-            topic: currentTopic,
-            sessionId,
-            count: currentQuantity
-          })
+        const data = await streamContent('/api/generate-flashcards', card => {
+          currentContent.flashcards.push(card);
+          displayFlashcard();
         });
 
-        const data = await response.json();
+        isStreaming = false;
         currentContent = data;
-        currentFlashcardIndex = 0;
-        flashcardFlipped = false;
         saveSessionState();
         saveToHistory(currentClass, currentTopic, 'flashcards', data);
         saveToLibrary(currentClass, currentTopic, 'flashcards', data);
         displayFlashcard();
       } catch (error) {
+        isStreaming = false;
         document.getElementById('contentArea').innerHTML =
-          '<div class="error">Error generating flashcards: ' + error.message + '</div>';
+          errorHtml('Error generating flashcards: ', error);
       }
     }
 
     function displayFlashcard() {
-      if (!currentContent || !currentContent.flashcards) return;
+      if (!currentContent || !currentContent.flashcards || currentContent.flashcards.length === 0) return;
 
       const card = currentContent.flashcards[currentFlashcardIndex];
       const total = currentContent.flashcards.length;
@@ -1727,15 +3487,21 @@ const HTML_CONTENT = `
           <button class="btn btn-secondary" onclick="goToStep(2)">← Back to Modes</button>
           <h2 style="display: inline-block; margin-left: 20px;">Flashcards</h2>
         </div>
+        \${validationNoticeHtml()}
+        \${cacheNoticeHtml()}
         <div class="flashcard \${flashcardFlipped ? 'flipped' : ''}" onclick="flipCard()">
-          <div class="flashcard-label">\${flashcardFlipped ? 'Answer' : 'Question'}</div>
-          <div>\${flashcardFlipped ? card.answer : card.question}</div>
+          <div class="flashcard-label">\${flashcardFlipped ? 'Answer' : 'Question'}\${levelBadgeHtml(card)}</div>
+          <div>
+            \${flashcardFlipped ? card.answer : card.question}
+            \${flashcardFlipped ? renderSources(card.sources) : ''}
+          </div>
         </div>
         <div class="flashcard-nav">
           <button class="btn" onclick="prevCard()" \${currentFlashcardIndex === 0 ? 'disabled' : ''}>← Previous</button>
           <span style="color: #6b7280; font-weight: 600;">Card \${currentFlashcardIndex + 1} of \${total}</span>
           <button class="btn" onclick="nextCard()" \${currentFlashcardIndex === total - 1 ? 'disabled' : ''}>Next →</button>
         </div>
+        \${streamStatusHtml('flashcards')}
       \`;
 
       document.getElementById('contentArea').innerHTML = html;
@@ -1767,29 +3533,33 @@ const HTML_CONTENT = `
 
     async function generateQuiz() {
       showLoading('Generating quiz...');
+      currentContent = { questions: [] };
+      quizAnswers = [];
+      resetExplainThreads();
+      isStreaming = true;
 
       try {
-        const response = await fetch('/api/generate-quiz', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            className: currentClass,
-            topic: currentTopic,
-            sessionId,
-            count: currentQuantity
-          })
+        const data = await streamContent('/api/generate-quiz', question => {
+          currentContent.questions.push(question);
+          quizAnswers.push(null);
+          if (currentContent.questions.length === 1) {
+            displayQuiz();
+          } else {
+            appendQuestion(renderQuizQuestion(question, currentContent.questions.length - 1));
+          }
         });
 
-        const data = await response.json();
+        finishStreamingView();
         currentContent = data;
-        quizAnswers = new Array(data.questions.length).fill(null);
+        quizAnswers = data.questions.map((q, i) => quizAnswers[i] ?? null);
         saveSessionState();
         saveToHistory(currentClass, currentTopic, 'quiz', data);
         saveToLibrary(currentClass, currentTopic, 'quiz', data);
         displayQuiz();
       } catch (error) {
+        isStreaming = false;
         document.getElementById('contentArea').innerHTML =
-          '<div class="error">Error generating quiz: ' + error.message + '</div>';
+          errorHtml('Error generating quiz: ', error);
       }
     }
 
@@ -1801,74 +3571,777 @@ const HTML_CONTENT = `
           <button class="btn btn-secondary" onclick="goToStep(2)">← Back to Modes</button>
           <h2 style="display: inline-block; margin-left: 20px;">Practice Quiz</h2>
         </div>
+        \${validationNoticeHtml()}
+        \${cacheNoticeHtml()}
       \`;
 
+      html += '<div id="questionList">';
       currentContent.questions.forEach((q, i) => {
-        const answered = quizAnswers[i] !== null;
-        const correct = answered && quizAnswers[i] === q.correct;
-
-        html += \`
-          <div class="quiz-question">
-            <div class="question-number">Question \${i + 1}</div>
-            <div class="question-text">\${q.question}</div>
-            <div class="options">
-              \${q.options.map((opt, optIndex) => {
-                let className = 'option';
-                if (answered) {
-                  if (optIndex === q.correct) className += ' correct';
-                  else if (optIndex === quizAnswers[i]) className += ' incorrect';
-                } else if (quizAnswers[i] === optIndex) {
-                  className += ' selected';
-                }
-                return \`<div class="\${className}" onclick="\${answered ? '' : 'selectQuizAnswer(' + i + ', ' + optIndex + ')'}">\${opt}</div>\`;
-              }).join('')}
-            </div>
-            <div class="hint-toggle" onclick="toggleHint(\${i})">💡 Show Hint</div>
-            <div class="hint-content" id="hint\${i}">\${q.hint}</div>
-            \${answered ? '<div class="explanation"><strong>Explanation:</strong> ' + q.explanation + '</div>' : ''}
-          </div>
-        \`;
+        html += renderQuizQuestion(q, i);
       });
+      html += '</div>';
+      html += streamStatusHtml('questions');
 
       document.getElementById('contentArea').innerHTML = html;
     }
 
-    function selectQuizAnswer(questionIndex, optionIndex) {
-      quizAnswers[questionIndex] = optionIndex;
-      displayQuiz();
-      saveSessionState();
+    function appendQuestion(questionHtml) {
+      const list = document.getElementById('questionList');
+      if (list) list.insertAdjacentHTML('beforeend', questionHtml);
     }
 
-    function toggleHint(questionIndex) {
-      const hint = document.getElementById('hint' + questionIndex);
-      hint.classList.toggle('show');
-    }
+    function renderQuizQuestion(q, i) {
+      const answered = quizAnswers[i] !== null;
 
-    async function generateTest() {
-      showLoading('Generating test...');
+      return \`
+        <div class="quiz-question">
+          <div class="question-number">Question \${i + 1}\${levelBadgeHtml(q)}</div>
+          <div class="question-text">\${q.question}</div>
+          <div class="options">
+            \${q.options.map((opt, optIndex) => {
+              let className = 'option';
+              if (answered) {
+                if (optIndex === q.correct) className += ' correct';
+                else if (optIndex === quizAnswers[i]) className += ' incorrect';
+              } else if (quizAnswers[i] === optIndex) {
+                className += ' selected';
+              }
+              return \`<div class="\${className}" onclick="\${answered ? '' : 'selectQuizAnswer(' + i + ', ' + optIndex + ')'}">\${opt}</div>\`;
+            }).join('')}
+          </div>
+          <div class="hint-toggle" onclick="toggleHint(\${i})">💡 Show Hint</div>
+          <div class="hint-content" id="hint\${i}">\${q.hint}</div>
+          \${answered ? '<div class="explanation"><strong>Explanation:</strong> ' + q.explanation + renderSources(q.sources) + '</div>' : ''}
+          \${answered && quizAnswers[i] !== q.correct ? renderExplain(i) : ''}
+        </div>
+      \`;
+    }
+
+    function renderSources(sources) {
+      if (!sources || sources.length === 0) return '';
+
+      return sources.map(source => \`
+        <div class="source-excerpt">
+          <strong>From your notes (section \${source.chunkIndex + 1}):</strong> “\${escapeHtml(source.excerpt)}”
+        </div>
+      \`).join('');
+    }
+
+    function levelBadgeHtml(item) {
+      if (!item || (!item.difficulty && !item.bloomLevel)) return '';
+      return \`<span class="level-badge">\${[item.difficulty, item.bloomLevel].filter(Boolean).join(' · ')}</span>\`;
+    }
+
+    function escapeHtml(text) {
+      const div = document.createElement('div');
+      div.textContent = text || '';
+      return div.innerHTML;
+    }
+
+    function escapeAttribute(value) {
+      return escapeHtml(value === undefined || value === null ? '' : String(value)).replace(/"/g, '&quot;');
+    }
+
+    function selectQuizAnswer(questionIndex, optionIndex) {
+      quizAnswers[questionIndex] = optionIndex;
+      displayQuiz();
+      saveSessionState();
+    }
+
+    function toggleHint(questionIndex) {
+      const hint = document.getElementById('hint' + questionIndex);
+      hint.classList.toggle('show');
+    }
+
+    const STUDY_GUIDE_SECTIONS = [
+      { key: 'keyConcepts', title: 'Key Concepts' },
+      { key: 'definitions', title: 'Definitions' },
+      { key: 'formulas', title: 'Formulas' },
+      { key: 'pitfalls', title: 'Common Pitfalls' },
+      { key: 'workedExamples', title: 'Worked Examples' }
+    ];
+
+    async function generateStudyGuide() {
+      showLoading('Generating study guide...');
 
       try {
-        const response = await fetch('/api/generate-test', {
+        const response = await apiFetch('/api/generate-study-guide', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
             className: currentClass,
             topic: currentTopic,
+            sourceId: currentSource ? currentSource.id : null,
+            difficulty: currentDifficulty,
             sessionId,
-            count: currentQuantity
+            fresh: forceFresh,
+            setId: regenerateSetId
+          })
+        });
+        forceFresh = false;
+        regenerateSetId = null;
+
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Request failed');
+        }
+
+        currentContent = data;
+        saveSessionState();
+        saveToHistory(currentClass, currentTopic, 'studyGuide', data);
+        saveToLibrary(currentClass, currentTopic, 'studyGuide', data);
+        displayStudyGuide();
+      } catch (error) {
+        document.getElementById('contentArea').innerHTML =
+          errorHtml('Error generating study guide: ', error);
+      }
+    }
+
+    function displayStudyGuide() {
+      if (!currentContent || !currentContent.sections) return;
+
+      let html = \`
+        <div style="margin-bottom: 20px;">
+          <button class="btn btn-secondary" onclick="goToStep(2)">← Back to Modes</button>
+          <h2 style="display: inline-block; margin-left: 20px;">\${escapeHtml(currentContent.title || 'Study Guide')}</h2>
+        </div>
+        \${cacheNoticeHtml()}
+      \`;
+
+      STUDY_GUIDE_SECTIONS.forEach(({ key, title }) => {
+        const entries = currentContent.sections[key] || [];
+        if (entries.length === 0) return;
+
+        html += \`
+          <div class="guide-section">
+            <div class="guide-section-header">
+              <h3>\${title}</h3>
+              <button class="btn btn-secondary" onclick="studyGuideSectionToFlashcards('\${key}')">📚 Make Flashcards</button>
+            </div>
+            \${entries.map(entry => renderGuideEntry(key, entry)).join('')}
+          </div>
+        \`;
+      });
+
+      document.getElementById('contentArea').innerHTML = html;
+    }
+
+    function renderGuideEntry(section, entry) {
+      let body;
+      switch (section) {
+        case 'keyConcepts':
+          body = \`<strong>\${escapeHtml(entry.concept)}</strong><div>\${escapeHtml(entry.explanation)}</div>\`;
+          break;
+        case 'definitions':
+          body = \`<strong>\${escapeHtml(entry.term)}:</strong> \${escapeHtml(entry.definition)}\`;
+          break;
+        case 'formulas':
+          body = \`<strong>\${escapeHtml(entry.name)}</strong><div class="guide-formula">\${escapeHtml(entry.formula)}</div>\${entry.explanation ? \`<div>\${escapeHtml(entry.explanation)}</div>\` : ''}\`;
+          break;
+        case 'pitfalls':
+          body = \`<div>⚠️ \${escapeHtml(entry.pitfall)}</div><div class="guide-correction">✓ \${escapeHtml(entry.correction)}</div>\`;
+          break;
+        case 'workedExamples':
+          body = \`
+            <strong>\${escapeHtml(entry.problem)}</strong>
+            <ol>\${(entry.steps || []).map(step => \`<li>\${escapeHtml(step)}</li>\`).join('')}</ol>
+            <div><strong>Answer:</strong> \${escapeHtml(entry.answer)}</div>
+          \`;
+          break;
+        default:
+          body = '';
+      }
+      return \`<div class="guide-entry">\${body}\${renderSources(entry.sources)}</div>\`;
+    }
+
+    function guideEntryToFlashcard(section, entry) {
+      switch (section) {
+        case 'keyConcepts':
+          return { question: \`Explain: \${entry.concept}\`, answer: entry.explanation };
+        case 'definitions':
+          return { question: \`Define: \${entry.term}\`, answer: entry.definition };
+        case 'formulas':
+          return { question: \`What is the formula for \${entry.name}?\`, answer: [entry.formula, entry.explanation].filter(Boolean).join(' — ') };
+        case 'pitfalls':
+          return { question: \`What is wrong with this? \${entry.pitfall}\`, answer: entry.correction };
+        case 'workedExamples':
+          return {
+            question: entry.problem,
+            answer: [...(entry.steps || []).map((step, i) => \`\${i + 1}. \${step}\`), \`Answer: \${entry.answer}\`].join(' ')
+          };
+        default:
+          return null;
+      }
+    }
+
+    function studyGuideSectionToFlashcards(section) {
+      const entries = (currentContent.sections && currentContent.sections[section]) || [];
+      const flashcards = entries
+        .map(entry => {
+          const card = guideEntryToFlashcard(section, entry);
+          if (!card) return null;
+          // Flashcard text is rendered as HTML, the guide's text is plain
+          return { question: escapeHtml(card.question), answer: escapeHtml(card.answer), sources: entry.sources, difficulty: currentContent.difficulty };
+        })
+        .filter(Boolean);
+      if (flashcards.length === 0) return;
+
+      currentMode = 'flashcards';
+      currentContent = { flashcards, difficulty: currentContent.difficulty };
+      currentFlashcardIndex = 0;
+      flashcardFlipped = false;
+      saveSessionState();
+      saveToHistory(currentClass, currentTopic, 'flashcards', currentContent);
+      saveToLibrary(currentClass, currentTopic, 'flashcards', currentContent);
+      displayFlashcard();
+    }
+
+    async function generateEssay() {
+      showLoading('Writing an essay prompt...');
+
+      try {
+        const response = await apiFetch('/api/generate-essay', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            className: currentClass,
+            topic: currentTopic,
+            sourceId: currentSource ? currentSource.id : null,
+            difficulty: currentDifficulty,
+            sessionId
+          })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Request failed');
+        }
+
+        const { drafts, ...essay } = data;
+        currentContent = { ...data, draftText: '' };
+        essayViewDraft = null;
+        saveSessionState();
+        saveToHistory(currentClass, currentTopic, 'essay', essay);
+        saveToLibrary(currentClass, currentTopic, 'essay', essay);
+        displayEssay();
+      } catch (error) {
+        document.getElementById('contentArea').innerHTML =
+          errorHtml('Error generating essay prompt: ', error);
+      }
+    }
+
+    async function displayEssay() {
+      if (!currentContent || !currentContent.prompt) return;
+
+      const essay = currentContent;
+      const nextDraft = (essay.drafts ? essay.drafts.length : 0) + 1;
+
+      document.getElementById('contentArea').innerHTML = \`
+        <div style="margin-bottom: 20px;">
+          <button class="btn btn-secondary" onclick="goToStep(2)">← Back to Modes</button>
+          <h2 style="display: inline-block; margin-left: 20px;">Essay</h2>
+        </div>
+        <div class="essay-prompt">
+          <div style="font-weight: 600; margin-bottom: 6px;">\${escapeHtml(essay.prompt)}</div>
+          \${essay.guidance ? \`<div class="form-hint" style="font-size: 14px;">\${escapeHtml(essay.guidance)}</div>\` : ''}
+          <details style="margin-top: 10px;">
+            <summary>Rubric (\${essay.rubric.reduce((sum, entry) => sum + entry.points, 0)} points)</summary>
+            <ul class="essay-rubric">
+              \${essay.rubric.map(entry => \`<li>\${escapeHtml(entry.criterion)} - \${entry.points} points\${entry.keyConcepts && entry.keyConcepts.length ? \`: \${entry.keyConcepts.map(escapeHtml).join(', ')}\` : ''}</li>\`).join('')}
+            </ul>
+          </details>
+        </div>
+        <textarea id="essayText" class="essay-editor" placeholder="Write your essay here. Leave a blank line between paragraphs." oninput="onEssayInput()">\${escapeHtml(essay.draftText || '')}</textarea>
+        <div class="essay-toolbar">
+          <span id="essayWordCount"></span>
+          <button class="btn" id="essaySubmit" onclick="submitEssay()">Submit Draft \${nextDraft}</button>
+        </div>
+        <div id="essayFeedback">\${essay.drafts ? renderEssayFeedback() : '<div class="stream-status"><div class="spinner-small"></div>Loading drafts...</div>'}</div>
+      \`;
+      updateEssayWordCount();
+
+      // Essays opened from the library load their drafts from the session
+      if (!essay.drafts) {
+        try {
+          const response = await apiFetch(\`/api/essay?sessionId=\${encodeURIComponent(sessionId)}&essayId=\${encodeURIComponent(essay.id)}\`);
+          const data = await response.json();
+          currentContent = { ...essay, drafts: response.ok ? data.drafts : [] };
+        } catch (error) {
+          currentContent = { ...essay, drafts: [] };
+        }
+        saveSessionState();
+        displayEssay();
+      }
+    }
+
+    function countEssayWords(text) {
+      const words = text.trim().match(/\\S+/g);
+      return words ? words.length : 0;
+    }
+
+    function splitEssayParagraphs(text) {
+      return text.split(/\\n\\s*\\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+    }
+
+    function updateEssayWordCount() {
+      const editor = document.getElementById('essayText');
+      const label = document.getElementById('essayWordCount');
+      if (!editor || !label) return;
+
+      const count = countEssayWords(editor.value);
+      const { min, max } = currentContent.wordRange;
+      const status = count < min ? 'under' : count > max ? 'over' : 'within';
+      label.className = 'essay-word-count ' + status;
+      label.textContent = \`\${count} words (target \${min}-\${max})\`;
+    }
+
+    function onEssayInput() {
+      currentContent.draftText = document.getElementById('essayText').value;
+      updateEssayWordCount();
+      saveSessionState();
+    }
+
+    async function submitEssay() {
+      const text = document.getElementById('essayText').value;
+      if (!text.trim()) {
+        alert('Please write your essay before submitting.');
+        return;
+      }
+
+      const button = document.getElementById('essaySubmit');
+      button.disabled = true;
+      document.getElementById('essayFeedback').innerHTML =
+        '<div class="stream-status"><div class="spinner-small"></div>Grading your essay...</div>';
+
+      try {
+        const response = await apiFetch('/api/grade-essay', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            essayId: currentContent.id,
+            text,
+            sessionId
+          })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Request failed');
+        }
+
+        currentContent = { ...data, draftText: text };
+        essayViewDraft = null;
+        saveSessionState();
+        displayEssay();
+      } catch (error) {
+        button.disabled = false;
+        document.getElementById('essayFeedback').innerHTML =
+          errorHtml('Error grading essay: ', error) + renderEssayFeedback();
+      }
+    }
+
+    function viewEssayDraft(number) {
+      essayViewDraft = number;
+      document.getElementById('essayFeedback').innerHTML = renderEssayFeedback();
+    }
+
+    function renderEssayFeedback() {
+      const drafts = currentContent.drafts || [];
+      if (drafts.length === 0) return '';
+
+      const draft = drafts.find(d => d.number === essayViewDraft) || drafts[drafts.length - 1];
+      const grading = draft.grading;
+      const paragraphs = splitEssayParagraphs(draft.text);
+
+      return \`
+        \${renderDraftHistory(drafts, draft.number)}
+        <div class="test-results">
+          <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px;">
+            <h3>Draft \${draft.number} Feedback</h3>
+            <strong>\${grading.totalScore} / \${grading.totalPossible} points · \${draft.wordCount} words</strong>
+          </div>
+          \${grading.summary ? \`<div style="margin-bottom: 12px;">\${escapeHtml(grading.summary)}</div>\` : ''}
+          \${renderCriteria(grading.criteria)}
+          \${grading.suggestions.length ? \`
+            <h4 style="margin-top: 20px;">Revision Suggestions</h4>
+            <ul class="essay-suggestions">\${grading.suggestions.map(suggestion => \`<li>\${escapeHtml(suggestion)}</li>\`).join('')}</ul>
+          \` : ''}
+          <h4 style="margin-top: 20px;">Comments by Paragraph</h4>
+          \${paragraphs.map((paragraph, i) => \`
+            <div class="essay-paragraph">
+              <div class="essay-paragraph-text">\${escapeHtml(paragraph)}</div>
+              \${grading.comments.filter(c => c.paragraph === i).map(c => \`<div class="essay-comment">💬 \${escapeHtml(c.comment)}</div>\`).join('')}
+            </div>
+          \`).join('')}
+        </div>
+      \`;
+    }
+
+    function renderDraftHistory(drafts, selected) {
+      if (drafts.length < 2) return '';
+
+      const change = (value, before) => {
+        if (before === undefined || value === before) return '';
+        const diff = Math.round((value - before) * 10) / 10;
+        return \` <span class="\${diff > 0 ? 'essay-up' : 'essay-down'}">\${diff > 0 ? '+' : ''}\${diff}</span>\`;
+      };
+
+      const criteria = drafts[0].grading.criteria.map(c => c.criterion);
+
+      return \`
+        <div class="test-results" style="margin-bottom: 20px;">
+          <h3 style="margin-bottom: 12px;">Progress Across Drafts</h3>
+          <div style="overflow-x: auto;">
+            <table class="essay-history">
+              <tr>
+                <th></th>
+                \${drafts.map(d => \`<th><button class="btn \${d.number === selected ? '' : 'btn-secondary'}" onclick="viewEssayDraft(\${d.number})">Draft \${d.number}</button></th>\`).join('')}
+              </tr>
+              \${criteria.map((name, k) => \`
+                <tr>
+                  <td>\${escapeHtml(name)}</td>
+                  \${drafts.map((d, j) => \`<td>\${d.grading.criteria[k].pointsEarned}\${change(d.grading.criteria[k].pointsEarned, j > 0 ? drafts[j - 1].grading.criteria[k].pointsEarned : undefined)}</td>\`).join('')}
+                </tr>
+              \`).join('')}
+              <tr>
+                <td><strong>Total</strong></td>
+                \${drafts.map((d, j) => \`<td><strong>\${d.grading.totalScore}</strong>\${change(d.grading.totalScore, j > 0 ? drafts[j - 1].grading.totalScore : undefined)}</td>\`).join('')}
+              </tr>
+              <tr>
+                <td>Words</td>
+                \${drafts.map(d => \`<td>\${d.wordCount}</td>\`).join('')}
+              </tr>
+            </table>
+          </div>
+        </div>
+      \`;
+    }
+
+    // Study Plans
+    function localDate(date = new Date()) {
+      const pad = value => String(value).padStart(2, '0');
+      return \`\${date.getFullYear()}-\${pad(date.getMonth() + 1)}-\${pad(date.getDate())}\`;
+    }
+
+    function formatPlanDate(value) {
+      const [year, month, day] = value.split('-').map(Number);
+      return new Date(year, month - 1, day).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+    }
+
+    async function loadStudyPlans() {
+      try {
+        const response = await apiFetch(\`/api/study-plan?sessionId=\${encodeURIComponent(sessionId)}\`);
+        const data = await response.json();
+        studyPlans = data.plans || [];
+      } catch (error) {
+        console.error('Error loading study plans:', error);
+        studyPlans = [];
+      }
+      renderExplorer();
+    }
+
+    function renderExplorer() {
+      const explorer = document.getElementById('explorerContent');
+      const today = localDate();
+      const plans = studyPlans.filter(plan => plan.examDate >= today);
+
+      if (plans.length === 0) {
+        explorer.innerHTML = \`
+          <div class="library-empty">
+            No study plan yet.<br>Create one from the study mode page to see today's tasks here.
+          </div>
+        \`;
+        return;
+      }
+
+      let html = '<div class="plan-heading">Today · ' + formatPlanDate(today) + '</div>';
+
+      plans.forEach(plan => {
+        const todayPlan = plan.days.find(day => day.date === today);
+        const next = plan.days.find(day => day.date > today);
+        const planClass = plan.className.replace(/'/g, "\\'");
+
+        html += \`
+          <div class="plan-class">
+            <div class="plan-class-name" onclick="openStudyPlan('\${escapeAttribute(planClass)}')" title="Open the full plan">\${escapeHtml(plan.className)}</div>
+            <div class="plan-exam">Exam \${formatPlanDate(plan.examDate)}</div>
+        \`;
+
+        if (todayPlan) {
+          html += todayPlan.tasks.map((task, i) => planTaskHtml(plan, today, task, i)).join('');
+        } else {
+          html += \`<div class="plan-rest">Nothing planned today.\${next ? ' Next: ' + formatPlanDate(next.date) : ''}</div>\`;
+        }
+
+        html += '</div>';
+      });
+
+      explorer.innerHTML = html;
+    }
+
+    function planTaskHtml(plan, date, task, i) {
+      const planClass = plan.className.replace(/'/g, "\\'");
+      return \`
+        <div class="plan-task" onclick="startPlanTask('\${escapeAttribute(planClass)}', '\${date}', \${i})">
+          <span class="mode-icon-small">\${getModeIcon(task.mode)}</span>
+          <span style="flex: 1;">\${escapeHtml(task.topic)} <span class="plan-task-mode">\${getModeName(task.mode)}</span></span>
+          \${task.minutes ? \`<span class="plan-task-mode">\${task.minutes}m</span>\` : ''}
+        </div>
+      \`;
+    }
+
+    function startPlanTask(className, date, taskIndex) {
+      const plan = studyPlans.find(p => p.className === className);
+      const day = plan && plan.days.find(d => d.date === date);
+      const task = day && day.tasks[taskIndex];
+      if (!task) return;
+
+      currentClass = plan.className;
+      currentTopic = task.topic;
+      document.getElementById('className').value = currentClass;
+      document.getElementById('topic').value = currentTopic;
+
+      // Step 2 copies the class and topic into the mode form that selectMode reads
+      goToStep(2);
+      selectMode(task.mode);
+    }
+
+    async function openStudyPlan(className = currentClass) {
+      if (className !== currentClass) {
+        currentClass = className;
+        currentTopic = '';
+        document.getElementById('className').value = currentClass;
+        saveSessionState();
+      }
+
+      goToStep(3);
+      const plan = studyPlans.find(p => p.className.toLowerCase() === currentClass.toLowerCase());
+      const exam = plan ? plan.examDate : '';
+      const tomorrow = new Date();
+      tomorrow.setDate(tomorrow.getDate() + 1);
+
+      document.getElementById('contentArea').innerHTML = \`
+        <div style="margin-bottom: 20px;">
+          <button class="btn btn-secondary" onclick="goToStep(2)">← Back to Modes</button>
+          <h2 style="display: inline-block; margin-left: 20px;">Study Plan</h2>
+          <span style="margin-left: 12px; color: var(--text-secondary);">\${escapeHtml(currentClass)}</span>
+        </div>
+        <div class="form-group">
+          <label for="planSyllabus">Syllabus or Units</label>
+          <textarea id="planSyllabus" rows="6" placeholder="Paste your syllabus, or list one unit per line (e.g. Chapter 3: Cell membranes)">\${plan ? escapeHtml(plan.syllabus) : ''}</textarea>
+        </div>
+        <div class="form-group">
+          <label for="planExamDate">Exam Date</label>
+          <input type="date" id="planExamDate" min="\${localDate(tomorrow)}" value="\${exam}" />
+        </div>
+        <button class="btn" onclick="createStudyPlan()">\${plan ? 'Rebuild Plan' : 'Create Plan'}</button>
+        <div id="planDays" style="margin-top: 24px;">\${plan ? renderPlanDays(plan) : ''}</div>
+      \`;
+    }
+
+    async function createStudyPlan() {
+      const syllabus = document.getElementById('planSyllabus').value.trim();
+      const examDate = document.getElementById('planExamDate').value;
+      if (!syllabus || !examDate) {
+        alert('Please enter your syllabus and exam date.');
+        return;
+      }
+
+      document.getElementById('planDays').innerHTML =
+        '<div class="stream-status"><div class="spinner-small"></div>Building your study plan...</div>';
+
+      try {
+        const response = await apiFetch('/api/study-plan', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            className: currentClass,
+            syllabus,
+            examDate,
+            startDate: localDate(),
+            sessionId
+          })
+        });
+
+        const plan = await response.json();
+        if (!response.ok) {
+          throw new Error(plan.error || 'Request failed');
+        }
+
+        studyPlans = [...studyPlans.filter(p => p.className.toLowerCase() !== plan.className.toLowerCase()), plan];
+        renderExplorer();
+        document.getElementById('planDays').innerHTML = renderPlanDays(plan);
+      } catch (error) {
+        document.getElementById('planDays').innerHTML =
+          errorHtml('Error building study plan: ', error);
+      }
+    }
+
+    function renderPlanDays(plan) {
+      const today = localDate();
+
+      return plan.days.map(day => \`
+        <div class="plan-day\${day.date === today ? ' today' : ''}\${day.date < today ? ' past' : ''}">
+          <div class="plan-day-date">\${formatPlanDate(day.date)}\${day.date === today ? ' · Today' : ''}</div>
+          \${day.tasks.map((task, i) => planTaskHtml(plan, day.date, task, i)).join('')}
+        </div>
+      \`).join('') + \`<div class="plan-day exam"><div class="plan-day-date">\${formatPlanDate(plan.examDate)} · Exam</div></div>\`;
+    }
+
+    function startTutor() {
+      currentContent = { conversationId: null, title: '' };
+      tutorMessages = [];
+      saveSessionState();
+      displayTutor();
+    }
+
+    async function displayTutor() {
+      const subject = currentTopic ? \`\${currentClass}: \${currentTopic}\` : currentClass;
+      if (tutorMessages === null && !(currentContent && currentContent.conversationId)) {
+        tutorMessages = [];
+      }
+
+      document.getElementById('contentArea').innerHTML = \`
+        <div style="margin-bottom: 20px;">
+          <button class="btn btn-secondary" onclick="goToStep(2)">← Back to Modes</button>
+          <h2 style="display: inline-block; margin-left: 20px;">Tutor</h2>
+          <span style="margin-left: 12px; color: var(--text-secondary);">\${escapeHtml(subject)}</span>
+        </div>
+        <div class="tutor-chat">
+          <div class="chat-messages" id="tutorMessages">\${renderTutorMessages()}</div>
+          <div class="explain-input">
+            <textarea id="tutorInput" rows="2" placeholder="Ask a question or explain your thinking... (Enter to send, Shift+Enter for a new line)" onkeydown="if (event.key === 'Enter' && !event.shiftKey) { event.preventDefault(); sendTutorMessage(); }"></textarea>
+            <button class="btn" onclick="sendTutorMessage()">Send</button>
+          </div>
+        </div>
+      \`;
+      scrollTutorToEnd();
+
+      // Reload the conversation from the session after a refresh or from the library
+      if (tutorMessages === null && currentContent && currentContent.conversationId) {
+        try {
+          const response = await apiFetch(\`/api/tutor?sessionId=\${encodeURIComponent(sessionId)}&conversationId=\${encodeURIComponent(currentContent.conversationId)}\`);
+          const data = await response.json();
+          if (!response.ok) {
+            throw new Error(data.error || 'Request failed');
+          }
+          tutorMessages = data.messages || [];
+        } catch (error) {
+          tutorMessages = [];
+          document.getElementById('tutorMessages').innerHTML =
+            errorHtml('Error loading conversation: ', error);
+          return;
+        }
+        refreshTutorMessages();
+      }
+    }
+
+    function renderTutorMessages(pending = false) {
+      if (tutorMessages === null) {
+        return '<div class="stream-status"><div class="spinner-small"></div>Loading conversation...</div>';
+      }
+
+      const greeting = \`Hi! Let's work through \${escapeHtml(currentTopic || currentClass)} together. Tell me what you're studying or what's confusing you, and I'll help you reason it out with questions rather than just giving answers.\`;
+      let html = \`<div class="chat-message assistant">\${greeting}</div>\`;
+      html += tutorMessages.map(m => \`<div class="chat-message \${m.role}">\${escapeHtml(m.content)}</div>\`).join('');
+      if (pending) {
+        html += '<div class="stream-status"><div class="spinner-small"></div>Thinking...</div>';
+      }
+      return html;
+    }
+
+    function refreshTutorMessages(pending = false) {
+      const element = document.getElementById('tutorMessages');
+      if (!element) return;
+      element.innerHTML = renderTutorMessages(pending);
+      scrollTutorToEnd();
+    }
+
+    function scrollTutorToEnd() {
+      const element = document.getElementById('tutorMessages');
+      if (element) element.scrollTop = element.scrollHeight;
+    }
+
+    async function sendTutorMessage() {
+      const input = document.getElementById('tutorInput');
+      const message = input.value.trim();
+      if (!message || tutorSending || tutorMessages === null) return;
+
+      const history = tutorMessages;
+      tutorMessages = [...history, { role: 'user', content: message }];
+      tutorSending = true;
+      input.value = '';
+      refreshTutorMessages(true);
+
+      try {
+        const response = await apiFetch('/api/tutor', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            className: currentClass,
+            topic: currentTopic,
+            message,
+            conversationId: currentContent.conversationId || undefined,
+            sessionId
           })
         });
 
         const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Request failed');
+        }
+
+        tutorMessages = data.messages;
+
+        // The first reply creates the conversation; list it in the library from then on
+        if (!currentContent.conversationId) {
+          currentContent = { conversationId: data.conversationId, title: message.slice(0, 80) };
+          saveToLibrary(currentClass, currentTopic, 'tutor', currentContent);
+          saveSessionState();
+        }
+
+        refreshTutorMessages();
+      } catch (error) {
+        tutorMessages = history;
+        input.value = message;
+        refreshTutorMessages();
+        document.getElementById('tutorMessages')
+          .insertAdjacentHTML('beforeend', errorHtml('Error: ', error));
+      } finally {
+        tutorSending = false;
+      }
+    }
+
+    async function generateTest() {
+      showLoading('Generating test...');
+      currentContent = { questions: [] };
+      testAnswers = [];
+      resetExplainThreads();
+      isStreaming = true;
+
+      try {
+        const data = await streamContent('/api/generate-test', question => {
+          currentContent.questions.push(question);
+          testAnswers.push('');
+          if (currentContent.questions.length === 1) {
+            displayTest();
+          } else {
+            appendQuestion(renderTestQuestion(question, currentContent.questions.length - 1));
+          }
+        });
+
+        // Keep the answers already typed while the rest of the test streamed in
+        finishStreamingView();
         currentContent = data;
-        testAnswers = new Array(data.questions.length).fill('');
+        testAnswers = data.questions.map((q, i) => testAnswers[i] ?? '');
         saveSessionState();
         saveToHistory(currentClass, currentTopic, 'test', data);
         saveToLibrary(currentClass, currentTopic, 'test', data);
-        displayTest();
+        document.getElementById('submitTestBtn').disabled = false;
       } catch (error) {
+        isStreaming = false;
         document.getElementById('contentArea').innerHTML =
-          '<div class="error">Error generating test: ' + error.message + '</div>';
+          errorHtml('Error generating test: ', error);
       }
     }
 
@@ -1880,58 +4353,176 @@ const HTML_CONTENT = `
           <button class="btn btn-secondary" onclick="goToStep(2)">← Back to Modes</button>
           <h2 style="display: inline-block; margin-left: 20px;">Graded Test</h2>
         </div>
+        \${validationNoticeHtml()}
+        \${cacheNoticeHtml()}
         <div class="test-instructions">
           <strong>Instructions:</strong> Answer all questions to the best of your ability. Click "Submit Test" when finished to receive your grade and feedback.
         </div>
       \`;
 
+      html += '<div id="questionList">';
       currentContent.questions.forEach((q, i) => {
-        html += \`
-          <div class="test-question">
-            <div class="question-number">Question \${i + 1} (\${q.points || 10} points)</div>
-            <div class="question-text">\${q.question}</div>
-        \`;
+        html += renderTestQuestion(q, i);
+      });
+      html += '</div>';
+      html += streamStatusHtml('questions');
 
-        if (q.type === 'multiple_choice' && q.options) {
-          html += '<div class="options">';
-          q.options.forEach((opt, optIndex) => {
-            html += \`<div class="option" onclick="testAnswers[\${i}] = \${optIndex}; this.parentElement.querySelectorAll('.option').forEach(o => o.classList.remove('selected')); this.classList.add('selected');">\${opt}</div>\`;
-          });
-          html += '</div>';
-        } else {
-          html += \`<input type="text" class="test-input" oninput="testAnswers[\${i}] = this.value" placeholder="Enter your answer..." />\`;
+      html += \`<button class="btn" id="submitTestBtn" onclick="submitTest()" style="margin-top: 20px;" \${isStreaming ? 'disabled' : ''}>Submit Test for Grading</button>\`;
+
+      document.getElementById('contentArea').innerHTML = html;
+    }
+
+    function renderTestQuestion(q, i) {
+      let html = \`
+        <div class="test-question" id="testQuestion\${i}">
+          <div class="question-number">Question \${i + 1} (\${q.points || 10} points)\${levelBadgeHtml(q)}</div>
+      \`;
+
+      // Fill-in-the-blank questions render their inputs inside the question text
+      if (q.type !== 'fill_blank') {
+        html += \`<div class="question-text">\${q.question}</div>\`;
+      }
+
+      html += renderTestAnswerInput(q, i);
+      html += '</div>';
+      return html;
+    }
+
+    function renderTestAnswerInput(q, i) {
+      const answer = testAnswers[i];
+
+      switch (q.type) {
+        case 'multiple_choice':
+          return \`<div class="options">\${q.options.map((opt, optIndex) =>
+            \`<div class="option \${answer === optIndex ? 'selected' : ''}" onclick="setTestAnswer(\${i}, \${optIndex})">\${opt}</div>\`
+          ).join('')}</div>\`;
+
+        case 'true_false':
+          return \`<div class="options">\${[true, false].map(value =>
+            \`<div class="option \${answer === value ? 'selected' : ''}" onclick="setTestAnswer(\${i}, \${value})">\${value ? 'True' : 'False'}</div>\`
+          ).join('')}</div>\`;
+
+        case 'fill_blank': {
+          const parts = q.question.split(/_{3,}/);
+          const blanks = Array.isArray(answer) ? answer : [];
+          return \`<div class="question-text">\${parts.map((part, b) => escapeHtml(part) + (b < parts.length - 1
+            ? \`<input type="text" class="blank-input" value="\${escapeAttribute(blanks[b])}" oninput="setPartAnswer(\${i}, \${b}, this.value)" />\`
+            : '')).join('')}</div>\`;
         }
 
-        html += '</div>';
-      });
+        case 'matching': {
+          const choices = q.pairs.map(pair => pair.right).sort();
+          const matches = Array.isArray(answer) ? answer : [];
+          return \`<div class="matching">\${q.pairs.map((pair, p) => \`
+            <div class="matching-row">
+              <span>\${escapeHtml(pair.left)}</span>
+              <select onchange="setPartAnswer(\${i}, \${p}, this.value)">
+                <option value="">Choose a match...</option>
+                \${choices.map(choice => \`<option value="\${escapeAttribute(choice)}" \${matches[p] === choice ? 'selected' : ''}>\${escapeHtml(choice)}</option>\`).join('')}
+              </select>
+            </div>
+          \`).join('')}</div>\`;
+        }
 
-      html += '<button class="btn" onclick="submitTest()" style="margin-top: 20px;">Submit Test for Grading</button>';
+        case 'ordering': {
+          // The shuffled order is only shown; the question stays unanswered until an item is moved
+          const order = Array.isArray(answer) ? answer : startingOrder(q);
+          return \`<ol class="ordering">\${order.map((item, position) => \`
+            <li class="ordering-item">
+              <span>\${escapeHtml(item)}</span>
+              <span>
+                <button class="btn btn-secondary" onclick="moveOrderingItem(\${i}, \${position}, -1)" \${position === 0 ? 'disabled' : ''}>↑</button>
+                <button class="btn btn-secondary" onclick="moveOrderingItem(\${i}, \${position}, 1)" \${position === order.length - 1 ? 'disabled' : ''}>↓</button>
+              </span>
+            </li>
+          \`).join('')}</ol>\`;
+        }
 
-      document.getElementById('contentArea').innerHTML = html;
+        case 'numeric':
+          return \`
+            <div class="numeric-answer">
+              <input type="text" class="test-input" inputmode="decimal" value="\${escapeAttribute(answer)}" oninput="testAnswers[\${i}] = this.value" placeholder="Enter a number..." />
+              \${q.unit ? \`<span class="unit-label">\${escapeHtml(q.unit)}</span>\` : ''}
+            </div>
+          \`;
+
+        default:
+          return \`<input type="text" class="test-input" value="\${escapeAttribute(answer)}" oninput="testAnswers[\${i}] = this.value" placeholder="Enter your answer..." />\`;
+      }
+    }
+
+    // Ordering questions start from a random order that is never the correct one, kept per question
+    const orderingStarts = new WeakMap();
+
+    function startingOrder(question) {
+      if (!orderingStarts.has(question)) {
+        const order = [...question.items];
+        for (let k = order.length - 1; k > 0; k--) {
+          const swap = Math.floor(Math.random() * (k + 1));
+          [order[k], order[swap]] = [order[swap], order[k]];
+        }
+        if (order.length > 1 && order.every((item, k) => item === question.items[k])) order.push(order.shift());
+        orderingStarts.set(question, order);
+      }
+      return orderingStarts.get(question);
+    }
+
+    function setTestAnswer(questionIndex, value) {
+      testAnswers[questionIndex] = value;
+      refreshTestQuestion(questionIndex);
+      saveSessionState();
+    }
+
+    function setPartAnswer(questionIndex, partIndex, value) {
+      if (!Array.isArray(testAnswers[questionIndex])) testAnswers[questionIndex] = [];
+      testAnswers[questionIndex][partIndex] = value;
+      saveSessionState();
+    }
+
+    function moveOrderingItem(questionIndex, position, direction) {
+      const current = testAnswers[questionIndex];
+      const order = Array.isArray(current) ? current : [...startingOrder(currentContent.questions[questionIndex])];
+      const target = position + direction;
+      if (target < 0 || target >= order.length) return;
+
+      [order[position], order[target]] = [order[target], order[position]];
+      testAnswers[questionIndex] = order;
+      refreshTestQuestion(questionIndex);
+      saveSessionState();
+    }
+
+    function refreshTestQuestion(questionIndex) {
+      const element = document.getElementById('testQuestion' + questionIndex);
+      if (element) element.outerHTML = renderTestQuestion(currentContent.questions[questionIndex], questionIndex);
     }
 
     async function submitTest() {
       showLoading('Grading your test...');
 
       try {
-        const response = await fetch('/api/grade-test', {
+        const response = await apiFetch('/api/grade-test', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
+            setId: currentContent.setId,
             answers: testAnswers,
             sessionId
           })
         });
 
         const grading = await response.json();
+        if (!response.ok) {
+          throw new Error(grading.error || 'Request failed');
+        }
         displayTestResults(grading);
       } catch (error) {
         document.getElementById('contentArea').innerHTML =
-          '<div class="error">Error grading test: ' + error.message + '</div>';
+          errorHtml('Error grading test: ', error);
       }
     }
 
     function displayTestResults(grading) {
+      currentGrading = grading;
       const percentage = Math.round((grading.totalScore / grading.totalPossible) * 100);
 
       let html = \`
@@ -1943,22 +4534,29 @@ const HTML_CONTENT = `
           <div class="score-value">\${percentage}%</div>
           <div>\${grading.totalScore} / \${grading.totalPossible} points</div>
         </div>
+        \${levelBreakdownHtml(grading)}
         <div class="test-results">
-          <h3 style="margin-bottom: 20px;">Detailed Feedback</h3>
+          <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+            <h3>Detailed Feedback</h3>
+            \${resultLevelFilterHtml()}
+          </div>
       \`;
 
       grading.results.forEach((result, i) => {
         const question = currentContent.questions[i];
         html += \`
-          <div class="result-item">
+          <div class="result-item" data-bloom-level="\${question.bloomLevel || ''}">
             <div style="display: flex; justify-content: space-between; margin-bottom: 10px;">
-              <strong>Question \${i + 1}</strong>
+              <strong>Question \${i + 1}\${levelBadgeHtml(question)}</strong>
               <span style="color: \${result.pointsEarned === result.pointsPossible ? '#10b981' : '#f59e0b'};">
-                \${result.pointsEarned} / \${result.pointsPossible} points
+                \${result.pointsEarned} / \${result.pointsPossible} points\${result.gradedBy === 'auto' ? ' <span class="level-badge">auto-graded</span>' : ''}
               </span>
             </div>
             <div style="color: #6b7280; margin-bottom: 8px;">\${question.question}</div>
             <div style="font-size: 14px; line-height: 1.6;">\${result.feedback}</div>
+            \${renderCriteria(result.criteria)}
+            \${renderAppeal(result, i)}
+            \${result.pointsEarned < result.pointsPossible ? renderExplain(i) : ''}
           </div>
         \`;
       });
@@ -1967,6 +4565,239 @@ const HTML_CONTENT = `
 
       document.getElementById('contentArea').innerHTML = html;
     }
+
+    function renderAppeal(result, i) {
+      if (result.appeal) {
+        return \`
+          <div class="appeal-outcome">
+            <strong>Appeal reviewed:</strong> \${result.appeal.originalScore} → \${result.appeal.revisedScore} points.
+            \${escapeHtml(result.appeal.reason)}
+          </div>
+        \`;
+      }
+
+      if (result.pointsEarned >= result.pointsPossible) return '';
+
+      return \`
+        <div class="appeal" id="appeal\${i}">
+          <div class="hint-toggle" onclick="toggleAppeal(\${i})">⚖️ Appeal this grade</div>
+          <div class="appeal-form" id="appealForm\${i}">
+            <textarea id="appealText\${i}" placeholder="Explain why your answer deserves more credit..."></textarea>
+            <button class="btn" style="margin-top: 8px;" onclick="submitAppeal(\${i})">Submit Appeal</button>
+          </div>
+        </div>
+      \`;
+    }
+
+    function toggleAppeal(questionIndex) {
+      document.getElementById('appealForm' + questionIndex).classList.toggle('show');
+    }
+
+    async function submitAppeal(questionIndex) {
+      const justification = document.getElementById('appealText' + questionIndex).value.trim();
+      if (!justification) {
+        alert('Please explain why your answer deserves more credit.');
+        return;
+      }
+
+      const container = document.getElementById('appeal' + questionIndex);
+      container.innerHTML = '<div class="stream-status"><div class="spinner-small"></div>Reviewing your appeal...</div>';
+
+      try {
+        const response = await apiFetch('/api/regrade', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            setId: currentContent.setId,
+            attempt: currentGrading ? currentGrading.attempt : undefined,
+            questionIndex,
+            justification,
+            sessionId
+          })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Request failed');
+        }
+
+        displayTestResults(data);
+      } catch (error) {
+        container.innerHTML = errorHtml('Error submitting appeal: ', error);
+      }
+    }
+
+    function resetExplainThreads() {
+      explainThreads = {};
+      openExplains = new Set();
+    }
+
+    function renderExplain(i) {
+      return \`
+        <div class="explain">
+          <div class="hint-toggle" onclick="toggleExplain(\${i})">💬 Ask why</div>
+          <div class="explain-thread\${openExplains.has(i) ? ' show' : ''}" id="explain\${i}">
+            <div class="chat-messages" id="explainMessages\${i}">\${renderExplainMessages(i)}</div>
+            <div class="explain-input">
+              <input type="text" id="explainInput\${i}" placeholder="Ask about this question..." onkeydown="if (event.key === 'Enter') sendExplain(\${i})">
+              <button class="btn" onclick="sendExplain(\${i})">Send</button>
+            </div>
+          </div>
+        </div>
+      \`;
+    }
+
+    function renderExplainMessages(i) {
+      const messages = explainThreads[i];
+      if (!messages) {
+        return '<div class="stream-status"><div class="spinner-small"></div>Loading conversation...</div>';
+      }
+      if (messages.length === 0) {
+        return '<div class="explain-empty">Ask why your answer was wrong, or about anything in this question.</div>';
+      }
+      return messages.map(m => \`<div class="chat-message \${m.role}">\${escapeHtml(m.content)}</div>\`).join('');
+    }
+
+    function refreshExplainMessages(i, pending = false) {
+      const element = document.getElementById('explainMessages' + i);
+      if (!element) return;
+      element.innerHTML = renderExplainMessages(i) +
+        (pending ? '<div class="stream-status"><div class="spinner-small"></div>Thinking...</div>' : '');
+      element.scrollTop = element.scrollHeight;
+    }
+
+    async function toggleExplain(questionIndex) {
+      const thread = document.getElementById('explain' + questionIndex);
+      thread.classList.toggle('show');
+
+      if (!thread.classList.contains('show')) {
+        openExplains.delete(questionIndex);
+        return;
+      }
+
+      openExplains.add(questionIndex);
+      if (explainThreads[questionIndex]) return;
+
+      try {
+        const response = await apiFetch(\`/api/explain?sessionId=\${encodeURIComponent(sessionId)}&setId=\${encodeURIComponent(currentContent.setId || '')}&questionIndex=\${questionIndex}\`);
+        const data = await response.json();
+        explainThreads[questionIndex] = data.messages || [];
+      } catch (error) {
+        explainThreads[questionIndex] = [];
+      }
+      refreshExplainMessages(questionIndex);
+    }
+
+    async function sendExplain(questionIndex) {
+      const input = document.getElementById('explainInput' + questionIndex);
+      const message = input.value.trim();
+      if (!message) return;
+
+      const history = explainThreads[questionIndex] || [];
+      explainThreads[questionIndex] = [...history, { role: 'user', content: message }];
+      input.value = '';
+      refreshExplainMessages(questionIndex, true);
+
+      try {
+        const response = await apiFetch('/api/explain', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            setId: currentContent.setId,
+            questionIndex,
+            message,
+            // Test answers are read from the stored grading
+            studentAnswer: currentMode === 'quiz' ? quizAnswers[questionIndex] : undefined,
+            sessionId
+          })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Request failed');
+        }
+
+        explainThreads[questionIndex] = data.messages;
+        refreshExplainMessages(questionIndex);
+      } catch (error) {
+        explainThreads[questionIndex] = history;
+        input.value = message;
+        refreshExplainMessages(questionIndex);
+        document.getElementById('explainMessages' + questionIndex)
+          .insertAdjacentHTML('beforeend', errorHtml('Error: ', error));
+      }
+    }
+
+    function renderCriteria(criteria) {
+      if (!criteria || criteria.length === 0) return '';
+
+      return \`
+        <div class="rubric">
+          \${criteria.map(c => {
+            const status = c.met ? 'met' : c.pointsEarned > 0 ? 'partial' : 'missed';
+            const icon = { met: '✓', partial: '◐', missed: '✗' }[status];
+            const missing = !c.met && c.keyConcepts && c.keyConcepts.length
+              ? \`<div class="rubric-concepts">Key concepts: \${c.keyConcepts.map(escapeHtml).join(', ')}</div>\`
+              : '';
+            return \`
+              <div class="rubric-criterion \${status}">
+                <div style="display: flex; justify-content: space-between; gap: 12px;">
+                  <span>\${icon} \${escapeHtml(c.criterion)}</span>
+                  <span>\${c.pointsEarned} / \${c.pointsPossible}</span>
+                </div>
+                \${c.feedback ? \`<div class="rubric-feedback">\${escapeHtml(c.feedback)}</div>\` : ''}
+                \${missing}
+              </div>
+            \`;
+          }).join('')}
+        </div>
+      \`;
+    }
+
+    function levelBreakdownHtml(grading) {
+      const byLevel = {};
+      grading.results.forEach((result, i) => {
+        const level = currentContent.questions[i].bloomLevel;
+        if (!level) return;
+        byLevel[level] = byLevel[level] || { count: 0, earned: 0, possible: 0 };
+        byLevel[level].count++;
+        byLevel[level].earned += result.pointsEarned;
+        byLevel[level].possible += result.pointsPossible;
+      });
+
+      const levels = ['recall', 'apply', 'analyze', 'evaluate'].filter(level => byLevel[level]);
+      if (levels.length === 0) return '';
+
+      return \`
+        <h3 style="margin-bottom: 12px;">Score by Level\${currentContent.difficulty ? \` (\${currentContent.difficulty})\` : ''}</h3>
+        <table class="level-breakdown">
+          <tr><th>Cognitive level</th><th>Questions</th><th>Points</th><th>Score</th></tr>
+          \${levels.map(level => {
+            const row = byLevel[level];
+            const percent = row.possible ? Math.round((row.earned / row.possible) * 100) : 0;
+            return \`<tr><td>\${level}</td><td>\${row.count}</td><td>\${row.earned} / \${row.possible}</td><td>\${percent}%</td></tr>\`;
+          }).join('')}
+        </table>
+      \`;
+    }
+
+    function resultLevelFilterHtml() {
+      const levels = [...new Set(currentContent.questions.map(q => q.bloomLevel).filter(Boolean))];
+      if (levels.length < 2) return '';
+
+      return \`
+        <select class="level-filter" style="width: auto;" onchange="filterResultsByLevel(this.value)">
+          <option value="">All levels</option>
+          \${levels.map(level => \`<option value="\${level}" style="text-transform: capitalize;">\${level}</option>\`).join('')}
+        </select>
+      \`;
+    }
+
+    function filterResultsByLevel(level) {
+      document.querySelectorAll('.result-item').forEach(item => {
+        item.style.display = !level || item.dataset.bloomLevel === level ? '' : 'none';
+      });
+    }
   </script>
 </body>
 </html>
@@ -0,0 +1,48 @@
+/**
+ * Fixture data for the mock AI provider
+ * Items are built from these templates so every response is stable and schema-valid
+ */
+
+export const CONCEPTS = [
+  { term: 'core principle', definition: 'the foundational idea the rest of the subject builds on' },
+  { term: 'key definition', definition: 'the precise meaning of a term as used in the course' },
+  { term: 'standard method', definition: 'the step-by-step procedure used to solve typical problems' },
+  { term: 'common misconception', definition: 'an intuitive but incorrect belief students often hold' },
+  { term: 'historical context', definition: 'the circumstances in which the idea was first developed' },
+  { term: 'real-world application', definition: 'a practical situation where the idea is used' },
+  { term: 'underlying assumption', definition: 'a condition that must hold for the idea to apply' },
+  { term: 'worked example', definition: 'a fully solved problem that demonstrates the method' },
+];
+
+export const DISTRACTORS = [
+  'an unrelated fact from a different subject',
+  'the opposite of what the course teaches',
+  'a detail that is true but not relevant here',
+];
+
+// Settings that keep items distinct once every concept has been used
+export const SETTINGS = [
+  'when running laboratory experiments',
+  'when answering final exam problems',
+  'when explaining everyday situations',
+  'when tackling advanced coursework',
+  'when reviewing historical debates',
+  'when doing professional work',
+  'when connecting related fields',
+];
+
+// Misspelled class names the mock corrects, with the alternatives it suggests
+export const CLASS_CORRECTIONS = {
+  bilogy: { name: 'Biology', alternatives: ['Microbiology'] },
+  chem: { name: 'Chemistry', alternatives: ['General Chemistry', 'Organic Chemistry'] },
+  calc: { name: 'Calculus', alternatives: ['Calculus I', 'Calculus II'] },
+};
+
+// Units suggested for every class
+export const UNITS = [
+  'Foundations',
+  'Key Terms and Definitions',
+  'Core Methods',
+  'Applications',
+  'Review and Synthesis',
+];
@@ -0,0 +1,428 @@
+/**
+ * Mock Provider - Deterministic, fixture-backed responses for offline development and tests
+ * Returns the same schema-valid JSON text for the same request, with no network or model
+ *
+ * Failures can be injected to exercise retries, timeouts and the fallback model:
+ *   failMode 'error' throws a 503, 'timeout' never answers, 'invalid' returns text that is not JSON,
+ *   'unsafe' returns a normal response with text the content-safety guard must withhold
+ */
+
+import { CONCEPTS, DISTRACTORS, SETTINGS, CLASS_CORRECTIONS, UNITS } from './mock-fixtures.js';
+import { LEVELS, TEST_QUESTION_TYPES } from '../utils/constants.js';
+import { describeAnswer, expectedAnswer } from '../utils/answers.js';
+
+export class MockProvider {
+  /**
+   * @param {Object} options - { model: name, failMode: 'error'|'timeout'|'invalid'|'unsafe', failCount: calls that fail before succeeding }
+   */
+  constructor({ model = 'mock', failMode = null, failCount = Infinity } = {}) {
+    this.model = model;
+    this.failMode = failMode;
+    this.failuresLeft = failMode ? failCount : 0;
+  }
+
+  /**
+   * Return a canned completion for the operation
+   * @param {Object} request - { operation, context }
+   * @returns {Promise<Object>} { response: string }
+   */
+  async complete({ operation, context = {} }) {
+    const failure = await this._failure(operation, context);
+    return { response: failure ?? this._respond(operation, context) };
+  }
+
+  /**
+   * Stream the canned completion in small fragments, like a real model would
+   * @param {Object} request - { operation, context }
+   * @returns {AsyncGenerator<string>} Response text fragments
+   */
+  async *stream({ operation, context = {} }) {
+    const text = (await this._failure(operation, context)) ?? this._respond(operation, context);
+    for (let i = 0; i < text.length; i += 16) {
+      yield text.slice(i, i + 16);
+    }
+  }
+
+  /**
+   * Apply the injected failure, if any calls are still set to fail
+   * @param {string} operation - AIService operation name
+   * @param {Object} context - Request context
+   * @returns {Promise<string|null>} Unusable response text for 'invalid' and 'unsafe', otherwise null
+   * @throws {Error} For 'error'; never settles for 'timeout'
+   * @private
+   */
+  async _failure(operation, context) {
+    if (this.failuresLeft <= 0) return null;
+    this.failuresLeft--;
+
+    if (this.failMode === 'timeout') {
+      return new Promise(() => {});
+    }
+    if (this.failMode === 'invalid') {
+      return 'Sorry, I cannot help with that.';
+    }
+    if (this.failMode === 'unsafe') {
+      return this._respond(operation, context).replace(/":\s*"/, '": "Here are the steps to make a pipe bomb at home. ');
+    }
+    const error = new Error(`Mock model ${this.model} is unavailable (503)`);
+    error.status = 503;
+    throw error;
+  }
+
+  /**
+   * Build the response text for an operation
+   * @param {string} operation - AIService operation name
+   * @param {Object} context - Request details (count, className, topic, questions, answers, ...)
+   * @returns {string} Response text
+   * @private
+   */
+  _respond(operation, context) {
+    switch (operation) {
+      case 'validateClass':
+        return JSON.stringify(this._validateClass(context.className || ''));
+      case 'generateFlashcards':
+        return JSON.stringify({ flashcards: this._items(context, (concept, subject) => ({
+          question: `What is the ${concept.term} of ${subject}?`,
+          answer: `In ${subject}, the ${concept.term} is ${concept.definition}.`,
+        })) });
+      case 'generateQuiz':
+        return JSON.stringify({ questions: this._items(context, (concept, subject, i) => {
+          const correct = i % 4;
+          const options = [...DISTRACTORS];
+          options.splice(correct, 0, concept.definition);
+          return {
+            question: `Which best describes the ${concept.term} in ${subject}?`,
+            options: options.map((option, j) => `${'ABCD'[j]}) ${option}`),
+            correct,
+            hint: `Think about what "${concept.term}" means in general.`,
+            explanation: `The ${concept.term} is ${concept.definition}.`,
+          };
+        }) });
+      case 'generateTest': {
+        const types = context.questionTypes && context.questionTypes.length > 0 ? context.questionTypes : TEST_QUESTION_TYPES;
+        return JSON.stringify({ questions: this._items(context, (concept, subject, i) => ({
+          ...this._testQuestion(types[i % types.length], concept, subject, i),
+          points: 10,
+        })) });
+      }
+      case 'generateStudyGuide':
+        return JSON.stringify(this._studyGuide(context));
+      case 'generateEssayPrompt': {
+        const subject = context.topic ? `${context.className} (${context.topic})` : context.className;
+        return JSON.stringify({
+          prompt: `To what extent is the core principle of ${subject} still relevant today? Argue your position with evidence.`,
+          guidance: 'Take a clear position, support it with examples and address a counterargument.',
+          wordRange: { min: 400, max: 800 },
+          rubric: [
+            { criterion: 'Thesis', points: 5, keyConcepts: ['position'] },
+            { criterion: 'Evidence', points: 5, keyConcepts: ['example'] },
+            { criterion: 'Analysis', points: 5, keyConcepts: ['because'] },
+            { criterion: 'Organization', points: 5, keyConcepts: [] },
+          ],
+        });
+      }
+      case 'gradeEssay':
+        return JSON.stringify(this._gradeEssay(context));
+      case 'generateStudyPlan':
+        return JSON.stringify(this._studyPlan(context));
+      case 'gradeTest':
+        return JSON.stringify(this._grade(context.questions || [], context.answers || []));
+      case 'regradeAnswer':
+        return JSON.stringify(this._regrade(context));
+      case 'explainMistake': {
+        const { question = {}, answer } = context;
+        const expected = describeAnswer(question, expectedAnswer(question));
+        const given = describeAnswer(question, answer) || 'nothing';
+        return `The correct answer is "${expected}". You answered "${given}". You asked: "${context.message}". Compare what the question asks with what your answer says.`;
+      }
+      case 'tutorReply': {
+        const subject = context.topic ? `${context.className} (${context.topic})` : context.className;
+        const concept = CONCEPTS[(context.turn || 0) % CONCEPTS.length];
+        return `Good question. Before I answer, what do you already know about the ${concept.term} in ${subject}? How might it relate to "${context.message}"?`;
+      }
+      default:
+        throw new Error(`Mock provider has no fixture for operation: ${operation}`);
+    }
+  }
+
+  /**
+   * Accept anything with letters, correcting the misspellings in CLASS_CORRECTIONS
+   * @param {string} className - Class name as typed
+   * @returns {Object} Structured validation
+   * @private
+   */
+  _validateClass(className) {
+    if (!/[a-z]{2,}/i.test(className)) {
+      return { valid: false, reason: 'Not a recognizable subject', didYouMean: [] };
+    }
+
+    const [first, ...rest] = className.trim().split(/\s+/);
+    const correction = CLASS_CORRECTIONS[first.toLowerCase()];
+    const name = correction ? [correction.name, ...rest].join(' ') : className.trim();
+
+    return {
+      valid: true,
+      normalizedName: name,
+      subjectArea: 'General Studies',
+      level: /\b[1-9]0\d\b/.test(className) ? 'introductory undergraduate' : 'undergraduate',
+      units: UNITS.map((unit, i) => `Unit ${i + 1}: ${unit}`),
+      didYouMean: correction ? correction.alternatives : [],
+    };
+  }
+
+  /**
+   * Build a test question of the given type from a concept fixture
+   * @param {string} type - Test question type
+   * @param {Object} concept - { term, definition }
+   * @param {string} subject - Class name and topic
+   * @param {number} i - Item index
+   * @returns {Object} Question without points
+   * @private
+   */
+  _testQuestion(type, concept, subject, i) {
+    switch (type) {
+      case 'multiple_choice':
+        return {
+          question: `Which best describes the ${concept.term} in ${subject}?`,
+          type,
+          options: [concept.definition, ...DISTRACTORS],
+          correctAnswer: concept.definition,
+        };
+      case 'true_false':
+        return {
+          question: `True or false: in ${subject}, the ${concept.term} is ${i % 2 === 0 ? concept.definition : DISTRACTORS[1]}.`,
+          type,
+          correctAnswer: i % 2 === 0,
+        };
+      case 'fill_blank':
+        return {
+          question: `In ${subject}, the ___ is ${concept.definition}.`,
+          type,
+          correctAnswer: [concept.term],
+        };
+      case 'matching':
+        return {
+          question: `Match each idea in ${subject} with its description (${concept.term}).`,
+          type,
+          pairs: CONCEPTS.slice(0, 3).map(other => ({ left: other.term, right: other.definition })),
+        };
+      case 'ordering':
+        return {
+          question: `Put the steps for using the ${concept.term} of ${subject} in order.`,
+          type,
+          items: ['Identify the problem', 'Choose the method', 'Apply the method', 'Check the result'],
+        };
+      case 'numeric':
+        return {
+          question: `How many key ideas about the ${concept.term} of ${subject} does the course list?`,
+          type,
+          correctAnswer: (i % 5) + 2,
+          tolerance: 0,
+          unit: 'ideas',
+        };
+      default:
+        return {
+          question: `Explain the ${concept.term} of ${subject} in one sentence.`,
+          type: 'short_answer',
+          correctAnswer: `The ${concept.term} is ${concept.definition}.`,
+          rubric: [
+            { criterion: `Names the ${concept.term}`, points: 4, keyConcepts: [concept.term] },
+            { criterion: 'Gives an accurate definition', points: 6, keyConcepts: [concept.definition] },
+          ],
+        };
+    }
+  }
+
+  /**
+   * Build a study guide with every section filled from the concept fixtures
+   * @param {Object} context - { className, topic, noteCount }
+   * @returns {Object} { title, sections }
+   * @private
+   */
+  _studyGuide({ className = 'the subject', topic = '', noteCount = 0 }) {
+    const subject = topic ? `${className} (${topic})` : className;
+    const cite = i => (noteCount > 0 ? { sources: [`S${(i % noteCount) + 1}`] } : {});
+
+    return {
+      title: `Study Guide: ${subject}`,
+      sections: {
+        keyConcepts: CONCEPTS.slice(0, 4).map((concept, i) => ({
+          concept: `The ${concept.term} of ${subject}`,
+          explanation: `The ${concept.term} is ${concept.definition}.`,
+          ...cite(i),
+        })),
+        definitions: CONCEPTS.map((concept, i) => ({
+          term: concept.term,
+          definition: concept.definition,
+          ...cite(i),
+        })),
+        formulas: [
+          { name: `Core relationship in ${subject}`, formula: 'result = input × rate', explanation: 'Multiply the input by the rate.' },
+        ],
+        pitfalls: DISTRACTORS.slice(0, 3).map(distractor => ({
+          pitfall: `Confusing the core principle with ${distractor}.`,
+          correction: `Remember the core principle is ${CONCEPTS[0].definition}.`,
+        })),
+        workedExamples: [
+          {
+            problem: `Apply the core principle of ${subject} to a new problem.`,
+            steps: ['Identify the problem', 'Choose the method', 'Apply the method', 'Check the result'],
+            answer: 'The result follows from the core principle.',
+          },
+        ],
+      },
+    };
+  }
+
+  /**
+   * Build `count` items from the concept fixtures
+   * @param {Object} context - { count, offset, className, topic, noteCount, bloomLevels }
+   * @param {Function} build - (concept, subject, index) => item
+   * @returns {Array<Object>} Items
+   * @private
+   */
+  _items({ count = 5, offset = 0, className = 'the subject', topic = '', noteCount = 0, bloomLevels = [] }, build) {
+    const subject = topic ? `${className} (${topic})` : className;
+    const levels = bloomLevels.length > 0 ? bloomLevels : LEVELS.BLOOM;
+
+    return Array.from({ length: count }, (_, n) => {
+      const i = offset + n;
+      const concept = CONCEPTS[i % CONCEPTS.length];
+      const round = Math.floor(i / CONCEPTS.length);
+      const setting = SETTINGS[(round - 1) % SETTINGS.length];
+      const item = build(concept, round > 0 ? `${subject} ${setting}` : subject, i);
+      item.bloomLevel = levels[i % levels.length];
+      if (noteCount > 0) {
+        item.sources = [`S${(i % noteCount) + 1}`];
+      }
+      return item;
+    });
+  }
+
+  /**
+   * Plan one syllabus line per day: flashcards first, a quiz on the previous unit,
+   * and a test over everything on the last day
+   * @param {Object} context - { syllabus, dates }
+   * @returns {Object} { days }
+   * @private
+   */
+  _studyPlan({ syllabus = '', dates = [] }) {
+    const units = syllabus.split('\n').map(line => line.trim()).filter(Boolean);
+    const days = dates.map((date, i) => {
+      if (i === dates.length - 1 && i > 0) {
+        return { date, tasks: [{ topic: 'All units', mode: 'test', minutes: 60 }] };
+      }
+      const tasks = [{ topic: units[i % units.length], mode: 'flashcards', minutes: 30 }];
+      if (i > 0) tasks.push({ topic: units[(i - 1) % units.length], mode: 'quiz', minutes: 20 });
+      return { date, tasks };
+    });
+    return { days };
+  }
+
+  /**
+   * Grade an essay: a criterion earns full points when its key concepts appear,
+   * and organization is scored by paragraph count
+   * @param {Object} context - { essay, paragraphs }
+   * @returns {Object} { criteria, comments, suggestions, summary }
+   * @private
+   */
+  _gradeEssay({ essay = {}, paragraphs = [] }) {
+    const text = paragraphs.join(' ').toLowerCase();
+    const criteria = (essay.rubric || []).map(entry => {
+      const met = entry.keyConcepts.length > 0
+        ? entry.keyConcepts.every(concept => text.includes(concept.toLowerCase()))
+        : paragraphs.length >= 3;
+      return {
+        criterion: entry.criterion,
+        pointsEarned: met ? entry.points : Math.floor(entry.points / 2),
+        feedback: met ? 'Clearly addressed.' : `Needs work: ${entry.keyConcepts.join(', ') || 'use at least three paragraphs'}.`,
+      };
+    });
+
+    return {
+      criteria,
+      comments: paragraphs.map((paragraph, i) => ({
+        paragraph: i + 1,
+        comment: i === 0 ? 'Make sure your opening states your position.' : `Paragraph ${i + 1} has ${paragraph.split(/\s+/).length} words; tie it back to your thesis.`,
+      })),
+      suggestions: criteria
+        .filter(c => c.pointsEarned < (essay.rubric.find(entry => entry.criterion === c.criterion) || {}).points)
+        .map(c => `Strengthen the ${c.criterion.toLowerCase()} in your next draft.`),
+      summary: `${paragraphs.length} paragraph(s) graded.`,
+    };
+  }
+
+  /**
+   * Review an appeal: a justification that explains the answer earns half of the missing points
+   * @param {Object} context - { question, original, justification }
+   * @returns {Object} { pointsEarned, feedback, reason }
+   * @private
+   */
+  _regrade({ question = {}, original = {}, justification = '' }) {
+    const pointsPossible = question.points || 10;
+    const earned = original.pointsEarned || 0;
+    const accepted = /\bbecause\b/i.test(justification);
+    const pointsEarned = accepted ? earned + (pointsPossible - earned) / 2 : earned;
+
+    return {
+      pointsEarned,
+      feedback: original.feedback || '',
+      reason: accepted
+        ? 'The justification explains the reasoning behind the answer, so partial credit is restored.'
+        : 'The justification does not show the answer meets the expected answer, so the score stands.',
+    };
+  }
+
+  /**
+   * Grade by exact match against the correct answer, or per rubric criterion
+   * by whether the answer mentions the criterion's key concepts
+   * @param {Array<Object>} questions - Test questions
+   * @param {Array} answers - Student answers
+   * @returns {Object} { results, totalScore, totalPossible }
+   * @private
+   */
+  _grade(questions, answers) {
+    const normalize = value => String(value ?? '').trim().toLowerCase();
+
+    const results = questions.map((q, i) => {
+      const pointsPossible = q.points || 10;
+      const expected = describeAnswer(q, expectedAnswer(q));
+      const answer = describeAnswer(q, answers[i]);
+
+      if (q.rubric) {
+        const criteria = q.rubric.map(entry => {
+          const met = entry.keyConcepts.every(concept => normalize(answer).includes(normalize(concept)));
+          return {
+            criterion: entry.criterion,
+            pointsEarned: met ? entry.points : 0,
+            pointsPossible: entry.points,
+            feedback: met ? 'Covered.' : `Missing: ${entry.keyConcepts.join(', ')}`,
+          };
+        });
+        const pointsEarned = criteria.reduce((sum, c) => sum + c.pointsEarned, 0);
+        return {
+          questionIndex: i,
+          pointsEarned,
+          pointsPossible,
+          feedback: pointsEarned === pointsPossible ? 'Correct.' : `Expected: ${expected}`,
+          criteria,
+        };
+      }
+
+      const correct = normalize(answer) !== '' && normalize(answer) === normalize(expected);
+
+      return {
+        questionIndex: i,
+        pointsEarned: correct ? pointsPossible : 0,
+        pointsPossible,
+        feedback: correct ? 'Correct.' : `Expected: ${expected}`,
+      };
+    });
+
+    return {
+      results,
+      totalScore: results.reduce((sum, r) => sum + r.pointsEarned, 0),
+      totalPossible: results.reduce((sum, r) => sum + r.pointsPossible, 0),
+    };
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * OpenAI-Compatible Provider - Runs chat completions against any /v1/chat/completions endpoint
+ * Works with local servers such as Ollama, LM Studio, llama.cpp or vLLM
+ */
+
+export class OpenAICompatibleProvider {
+  /**
+   * @param {Object} config - { baseUrl, apiKey, model }
+   */
+  constructor({ baseUrl, apiKey = '', model }) {
+    if (!baseUrl || !model) {
+      throw new Error('OPENAI_BASE_URL and OPENAI_MODEL are required when AI_PROVIDER is "openai"');
+    }
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request - { messages, maxTokens, temperature }
+   * @returns {Promise<Object>} { response: string, usage: Object }
+   */
+  async complete({ messages, maxTokens, temperature }) {
+    const response = await this._post({ messages, maxTokens, temperature, stream: false });
+    const data = await response.json();
+    return { response: data.choices?.[0]?.message?.content || '', usage: data.usage };
+  }
+
+  /**
+   * Run a chat completion and stream the response text
+   * @param {Object} request - { messages, maxTokens, temperature }
+   * @returns {AsyncGenerator<string>} Response text fragments
+   */
+  async *stream({ messages, maxTokens, temperature }) {
+    const response = await this._post({ messages, maxTokens, temperature, stream: true });
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += value;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const data = line.trim().replace(/^data:\s*/, '');
+        if (!data || data === line.trim()) continue;
+        if (data === '[DONE]') return;
+
+        try {
+          const text = JSON.parse(data).choices?.[0]?.delta?.content;
+          if (text) yield text;
+        } catch (error) {
+          // Ignore keep-alive comments and partial lines
+        }
+      }
+    }
+  }
+
+  /**
+   * Send a chat completion request
+   * @param {Object} request - { messages, maxTokens, temperature, stream }
+   * @returns {Promise<Response>} Successful HTTP response
+   * @throws {Error} If the endpoint returns an error status (carried on error.status)
+   * @private
+   */
+  async _post({ messages, maxTokens, temperature, stream }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: this.model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        stream,
+      }),
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Model endpoint returned ${response.status}: ${await response.text()}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response;
+  }
+}
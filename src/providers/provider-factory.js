@@ -0,0 +1,82 @@
+/**
+ * Provider Factory - Chooses the AI provider from environment configuration
+ *
+ * Every provider implements:
+ *   complete({ operation, messages, maxTokens, temperature, context }) => Promise<{ response, usage? }>
+ *   stream({ operation, messages, maxTokens, temperature, context }) => AsyncGenerator<string>
+ */
+
+import { WorkersAIProvider } from './workers-ai-provider.js';
+import { OpenAICompatibleProvider } from './openai-compatible-provider.js';
+import { MockProvider } from './mock-provider.js';
+import { ResilientProvider } from './resilient-provider.js';
+import { AI_PROVIDERS, AI_FALLBACK_MODEL, RESILIENCE } from '../utils/constants.js';
+
+/**
+ * Create the provider named by env.AI_PROVIDER (defaults to Workers AI), wrapped with
+ * timeouts, retries and a fallback model
+ * @param {Object} env - Worker environment
+ * @returns {ResilientProvider} Provider
+ * @throws {Error} If the provider name is unknown or its configuration is missing
+ */
+export function createProvider(env) {
+  return new ResilientProvider(createModelProvider(env), createFallbackProvider(env), {
+    timeoutMs: Number(env.AI_TIMEOUT_MS) || null,
+    backoffMs: Number(env.AI_RETRY_BACKOFF_MS) || RESILIENCE.BACKOFF_MS,
+  });
+}
+
+/**
+ * Create the primary provider
+ * @param {Object} env - Worker environment
+ * @returns {WorkersAIProvider|OpenAICompatibleProvider|MockProvider} Provider
+ * @throws {Error} If the provider name is unknown or its configuration is missing
+ */
+function createModelProvider(env) {
+  const name = env.AI_PROVIDER || AI_PROVIDERS.WORKERS_AI;
+
+  switch (name) {
+    case AI_PROVIDERS.WORKERS_AI:
+      return new WorkersAIProvider(env.AI);
+    case AI_PROVIDERS.OPENAI:
+      return new OpenAICompatibleProvider({
+        baseUrl: env.OPENAI_BASE_URL,
+        apiKey: env.OPENAI_API_KEY,
+        model: env.OPENAI_MODEL,
+      });
+    case AI_PROVIDERS.MOCK:
+      return new MockProvider({
+        failMode: env.MOCK_FAIL_MODE || null,
+        failCount: env.MOCK_FAIL_COUNT ? Number(env.MOCK_FAIL_COUNT) : Infinity,
+      });
+    default:
+      throw new Error(`Unknown AI_PROVIDER "${name}". Use one of: ${Object.values(AI_PROVIDERS).join(', ')}`);
+  }
+}
+
+/**
+ * Create the provider used while the primary model keeps failing.
+ * Workers AI falls back to AI_FALLBACK_MODEL (AI_FALLBACK_MODEL = "none" disables it),
+ * OpenAI-compatible endpoints to OPENAI_FALLBACK_MODEL when set, and the mock to a
+ * second mock that never fails.
+ * @param {Object} env - Worker environment
+ * @returns {Object|null} Fallback provider, or null for none
+ */
+function createFallbackProvider(env) {
+  const name = env.AI_PROVIDER || AI_PROVIDERS.WORKERS_AI;
+
+  if (name === AI_PROVIDERS.WORKERS_AI && env.AI_FALLBACK_MODEL !== 'none') {
+    return new WorkersAIProvider(env.AI, env.AI_FALLBACK_MODEL || AI_FALLBACK_MODEL);
+  }
+  if (name === AI_PROVIDERS.OPENAI && env.OPENAI_FALLBACK_MODEL) {
+    return new OpenAICompatibleProvider({
+      baseUrl: env.OPENAI_BASE_URL,
+      apiKey: env.OPENAI_API_KEY,
+      model: env.OPENAI_FALLBACK_MODEL,
+    });
+  }
+  if (name === AI_PROVIDERS.MOCK) {
+    return new MockProvider({ model: 'mock-fallback' });
+  }
+  return null;
+}
@@ -0,0 +1,181 @@
+/**
+ * Resilient Provider - Wraps a primary and an optional fallback provider with
+ * per-operation timeouts, retries with jittered backoff and a circuit breaker
+ *
+ * While the primary keeps failing its circuit opens and calls go straight to the
+ * fallback; after a cooldown the primary is tried again.
+ */
+
+import { RESILIENCE } from '../utils/constants.js';
+import { AIError, toAIError } from '../utils/errors.js';
+
+// Circuit state per model, kept for the lifetime of the isolate: { failures, openUntil }
+const circuits = new Map();
+
+export class ResilientProvider {
+  /**
+   * @param {Object} primary - Provider for the main model
+   * @param {Object} fallback - Provider to use while the primary's circuit is open (optional)
+   * @param {Object} options - { timeoutMs: override every operation's timeout, backoffMs: first retry delay }
+   */
+  constructor(primary, fallback = null, { timeoutMs = null, backoffMs = RESILIENCE.BACKOFF_MS } = {}) {
+    this.primary = primary;
+    this.fallback = fallback;
+    this.model = primary.model;
+    this.timeoutMs = timeoutMs;
+    this.backoffMs = backoffMs;
+  }
+
+  /**
+   * Run a chat completion on the first provider that succeeds
+   * @param {Object} request - { operation, messages, maxTokens, temperature, context }
+   * @returns {Promise<Object>} { response, usage?, model }
+   * @throws {AIError} When every attempt fails
+   */
+  async complete(request) {
+    return this._withRetries(request, async provider => ({
+      ...await this._withTimeout(provider.complete(request), request.operation),
+      model: provider.model,
+    }));
+  }
+
+  /**
+   * Stream a chat completion. Failures before the first fragment are retried like
+   * complete(); once text has been sent the stream cannot be restarted, so later
+   * failures are thrown.
+   * @param {Object} request - { operation, messages, maxTokens, temperature, context }
+   * @returns {AsyncGenerator<string>} Response text fragments
+   * @throws {AIError} When the stream cannot be started or stops responding
+   */
+  async *stream(request) {
+    const { iterator, first } = await this._withRetries(request, async provider => {
+      const iterator = provider.stream(request)[Symbol.asyncIterator]();
+      try {
+        return { iterator, first: await this._withTimeout(iterator.next(), request.operation) };
+      } catch (error) {
+        iterator.return?.();
+        throw error;
+      }
+    });
+
+    let next = first;
+    try {
+      while (!next.done) {
+        yield next.value;
+        next = await this._withTimeout(iterator.next(), request.operation);
+      }
+    } catch (error) {
+      throw toAIError(error);
+    } finally {
+      if (!next.done) iterator.return?.();
+    }
+  }
+
+  /**
+   * Try the primary (unless its circuit is open) and then the fallback, retrying
+   * transient failures on each with jittered exponential backoff
+   * @param {Object} request - Provider request
+   * @param {Function} call - (provider) => Promise of the result
+   * @returns {Promise<*>} Result of the first successful call
+   * @private
+   */
+  async _withRetries(request, call) {
+    const providers = this.fallback && isOpen(this.primary.model)
+      ? [this.fallback]
+      : [this.primary, this.fallback].filter(Boolean);
+    let lastError = null;
+
+    for (const provider of providers) {
+      for (let attempt = 0; attempt <= RESILIENCE.MAX_RETRIES; attempt++) {
+        try {
+          const result = await call(provider);
+          if (provider === this.primary) recordSuccess(provider.model);
+          return result;
+        } catch (error) {
+          lastError = toAIError(error);
+          console.error(`Model Error (${provider.model}, ${request.operation}, attempt ${attempt + 1}):`, lastError.cause?.message || lastError.message);
+
+          if (!lastError.retryable) throw lastError;
+          if (provider === this.primary) {
+            recordFailure(provider.model);
+            // Stop hammering a model whose circuit just opened
+            if (this.fallback && isOpen(provider.model)) break;
+          }
+          if (attempt < RESILIENCE.MAX_RETRIES) {
+            await sleep(backoff(this.backoffMs, attempt));
+          }
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Reject with AI_TIMEOUT if the promise takes longer than the operation's timeout
+   * @param {Promise} promise - Provider call
+   * @param {string} operation - AIService operation name
+   * @returns {Promise<*>} The promise's result
+   * @private
+   */
+  _withTimeout(promise, operation) {
+    const timeoutMs = this.timeoutMs || RESILIENCE.TIMEOUT_MS[operation] || RESILIENCE.TIMEOUT_MS.default;
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new AIError('AI_TIMEOUT', undefined, { retryable: true })), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+}
+
+/**
+ * Whether a model's circuit is open (recent failures, still cooling down)
+ * @param {string} model - Model name
+ * @returns {boolean} True while calls should skip the model
+ */
+function isOpen(model) {
+  const circuit = circuits.get(model);
+  return Boolean(circuit && circuit.openUntil > Date.now());
+}
+
+/**
+ * Close a model's circuit after a successful call
+ * @param {string} model - Model name
+ */
+function recordSuccess(model) {
+  circuits.delete(model);
+}
+
+/**
+ * Count a transient failure, opening the circuit at the threshold
+ * @param {string} model - Model name
+ */
+function recordFailure(model) {
+  const circuit = circuits.get(model) || { failures: 0, openUntil: 0 };
+  circuit.failures++;
+  // A circuit that has opened before reopens on the first failure after its cooldown
+  if (circuit.failures >= RESILIENCE.FAILURE_THRESHOLD || circuit.openUntil > 0) {
+    circuit.openUntil = Date.now() + RESILIENCE.CIRCUIT_COOLDOWN_MS;
+  }
+  circuits.set(model, circuit);
+}
+
+/**
+ * Delay before a retry: exponential, capped, with random jitter so clients don't retry in step
+ * @param {number} baseMs - First retry delay
+ * @param {number} attempt - Zero-based attempt that just failed
+ * @returns {number} Milliseconds to wait
+ */
+function backoff(baseMs, attempt) {
+  const delay = Math.min(RESILIENCE.MAX_BACKOFF_MS, baseMs * 2 ** attempt);
+  return delay / 2 + Math.random() * delay / 2;
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,49 @@
+/**
+ * Workers AI Provider - Runs chat completions on the Cloudflare Workers AI binding
+ */
+
+import { AI_MODEL } from '../utils/constants.js';
+import { readTextStream } from '../utils/stream-parser.js';
+
+export class WorkersAIProvider {
+  /**
+   * @param {Object} ai - Workers AI binding (env.AI)
+   * @param {string} model - Model ID (defaults to AI_MODEL)
+   */
+  constructor(ai, model = AI_MODEL) {
+    if (!ai) {
+      throw new Error('Workers AI binding (AI) is not configured. Set AI_PROVIDER to "openai" or "mock" to run without it.');
+    }
+    this.ai = ai;
+    this.model = model;
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request - { messages, maxTokens, temperature }
+   * @returns {Promise<Object>} { response: string|Object, usage: Object } (usage when the model reports it)
+   */
+  async complete({ messages, maxTokens, temperature }) {
+    return this.ai.run(this.model, {
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+    });
+  }
+
+  /**
+   * Run a chat completion and stream the response text
+   * @param {Object} request - { messages, maxTokens, temperature }
+   * @returns {AsyncGenerator<string>} Response text fragments
+   */
+  async *stream({ messages, maxTokens, temperature }) {
+    const stream = await this.ai.run(this.model, {
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      stream: true,
+    });
+
+    yield* readTextStream(stream);
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * Account Service - Email and password accounts, each owning one study session
+ * Accounts live in one shared Durable Object keyed by email; signing in issues a
+ * token for the account's session (see utils/auth.js)
+ */
+
+import { StorageService } from './storage-service.js';
+import { hashPassword, verifyPassword, signSessionToken } from '../utils/auth.js';
+import { validateEmail, validatePassword } from '../utils/validators.js';
+import { AuthError } from '../utils/errors.js';
+import { AUTH } from '../utils/constants.js';
+
+// Hashed in place of a missing account so unknown emails take as long to reject as wrong passwords
+const UNKNOWN_ACCOUNT_HASH = `pbkdf2-sha256$${AUTH.PBKDF2_ITERATIONS}$AAAAAAAAAAAAAAAAAAAAAA$`;
+
+export class AccountService {
+  constructor(env) {
+    this.storage = new StorageService(env);
+    this.secret = env.SESSION_SECRET;
+  }
+
+  /**
+   * Create an account with a new, empty session and sign in to it
+   * @param {string} email - Email as entered
+   * @param {string} password - Password as entered
+   * @returns {Promise<Object>} { token, expiresAt, account: { id, email, sessionId } }
+   * @throws {AuthError} ACCOUNT_EXISTS if the email is taken
+   * @throws {Error} If the email or password is invalid
+   */
+  async signUp(email, password) {
+    const normalized = validateEmail(email);
+    validatePassword(password);
+
+    const account = {
+      id: `acct-${crypto.randomUUID()}`,
+      email: normalized,
+      passwordHash: await hashPassword(password),
+      sessionId: `session-${crypto.randomUUID()}`,
+      createdAt: Date.now(),
+    };
+
+    // Signed first so a server without SESSION_SECRET fails before storing anything
+    const signedIn = await this.issue({ accountId: account.id, email: account.email, sessionId: account.sessionId });
+
+    const { created } = await this.storage.createAccount(account);
+    if (!created) {
+      throw new AuthError('ACCOUNT_EXISTS');
+    }
+
+    return signedIn;
+  }
+
+  /**
+   * Sign in with email and password
+   * @param {string} email - Email as entered
+   * @param {string} password - Password as entered
+   * @returns {Promise<Object>} { token, expiresAt, account: { id, email, sessionId } }
+   * @throws {AuthError} INVALID_CREDENTIALS if the email is unknown or the password is wrong
+   */
+  async logIn(email, password) {
+    if (!email || !password || typeof email !== 'string' || typeof password !== 'string') {
+      throw new Error('Email and password are required');
+    }
+
+    const account = await this.storage.getAccount(email.trim().toLowerCase());
+    const matches = await verifyPassword(password, account ? account.passwordHash : UNKNOWN_ACCOUNT_HASH);
+    if (!account || !matches) {
+      throw new AuthError('INVALID_CREDENTIALS');
+    }
+
+    return this.issue({ accountId: account.id, email: account.email, sessionId: account.sessionId });
+  }
+
+  /**
+   * Issue a token for an account's session
+   * @param {Object} identity - { accountId, email, sessionId }
+   * @returns {Promise<Object>} { token, expiresAt, account: { id, email, sessionId } }
+   */
+  async issue({ accountId, email, sessionId }) {
+    const account = { id: accountId, email, sessionId };
+    const { token, expiresAt } = await signSessionToken(account, this.secret);
+    return { token, expiresAt, account };
+  }
+}
@@ -1,46 +1,125 @@
 /**
- * AI Service - Wrapper for Cloudflare Workers AI
+ * AI Service - Study operations on top of a pluggable AI provider
  * Provides methods for all AI-related operations
  */
 
-import { AI_MODEL, TOKEN_LIMITS, TEMPERATURE } from '../utils/constants.js';
-import { parseAIResponse } from '../utils/json-parser.js';
+import {
+  TOKEN_LIMITS,
+  TEMPERATURE,
+  GENERATION,
+  LEVELS,
+  CHAT,
+  STUDY_GUIDE_SECTIONS,
+  ESSAY,
+  STUDY_PLAN,
+  CLASS_VALIDATION,
+} from '../utils/constants.js';
+import {
+  CONTENT_SCHEMAS,
+  parseContent,
+  parseGrading,
+  parseRegrade,
+  parseStudyGuide,
+  parseEssayPrompt,
+  parseEssayGrading,
+  parseStudyPlan,
+  parseClassValidation,
+  validateItem,
+  tagLevels,
+} from '../utils/schemas.js';
+import { JsonArrayItemExtractor } from '../utils/stream-parser.js';
+import { createProvider } from '../providers/provider-factory.js';
+import { StorageService } from './storage-service.js';
+import { attachSources, excerptLabel } from '../utils/citations.js';
+import { dedupeItems, itemText, planBatches } from '../utils/dedupe.js';
+import { describeAnswer, expectedAnswer } from '../utils/answers.js';
+import { countWords, splitParagraphs } from '../utils/essays.js';
+import { dateRange, weekday, formatDate } from '../utils/dates.js';
+import { tokenUsage, estimateTokens } from '../utils/usage.js';
+import { AIError } from '../utils/errors.js';
+import { DATA_INSTRUCTION, quoted, fenced, assertSafeOutput } from '../utils/guard.js';
+
+// Generation configuration per content mode
+const GENERATION_MODES = {
+  flashcards: { operation: 'generateFlashcards', maxTokens: TOKEN_LIMITS.GENERATE_FLASHCARDS },
+  quiz: { operation: 'generateQuiz', maxTokens: TOKEN_LIMITS.GENERATE_QUIZ },
+  test: { operation: 'generateTest', maxTokens: TOKEN_LIMITS.GENERATE_TEST },
+};
+
+// Prompt wording for each difficulty and Bloom's taxonomy level
+const LEVEL_GUIDANCE = {
+  intro: 'introductory. Assume no prior knowledge, use plain language and test core facts and definitions.',
+  intermediate: 'intermediate. Assume the student has covered the basics and test connections between ideas.',
+  advanced: 'advanced, exam-level. Test subtle distinctions, multi-step reasoning and edge cases.',
+};
+
+const BLOOM_GUIDANCE = {
+  recall: 'remember facts, terms and definitions',
+  apply: 'use a concept or method in a new situation',
+  analyze: 'break an idea into parts, compare and find relationships',
+  evaluate: 'judge, justify or critique a claim or approach',
+};
+
+// Answer fields the model must return for each test question type
+const TEST_TYPE_FORMATS = {
+  multiple_choice: '"multiple_choice": "options" array of answers and "correctAnswer" with the text of the correct option',
+  short_answer: '"short_answer": "correctAnswer" with a model answer and "rubric" array of {"criterion": "...", "points": 4, "keyConcepts": ["..."]} listing what a full answer must contain; rubric points add up to the question\'s points',
+  true_false: '"true_false": a statement in "question" and "correctAnswer" true or false',
+  fill_blank: '"fill_blank": "question" with each blank written as ___ and "correctAnswer" array with one answer per blank, in order',
+  matching: '"matching": "pairs" array of {"left": "...", "right": "..."} that belong together (3-6 pairs)',
+  ordering: '"ordering": "items" array listing the steps or events in the correct order (3-6 items)',
+  numeric: '"numeric": "correctAnswer" as a number, "tolerance" as the largest accepted difference and "unit" (e.g. "m/s", or "" if unitless)',
+};
 
 export class AIService {
-  constructor(env) {
-    this.ai = env.AI;
+  /**
+   * @param {Object} env - Worker environment
+   * @param {Object} provider - Override the provider chosen from env (optional)
+   */
+  constructor(env, provider = createProvider(env)) {
+    this.provider = provider;
+    this.storage = new StorageService(env);
+    this.usageContext = null;
+  }
+
+  /**
+   * Record token usage and latency of every model call into a session's Durable Object
+   * @param {string} sessionId - Session ID
+   * @param {string} className - Class the calls are for (optional, defaults to the session's class)
+   * @returns {AIService} This service, for chaining
+   */
+  trackUsage(sessionId, className = null) {
+    this.usageContext = { sessionId, className };
+    return this;
   }
 
   /**
-   * Validate if a class name represents a valid academic subject
+   * Validate if a class name represents a valid academic subject, correcting typos
+   * and suggesting the units it usually covers
    * @param {string} className - Class name to validate
-   * @returns {Promise<Object>} { valid: boolean, message: string }
+   * @returns {Promise<Object>} { valid, message, normalizedName, subjectArea, level, units: Array<string>, suggestions: Array<string> }
    */
   async validateClass(className) {
     const messages = [
       {
         role: 'system',
-        content: 'You are a helpful educational assistant. Your task is to determine if the given text represents a valid academic subject, class, or topic that someone could study. Respond with ONLY "VALID" if it is a real academic subject, or "INVALID: [brief reason]" if it is not.',
+        content: `You are a helpful educational assistant. Decide whether the given text names an academic subject, class, or topic that someone could study. Treat misspellings and abbreviations of real subjects as valid and correct them. Return ONLY valid JSON in this format: {"valid": true, "normalizedName": "corrected, properly capitalized class name", "subjectArea": "e.g. Life Sciences", "level": "e.g. introductory undergraduate", "units": ["topics or units the class usually covers, in teaching order"], "didYouMean": ["other classes the text could mean"], "reason": "why it is not a subject, only when valid is false"}. List up to ${CLASS_VALIDATION.MAX_UNITS} units. Fill "didYouMean" only when the text is ambiguous or misspelled.`,
       },
       {
         role: 'user',
-        content: `Is "${className}" a valid academic subject or class? Respond with ONLY "VALID" or "INVALID: [reason]"`,
+        content: `Class: ${quoted(className)}\n\nReturn ONLY the JSON format specified.`,
       },
     ];
 
-    const response = await this.ai.run(AI_MODEL, {
+    const { value } = await this._completeValidated({
+      operation: 'validateClass',
       messages,
-      max_tokens: TOKEN_LIMITS.VALIDATE_CLASS,
+      maxTokens: TOKEN_LIMITS.VALIDATE_CLASS,
       temperature: TEMPERATURE.LOW,
-    });
-
-    const result = response.response.trim();
-    const isValid = result.toUpperCase().startsWith('VALID');
+      context: { className },
+    }, response => parseClassValidation(response, className), 'Failed to validate class. Please try again.');
 
-    return {
-      valid: isValid,
-      message: isValid ? 'Valid class!' : result,
-    };
+    return value;
   }
 
   /**
@@ -48,137 +127,808 @@ export class AIService {
    * @param {string} className - Class name
    * @param {string} topic - Specific topic (optional)
    * @param {number} count - Number of flashcards to generate
-   * @returns {Promise<Object>} { flashcards: Array }
+   * @param {Array<Object>} notes - Course note excerpts to draw from (optional)
+   * @param {Object} targets - { difficulty, bloomLevels } to aim for (optional)
+   * @returns {Promise<Object>} { flashcards: Array, difficulty, bloomLevels, partial: boolean, validation: Object }
    */
-  async generateFlashcards(className, topic = '', count = 10) {
+  async generateFlashcards(className, topic = '', count = 10, notes = [], targets = {}) {
+    return this._generateContent('flashcards', { className, topic, notes, targets }, count);
+  }
+
+  /**
+   * Generate multiple choice quiz
+   * @param {string} className - Class name
+   * @param {string} topic - Specific topic (optional)
+   * @param {number} count - Number of questions to generate
+   * @param {Array<Object>} notes - Course note excerpts to draw from (optional)
+   * @param {Object} targets - { difficulty, bloomLevels } to aim for (optional)
+   * @returns {Promise<Object>} { questions: Array, difficulty, bloomLevels, partial: boolean, validation: Object }
+   */
+  async generateQuiz(className, topic = '', count = 5, notes = [], targets = {}) {
+    return this._generateContent('quiz', { className, topic, notes, targets }, count);
+  }
+
+  /**
+   * Generate comprehensive test
+   * @param {string} className - Class name
+   * @param {string} topic - Specific topic (optional)
+   * @param {number} count - Number of questions to generate
+   * @param {Array<Object>} notes - Course note excerpts to draw from (optional)
+   * @param {Object} targets - { difficulty, bloomLevels, questionTypes } to aim for (optional)
+   * @returns {Promise<Object>} { questions: Array, difficulty, bloomLevels, partial: boolean, validation: Object }
+   */
+  async generateTest(className, topic = '', count = 10, notes = [], targets = {}) {
+    return this._generateContent('test', { className, topic, notes, targets }, count);
+  }
+
+  /**
+   * Generate a sectioned study guide: key concepts, definitions, formulas, common pitfalls and worked examples
+   * @param {string} className - Class name
+   * @param {string} topic - Specific topic (optional)
+   * @param {Array<Object>} notes - Course note excerpts to draw from (optional)
+   * @param {Object} targets - { difficulty } to aim for (optional)
+   * @returns {Promise<Object>} { title, sections: { [section]: Array }, difficulty, validation: Object }
+   */
+  async generateStudyGuide(className, topic = '', notes = [], targets = {}) {
+    const subject = topic ? `the class ${quoted(className)} focusing on the topic ${quoted(topic)}` : `the class ${quoted(className)}`;
+    const format = '{"title": "...", "sections": {"keyConcepts": [{"concept": "...", "explanation": "..."}], "definitions": [{"term": "...", "definition": "..."}], "formulas": [{"name": "...", "formula": "...", "explanation": "..."}], "pitfalls": [{"pitfall": "...", "correction": "..."}], "workedExamples": [{"problem": "...", "steps": ["..."], "answer": "..."}]}}';
+
     const messages = [
       {
         role: 'system',
-        content: 'You are an expert educational content creator. Generate high-quality flashcards for studying. Return ONLY valid JSON in this exact format: {"flashcards": [{"question": "...", "answer": "..."}]}',
+        content: `You are an expert educational content creator. Write concise, well-organized review sheets for students preparing for an exam. Return ONLY valid JSON in this exact format: ${format}`,
       },
       {
         role: 'user',
-        content: `Create ${count} flashcards for ${className}${topic ? ` focusing on ${topic}` : ''}. Each flashcard should have a clear question and a concise answer. Return ONLY the JSON format specified.`,
+        content: `Create a study guide for ${subject}. Include 4-8 key concepts with short explanations, 4-10 definitions of important terms, the formulas or rules students must know (an empty array if the subject has none), 3-6 common pitfalls with how to avoid them, and 2-3 worked examples with numbered steps and the final answer.${targets.difficulty ? `\n\nTarget difficulty: ${LEVEL_GUIDANCE[targets.difficulty]}` : ''}${this._notesInstruction(notes)} Return ONLY the JSON format specified.`,
       },
     ];
 
-    const response = await this.ai.run(AI_MODEL, {
+    const { value, retried } = await this._completeValidated({
+      operation: 'generateStudyGuide',
       messages,
-      max_tokens: TOKEN_LIMITS.GENERATE_FLASHCARDS,
+      maxTokens: TOKEN_LIMITS.GENERATE_STUDY_GUIDE,
       temperature: TEMPERATURE.HIGH,
+      context: { className, topic, noteCount: notes.length, difficulty: targets.difficulty },
+    }, parseStudyGuide, 'Failed to generate study guide. Please try again.');
+
+    const sections = {};
+    STUDY_GUIDE_SECTIONS.forEach(section => {
+      sections[section] = attachSources(value.sections[section], notes);
     });
 
-    try {
-      return parseAIResponse(response, { flashcards: 'array' });
-    } catch (error) {
-      console.error('JSON Parse Error:', error.message, 'Response:', response.response);
-      throw new Error('Failed to generate flashcards. Please try again.');
-    }
+    return {
+      title: value.title || (topic ? `${className}: ${topic}` : className),
+      sections,
+      difficulty: targets.difficulty,
+      validation: {
+        received: value.received,
+        valid: value.received - value.dropped,
+        repaired: value.repaired,
+        dropped: value.dropped,
+        retried,
+      },
+    };
   }
 
   /**
-   * Generate multiple choice quiz
+   * Generate an essay prompt with a grading rubric
    * @param {string} className - Class name
    * @param {string} topic - Specific topic (optional)
-   * @param {number} count - Number of questions to generate
-   * @returns {Promise<Object>} { questions: Array }
+   * @param {Array<Object>} notes - Course note excerpts to draw from (optional)
+   * @param {Object} targets - { difficulty } to aim for (optional)
+   * @returns {Promise<Object>} { prompt, guidance, rubric, wordRange, difficulty }
    */
-  async generateQuiz(className, topic = '', count = 5) {
+  async generateEssayPrompt(className, topic = '', notes = [], targets = {}) {
+    const subject = topic ? `the class ${quoted(className)} focusing on the topic ${quoted(topic)}` : `the class ${quoted(className)}`;
+
     const messages = [
       {
         role: 'system',
-        content: 'You are an expert quiz creator. Generate multiple choice questions with hints. Return ONLY valid JSON in this exact format: {"questions": [{"question": "...", "options": ["A) ...", "B) ...", "C) ...", "D) ..."], "correct": 0, "hint": "...", "explanation": "..."}]}. The "correct" field should be the index (0-3) of the correct answer.',
+        content: `You are an expert educator who writes essay assignments. Return ONLY valid JSON in this exact format: {"prompt": "...", "guidance": "what a strong answer should address", "wordRange": {"min": ${ESSAY.WORD_RANGE.min}, "max": ${ESSAY.WORD_RANGE.max}}, "rubric": [{"criterion": "...", "points": 5, "keyConcepts": ["what the grader looks for"]}]}`,
       },
       {
         role: 'user',
-        content: `Create ${count} multiple choice questions for ${className}${topic ? ` focusing on ${topic}` : ''}. Each question should have 4 options (A-D), indicate which is correct, include a helpful hint, and provide an explanation. Return ONLY the JSON format specified.`,
+        content: `Write one essay prompt for ${subject} that asks the student to build an argument or analysis rather than list facts. Give a rubric of 3-5 criteria worth ${ESSAY.POINTS} points in total, covering thesis, use of evidence, analysis, organization and writing quality as they apply.${targets.difficulty ? `\n\nTarget difficulty: ${LEVEL_GUIDANCE[targets.difficulty]}` : ''}${this._notesInstruction(notes)} Return ONLY the JSON format specified.`,
       },
     ];
 
-    const response = await this.ai.run(AI_MODEL, {
+    const { value } = await this._completeValidated({
+      operation: 'generateEssayPrompt',
       messages,
-      max_tokens: TOKEN_LIMITS.GENERATE_QUIZ,
+      maxTokens: TOKEN_LIMITS.GENERATE_ESSAY_PROMPT,
       temperature: TEMPERATURE.HIGH,
-    });
+      context: { className, topic, noteCount: notes.length, difficulty: targets.difficulty },
+    }, parseEssayPrompt, 'Failed to generate essay prompt. Please try again.');
 
-    try {
-      return parseAIResponse(response, { questions: 'array' });
-    } catch (error) {
-      console.error('JSON Parse Error:', error.message, 'Response:', response.response);
-      throw new Error('Failed to generate quiz. Please try again.');
-    }
+    return { ...value, difficulty: targets.difficulty };
   }
 
   /**
-   * Generate comprehensive test
+   * Turn a syllabus into a day-by-day study plan leading up to an exam
    * @param {string} className - Class name
-   * @param {string} topic - Specific topic (optional)
-   * @param {number} count - Number of questions to generate
-   * @returns {Promise<Object>} { questions: Array }
+   * @param {string} syllabus - Syllabus or list of units
+   * @param {Object} dates - { startDate, examDate } as YYYY-MM-DD
+   * @returns {Promise<Object>} { days: [{ date, tasks: [{ topic, mode, minutes? }] }], dropped }
    */
-  async generateTest(className, topic = '', count = 10) {
+  async generateStudyPlan(className, syllabus, { startDate, examDate }) {
+    const dates = dateRange(startDate, examDate);
+    const calendar = dates.map(date => `${date} (${weekday(date)})`).join(', ');
+
     const messages = [
       {
         role: 'system',
-        content: 'You are an expert test creator. Generate comprehensive test questions. Return ONLY valid JSON in this exact format: {"questions": [{"question": "...", "type": "short_answer", "correctAnswer": "...", "points": 10}]}. Mix of question types allowed: "multiple_choice" (with "options" array) or "short_answer".',
+        content: `You are an expert study coach who plans exam preparation. Return ONLY valid JSON in this exact format: {"days": [{"date": "YYYY-MM-DD", "tasks": [{"topic": "...", "mode": "flashcards", "minutes": 30}]}]}. "mode" must be one of: ${STUDY_PLAN.MODES.join(', ')}.`,
       },
       {
         role: 'user',
-        content: `Create ${count} test questions for ${className}${topic ? ` focusing on ${topic}` : ''}. Include a mix of multiple choice and short answer questions. Each question should have a point value and correct answer. Return ONLY the JSON format specified.`,
+        content: `Make a study plan for the class ${quoted(className)}. The exam is on ${examDate} (${weekday(examDate)}). Only use these study days: ${calendar}.\n\nSyllabus:\n"""\n${fenced(syllabus)}\n"""\n\nCover every unit in syllabus order, giving each one or two focused tasks per day. Start a unit with studyGuide or flashcards, practice it with quiz a few days later, and revisit earlier units with spaced review. Use test for mixed review of several units in the last days, and essay or tutor where the material calls for writing or discussion. Rest days are allowed. Name the units in each topic, e.g. "Chapter 4" or "Chapters 3-4". Return ONLY the JSON format specified.`,
       },
     ];
 
-    const response = await this.ai.run(AI_MODEL, {
+    const { value } = await this._completeValidated({
+      operation: 'generateStudyPlan',
+      messages,
+      maxTokens: TOKEN_LIMITS.GENERATE_STUDY_PLAN,
+      temperature: TEMPERATURE.LOW,
+      context: { className, syllabus, dates },
+    }, response => parseStudyPlan(response, dates), 'Failed to generate study plan. Please try again.');
+
+    return value;
+  }
+
+  /**
+   * Generate items in batches that fit the token limit, run in parallel.
+   * Results are validated, merged and de-duplicated; if dropped or repeated items
+   * leave a shortfall, another round asks for the rest while listing what exists.
+   * @param {string} mode - Content mode ('flashcards', 'quiz' or 'test')
+   * @param {Object} params - { className, topic, notes, targets }
+   * @param {number} count - Number of items requested
+   * @returns {Promise<Object>} { [key]: Array, difficulty, bloomLevels, partial: boolean, validation: Object }
+   * @private
+   */
+  async _generateContent(mode, params, count) {
+    const { key, label } = CONTENT_SCHEMAS[mode];
+    const items = [];
+    const validation = { requested: count, received: 0, valid: 0, repaired: 0, dropped: 0, duplicates: 0, batches: 0, failedBatches: 0, retried: false };
+    let lastError = null;
+
+    for (let round = 0; round < GENERATION.MAX_ROUNDS && items.length < count; round++) {
+      const batches = planBatches(count - items.length, GENERATION.BATCH_SIZE[mode]);
+      const existing = [...items];
+      let offset = items.length;
+
+      const results = await Promise.allSettled(batches.map((batchCount, index) => {
+        const request = this._generationRequest(mode, params, batchCount, {
+          exclude: existing,
+          part: batches.length > 1 ? { index, total: batches.length } : null,
+          offset,
+        });
+        offset += batchCount;
+
+        return this._completeValidated(
+          request,
+          response => parseContent(mode, response),
+          `Failed to generate ${label}. Please try again.`
+        );
+      }));
+
+      const before = items.length;
+      results.forEach(result => {
+        validation.batches++;
+        if (result.status === 'rejected') {
+          validation.failedBatches++;
+          lastError = result.reason;
+          return;
+        }
+
+        const { value, retried } = result.value;
+        const tagged = value.items.map(item => tagLevels(item, params.targets));
+        const unique = dedupeItems(tagged, items);
+        items.push(...unique);
+
+        validation.received += value.received;
+        validation.repaired += value.repaired;
+        validation.dropped += value.dropped;
+        validation.duplicates += tagged.length - unique.length;
+        validation.retried = validation.retried || retried;
+      });
+
+      // Stop when a round adds nothing new, asking again would only repeat it
+      if (items.length === before) break;
+    }
+
+    if (items.length === 0) {
+      throw lastError || new AIError('AI_BAD_RESPONSE', `Failed to generate ${label}. Please try again.`);
+    }
+
+    const final = items.slice(0, count);
+    validation.valid = final.length;
+
+    return {
+      [key]: attachSources(final, params.notes),
+      difficulty: params.targets.difficulty,
+      bloomLevels: params.targets.bloomLevels,
+      partial: final.length < count,
+      validation,
+    };
+  }
+
+  /**
+   * Build the provider request for one generation batch
+   * @param {string} mode - Content mode
+   * @param {Object} params - { className, topic, notes, targets }
+   * @param {number} count - Items in this batch
+   * @param {Object} batch - { exclude: Array, part: Object|null, offset: number }
+   * @returns {Object} Provider request
+   * @private
+   */
+  _generationRequest(mode, { className, topic, notes, targets = {} }, count, batch = {}) {
+    const config = GENERATION_MODES[mode];
+    const builders = {
+      flashcards: this._flashcardMessages,
+      quiz: this._quizMessages,
+      test: this._testMessages,
+    };
+
+    const messages = builders[mode].call(this, className, topic, count, notes, targets);
+    const instructions = this._levelInstruction(targets) + this._batchInstruction(batch);
+    if (instructions) {
+      const user = messages[messages.length - 1];
+      messages[messages.length - 1] = { ...user, content: user.content + instructions };
+    }
+
+    return {
+      operation: config.operation,
       messages,
-      max_tokens: TOKEN_LIMITS.GENERATE_TEST,
+      maxTokens: config.maxTokens,
       temperature: TEMPERATURE.HIGH,
-    });
+      context: {
+        className,
+        topic,
+        count,
+        noteCount: notes.length,
+        offset: batch.offset || 0,
+        difficulty: targets.difficulty,
+        bloomLevels: targets.bloomLevels || [],
+        questionTypes: targets.questionTypes || [],
+      },
+    };
+  }
+
+  /**
+   * Build the prompt section that sets difficulty and cognitive level
+   * @param {Object} targets - { difficulty, bloomLevels }
+   * @returns {string} Prompt text, or '' when no level was requested
+   * @private
+   */
+  _levelInstruction({ difficulty, bloomLevels = [] } = {}) {
+    let instruction = '';
+
+    if (difficulty) {
+      instruction += `\n\nTarget difficulty: ${LEVEL_GUIDANCE[difficulty]}`;
+    }
+
+    const allowed = bloomLevels.length > 0 ? bloomLevels : LEVELS.BLOOM;
+    if (bloomLevels.length > 0) {
+      instruction += `\n\nOnly write items at these cognitive levels (Bloom's taxonomy), spread evenly: ${allowed.map(level => `${level} (${BLOOM_GUIDANCE[level]})`).join('; ')}.`;
+    }
+    instruction += `\n\nAdd a "bloomLevel" field to every item naming its cognitive level: one of ${allowed.map(level => `"${level}"`).join(', ')}.`;
+
+    return instruction;
+  }
+
+  /**
+   * Build the prompt section that keeps parallel batches from repeating each other
+   * @param {Object} batch - { exclude: Array, part: { index, total }|null }
+   * @returns {string} Prompt text, or '' for a single batch with nothing to exclude
+   * @private
+   */
+  _batchInstruction({ exclude = [], part = null } = {}) {
+    let instruction = '';
+
+    if (part) {
+      instruction += `\n\nThis is batch ${part.index + 1} of ${part.total} generated separately. Concentrate on part ${part.index + 1} of ${part.total} of the subject so the batches cover different material.`;
+    }
+
+    if (exclude.length > 0) {
+      const listed = exclude
+        .slice(-GENERATION.MAX_EXCLUDED)
+        .map(item => `- ${itemText(item).slice(0, 150)}`)
+        .join('\n');
+      instruction += `\n\nThese items already exist. Do NOT repeat or rephrase any of them:\n${listed}`;
+    }
+
+    return instruction;
+  }
+
+  /**
+   * Run a provider completion, recording its usage. The response is safety-checked
+   * before it is returned.
+   * @param {Object} request - Provider request
+   * @returns {Promise<Object>} Provider response
+   * @throws {GuardError} UNSAFE_OUTPUT if the response fails the safety check
+   * @private
+   */
+  async _complete(request) {
+    const started = Date.now();
+    let response = null;
+    try {
+      response = await this.provider.complete(this._withDataInstruction(request));
+      assertSafeOutput(response.response);
+      return response;
+    } finally {
+      await this._recordUsage(request, tokenUsage(request, response), Date.now() - started, response === null);
+    }
+  }
+
+  /**
+   * Stream a provider completion, recording its (estimated) usage once the stream ends
+   * @param {Object} request - Provider request
+   * @returns {AsyncGenerator<string>} Response text fragments
+   * @private
+   */
+  async *_stream(request) {
+    const started = Date.now();
+    let output = '';
+    let completed = false;
+    try {
+      for await (const text of this.provider.stream(this._withDataInstruction(request))) {
+        output += text;
+        yield text;
+      }
+      completed = true;
+    } finally {
+      const usage = tokenUsage(request, null);
+      await this._recordUsage(request, { ...usage, outputTokens: estimateTokens(output) }, Date.now() - started, !completed && !output);
+    }
+  }
+
+  /**
+   * Tell the model that quoted student text is data, not instructions
+   * @param {Object} request - Provider request
+   * @returns {Object} Request with DATA_INSTRUCTION added to its system message
+   * @private
+   */
+  _withDataInstruction(request) {
+    const [first, ...rest] = request.messages;
+    const messages = first && first.role === 'system'
+      ? [{ ...first, content: `${first.content}\n\n${DATA_INSTRUCTION}` }, ...rest]
+      : [{ role: 'system', content: DATA_INSTRUCTION }, ...request.messages];
+    return { ...request, messages };
+  }
+
+  /**
+   * Add a model call to the tracked session's usage; failures are logged, never thrown
+   * @param {Object} request - Provider request
+   * @param {Object} usage - { inputTokens, outputTokens, estimated }
+   * @param {number} latencyMs - Time the call took
+   * @param {boolean} failed - Whether the call errored
+   * @private
+   */
+  async _recordUsage(request, usage, latencyMs, failed) {
+    if (!this.usageContext) return;
 
     try {
-      return parseAIResponse(response, { questions: 'array' });
+      await this.storage.recordUsage(this.usageContext.sessionId, {
+        day: formatDate(new Date()),
+        operation: request.operation,
+        className: this.usageContext.className,
+        ...usage,
+        latencyMs,
+        maxTokens: request.maxTokens,
+        error: failed,
+      });
     } catch (error) {
-      console.error('JSON Parse Error:', error.message, 'Response:', response.response);
-      throw new Error('Failed to generate test. Please try again.');
+      console.error('Usage Error:', error.message);
     }
   }
 
   /**
-   * Grade a submitted test
+   * Complete a request and parse it, re-prompting once with the errors if parsing fails
+   * @param {Object} request - Provider request
+   * @param {Function} parse - (response) => value; throws when the response is unusable
+   * @param {string} failureMessage - Error message if the retry also fails
+   * @returns {Promise<Object>} { value: *, retried: boolean }
+   * @private
+   */
+  async _completeValidated(request, parse, failureMessage) {
+    const response = await this._complete(request);
+
+    try {
+      return { value: parse(response), retried: false };
+    } catch (error) {
+      console.error('Validation Error:', error.message, 'Response:', response.response);
+
+      const problems = [error.message, ...(error.validationErrors || [])].slice(0, 10);
+      const previous = typeof response.response === 'string'
+        ? response.response
+        : JSON.stringify(response.response);
+
+      const retryResponse = await this._complete({
+        ...request,
+        messages: [
+          ...request.messages,
+          { role: 'assistant', content: previous.slice(0, 4000) },
+          {
+            role: 'user',
+            content: `Your previous response was not valid:\n- ${problems.join('\n- ')}\n\nFix these problems and return ONLY the corrected JSON in the exact format specified.`,
+          },
+        ],
+        context: { ...request.context, retry: true },
+      });
+
+      try {
+        return { value: parse(retryResponse), retried: true };
+      } catch (retryError) {
+        console.error('Validation Error after retry:', retryError.message, 'Response:', retryResponse.response);
+        throw new AIError('AI_BAD_RESPONSE', failureMessage);
+      }
+    }
+  }
+
+  /**
+   * Build the prompt section that grounds generation in course notes
+   * @param {Array<Object>} notes - Course note excerpts: [{ sourceId, chunkIndex, text }]
+   * @returns {string} Prompt text, or '' when there are no notes
+   * @private
+   */
+  _notesInstruction(notes) {
+    if (!notes || notes.length === 0) return '';
+
+    const excerpts = notes.map((note, i) => `[${excerptLabel(i)}]\n${fenced(note.text)}`).join('\n\n');
+    return `\n\nBase every item strictly on the following course notes. Do not introduce facts the notes do not cover. Add a "sources" array to every item listing the labels of the excerpts it is based on, e.g. "sources": ["${excerptLabel(0)}"].\n\n"""\n${excerpts}\n"""\n\n`;
+  }
+
+  /**
+   * Build the chat messages for flashcard generation
+   * @param {string} className - Class name
+   * @param {string} topic - Specific topic (optional)
+   * @param {number} count - Number of items to generate
+   * @param {Array<Object>} notes - Course note excerpts to draw from (optional)
+   * @returns {Array} Chat messages
+   * @private
+   */
+  _flashcardMessages(className, topic, count, notes = []) {
+    return [
+      {
+        role: 'system',
+        content: 'You are an expert educational content creator. Generate high-quality flashcards for studying. Return ONLY valid JSON in this exact format: {"flashcards": [{"question": "...", "answer": "..."}]}',
+      },
+      {
+        role: 'user',
+        content: `Create ${count} flashcards for the class ${quoted(className)}${topic ? ` focusing on the topic ${quoted(topic)}` : ''}. Each flashcard should have a clear question and a concise answer.${this._notesInstruction(notes)} Return ONLY the JSON format specified.`,
+      },
+    ];
+  }
+
+  /**
+   * Build the chat messages for quiz generation
+   * @param {string} className - Class name
+   * @param {string} topic - Specific topic (optional)
+   * @param {number} count - Number of items to generate
+   * @param {Array<Object>} notes - Course note excerpts to draw from (optional)
+   * @returns {Array} Chat messages
+   * @private
+   */
+  _quizMessages(className, topic, count, notes = []) {
+    return [
+      {
+        role: 'system',
+        content: 'You are an expert quiz creator. Generate multiple choice questions with hints. Return ONLY valid JSON in this exact format: {"questions": [{"question": "...", "options": ["A) ...", "B) ...", "C) ...", "D) ..."], "correct": 0, "hint": "...", "explanation": "..."}]}. The "correct" field should be the index (0-3) of the correct answer.',
+      },
+      {
+        role: 'user',
+        content: `Create ${count} multiple choice questions for the class ${quoted(className)}${topic ? ` focusing on the topic ${quoted(topic)}` : ''}. Each question should have 4 options (A-D), indicate which is correct, include a helpful hint, and provide an explanation.${this._notesInstruction(notes)} Return ONLY the JSON format specified.`,
+      },
+    ];
+  }
+
+  /**
+   * Build the chat messages for test generation
+   * @param {string} className - Class name
+   * @param {string} topic - Specific topic (optional)
+   * @param {number} count - Number of items to generate
+   * @param {Array<Object>} notes - Course note excerpts to draw from (optional)
+   * @param {Object} targets - { questionTypes } to mix (optional, all types when empty)
+   * @returns {Array} Chat messages
+   * @private
+   */
+  _testMessages(className, topic, count, notes = [], targets = {}) {
+    const types = targets.questionTypes && targets.questionTypes.length > 0
+      ? targets.questionTypes
+      : Object.keys(TEST_TYPE_FORMATS);
+
+    return [
+      {
+        role: 'system',
+        content: `You are an expert test creator. Generate comprehensive test questions. Return ONLY valid JSON in this exact format: {"questions": [{"question": "...", "type": "...", "points": 10, ...}]}. Each question has the fields for its type:\n${types.map(type => `- ${TEST_TYPE_FORMATS[type]}`).join('\n')}`,
+      },
+      {
+        role: 'user',
+        content: `Create ${count} test questions for the class ${quoted(className)}${topic ? ` focusing on the topic ${quoted(topic)}` : ''}. Use a mix of these question types: ${types.join(', ')}. Choose the types that suit each concept best. Each question should have a point value and correct answer.${this._notesInstruction(notes)} Return ONLY the JSON format specified.`,
+      },
+    ];
+  }
+
+  /**
+   * Stream generated items one at a time as the model produces them.
+   * Large counts are generated batch by batch, each told which items already exist.
+   * @param {string} mode - Content mode ('flashcards', 'quiz' or 'test')
+   * @param {string} className - Class name
+   * @param {string} topic - Specific topic (optional)
+   * @param {number} count - Number of items to generate
+   * @param {Array<Object>} notes - Course note excerpts to draw from (optional)
+   * @param {Object} targets - { difficulty, bloomLevels, questionTypes } to aim for (optional)
+   * @param {Object} stats - Updated with { received, repaired, dropped, duplicates } as items are parsed (optional)
+   * @returns {AsyncGenerator<Object>} Completed, schema-valid flashcards or questions
+   * @throws {GuardError} UNSAFE_OUTPUT if an item fails the safety check
+   */
+  async *streamItems(mode, className, topic = '', count = 10, notes = [], targets = {}, stats = {}) {
+    if (!GENERATION_MODES[mode]) {
+      throw new Error(`Unsupported mode: ${mode}`);
+    }
+
+    const { key } = CONTENT_SCHEMAS[mode];
+    const batchSize = GENERATION.BATCH_SIZE[mode];
+    const maxBatches = planBatches(count, batchSize).length + GENERATION.MAX_ROUNDS - 1;
+    const produced = [];
+
+    stats.received = 0;
+    stats.repaired = 0;
+    stats.dropped = 0;
+    stats.duplicates = 0;
+
+    for (let batch = 0; batch < maxBatches && produced.length < count; batch++) {
+      const request = this._generationRequest(mode, { className, topic, notes, targets }, Math.min(batchSize, count - produced.length), {
+        exclude: produced,
+        offset: produced.length,
+      });
+      const before = produced.length;
+
+      const extractor = new JsonArrayItemExtractor(key);
+      for await (const text of this._stream(request)) {
+        for (const item of extractor.push(text)) {
+          stats.received++;
+
+          // Drop items that fail the schema instead of sending them to the UI
+          const { item: validated, repaired } = validateItem(mode, item);
+          if (!validated) {
+            stats.dropped++;
+            continue;
+          }
+          if (repaired) stats.repaired++;
+
+          // Streamed text is only screened item by item, so check each one before it is sent
+          assertSafeOutput(validated);
+          const valid = tagLevels(validated, targets);
+
+          if (dedupeItems([valid], produced).length === 0 || produced.length >= count) {
+            stats.duplicates++;
+            continue;
+          }
+          produced.push(valid);
+
+          const [cited] = attachSources([valid], notes);
+          yield cited;
+        }
+      }
+
+      if (produced.length === before) break;
+    }
+  }
+
+  /**
+   * Grade test answers with the model. Used for open-ended answers; objective
+   * question types are graded in code by the grade-test handler.
    * @param {Array} questions - Original test questions
    * @param {Array} answers - Student answers
    * @returns {Promise<Object>} { results: Array, totalScore: number, totalPossible: number }
    */
   async gradeTest(questions, answers) {
-    // Build grading prompt
-    const questionsAndAnswers = questions.map((q, i) => ({
+    // Build grading prompt; student answers are quoted apart from the answer key
+    const answerKey = questions.map((q, i) => ({
+      questionIndex: i,
       question: q.question,
-      correctAnswer: q.correctAnswer,
-      studentAnswer: answers[i],
+      type: q.type,
+      correctAnswer: describeAnswer(q, expectedAnswer(q)),
+      ...(q.type === 'numeric' ? { tolerance: q.tolerance } : {}),
+      ...(q.rubric ? { rubric: q.rubric } : {}),
       points: q.points || 10,
     }));
+    const studentAnswers = questions.map((q, i) => `${i}: ${quoted(describeAnswer(q, answers[i]))}`).join('\n');
 
     const messages = [
       {
         role: 'system',
-        content: 'You are an expert grader. Grade each answer and provide feedback. Return ONLY valid JSON in this format: {"results": [{"questionIndex": 0, "pointsEarned": 10, "pointsPossible": 10, "feedback": "..."}], "totalScore": 100, "totalPossible": 100}',
+        content: 'You are an expert grader. Grade each answer and provide feedback. When a question has a "rubric", score every criterion in rubric order, giving partial credit where a criterion is partly met, and say in its feedback which key concepts were present or missing. Return ONLY valid JSON in this format: {"results": [{"questionIndex": 0, "pointsEarned": 10, "pointsPossible": 10, "feedback": "...", "criteria": [{"criterion": "...", "pointsEarned": 4, "pointsPossible": 4, "feedback": "..."}]}], "totalScore": 100, "totalPossible": 100}',
       },
       {
         role: 'user',
-        content: `Grade these test answers:\n\n${JSON.stringify(questionsAndAnswers, null, 2)}\n\nProvide fair grading with constructive feedback. Return ONLY the JSON format specified.`,
+        content: `Grade these test answers.\n\nQuestions:\n${JSON.stringify(answerKey, null, 2)}\n\nStudent answers by questionIndex:\n${studentAnswers}\n\nProvide fair grading with constructive feedback. Give numeric answers full credit when they are within the tolerance. Give fill_blank, matching and ordering answers partial credit for each part that is correct. Return ONLY the JSON format specified.`,
       },
     ];
 
-    const response = await this.ai.run(AI_MODEL, {
+    const { value } = await this._completeValidated({
+      operation: 'gradeTest',
       messages,
-      max_tokens: TOKEN_LIMITS.GRADE_TEST,
+      maxTokens: TOKEN_LIMITS.GRADE_TEST,
       temperature: TEMPERATURE.LOW,
+      context: { questions, answers },
+    }, response => parseGrading(response, questions), 'Failed to grade test. Please try again.');
+
+    return value;
+  }
+
+  /**
+   * Review an appealed answer against the question and its earlier grading
+   * @param {Object} question - Stored test question
+   * @param {*} answer - Student answer
+   * @param {Object} original - Earlier grading result for the question
+   * @param {string} justification - Student's reason for the appeal
+   * @returns {Promise<Object>} { pointsEarned, pointsPossible, feedback, reason, criteria? }
+   */
+  async regradeAnswer(question, answer, original, justification) {
+    const appeal = {
+      question: question.question,
+      type: question.type,
+      correctAnswer: describeAnswer(question, expectedAnswer(question)),
+      ...(question.type === 'numeric' ? { tolerance: question.tolerance } : {}),
+      ...(question.rubric ? { rubric: question.rubric } : {}),
+      points: question.points || 10,
+      studentAnswer: describeAnswer(question, answer),
+      originalGrading: {
+        pointsEarned: original.pointsEarned,
+        feedback: original.feedback,
+        ...(original.criteria ? { criteria: original.criteria } : {}),
+      },
+      studentJustification: justification,
+    };
+
+    const messages = [
+      {
+        role: 'system',
+        content: 'You are a fair senior grader reviewing a student\'s appeal of one graded answer. Re-evaluate the answer on its merits. The justification may point out a grading mistake or a flaw in the answer key; raise the score only when it is right, and never award points just for arguing. Return ONLY valid JSON in this format: {"pointsEarned": 7, "feedback": "...", "reason": "why the score changed or stayed the same", "criteria": [{"criterion": "...", "pointsEarned": 4, "feedback": "..."}]}. Include "criteria" only when the question has a rubric.',
+      },
+      {
+        role: 'user',
+        content: `Review this appeal:\n\n${JSON.stringify(appeal, null, 2)}\n\nReturn ONLY the JSON format specified.`,
+      },
+    ];
+
+    const { value } = await this._completeValidated({
+      operation: 'regradeAnswer',
+      messages,
+      maxTokens: TOKEN_LIMITS.REGRADE_ANSWER,
+      temperature: TEMPERATURE.LOW,
+      context: { question, answer, original, justification },
+    }, response => parseRegrade(response, question), 'Failed to review the appeal. Please try again.');
+
+    return value;
+  }
+
+  /**
+   * Answer a follow-up question about one quiz or test question the student got wrong
+   * @param {Object} question - Stored quiz or test question
+   * @param {*} answer - Student answer
+   * @param {Array<Object>} history - Earlier turns: [{ role: 'user'|'assistant', content }]
+   * @param {string} message - Student's new message
+   * @param {string} feedback - Grading feedback already shown to the student (optional)
+   * @returns {Promise<string>} Tutor reply
+   */
+  async explainMistake(question, answer, history, message, feedback = '') {
+    const details = {
+      question: question.question,
+      ...(question.options ? { options: question.options } : {}),
+      correctAnswer: describeAnswer(question, expectedAnswer(question)),
+      studentAnswer: describeAnswer(question, answer) || '(no answer)',
+      ...(question.explanation ? { explanation: question.explanation } : {}),
+      ...(feedback ? { gradingFeedback: feedback } : {}),
+    };
+
+    const messages = [
+      {
+        role: 'system',
+        content: `You are a patient tutor helping a student understand a question they got wrong. Explain why the correct answer is right and where the student's reasoning went wrong, and answer their follow-up questions about this question. Keep replies to a few short paragraphs.\n\nQuestion details:\n${JSON.stringify(details, null, 2)}`,
+      },
+      ...history.slice(-CHAT.HISTORY_MESSAGES),
+      { role: 'user', content: message },
+    ];
+
+    const response = await this._complete({
+      operation: 'explainMistake',
+      messages,
+      maxTokens: TOKEN_LIMITS.CHAT_REPLY,
+      temperature: TEMPERATURE.LOW,
+      context: { question, answer, message },
     });
 
-    try {
-      return parseAIResponse(response, { results: 'array' });
-    } catch (error) {
-      console.error('JSON Parse Error:', error.message, 'Response:', response.response);
-      throw new Error('Failed to grade test. Please try again.');
+    const reply = String(response.response ?? '').trim();
+    if (!reply) {
+      throw new AIError('AI_BAD_RESPONSE', 'Failed to answer your question. Please try again.');
+    }
+    return reply;
+  }
+
+  /**
+   * Continue a Socratic tutoring conversation about a class and topic
+   * @param {string} className - Class name
+   * @param {string} topic - Topic (optional)
+   * @param {Array<Object>} history - Earlier turns: [{ role: 'user'|'assistant', content }]
+   * @param {string} message - Student's new message
+   * @returns {Promise<string>} Tutor reply
+   */
+  async tutorReply(className, topic, history, message) {
+    const subject = topic ? `the class ${quoted(className)}, focusing on the topic ${quoted(topic)}` : `the class ${quoted(className)}`;
+
+    const messages = [
+      {
+        role: 'system',
+        content: `You are a Socratic tutor for ${subject}. Help the student reason their way to understanding instead of handing out answers: ask one guiding question at a time, build on what they already said, and point out gaps in their reasoning with a question or a hint. Confirm when they get something right, and only give a direct explanation after they have made a real attempt or are clearly stuck. Keep replies short and conversational. If the student drifts away from the class, steer them back.`,
+      },
+      ...history.slice(-CHAT.HISTORY_MESSAGES),
+      { role: 'user', content: message },
+    ];
+
+    const response = await this._complete({
+      operation: 'tutorReply',
+      messages,
+      maxTokens: TOKEN_LIMITS.CHAT_REPLY,
+      temperature: TEMPERATURE.HIGH,
+      context: { className, topic, message, turn: history.length / 2 },
+    });
+
+    const reply = String(response.response ?? '').trim();
+    if (!reply) {
+      throw new AIError('AI_BAD_RESPONSE', 'The tutor did not reply. Please try again.');
     }
+    return reply;
+  }
+
+  /**
+   * Grade an essay draft against its rubric, with comments per paragraph and revision suggestions
+   * @param {Object} essay - { prompt, guidance, rubric, wordRange }
+   * @param {string} text - Draft text
+   * @param {Object} previous - Grading of the previous draft, to comment on the revision (optional)
+   * @returns {Promise<Object>} { criteria, totalScore, totalPossible, comments, suggestions, summary }
+   */
+  async gradeEssay(essay, text, previous = null) {
+    const paragraphs = splitParagraphs(text);
+    const numbered = paragraphs.map((paragraph, i) => `[P${i + 1}] ${paragraph}`).join('\n\n');
+
+    const assignment = {
+      prompt: essay.prompt,
+      ...(essay.guidance ? { guidance: essay.guidance } : {}),
+      wordRange: essay.wordRange,
+      wordCount: countWords(text),
+      rubric: essay.rubric,
+      ...(previous ? {
+        previousDraft: {
+          totalScore: previous.totalScore,
+          criteria: previous.criteria.map(c => ({ criterion: c.criterion, pointsEarned: c.pointsEarned })),
+        },
+      } : {}),
+    };
+
+    const messages = [
+      {
+        role: 'system',
+        content: 'You are an experienced writing instructor grading a student essay. Score every rubric criterion with specific feedback, comment on individual paragraphs by their [P#] label, and suggest concrete revisions. If a previous draft is given, say what improved or regressed. Return ONLY valid JSON in this format: {"criteria": [{"criterion": "...", "pointsEarned": 4, "feedback": "..."}], "comments": [{"paragraph": 1, "comment": "..."}], "suggestions": ["..."], "summary": "..."}',
+      },
+      {
+        role: 'user',
+        content: `Grade this essay.\n\nAssignment:\n${JSON.stringify(assignment, null, 2)}\n\nEssay:\n"""\n${fenced(numbered)}\n"""\n\nReturn ONLY the JSON format specified.`,
+      },
+    ];
+
+    const { value } = await this._completeValidated({
+      operation: 'gradeEssay',
+      messages,
+      maxTokens: TOKEN_LIMITS.GRADE_ESSAY,
+      temperature: TEMPERATURE.LOW,
+      context: { essay, paragraphs, previous },
+    }, response => parseEssayGrading(response, essay, paragraphs.length), 'Failed to grade essay. Please try again.');
+
+    return value;
   }
 }
\ No newline at end of file
@@ -0,0 +1,117 @@
+/**
+ * Cache Service - Reuse generated sets for identical requests
+ * Entries are keyed on the operation, its prompt version and the normalized request
+ * parameters, and live in one shared Durable Object so every session benefits
+ */
+
+import { StorageService } from './storage-service.js';
+import { CACHE } from '../utils/constants.js';
+
+export class CacheService {
+  constructor(env) {
+    this.storage = new StorageService(env);
+    const ttl = Number(env.CACHE_TTL_SECONDS ?? CACHE.TTL_SECONDS);
+    this.ttlSeconds = Number.isFinite(ttl) && ttl > 0 ? ttl : 0;
+  }
+
+  /**
+   * Build the cache key for a request
+   * @param {string} operation - Operation name (a key of CACHE.PROMPT_VERSIONS)
+   * @param {Object} params - Request parameters that shape the output
+   * @returns {Promise<string>} Hex SHA-256 of the normalized request
+   */
+  async key(operation, params) {
+    const version = CACHE.PROMPT_VERSIONS[operation] || 0;
+    const data = new TextEncoder().encode(JSON.stringify([operation, version, normalize(params)]));
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Look up a cached response
+   * @param {string} operation - Operation name
+   * @param {Object} params - Request parameters
+   * @returns {Promise<Object|null>} { value, cachedAt, expiresAt } or null on a miss
+   */
+  async get(operation, params) {
+    if (!this.ttlSeconds) return null;
+    return this.storage.getCachedResponse(await this.key(operation, params));
+  }
+
+  /**
+   * Store a response for the configured TTL
+   * @param {string} operation - Operation name
+   * @param {Object} params - Request parameters
+   * @param {Object} value - Response to cache
+   * @returns {Promise<Object|null>} The stored entry, or null when caching is disabled
+   */
+  async set(operation, params, value) {
+    if (!this.ttlSeconds) return null;
+
+    const cachedAt = Date.now();
+    const entry = { value, cachedAt, expiresAt: cachedAt + this.ttlSeconds * 1000 };
+    await this.storage.saveCachedResponse(await this.key(operation, params), entry);
+    return entry;
+  }
+
+  /**
+   * Return the cached response unless a fresh one is forced, generating and caching on a miss.
+   * Partial sets are returned but not cached.
+   * @param {string} operation - Operation name
+   * @param {Object} params - Request parameters
+   * @param {boolean} fresh - Skip the lookup and regenerate
+   * @param {Function} generate - Async function producing the response
+   * @returns {Promise<Object>} { value, cache: { hit, cachedAt, expiresAt } }
+   */
+  async getOrGenerate(operation, params, fresh, generate) {
+    if (!fresh) {
+      const entry = await this.get(operation, params);
+      if (entry) {
+        return { value: entry.value, cache: cacheReport(true, entry) };
+      }
+    }
+
+    const value = await generate();
+    const entry = value.partial ? null : await this.set(operation, params, value);
+    return { value, cache: cacheReport(false, entry) };
+  }
+}
+
+/**
+ * Describe a cache lookup for the response
+ * @param {boolean} hit - Whether the value came from the cache
+ * @param {Object|null} entry - Cache entry, if any
+ * @returns {Object} { hit, cachedAt, expiresAt }
+ */
+export function cacheReport(hit, entry) {
+  return {
+    hit,
+    cachedAt: entry ? new Date(entry.cachedAt).toISOString() : null,
+    expiresAt: entry ? new Date(entry.expiresAt).toISOString() : null,
+  };
+}
+
+/**
+ * Normalize parameters so equivalent requests share a key: strings are trimmed,
+ * lowercased and whitespace-collapsed, arrays sorted, empty values dropped
+ * @param {*} value - Parameter value
+ * @returns {*} Normalized value
+ */
+function normalize(value) {
+  if (typeof value === 'string') {
+    return value.trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalize).sort();
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((result, key) => {
+      const normalized = normalize(value[key]);
+      if (normalized !== '' && normalized !== null && normalized !== undefined) {
+        result[key] = normalized;
+      }
+      return result;
+    }, {});
+  }
+  return value;
+}
@@ -0,0 +1,106 @@
+/**
+ * Embedders - Turn text into vectors for course notes retrieval
+ * Every embedder implements: embed(texts: Array<string>) => Promise<Array<Array<number>>>
+ */
+
+import { EMBEDDING_MODEL, RETRIEVAL, AI_PROVIDERS } from '../utils/constants.js';
+
+/**
+ * Embeds text with a Workers AI embedding model
+ */
+export class WorkersAIEmbedder {
+  constructor(ai, model = EMBEDDING_MODEL) {
+    this.ai = ai;
+    this.model = model;
+  }
+
+  /**
+   * Embed a list of texts
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Array<number>>>} One vector per text
+   */
+  async embed(texts) {
+    const vectors = [];
+
+    for (let i = 0; i < texts.length; i += RETRIEVAL.EMBED_BATCH_SIZE) {
+      const batch = texts.slice(i, i + RETRIEVAL.EMBED_BATCH_SIZE);
+      const response = await this.ai.run(this.model, { text: batch });
+      vectors.push(...response.data);
+    }
+
+    return vectors;
+  }
+}
+
+/**
+ * Deterministic local embedder using feature hashing of words and word pairs.
+ * Needs no model or network, so retrieval keeps working offline.
+ */
+export class HashingEmbedder {
+  constructor(dimensions = RETRIEVAL.LOCAL_DIMENSIONS) {
+    this.dimensions = dimensions;
+  }
+
+  /**
+   * Embed a list of texts
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Array<number>>>} One L2-normalized vector per text
+   */
+  async embed(texts) {
+    return texts.map(text => this._embedOne(text));
+  }
+
+  /**
+   * Embed a single text
+   * @param {string} text - Text to embed
+   * @returns {Array<number>} Normalized vector
+   * @private
+   */
+  _embedOne(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = text.toLowerCase().match(/[a-z0-9]+/g) || [];
+
+    words.forEach((word, i) => {
+      this._add(vector, word, 1);
+      if (i > 0) this._add(vector, `${words[i - 1]} ${word}`, 0.5);
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm === 0 ? vector : vector.map(v => v / norm);
+  }
+
+  /**
+   * Add a hashed feature to the vector, using the sign bit to reduce collisions
+   * @param {Array<number>} vector - Vector being built
+   * @param {string} feature - Word or word pair
+   * @param {number} weight - Feature weight
+   * @private
+   */
+  _add(vector, feature, weight) {
+    // FNV-1a hash
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < feature.length; i++) {
+      hash ^= feature.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    vector[hash % this.dimensions] += (hash & 0x80000000) ? -weight : weight;
+  }
+}
+
+/**
+ * Choose the embedder from environment configuration.
+ * EMBEDDINGS can force "local" or "workers-ai"; otherwise Workers AI is used only
+ * when it is also the chat provider, so other providers stay fully offline.
+ * @param {Object} env - Worker environment
+ * @returns {WorkersAIEmbedder|HashingEmbedder} Embedder
+ */
+export function createEmbedder(env) {
+  const useWorkersAI = env.EMBEDDINGS
+    ? env.EMBEDDINGS === AI_PROVIDERS.WORKERS_AI
+    : !env.AI_PROVIDER || env.AI_PROVIDER === AI_PROVIDERS.WORKERS_AI;
+
+  if (!useWorkersAI || !env.AI) {
+    return new HashingEmbedder();
+  }
+  return new WorkersAIEmbedder(env.AI);
+}
@@ -0,0 +1,132 @@
+/**
+ * Notes Service - Course notes ingestion and retrieval
+ * Turns uploaded notes into stored chunks and picks the relevant ones for a prompt
+ */
+
+import { StorageService } from './storage-service.js';
+import { RetrievalService } from './retrieval-service.js';
+import { chunkText, selectRelevantChunks } from '../utils/chunker.js';
+import { extractPdfText } from '../utils/pdf-text.js';
+import { NOTES } from '../utils/constants.js';
+
+export class NotesService {
+  constructor(env) {
+    this.storage = new StorageService(env);
+    this.retrieval = new RetrievalService(env);
+  }
+
+  /**
+   * Extract plain text from an uploaded file
+   * @param {string} fileName - Original file name, used to detect the type
+   * @param {ArrayBuffer} buffer - File contents
+   * @returns {Promise<Object>} { type: string, text: string }
+   * @throws {Error} If the file type is unsupported or has no text
+   */
+  async extractText(fileName, buffer) {
+    const type = (fileName.split('.').pop() || '').toLowerCase();
+
+    if (!NOTES.FILE_TYPES.includes(type)) {
+      throw new Error(`A .txt, .md or .pdf file is required (got "${fileName}")`);
+    }
+
+    if (buffer.byteLength > NOTES.MAX_UPLOAD_BYTES) {
+      throw new Error(`File is too large. The maximum size is ${NOTES.MAX_UPLOAD_BYTES / (1024 * 1024)} MB`);
+    }
+
+    const text = type === 'pdf'
+      ? await extractPdfText(buffer)
+      : new TextDecoder('utf-8').decode(buffer);
+
+    return { type, text };
+  }
+
+  /**
+   * Chunk and store notes for a session
+   * @param {string} sessionId - Session ID
+   * @param {Object} notes - { name: string, type: string, text: string }
+   * @returns {Promise<Object>} Stored source metadata
+   */
+  async addNotes(sessionId, { name, type, text }) {
+    const truncated = text.length > NOTES.MAX_CHARACTERS;
+    const chunks = chunkText(text.slice(0, NOTES.MAX_CHARACTERS));
+
+    if (chunks.length === 0) {
+      throw new Error('Notes text cannot be empty');
+    }
+
+    const source = {
+      id: crypto.randomUUID(),
+      name,
+      type,
+      characters: Math.min(text.length, NOTES.MAX_CHARACTERS),
+      chunkCount: chunks.length,
+      truncated,
+      createdAt: Date.now(),
+    };
+
+    await this.storage.saveSource(sessionId, { ...source, chunks });
+
+    // Indexing failures are retried on the first search
+    try {
+      await this.retrieval.indexChunks(sessionId, source.id, chunks);
+    } catch (error) {
+      console.error('Indexing Error:', error.message);
+    }
+
+    return source;
+  }
+
+  /**
+   * List the notes stored for a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Array>} Source metadata, newest first
+   */
+  async listNotes(sessionId) {
+    return this.storage.listSources(sessionId);
+  }
+
+  /**
+   * Get the note excerpts most relevant to a class and topic
+   * @param {string} sessionId - Session ID
+   * @param {string} sourceId - Source ID
+   * @param {string} query - Text to match against, usually class name and topic
+   * @returns {Promise<Array<Object>|null>} [{ sourceId, chunkIndex, text }] in document order, or null if the source does not exist
+   */
+  async getContext(sessionId, sourceId, query) {
+    const source = await this.storage.getSource(sessionId, sourceId);
+    if (!source) return null;
+
+    let chunks;
+    try {
+      const matches = await this.retrieval.search(sessionId, source, query);
+      chunks = withinBudget(matches, NOTES.CONTEXT_CHARACTERS);
+    } catch (error) {
+      // Fall back to keyword matching when embeddings are unavailable
+      console.error('Retrieval Error:', error.message);
+      chunks = selectRelevantChunks(source.chunks, query);
+    }
+
+    return chunks
+      .sort((a, b) => a.index - b.index)
+      .map(chunk => ({ sourceId, chunkIndex: chunk.index, text: chunk.text }));
+  }
+}
+
+/**
+ * Keep ranked chunks, best first, until the character budget is used
+ * @param {Array<Object>} chunks - Chunks ordered by relevance
+ * @param {number} maxCharacters - Total characters allowed
+ * @returns {Array<Object>} Chunks that fit
+ */
+function withinBudget(chunks, maxCharacters) {
+  const selected = [];
+  let used = 0;
+
+  for (const chunk of chunks) {
+    if (used + chunk.text.length > maxCharacters && selected.length > 0) break;
+    selected.push(chunk);
+    used += chunk.text.length;
+  }
+
+  return selected;
+}
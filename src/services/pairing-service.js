@@ -0,0 +1,84 @@
+/**
+ * Pairing Service - One-time codes that sign a second device in to the same account
+ * Codes live in one shared Durable Object, expire after PAIRING.TTL_SECONDS and work once
+ */
+
+import { StorageService } from './storage-service.js';
+import { PAIRING } from '../utils/constants.js';
+
+export class PairingService {
+  constructor(env) {
+    this.storage = new StorageService(env);
+  }
+
+  /**
+   * Issue a code for a signed-in account
+   * @param {Object} identity - { accountId, email, sessionId } from the caller's token
+   * @returns {Promise<Object>} { code, expiresAt } - code formatted as XXXX-XXXX
+   */
+  async create({ accountId, email, sessionId }) {
+    const expiresAt = Date.now() + PAIRING.TTL_SECONDS * 1000;
+
+    // Collisions are rare enough that a handful of tries always finds a free code
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const code = randomCode();
+      const { created } = await this.storage.savePairingCode(code, { accountId, email, sessionId, expiresAt });
+      if (created) {
+        return { code: formatCode(code), expiresAt };
+      }
+    }
+
+    throw new Error('Could not issue a pairing code, please try again');
+  }
+
+  /**
+   * Use up a code
+   * @param {string} code - Code as entered, dashes, spaces and case are ignored
+   * @returns {Promise<Object>} { accountId, email, sessionId } the code was issued for
+   * @throws {Error} If the code is missing, unknown, already used or expired
+   */
+  async claim(code) {
+    const normalized = normalizeCode(code);
+    if (!normalized) {
+      throw new Error('Pairing code is required');
+    }
+
+    const entry = normalized.length === PAIRING.CODE_LENGTH
+      ? await this.storage.claimPairingCode(normalized)
+      : null;
+    if (!entry) {
+      throw new Error('Pairing code not found or expired');
+    }
+
+    return { accountId: entry.accountId, email: entry.email, sessionId: entry.sessionId };
+  }
+}
+
+/**
+ * Random code from PAIRING.CODE_ALPHABET
+ * @returns {string} Code without formatting
+ */
+function randomCode() {
+  const bytes = crypto.getRandomValues(new Uint8Array(PAIRING.CODE_LENGTH));
+  // 256 is not a multiple of the alphabet size, but the bias is far too small to help guessing
+  return [...bytes].map(byte => PAIRING.CODE_ALPHABET[byte % PAIRING.CODE_ALPHABET.length]).join('');
+}
+
+/**
+ * Split a code into two halves for reading aloud or typing
+ * @param {string} code - Code without formatting
+ * @returns {string} e.g. K7QM-2XPF
+ */
+function formatCode(code) {
+  const half = Math.ceil(code.length / 2);
+  return `${code.slice(0, half)}-${code.slice(half)}`;
+}
+
+/**
+ * Reduce an entered code to its characters
+ * @param {string} code - Code as entered
+ * @returns {string} Upper-case code without separators
+ */
+function normalizeCode(code) {
+  return typeof code === 'string' ? code.toUpperCase().replace(/[\s-]/g, '') : '';
+}
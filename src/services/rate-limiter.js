@@ -0,0 +1,111 @@
+/**
+ * Rate Limiter - Token buckets per session and per client IP
+ * Buckets live in their own Durable Object instances, so clearing a session
+ * does not reset its limits
+ */
+
+import { StorageService } from './storage-service.js';
+import { authenticate } from '../utils/auth.js';
+import { RATE_LIMITS } from '../utils/constants.js';
+
+// Which category of RATE_LIMITS each limited endpoint counts against
+const ROUTE_CATEGORIES = {
+  'POST /api/validate-class': 'validation',
+  'POST /api/generate-flashcards': 'generation',
+  'POST /api/generate-quiz': 'generation',
+  'POST /api/generate-test': 'generation',
+  'POST /api/generate-flashcards/stream': 'generation',
+  'POST /api/generate-quiz/stream': 'generation',
+  'POST /api/generate-test/stream': 'generation',
+  'POST /api/generate-study-guide': 'generation',
+  'POST /api/generate-essay': 'generation',
+  'POST /api/study-plan': 'generation',
+  'POST /api/notes': 'generation',
+  'POST /api/tutor': 'generation',
+  'POST /api/explain': 'generation',
+  'POST /api/grade-test': 'grading',
+  'POST /api/regrade': 'grading',
+  'POST /api/grade-essay': 'grading',
+  'POST /api/pair': 'pairing',
+  'POST /api/pair/claim': 'pairing',
+  'POST /api/auth/signup': 'auth',
+  'POST /api/auth/login': 'auth',
+  'POST /api/library/sync': 'sync',
+};
+
+// Wording for the 429 message
+const CATEGORY_LABELS = {
+  validation: 'class checks',
+  generation: 'generation requests',
+  grading: 'grading requests',
+  pairing: 'pairing attempts',
+  auth: 'sign-in attempts',
+  sync: 'library syncs',
+};
+
+export class RateLimiter {
+  constructor(env) {
+    this.env = env;
+    this.storage = new StorageService(env);
+    this.enabled = env.RATE_LIMITS !== 'off';
+  }
+
+  /**
+   * Get the rate limit category for a route
+   * @param {string} method - HTTP method
+   * @param {string} pathname - URL path
+   * @returns {string|null} Category, or null if the route is not limited
+   */
+  categoryFor(method, pathname) {
+    return ROUTE_CATEGORIES[`${method} ${pathname}`] || null;
+  }
+
+  /**
+   * Take one request from the client's and the session's buckets
+   * @param {Request} request - Incoming request
+   * @param {string} category - Category from categoryFor
+   * @returns {Promise<Object>} { allowed, retryAfter, message }
+   */
+  async check(request, category) {
+    if (!this.enabled) {
+      return { allowed: true, retryAfter: 0, message: null };
+    }
+
+    const limits = RATE_LIMITS[category];
+    const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+    const sessionId = await signedInSessionId(request, this.env);
+
+    // The client bucket is checked first; signed-out requests (sign-in, pairing) only have that one
+    const buckets = [[`rate-limit:ip:${ip}`, limits.ip]];
+    if (sessionId) {
+      buckets.push([`rate-limit:session:${sessionId}`, limits.session]);
+    }
+
+    for (const [name, limit] of buckets) {
+      const result = await this.storage.takeRateLimitTokens(name, category, limit);
+      if (!result.allowed) {
+        return {
+          allowed: false,
+          retryAfter: result.retryAfter,
+          message: `Too many ${CATEGORY_LABELS[category]}. Please wait ${result.retryAfter} second${result.retryAfter === 1 ? '' : 's'} and try again.`,
+        };
+      }
+    }
+
+    return { allowed: true, retryAfter: 0, message: null };
+  }
+}
+
+/**
+ * Session of the signed-in caller
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @returns {Promise<string|null>} Session ID from a valid token, or null (the handler rejects the request)
+ */
+async function signedInSessionId(request, env) {
+  try {
+    return (await authenticate(request, env)).sessionId;
+  } catch {
+    return null;
+  }
+}
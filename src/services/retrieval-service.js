@@ -0,0 +1,56 @@
+/**
+ * Retrieval Service - Semantic search over stored course notes
+ * Embeds note chunks, keeps their vectors in a vector store and returns the top-k chunks for a query
+ */
+
+import { createEmbedder } from './embedders.js';
+import { createVectorStore } from './vector-stores.js';
+import { RETRIEVAL } from '../utils/constants.js';
+
+export class RetrievalService {
+  /**
+   * @param {Object} env - Worker environment
+   * @param {Object} options - Override the embedder or vector store (optional)
+   */
+  constructor(env, { embedder = createEmbedder(env), vectorStore = createVectorStore(env) } = {}) {
+    this.embedder = embedder;
+    this.vectorStore = vectorStore;
+  }
+
+  /**
+   * Embed and store every chunk of a source
+   * @param {string} sessionId - Session ID
+   * @param {string} sourceId - Source ID
+   * @param {Array<Object>} chunks - [{ index: number, text: string }]
+   * @returns {Promise<void>}
+   */
+  async indexChunks(sessionId, sourceId, chunks) {
+    const vectors = await this.embedder.embed(chunks.map(chunk => chunk.text));
+    const entries = chunks.map((chunk, i) => ({ chunkIndex: chunk.index, vector: vectors[i] }));
+    await this.vectorStore.upsert(sessionId, sourceId, entries);
+  }
+
+  /**
+   * Find the chunks most similar to a query, indexing the source first if needed
+   * @param {string} sessionId - Session ID
+   * @param {Object} source - Source with its chunks array
+   * @param {string} query - Search text, usually class name and topic
+   * @param {number} topK - Number of chunks to return
+   * @returns {Promise<Array<Object>>} [{ index: number, text: string, score: number }], best first
+   */
+  async search(sessionId, source, query, topK = RETRIEVAL.TOP_K) {
+    // Notes uploaded before indexing existed, or held by an in-memory store, need vectors first
+    const stored = await this.vectorStore.count(sessionId, source.id);
+    if (stored < source.chunks.length) {
+      await this.indexChunks(sessionId, source.id, source.chunks);
+    }
+
+    const [vector] = await this.embedder.embed([query]);
+    const matches = await this.vectorStore.query(sessionId, source.id, vector, topK);
+
+    const chunksByIndex = new Map(source.chunks.map(chunk => [chunk.index, chunk]));
+    return matches
+      .filter(match => chunksByIndex.has(match.chunkIndex))
+      .map(match => ({ ...chunksByIndex.get(match.chunkIndex), score: match.score }));
+  }
+}
@@ -3,6 +3,8 @@
  * Provides methods for session state persistence
  */
 
+import { CACHE, PAIRING, AUTH } from '../utils/constants.js';
+
 export class StorageService {
   constructor(env) {
     this.durableObject = env.CHAT_STORAGE;
@@ -46,57 +48,308 @@ export class StorageService {
   }
 
   /**
-   * Get stored content (flashcards, quiz, test)
+   * List study sets without their items, newest first
+   * @param {string} sessionId - Session ID
+   * @param {Object} filters - { className, mode } (optional)
+   * @returns {Promise<Array>} [{ id, version, className, topic, mode, itemCount, attemptCount, lastAttempt, ... }]
+   */
+  async listSets(sessionId, { className = '', mode = '' } = {}) {
+    const stub = this._getStub(sessionId);
+    const query = new URLSearchParams();
+    if (className) query.set('className', className);
+    if (mode) query.set('mode', mode);
+    const response = await stub.fetch(`http://internal/sets${query.toString() ? `?${query}` : ''}`);
+    return response.json();
+  }
+
+  /**
+   * Get a study set with its attempts
+   * @param {string} sessionId - Session ID
+   * @param {string} setId - Set ID
+   * @returns {Promise<Object|null>} { id, version, className, topic, mode, items, attempts, ... }, or null if not found
+   */
+  async getSet(sessionId, setId) {
+    const stub = this._getStub(sessionId);
+    const response = await stub.fetch(`http://internal/sets/${encodeURIComponent(setId)}`);
+    return response.json();
+  }
+
+  /**
+   * Save a study set; saving over an existing set bumps its version
+   * @param {string} sessionId - Session ID
+   * @param {Object} set - { id, className, topic, mode, items, ... }
+   * @returns {Promise<Object>} { id, version, createdAt }
+   */
+  async saveSet(sessionId, set) {
+    const stub = this._getStub(sessionId);
+    const response = await stub.fetch(`http://internal/sets/${encodeURIComponent(set.id)}`, {
+      method: 'POST',
+      body: JSON.stringify(set),
+    });
+    return response.json();
+  }
+
+  /**
+   * Delete a study set with its attempts
+   * @param {string} sessionId - Session ID
+   * @param {string} setId - Set ID
+   * @returns {Promise<Object>} { success } - false if the set did not exist
+   */
+  async deleteSet(sessionId, setId) {
+    const stub = this._getStub(sessionId);
+    const response = await stub.fetch(`http://internal/sets/${encodeURIComponent(setId)}`, {
+      method: 'DELETE',
+    });
+    return response.json();
+  }
+
+  /**
+   * Record a graded attempt at a study set
+   * @param {string} sessionId - Session ID
+   * @param {string} setId - Set ID
+   * @param {Object} attempt - { version, answers, results, totalScore, totalPossible, gradedAt }
+   * @returns {Promise<Object>} The stored attempt with its number
+   */
+  async addSetAttempt(sessionId, setId, attempt) {
+    const stub = this._getStub(sessionId);
+    const response = await stub.fetch(`http://internal/sets/${encodeURIComponent(setId)}/attempts`, {
+      method: 'POST',
+      body: JSON.stringify(attempt),
+    });
+    return response.json();
+  }
+
+  /**
+   * Replace a stored attempt, e.g. after a grade appeal
+   * @param {string} sessionId - Session ID
+   * @param {string} setId - Set ID
+   * @param {Object} attempt - Attempt including its number
+   * @returns {Promise<Object>} Success response
+   */
+  async saveSetAttempt(sessionId, setId, attempt) {
+    const stub = this._getStub(sessionId);
+    const response = await stub.fetch(`http://internal/sets/${encodeURIComponent(setId)}/attempts/${attempt.number}`, {
+      method: 'POST',
+      body: JSON.stringify(attempt),
+    });
+    return response.json();
+  }
+
+  /**
+   * List uploaded course notes
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Array>} Source metadata, newest first
+   */
+  async listSources(sessionId) {
+    const stub = this._getStub(sessionId);
+    const response = await stub.fetch('http://internal/sources');
+    return response.json();
+  }
+
+  /**
+   * Get uploaded course notes including their chunks
+   * @param {string} sessionId - Session ID
+   * @param {string} sourceId - Source ID
+   * @returns {Promise<Object|null>} Source with chunks, or null if not found
+   */
+  async getSource(sessionId, sourceId) {
+    const stub = this._getStub(sessionId);
+    const response = await stub.fetch(`http://internal/sources/${encodeURIComponent(sourceId)}`);
+    return response.json();
+  }
+
+  /**
+   * Save uploaded course notes
+   * @param {string} sessionId - Session ID
+   * @param {Object} source - Source metadata with a chunks array
+   * @returns {Promise<Object>} Success response
+   */
+  async saveSource(sessionId, source) {
+    const stub = this._getStub(sessionId);
+    const response = await stub.fetch('http://internal/sources', {
+      method: 'POST',
+      body: JSON.stringify(source),
+    });
+    return response.json();
+  }
+
+  /**
+   * Save chunk vectors for a source
+   * @param {string} sessionId - Session ID
+   * @param {string} sourceId - Source ID
+   * @param {Array<Object>} entries - [{ chunkIndex: number, vector: Array<number> }]
+   * @returns {Promise<Object>} Success response
+   */
+  async saveVectors(sessionId, sourceId, entries) {
+    const stub = this._getStub(sessionId);
+    const response = await stub.fetch(`http://internal/vectors/${encodeURIComponent(sourceId)}`, {
+      method: 'POST',
+      body: JSON.stringify({ entries }),
+    });
+    return response.json();
+  }
+
+  /**
+   * Find the chunks of a source closest to a query vector
+   * @param {string} sessionId - Session ID
+   * @param {string} sourceId - Source ID
+   * @param {Array<number>} vector - Query vector
+   * @param {number} topK - Number of results
+   * @returns {Promise<Array>} [{ chunkIndex: number, score: number }], best first
+   */
+  async queryVectors(sessionId, sourceId, vector, topK) {
+    const stub = this._getStub(sessionId);
+    const response = await stub.fetch(`http://internal/vectors/${encodeURIComponent(sourceId)}/query`, {
+      method: 'POST',
+      body: JSON.stringify({ vector, topK }),
+    });
+    return response.json();
+  }
+
+  /**
+   * Count the vectors stored for a source
+   * @param {string} sessionId - Session ID
+   * @param {string} sourceId - Source ID
+   * @returns {Promise<Object>} { count: number }
+   */
+  async countVectors(sessionId, sourceId) {
+    const stub = this._getStub(sessionId);
+    const response = await stub.fetch(`http://internal/vectors/${encodeURIComponent(sourceId)}/count`);
+    return response.json();
+  }
+
+  /**
+   * List chat threads without their messages, newest first
+   * @param {string} sessionId - Session ID
+   * @param {string} kind - Only list chats of this kind, e.g. 'tutor' (optional)
+   * @returns {Promise<Array>} [{ id, kind, messageCount, updatedAt, ... }]
+   */
+  async listChats(sessionId, kind = '') {
+    const stub = this._getStub(sessionId);
+    const query = kind ? `?kind=${encodeURIComponent(kind)}` : '';
+    const response = await stub.fetch(`http://internal/chats${query}`);
+    return response.json();
+  }
+
+  /**
+   * Get a chat thread
+   * @param {string} sessionId - Session ID
+   * @param {string} chatId - Chat ID
+   * @returns {Promise<Object|null>} { id, messages, updatedAt, ... }, or null if not found
+   */
+  async getChat(sessionId, chatId) {
+    const stub = this._getStub(sessionId);
+    const response = await stub.fetch(`http://internal/chats/${encodeURIComponent(chatId)}`);
+    return response.json();
+  }
+
+  /**
+   * Save a chat thread, replacing its stored messages
+   * @param {string} sessionId - Session ID
+   * @param {string} chatId - Chat ID
+   * @param {Object} chat - { messages: Array<{ role, content }>, ... }
+   * @returns {Promise<Object>} Success response
+   */
+  async saveChat(sessionId, chatId, chat) {
+    const stub = this._getStub(sessionId);
+    const response = await stub.fetch(`http://internal/chats/${encodeURIComponent(chatId)}`, {
+      method: 'POST',
+      body: JSON.stringify(chat),
+    });
+    return response.json();
+  }
+
+  /**
+   * Get an essay with its drafts
    * @param {string} sessionId - Session ID
-   * @returns {Promise<Object>} Content data
+   * @param {string} essayId - Essay ID
+   * @returns {Promise<Object|null>} { id, prompt, rubric, drafts, ... }, or null if not found
    */
-  async getContent(sessionId) {
+  async getEssay(sessionId, essayId) {
     const stub = this._getStub(sessionId);
-    const response = await stub.fetch('http://internal/content');
+    const response = await stub.fetch(`http://internal/essays/${encodeURIComponent(essayId)}`);
     return response.json();
   }
 
   /**
-   * Save generated content
+   * Save an essay prompt and rubric
    * @param {string} sessionId - Session ID
-   * @param {Object} content - Content to save
+   * @param {Object} essay - { id, prompt, rubric, ... }
    * @returns {Promise<Object>} Success response
    */
-  async saveContent(sessionId, content) {
+  async saveEssay(sessionId, essay) {
+    const stub = this._getStub(sessionId);
+    const response = await stub.fetch(`http://internal/essays/${encodeURIComponent(essay.id)}`, {
+      method: 'POST',
+      body: JSON.stringify(essay),
+    });
+    return response.json();
+  }
+
+  /**
+   * Store a graded draft of an essay
+   * @param {string} sessionId - Session ID
+   * @param {string} essayId - Essay ID
+   * @param {Object} draft - { text, wordCount, grading, submittedAt }
+   * @returns {Promise<Object>} { success, number } with the draft's number
+   */
+  async addEssayDraft(sessionId, essayId, draft) {
     const stub = this._getStub(sessionId);
-    const response = await stub.fetch('http://internal/content', {
+    const response = await stub.fetch(`http://internal/essays/${encodeURIComponent(essayId)}/drafts`, {
       method: 'POST',
-      body: JSON.stringify(content),
+      body: JSON.stringify(draft),
     });
     return response.json();
   }
 
   /**
-   * Get quiz/test progress
+   * List the study plans of every class in a session
    * @param {string} sessionId - Session ID
-   * @returns {Promise<Object>} Progress data
+   * @returns {Promise<Array>} Study plans
    */
-  async getProgress(sessionId) {
+  async listStudyPlans(sessionId) {
     const stub = this._getStub(sessionId);
-    const response = await stub.fetch('http://internal/progress');
+    const response = await stub.fetch('http://internal/plans');
     return response.json();
   }
 
   /**
-   * Save quiz/test progress
+   * Get a class's study plan
    * @param {string} sessionId - Session ID
-   * @param {Object} progress - Progress data to save
+   * @param {string} className - Class name (matched case-insensitively)
+   * @returns {Promise<Object|null>} { className, examDate, days, ... }, or null if not found
+   */
+  async getStudyPlan(sessionId, className) {
+    const stub = this._getStub(sessionId);
+    const response = await stub.fetch(`http://internal/plans/${encodeURIComponent(this._planKey(className))}`);
+    return response.json();
+  }
+
+  /**
+   * Save a class's study plan, replacing any earlier plan for the class
+   * @param {string} sessionId - Session ID
+   * @param {Object} plan - { className, examDate, days, ... }
    * @returns {Promise<Object>} Success response
    */
-  async saveProgress(sessionId, progress) {
+  async saveStudyPlan(sessionId, plan) {
     const stub = this._getStub(sessionId);
-    const response = await stub.fetch('http://internal/progress', {
+    const response = await stub.fetch(`http://internal/plans/${encodeURIComponent(this._planKey(plan.className))}`, {
       method: 'POST',
-      body: JSON.stringify(progress),
+      body: JSON.stringify(plan),
     });
     return response.json();
   }
 
+  /**
+   * Storage key of a class's study plan
+   * @param {string} className - Class name
+   * @returns {string} Normalized class name
+   * @private
+   */
+  _planKey(className) {
+    return className.trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
   /**
    * Clear all session data
    * @param {string} sessionId - Session ID
@@ -109,4 +362,143 @@ export class StorageService {
     });
     return response.json();
   }
-}
\ No newline at end of file
+
+  /**
+   * Get an unexpired cached response
+   * @param {string} cacheKey - Hashed request key
+   * @returns {Promise<Object|null>} { value, cachedAt, expiresAt } or null
+   */
+  async getCachedResponse(cacheKey) {
+    const stub = this._getStub(CACHE.STORAGE_NAME);
+    const response = await stub.fetch(`http://internal/cache/${encodeURIComponent(cacheKey)}`);
+    return response.json();
+  }
+
+  /**
+   * Save a response to the shared cache
+   * @param {string} cacheKey - Hashed request key
+   * @param {Object} entry - { value, cachedAt, expiresAt }
+   * @returns {Promise<Object>} Success response
+   */
+  async saveCachedResponse(cacheKey, entry) {
+    const stub = this._getStub(CACHE.STORAGE_NAME);
+    const response = await stub.fetch(`http://internal/cache/${encodeURIComponent(cacheKey)}`, {
+      method: 'POST',
+      body: JSON.stringify(entry),
+    });
+    return response.json();
+  }
+
+  /**
+   * Send a device's library changes and get back a page of what it is missing
+   * @param {string} sessionId - Session ID
+   * @param {Object} request - { changes: validated changes, since: cursor from the last sync or page,
+   *   continueFull: whether since comes from a page of a full sync }
+   * @returns {Promise<Object>} { items, full, cursor, more, rejected }
+   */
+  async syncLibrary(sessionId, { changes, since, continueFull }) {
+    const stub = this._getStub(sessionId);
+    const response = await stub.fetch('http://internal/library/sync', {
+      method: 'POST',
+      body: JSON.stringify({ changes, since, continueFull }),
+    });
+    return response.json();
+  }
+
+  /**
+   * Register an account
+   * @param {Object} account - { id, email, passwordHash, sessionId, createdAt }
+   * @returns {Promise<Object>} { created } - false if the email is already registered
+   */
+  async createAccount(account) {
+    const stub = this._getStub(AUTH.STORAGE_NAME);
+    const response = await stub.fetch(`http://internal/accounts/${encodeURIComponent(account.email)}`, {
+      method: 'POST',
+      body: JSON.stringify(account),
+    });
+    return response.json();
+  }
+
+  /**
+   * Get an account by email
+   * @param {string} email - Normalized email
+   * @returns {Promise<Object|null>} Account, or null if none is registered
+   */
+  async getAccount(email) {
+    const stub = this._getStub(AUTH.STORAGE_NAME);
+    const response = await stub.fetch(`http://internal/accounts/${encodeURIComponent(email)}`);
+    return response.json();
+  }
+
+  /**
+   * Hold a pairing code for an account
+   * @param {string} code - Pairing code
+   * @param {Object} entry - { accountId, email, sessionId, expiresAt }
+   * @returns {Promise<Object>} { created } - false if the code is already held
+   */
+  async savePairingCode(code, entry) {
+    const stub = this._getStub(PAIRING.STORAGE_NAME);
+    const response = await stub.fetch(`http://internal/pairing/${encodeURIComponent(code)}`, {
+      method: 'POST',
+      body: JSON.stringify(entry),
+    });
+    return response.json();
+  }
+
+  /**
+   * Use up a pairing code
+   * @param {string} code - Pairing code
+   * @returns {Promise<Object|null>} { accountId, email, sessionId, expiresAt }, or null if the code is unknown or expired
+   */
+  async claimPairingCode(code) {
+    const stub = this._getStub(PAIRING.STORAGE_NAME);
+    const response = await stub.fetch(`http://internal/pairing/${encodeURIComponent(code)}/claim`, {
+      method: 'POST',
+    });
+    return response.json();
+  }
+
+  /**
+   * Take tokens from a rate limit bucket
+   * @param {string} name - Durable Object holding the buckets (one per session or client)
+   * @param {string} bucket - Bucket within it, usually the request category
+   * @param {Object} limit - { capacity, refillPerMinute }
+   * @param {number} cost - Tokens the request takes
+   * @returns {Promise<Object>} { allowed, remaining, retryAfter }
+   */
+  async takeRateLimitTokens(name, bucket, limit, cost = 1) {
+    const stub = this._getStub(name);
+    const response = await stub.fetch('http://internal/rate-limit', {
+      method: 'POST',
+      body: JSON.stringify({ bucket, ...limit, cost }),
+    });
+    return response.json();
+  }
+
+  /**
+   * Add one model call to the session's daily usage totals
+   * @param {string} sessionId - Session ID
+   * @param {Object} record - { day, operation, className, inputTokens, outputTokens, estimated, latencyMs, maxTokens, error }
+   * @returns {Promise<Object>} Success response
+   */
+  async recordUsage(sessionId, record) {
+    const stub = this._getStub(sessionId);
+    const response = await stub.fetch('http://internal/usage', {
+      method: 'POST',
+      body: JSON.stringify(record),
+    });
+    return response.json();
+  }
+
+  /**
+   * Get the session's daily usage totals
+   * @param {string} sessionId - Session ID
+   * @param {string} since - First day to include (YYYY-MM-DD)
+   * @returns {Promise<Array>} [{ day, entries }]
+   */
+  async getUsage(sessionId, since) {
+    const stub = this._getStub(sessionId);
+    const response = await stub.fetch(`http://internal/usage?since=${encodeURIComponent(since)}`);
+    return response.json();
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * Study Set Service - Generated flashcards, quizzes, tests and study guides kept as
+ * separate, versioned sets per session, each with its graded attempts
+ */
+
+import { StorageService } from './storage-service.js';
+
+// Field of the generated content that holds each mode's items (study guides have sections instead)
+const ITEM_KEYS = {
+  flashcards: 'flashcards',
+  quiz: 'questions',
+  test: 'questions',
+  studyGuide: null,
+};
+
+export const STUDY_SET_MODES = Object.keys(ITEM_KEYS);
+
+export class StudySetService {
+  constructor(env) {
+    this.storage = new StorageService(env);
+  }
+
+  /**
+   * Get a set with its attempts
+   * @param {string} sessionId - Session ID
+   * @param {string} setId - Set ID
+   * @param {Array<string>} modes - Modes the caller can work with (optional, any mode when empty)
+   * @returns {Promise<Object>} { id, version, className, topic, mode, items, attempts, ... }
+   * @throws {Error} If the ID is missing, the set does not exist or has another mode
+   */
+  async get(sessionId, setId, modes = []) {
+    if (!setId || typeof setId !== 'string') {
+      throw new Error('Set ID is required');
+    }
+
+    const set = await this.storage.getSet(sessionId, setId);
+    if (!set) {
+      throw new Error('Study set not found for this session');
+    }
+
+    if (modes.length > 0 && !modes.includes(set.mode)) {
+      throw new Error(`Set mode must be one of: ${modes.join(', ')} (this set is ${set.mode})`);
+    }
+
+    return set;
+  }
+
+  /**
+   * Save generated content as a new set, or as the next version of an existing one
+   * @param {string} sessionId - Session ID
+   * @param {string} mode - One of STUDY_SET_MODES
+   * @param {Object} params - { setId: set to regenerate (optional), className, topic, sourceId }
+   * @param {Object} content - Generated content as returned to the client
+   * @returns {Promise<Object>} { id, version, createdAt }
+   */
+  async save(sessionId, mode, { setId = null, className, topic = '', sourceId = null }, content) {
+    const key = ITEM_KEYS[mode];
+    // Cache and validation reports describe one generation run, not the set
+    const { cache, validation, ...fields } = content;
+    const items = key ? fields[key] || [] : [];
+    if (key) delete fields[key];
+
+    return this.storage.saveSet(sessionId, {
+      ...fields,
+      id: setId || `set-${crypto.randomUUID()}`,
+      className,
+      topic,
+      mode,
+      sourceId,
+      items,
+    });
+  }
+
+  /**
+   * The attempt to work with: the requested one, or the latest graded against the current version
+   * @param {Object} set - Set with its attempts
+   * @param {number} number - Attempt number (optional)
+   * @returns {Object|null} Attempt, or null if there is none
+   */
+  attempt(set, number = null) {
+    const attempts = set.attempts || [];
+    if (number !== null && number !== undefined) {
+      return attempts.find(attempt => attempt.number === number) || null;
+    }
+    return [...attempts].reverse().find(attempt => attempt.version === set.version) || null;
+  }
+
+  /**
+   * Record a graded attempt against the set's current version
+   * @param {string} sessionId - Session ID
+   * @param {Object} set - Set that was attempted
+   * @param {Object} grading - { answers, results, totalScore, totalPossible }
+   * @returns {Promise<Object>} Stored attempt with its number
+   */
+  async addAttempt(sessionId, set, grading) {
+    return this.storage.addSetAttempt(sessionId, set.id, {
+      ...grading,
+      version: set.version,
+      gradedAt: Date.now(),
+    });
+  }
+
+  /**
+   * Replace a stored attempt
+   * @param {string} sessionId - Session ID
+   * @param {Object} set - Set the attempt belongs to
+   * @param {Object} attempt - Attempt including its number
+   * @returns {Promise<Object>} Success response
+   */
+  async saveAttempt(sessionId, set, attempt) {
+    return this.storage.saveSetAttempt(sessionId, set.id, attempt);
+  }
+
+  /**
+   * List a session's sets
+   * @param {string} sessionId - Session ID
+   * @param {Object} filters - { className, mode } (optional)
+   * @returns {Promise<Array>} Set summaries, newest first
+   */
+  async list(sessionId, filters = {}) {
+    return this.storage.listSets(sessionId, filters);
+  }
+
+  /**
+   * Delete a set with its attempts
+   * @param {string} sessionId - Session ID
+   * @param {string} setId - Set ID
+   * @returns {Promise<boolean>} False if the set did not exist
+   */
+  async delete(sessionId, setId) {
+    const { success } = await this.storage.deleteSet(sessionId, setId);
+    return success;
+  }
+}
@@ -0,0 +1,70 @@
+/**
+ * Vector Stores - Persist chunk vectors and answer nearest-neighbour queries
+ * Every store implements:
+ *   upsert(sessionId, sourceId, entries: [{ chunkIndex, vector }]) => Promise<void>
+ *   query(sessionId, sourceId, vector, topK) => Promise<[{ chunkIndex, score }]>
+ *   count(sessionId, sourceId) => Promise<number>
+ */
+
+import { StorageService } from './storage-service.js';
+import { rankBySimilarity } from '../utils/vectors.js';
+
+/**
+ * Stores vectors in the session's Durable Object, which also runs the query
+ */
+export class DurableObjectVectorStore {
+  constructor(env) {
+    this.storage = new StorageService(env);
+  }
+
+  async upsert(sessionId, sourceId, entries) {
+    await this.storage.saveVectors(sessionId, sourceId, entries);
+  }
+
+  async query(sessionId, sourceId, vector, topK) {
+    return this.storage.queryVectors(sessionId, sourceId, vector, topK);
+  }
+
+  async count(sessionId, sourceId) {
+    const { count } = await this.storage.countVectors(sessionId, sourceId);
+    return count;
+  }
+}
+
+/**
+ * Keeps vectors in memory for offline development and tests
+ */
+export class InMemoryVectorStore {
+  constructor() {
+    this.vectors = new Map();
+  }
+
+  async upsert(sessionId, sourceId, entries) {
+    const key = `${sessionId}:${sourceId}`;
+    const existing = this.vectors.get(key) || new Map();
+    entries.forEach(entry => existing.set(entry.chunkIndex, entry));
+    this.vectors.set(key, existing);
+  }
+
+  async query(sessionId, sourceId, vector, topK) {
+    const entries = this.vectors.get(`${sessionId}:${sourceId}`);
+    return entries ? rankBySimilarity([...entries.values()], vector, topK) : [];
+  }
+
+  async count(sessionId, sourceId) {
+    const entries = this.vectors.get(`${sessionId}:${sourceId}`);
+    return entries ? entries.size : 0;
+  }
+}
+
+/**
+ * Choose the vector store from environment configuration
+ * @param {Object} env - Worker environment
+ * @returns {DurableObjectVectorStore|InMemoryVectorStore} Vector store
+ */
+export function createVectorStore(env) {
+  if (env.VECTOR_STORE === 'memory' || !env.CHAT_STORAGE) {
+    return new InMemoryVectorStore();
+  }
+  return new DurableObjectVectorStore(env);
+}
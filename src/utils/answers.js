@@ -0,0 +1,64 @@
+/**
+ * Utility functions for reading test answers of every question type
+ *
+ * Students submit answers in these shapes:
+ * - multiple_choice: option index
+ * - true_false: true or false
+ * - fill_blank: array of strings, one per blank
+ * - matching: array of right-hand answers, one per pair
+ * - ordering: array of the items in the student's order
+ * - numeric and short_answer: string
+ */
+
+/**
+ * The correct answer in the same shape a student submits it
+ * @param {Object} question - Test or quiz question
+ * @returns {*} Correct answer
+ */
+export function expectedAnswer(question) {
+  switch (question.type) {
+    case 'matching':
+      return question.pairs.map(pair => pair.right);
+    case 'ordering':
+      return question.items;
+    default:
+      // Quiz questions store the correct option index
+      return question.correctAnswer ?? question.correct;
+  }
+}
+
+/**
+ * Describe an answer as plain text, e.g. for a grading prompt
+ * @param {Object} question - Test or quiz question
+ * @param {*} answer - Submitted or expected answer
+ * @returns {string} Readable answer ('' when unanswered)
+ */
+export function describeAnswer(question, answer) {
+  if (answer === undefined || answer === null || answer === '') return '';
+
+  switch (question.type) {
+    case 'multiple_choice':
+      return typeof answer === 'number' ? String(question.options[answer] ?? '') : String(answer);
+    case 'true_false':
+      return String(answer).toLowerCase();
+    case 'fill_blank':
+      return toList(answer).map((value, i) => `blank ${i + 1}: ${value || '(empty)'}`).join('; ');
+    case 'matching':
+      return question.pairs.map((pair, i) => `${pair.left} -> ${toList(answer)[i] || '(none)'}`).join('; ');
+    case 'ordering':
+      return toList(answer).join(' -> ');
+    case 'numeric':
+      return typeof answer === 'number' && question.unit ? `${answer} ${question.unit}` : String(answer);
+    default:
+      return typeof answer === 'number' && question.options ? String(question.options[answer] ?? '') : String(answer);
+  }
+}
+
+/**
+ * Read a list answer, accepting a single value for one-part answers
+ * @param {*} answer - Submitted answer
+ * @returns {Array} Answer parts
+ */
+function toList(answer) {
+  return Array.isArray(answer) ? answer : [answer];
+}
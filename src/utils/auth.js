@@ -0,0 +1,178 @@
+/**
+ * Password hashing and signed session tokens
+ * A token is `<claims>.<signature>`: base64url JSON claims ({ sub, sid, email, iat, exp }) and
+ * their HMAC-SHA256 under SESSION_SECRET, so checking who owns a session needs no token store
+ */
+
+import { AuthError } from './errors.js';
+import { AUTH } from './constants.js';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Encode bytes as unpadded base64url
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Encoded text
+ */
+function toBase64url(bytes) {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode unpadded base64url
+ * @param {string} text - Encoded text
+ * @returns {Uint8Array} Decoded bytes
+ * @throws {Error} If the text is not base64url
+ */
+function fromBase64url(text) {
+  return Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0));
+}
+
+/**
+ * Compare two strings in time that does not depend on where they differ
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if equal
+ */
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+/**
+ * HMAC key for signing tokens
+ * @param {string} secret - SESSION_SECRET
+ * @returns {Promise<CryptoKey>} Key usable to sign and verify
+ * @throws {AuthError} AUTH_NOT_CONFIGURED if the secret is missing or too short
+ */
+async function signingKey(secret) {
+  if (!secret || secret.length < AUTH.MIN_SECRET_LENGTH) {
+    throw new AuthError('AUTH_NOT_CONFIGURED');
+  }
+  return crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+}
+
+/**
+ * Hash a password with PBKDF2-SHA256 and a random salt
+ * @param {string} password - Password to hash
+ * @param {Uint8Array} salt - Salt (optional, random when left out)
+ * @param {number} iterations - PBKDF2 iterations (optional)
+ * @returns {Promise<string>} `pbkdf2-sha256$<iterations>$<salt>$<hash>`
+ */
+export async function hashPassword(password, salt = crypto.getRandomValues(new Uint8Array(16)), iterations = AUTH.PBKDF2_ITERATIONS) {
+  const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+  return `pbkdf2-sha256$${iterations}$${toBase64url(salt)}$${toBase64url(new Uint8Array(bits))}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Password as entered
+ * @param {string} stored - Hash from hashPassword
+ * @returns {Promise<boolean>} True if the password matches
+ */
+export async function verifyPassword(password, stored) {
+  const [scheme, iterations, salt] = String(stored).split('$');
+  if (scheme !== 'pbkdf2-sha256' || !salt) return false;
+  return timingSafeEqual(await hashPassword(password, fromBase64url(salt), Number(iterations)), stored);
+}
+
+/**
+ * Issue a session token
+ * @param {Object} account - { id, email, sessionId }
+ * @param {string} secret - SESSION_SECRET
+ * @returns {Promise<Object>} { token, expiresAt }
+ * @throws {AuthError} AUTH_NOT_CONFIGURED if the secret is missing or too short
+ */
+export async function signSessionToken({ id, email, sessionId }, secret) {
+  const key = await signingKey(secret);
+  const issuedAt = Date.now();
+  const expiresAt = issuedAt + AUTH.TOKEN_TTL_SECONDS * 1000;
+
+  const claims = toBase64url(encoder.encode(JSON.stringify({ sub: id, sid: sessionId, email, iat: issuedAt, exp: expiresAt })));
+  const signature = new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(claims)));
+  return { token: `${claims}.${toBase64url(signature)}`, expiresAt };
+}
+
+/**
+ * Check a session token's signature and expiry
+ * @param {string} token - Token from signSessionToken
+ * @param {string} secret - SESSION_SECRET
+ * @returns {Promise<Object>} { accountId, email, sessionId, expiresAt }
+ * @throws {AuthError} UNAUTHENTICATED if the token is malformed, forged or expired
+ */
+export async function verifySessionToken(token, secret) {
+  const key = await signingKey(secret);
+  const [claims, signature, extra] = typeof token === 'string' ? token.split('.') : [];
+  if (!claims || !signature || extra !== undefined) {
+    throw new AuthError('UNAUTHENTICATED');
+  }
+
+  let payload = null;
+  try {
+    if (await crypto.subtle.verify('HMAC', key, fromBase64url(signature), encoder.encode(claims))) {
+      payload = JSON.parse(decoder.decode(fromBase64url(claims)));
+    }
+  } catch {
+    payload = null;
+  }
+
+  if (!payload || !payload.sub || !payload.sid) {
+    throw new AuthError('UNAUTHENTICATED', 'Your sign-in is not valid. Please sign in again.');
+  }
+  if (!(payload.exp > Date.now())) {
+    throw new AuthError('UNAUTHENTICATED', 'Your sign-in has expired. Please sign in again.');
+  }
+
+  return { accountId: payload.sub, email: payload.email, sessionId: payload.sid, expiresAt: payload.exp };
+}
+
+/**
+ * Read the bearer token of a request
+ * @param {Request} request - Incoming request
+ * @returns {string|null} Token from the Authorization header, or null
+ */
+export function bearerToken(request) {
+  const match = (request.headers.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Identify the signed-in caller of a request
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment with SESSION_SECRET
+ * @returns {Promise<Object>} { accountId, email, sessionId, expiresAt }
+ * @throws {AuthError} UNAUTHENTICATED without a valid token
+ */
+export async function authenticate(request, env) {
+  const token = bearerToken(request);
+  if (!token) {
+    // Report a missing secret as a server problem rather than asking the caller to sign in
+    await signingKey(env.SESSION_SECRET);
+    throw new AuthError('UNAUTHENTICATED');
+  }
+  return verifySessionToken(token, env.SESSION_SECRET);
+}
+
+/**
+ * The session a request may use: the one its token was issued for
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment with SESSION_SECRET
+ * @param {string} requestedSessionId - Session ID the client named in its body or query (optional)
+ * @returns {Promise<string>} Session ID owned by the caller
+ * @throws {AuthError} UNAUTHENTICATED without a valid token, FORBIDDEN if the client named another session
+ */
+export async function requireSession(request, env, requestedSessionId = null) {
+  const { sessionId } = await authenticate(request, env);
+  if (requestedSessionId && requestedSessionId !== sessionId) {
+    throw new AuthError('FORBIDDEN');
+  }
+  return sessionId;
+}
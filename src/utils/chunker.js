@@ -0,0 +1,124 @@
+/**
+ * Utility functions for splitting course notes into chunks and picking the relevant ones
+ */
+
+import { NOTES } from './constants.js';
+
+// Words ignored when matching a query against note chunks
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'that', 'this', 'are', 'was', 'were', 'into',
+  'about', 'your', 'their', 'what', 'which', 'when', 'how', 'why', 'chapter', 'class',
+]);
+
+/**
+ * Split text into overlapping chunks, preferring paragraph boundaries
+ * @param {string} text - Full note text
+ * @param {number} size - Target characters per chunk
+ * @param {number} overlap - Characters carried over from the previous chunk
+ * @returns {Array<Object>} [{ index: number, text: string }]
+ */
+export function chunkText(text, size = NOTES.CHUNK_SIZE, overlap = NOTES.CHUNK_OVERLAP) {
+  const paragraphs = text
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map(p => p.replace(/[ \t]+/g, ' ').trim())
+    .filter(p => p.length > 0)
+    .flatMap(p => splitLongParagraph(p, size));
+
+  const chunks = [];
+  let current = '';
+
+  for (const paragraph of paragraphs) {
+    if (current && current.length + paragraph.length + 2 > size) {
+      chunks.push(current);
+      current = tail(current, overlap);
+    }
+    current = current ? `${current}\n\n${paragraph}` : paragraph;
+  }
+
+  if (current.trim()) {
+    chunks.push(current);
+  }
+
+  return chunks.map((chunkText, index) => ({ index, text: chunkText }));
+}
+
+/**
+ * Pick the chunks that best match a query, within a character budget
+ * @param {Array<Object>} chunks - Chunks from chunkText
+ * @param {string} query - Class name and topic
+ * @param {number} maxCharacters - Total characters to return
+ * @returns {Array<Object>} Selected chunks, in document order
+ */
+export function selectRelevantChunks(chunks, query, maxCharacters = NOTES.CONTEXT_CHARACTERS) {
+  const terms = tokenize(query);
+
+  const scored = chunks.map(chunk => {
+    const words = tokenize(chunk.text);
+    const score = words.filter(word => terms.includes(word)).length / Math.sqrt(words.length || 1);
+    return { chunk, score };
+  });
+
+  // Without any matching terms, fall back to the start of the notes
+  if (!scored.some(s => s.score > 0)) {
+    scored.forEach(s => { s.score = -s.chunk.index; });
+  }
+
+  scored.sort((a, b) => b.score - a.score);
+
+  const selected = [];
+  let used = 0;
+  for (const { chunk } of scored) {
+    if (used + chunk.text.length > maxCharacters && selected.length > 0) continue;
+    selected.push(chunk);
+    used += chunk.text.length;
+  }
+
+  return selected.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Break a paragraph longer than the chunk size at sentence or word boundaries
+ * @param {string} paragraph - Paragraph text
+ * @param {number} size - Maximum characters per piece
+ * @returns {Array<string>} Paragraph pieces
+ */
+function splitLongParagraph(paragraph, size) {
+  if (paragraph.length <= size) return [paragraph];
+
+  const pieces = [];
+  let rest = paragraph;
+  while (rest.length > size) {
+    const window = rest.slice(0, size);
+    const sentenceEnd = window.lastIndexOf('. ');
+    const wordEnd = window.lastIndexOf(' ');
+    const cut = sentenceEnd > size / 2 ? sentenceEnd + 1 : wordEnd > size / 2 ? wordEnd : size;
+    pieces.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) pieces.push(rest);
+  return pieces;
+}
+
+/**
+ * Last characters of a chunk, starting on a word boundary
+ * @param {string} text - Chunk text
+ * @param {number} length - Characters to keep
+ * @returns {string} Overlap text
+ */
+function tail(text, length) {
+  if (length <= 0 || text.length <= length) return '';
+  const slice = text.slice(-length);
+  const space = slice.indexOf(' ');
+  return space === -1 ? slice : slice.slice(space + 1);
+}
+
+/**
+ * Lowercase content words of a text
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Words
+ */
+export function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter(word => word.length > 2 && !STOPWORDS.has(word));
+}
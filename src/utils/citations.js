@@ -0,0 +1,78 @@
+/**
+ * Utility functions for linking generated items back to the note excerpts they came from
+ */
+
+import { tokenize } from './chunker.js';
+import { RETRIEVAL } from './constants.js';
+
+/**
+ * Label used for an excerpt in the prompt
+ * @param {number} i - Excerpt position
+ * @returns {string} Label such as "S1"
+ */
+export function excerptLabel(i) {
+  return `S${i + 1}`;
+}
+
+/**
+ * Replace the excerpt labels the model returned with full citations.
+ * Items without a usable label are matched to the excerpt sharing the most words.
+ * @param {Array<Object>} items - Generated flashcards or questions
+ * @param {Array<Object>} notes - Excerpts passed to the prompt: [{ sourceId, chunkIndex, text }]
+ * @returns {Array<Object>} Items with sources: [{ sourceId, chunkIndex, excerpt }]
+ */
+export function attachSources(items, notes) {
+  if (!notes || notes.length === 0) return items;
+
+  return items.map(item => {
+    const labels = Array.isArray(item.sources) ? item.sources : [];
+    let matched = labels
+      .map(label => notes[parseInt(String(label).replace(/\D/g, ''), 10) - 1])
+      .filter(Boolean);
+
+    if (matched.length === 0) {
+      matched = [closestExcerpt(item, notes)];
+    }
+
+    const sources = [...new Set(matched)].map(note => ({
+      sourceId: note.sourceId,
+      chunkIndex: note.chunkIndex,
+      excerpt: excerptOf(note.text),
+    }));
+
+    return { ...item, sources };
+  });
+}
+
+/**
+ * Excerpt whose words overlap most with an item's text
+ * @param {Object} item - Generated item
+ * @param {Array<Object>} notes - Candidate excerpts
+ * @returns {Object} Best matching excerpt
+ */
+function closestExcerpt(item, notes) {
+  const words = new Set(tokenize(Object.values(item).filter(v => typeof v === 'string').join(' ')));
+  let best = notes[0];
+  let bestScore = -1;
+
+  notes.forEach(note => {
+    const score = tokenize(note.text).filter(word => words.has(word)).length;
+    if (score > bestScore) {
+      best = note;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Shorten chunk text for display, cutting on a word boundary
+ * @param {string} text - Chunk text
+ * @returns {string} Excerpt
+ */
+function excerptOf(text) {
+  if (text.length <= RETRIEVAL.EXCERPT_LENGTH) return text;
+  const cut = text.lastIndexOf(' ', RETRIEVAL.EXCERPT_LENGTH);
+  return text.slice(0, cut > 0 ? cut : RETRIEVAL.EXCERPT_LENGTH) + '…';
+}
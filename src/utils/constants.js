@@ -4,14 +4,184 @@
 
 // AI Model Configuration
 export const AI_MODEL = '@cf/meta/llama-3.3-70b-instruct-fp8-fast';
+export const AI_FALLBACK_MODEL = '@cf/meta/llama-3.1-8b-instruct-fast'; // Used while AI_MODEL keeps failing
+
+// Resilient Model Calls - timeouts, retries and the circuit breaker around the primary model
+export const RESILIENCE = {
+  TIMEOUT_MS: {
+    default: 30000,
+    validateClass: 15000,
+    generateFlashcards: 60000,
+    generateQuiz: 60000,
+    generateTest: 75000,
+    gradeTest: 60000,
+    generateStudyGuide: 75000,
+    gradeEssay: 60000,
+    generateStudyPlan: 75000,
+  },
+  MAX_RETRIES: 2,             // Extra attempts per model after a transient failure
+  BACKOFF_MS: 500,            // First retry delay, doubled each attempt and jittered
+  MAX_BACKOFF_MS: 4000,
+  FAILURE_THRESHOLD: 3,       // Consecutive failures that open the circuit to the fallback model
+  CIRCUIT_COOLDOWN_MS: 60000, // How long the circuit stays open before the primary is tried again
+};
+
+// AI Providers (selected with the AI_PROVIDER variable)
+export const AI_PROVIDERS = {
+  WORKERS_AI: 'workers-ai',
+  OPENAI: 'openai',
+  MOCK: 'mock',
+};
+
+// Embedding Model for course notes retrieval
+export const EMBEDDING_MODEL = '@cf/baai/bge-base-en-v1.5';
 
 // Token Limits per Operation
 export const TOKEN_LIMITS = {
-  VALIDATE_CLASS: 50,
+  VALIDATE_CLASS: 600,
   GENERATE_FLASHCARDS: 2000,
   GENERATE_QUIZ: 2500,
   GENERATE_TEST: 3000,
   GRADE_TEST: 2000,
+  REGRADE_ANSWER: 800,
+  CHAT_REPLY: 600,
+  GENERATE_STUDY_GUIDE: 3000,
+  GENERATE_ESSAY_PROMPT: 1000,
+  GRADE_ESSAY: 2500,
+  GENERATE_STUDY_PLAN: 3000,
+};
+
+// Chunked Generation - items per model call, sized to fit within the token limits above
+export const GENERATION = {
+  BATCH_SIZE: {
+    flashcards: 15,
+    quiz: 8,
+    test: 8,
+  },
+  MAX_ROUNDS: 3,     // Extra rounds requested when dropped or duplicate items leave a shortfall
+  MAX_EXCLUDED: 50,  // Existing questions listed in a prompt to avoid repeats
+};
+
+// Difficulty and cognitive (Bloom's taxonomy) levels generated items can target
+export const LEVELS = {
+  DIFFICULTIES: ['intro', 'intermediate', 'advanced'],
+  BLOOM: ['recall', 'apply', 'analyze', 'evaluate'],
+};
+
+// Test question types generation can produce
+export const TEST_QUESTION_TYPES = [
+  'multiple_choice',
+  'short_answer',
+  'true_false',
+  'fill_blank',
+  'matching',
+  'ordering',
+  'numeric',
+];
+
+// Class Validation - how much of the model's suggestions to keep
+export const CLASS_VALIDATION = {
+  MAX_UNITS: 12,        // Suggested topics/units shown in step 1
+  MAX_ALTERNATIVES: 4,  // "Did you mean" alternatives
+};
+
+// Study guide sections, in display order
+export const STUDY_GUIDE_SECTIONS = ['keyConcepts', 'definitions', 'formulas', 'pitfalls', 'workedExamples'];
+
+// Essay Settings
+export const ESSAY = {
+  POINTS: 20,                              // Total rubric points for an essay
+  WORD_RANGE: { min: 400, max: 800 },      // Target length when the prompt gives none
+  MAX_WORDS: 3000,                         // Longest essay accepted for grading
+};
+
+// Study Plan Settings
+export const STUDY_PLAN = {
+  MODES: ['flashcards', 'quiz', 'test', 'studyGuide', 'essay', 'tutor'], // Modes a task can launch
+  MAX_DAYS: 60,                   // Longest plan, from the start date to the exam
+  MAX_SYLLABUS_LENGTH: 20000,     // Characters of syllabus text accepted
+};
+
+// Response Cache - generated sets shared across sessions
+export const CACHE = {
+  TTL_SECONDS: 24 * 60 * 60,    // Default lifetime, overridden by the CACHE_TTL_SECONDS variable (0 disables)
+  STORAGE_NAME: 'response-cache', // Durable Object instance that holds the entries
+  // Bump an operation's version when its prompt or output format changes so old entries stop matching
+  PROMPT_VERSIONS: {
+    flashcards: 1,
+    quiz: 1,
+    test: 1,
+    studyGuide: 1,
+  },
+};
+
+// Rate Limits - token buckets per session and per client IP for each kind of request.
+// A bucket holds up to `capacity` requests and refills `refillPerMinute` of them every minute.
+export const RATE_LIMITS = {
+  validation: {
+    session: { capacity: 20, refillPerMinute: 10 },
+    ip: { capacity: 60, refillPerMinute: 30 },
+  },
+  generation: {
+    session: { capacity: 10, refillPerMinute: 4 },
+    ip: { capacity: 30, refillPerMinute: 12 },
+  },
+  grading: {
+    session: { capacity: 20, refillPerMinute: 6 },
+    ip: { capacity: 60, refillPerMinute: 20 },
+  },
+  // Kept low so pairing codes can't be guessed by trying them in bulk
+  pairing: {
+    session: { capacity: 5, refillPerMinute: 1 },
+    ip: { capacity: 10, refillPerMinute: 2 },
+  },
+  // Sign-up and sign-in, limited per client so passwords can't be guessed in bulk
+  auth: {
+    session: { capacity: 10, refillPerMinute: 2 },
+    ip: { capacity: 10, refillPerMinute: 3 },
+  },
+  // Library sync, roomy enough for a full library's pages on a few devices at once
+  sync: {
+    session: { capacity: 60, refillPerMinute: 30 },
+    ip: { capacity: 120, refillPerMinute: 60 },
+  },
+};
+
+// Usage Accounting - model calls are totalled per day in each session's Durable Object
+export const USAGE = {
+  RETENTION_DAYS: 90, // Daily totals older than this are deleted
+  DEFAULT_DAYS: 30,   // Days covered by /api/usage when none are requested
+};
+
+// Study Library - saved study tools synced between the devices that share a session
+export const LIBRARY = {
+  MODES: ['flashcards', 'quiz', 'test', 'studyGuide', 'essay', 'tutor'], // Modes an item can hold
+  MAX_ITEMS: 500,             // Live (not deleted) items kept per session
+  MAX_CHANGES: 100,           // Changes accepted in one sync request
+  PAGE_SIZE: 50,              // Items and tombstones returned by one sync response; devices page with the cursor
+  MAX_ITEM_BYTES: 100 * 1024, // Largest item as JSON (Durable Object values are capped at 128 KiB)
+  MAX_ID_LENGTH: 64,          // Characters in a client-chosen item ID
+  CLOCK_SKEW_MS: 5 * 60 * 1000, // How far past the server's clock an item's updatedAt may be
+  TOMBSTONE_DAYS: 30,         // Deletes are remembered this long after they reach the server so other devices learn of them
+};
+
+// Accounts - email and password sign-in with HMAC-signed session tokens
+export const AUTH = {
+  STORAGE_NAME: 'accounts',          // Durable Object instance that holds the accounts
+  TOKEN_TTL_SECONDS: 30 * 24 * 60 * 60, // Sign-ins last 30 days
+  PBKDF2_ITERATIONS: 100000,         // The most Workers' PBKDF2 accepts
+  MIN_SECRET_LENGTH: 32,             // Characters required in SESSION_SECRET
+  MIN_PASSWORD_LENGTH: 8,
+  MAX_PASSWORD_LENGTH: 128,
+  MAX_EMAIL_LENGTH: 254,
+};
+
+// Device Pairing - one-time codes that sign another device in to the same account
+export const PAIRING = {
+  STORAGE_NAME: 'device-pairing', // Durable Object instance that holds the codes
+  CODE_ALPHABET: 'ABCDEFGHJKMNPQRSTUVWXYZ23456789', // No 0/O, 1/I/L to misread
+  CODE_LENGTH: 8,
+  TTL_SECONDS: 10 * 60,           // Codes expire unused after this long
 };
 
 // Temperature Settings
@@ -20,17 +190,53 @@ export const TEMPERATURE = {
   HIGH: 0.7, // For content generation (more creative)
 };
 
+// Chat Settings - follow-up questions and tutoring
+export const CHAT = {
+  MAX_MESSAGE_LENGTH: 2000, // Characters allowed in one student message
+  HISTORY_MESSAGES: 20,     // Earlier turns sent to the model with each message
+  STORED_MESSAGES: 100,     // Turns kept per thread in the Durable Object
+};
+
+// Input Guard - limits on student fields that are quoted into prompts
+export const GUARD = {
+  MAX_LENGTHS: {
+    className: 120,
+    topic: 200,
+    answer: 2000,   // Each test answer, or each part of a multi-part answer
+    text: 30000,    // Essay drafts (ESSAY.MAX_WORDS also applies)
+  },
+};
+
 // CORS Configuration
 export const CORS_HEADERS = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Expose-Headers': 'Retry-After',
+};
+
+// Course Notes Configuration
+export const NOTES = {
+  MAX_UPLOAD_BYTES: 5 * 1024 * 1024, // Largest accepted upload (5 MB)
+  MAX_CHARACTERS: 200000,            // Extracted text beyond this is truncated
+  CHUNK_SIZE: 1200,                  // Target characters per chunk
+  CHUNK_OVERLAP: 200,                // Characters repeated between neighbouring chunks
+  CONTEXT_CHARACTERS: 6000,          // Note text passed into a single prompt
+  FILE_TYPES: ['txt', 'md', 'pdf'],
+};
+
+// Retrieval Configuration
+export const RETRIEVAL = {
+  TOP_K: 6,               // Chunks retrieved per generation request
+  LOCAL_DIMENSIONS: 256,  // Vector size for the offline hashing embedder
+  EMBED_BATCH_SIZE: 50,   // Chunks embedded per model call
+  EXCERPT_LENGTH: 300,    // Characters of a chunk shown as a citation
 };
 
 // Default Values
 export const DEFAULTS = {
-  SESSION_ID: 'default',
   FLASHCARD_COUNT: 10,
   QUIZ_COUNT: 5,
   TEST_COUNT: 10,
+  DIFFICULTY: 'intermediate',
 };
\ No newline at end of file
@@ -0,0 +1,70 @@
+/**
+ * Utility functions for calendar dates written as YYYY-MM-DD
+ * Dates are handled in UTC so a day never shifts with the server's time zone
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Parse a YYYY-MM-DD date
+ * @param {string} value - Date text
+ * @returns {Date|null} Midnight UTC on that day, or null if it is not a real date
+ */
+export function parseDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && formatDate(date) === value ? date : null;
+}
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} Date text
+ */
+export function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Short weekday name of a date
+ * @param {string} value - YYYY-MM-DD date
+ * @returns {string} e.g. "Mon"
+ */
+export function weekday(value) {
+  return WEEKDAYS[parseDate(value).getUTCDay()];
+}
+
+/**
+ * Whole days from one date to another
+ * @param {string} from - YYYY-MM-DD start
+ * @param {string} to - YYYY-MM-DD end
+ * @returns {number} Days between them (negative if "to" is earlier)
+ */
+export function daysBetween(from, to) {
+  return Math.round((parseDate(to) - parseDate(from)) / DAY_MS);
+}
+
+/**
+ * Every date from the start up to, but not including, the end
+ * @param {string} start - YYYY-MM-DD first day
+ * @param {string} end - YYYY-MM-DD day after the last
+ * @returns {Array<string>} Dates in order
+ */
+export function dateRange(start, end) {
+  const first = parseDate(start);
+  return Array.from({ length: Math.max(daysBetween(start, end), 0) }, (_, i) =>
+    formatDate(new Date(first.getTime() + i * DAY_MS))
+  );
+}
+
+/**
+ * Shift a date by a number of days
+ * @param {string} value - YYYY-MM-DD date
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} YYYY-MM-DD date
+ */
+export function addDays(value, days) {
+  return formatDate(new Date(parseDate(value).getTime() + days * DAY_MS));
+}
@@ -0,0 +1,72 @@
+/**
+ * Utility functions for removing repeated items when merging generation batches
+ */
+
+// Word overlap at which two questions count as the same question
+const SIMILARITY_THRESHOLD = 0.8;
+
+/**
+ * Text that identifies an item (its question, or answer for answer-only items)
+ * @param {Object} item - Flashcard or question
+ * @returns {string} Identifying text
+ */
+export function itemText(item) {
+  return String(item.question || item.answer || '');
+}
+
+/**
+ * Set of normalized words in a text
+ * @param {string} text - Text to normalize
+ * @returns {Set<string>} Words
+ */
+function wordSet(text) {
+  return new Set(text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+/**
+ * Jaccard similarity of two word sets
+ * @param {Set<string>} a - First set
+ * @param {Set<string>} b - Second set
+ * @returns {number} Similarity in [0, 1]
+ */
+function similarity(a, b) {
+  // Texts without any words have nothing to compare, so they never count as repeats
+  if (a.size === 0 && b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(word => { if (b.has(word)) shared++; });
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Keep only items that do not repeat each other or any existing item
+ * @param {Array<Object>} items - New items
+ * @param {Array<Object>} existing - Items already kept
+ * @returns {Array<Object>} Unique new items, in order
+ */
+export function dedupeItems(items, existing = []) {
+  const seen = existing.map(item => wordSet(itemText(item)));
+  const unique = [];
+
+  items.forEach(item => {
+    const words = wordSet(itemText(item));
+    if (seen.some(other => similarity(words, other) >= SIMILARITY_THRESHOLD)) return;
+    seen.push(words);
+    unique.push(item);
+  });
+
+  return unique;
+}
+
+/**
+ * Split a count into batches no larger than the batch size
+ * @param {number} count - Total items needed
+ * @param {number} batchSize - Maximum items per batch
+ * @returns {Array<number>} Items per batch, e.g. planBatches(20, 8) => [8, 8, 4]
+ */
+export function planBatches(count, batchSize) {
+  const batches = [];
+  for (let remaining = count; remaining > 0; remaining -= batchSize) {
+    batches.push(Math.min(batchSize, remaining));
+  }
+  return batches;
+}
@@ -0,0 +1,107 @@
+/**
+ * Typed errors for failed model calls, guard rejections and authentication failures
+ * Each code maps to an HTTP status and a message that is safe to show to students
+ */
+
+// Status and default message per error code
+export const AI_ERROR_CODES = {
+  AI_TIMEOUT: { status: 504, message: 'The AI took too long to respond. Please try again.' },
+  AI_UNAVAILABLE: { status: 503, message: 'The AI service is temporarily unavailable. Please try again in a minute.' },
+  AI_BAD_RESPONSE: { status: 502, message: 'The AI returned an unusable response. Please try again.' },
+  AI_REQUEST_FAILED: { status: 502, message: 'The AI could not process this request. Try rephrasing or shortening it.' },
+};
+
+export class AIError extends Error {
+  /**
+   * @param {string} code - One of AI_ERROR_CODES
+   * @param {string} message - Message for the student (defaults to the code's message)
+   * @param {Object} options - { cause: original error, retryable: boolean }
+   */
+  constructor(code, message = AI_ERROR_CODES[code].message, { cause = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'AIError';
+    this.code = code;
+    this.status = AI_ERROR_CODES[code].status;
+    this.cause = cause;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Classify a provider error as a typed AIError
+ * Timeouts, 5xx and 429 responses, capacity and network failures are transient and worth retrying
+ * @param {Error} error - Error thrown by a provider
+ * @returns {AIError} Typed error
+ */
+export function toAIError(error) {
+  if (error instanceof AIError) return error;
+
+  const message = String(error && error.message || error);
+  const status = httpStatus(error, message);
+  const transient = status >= 500 || status === 429 ||
+    /timed? ?out|temporar|capacity|overload|unavailable|upstream|network|fetch failed|connection/i.test(message);
+
+  return transient
+    ? new AIError('AI_UNAVAILABLE', undefined, { cause: error, retryable: true })
+    : new AIError('AI_REQUEST_FAILED', undefined, { cause: error });
+}
+
+/**
+ * HTTP status of a failed provider call
+ * Prefers the status the provider attached; only errors without one are read for status phrasing
+ * like "returned 503" or "HTTP 429", so other numbers in the message are never mistaken for a status
+ * @param {Error} error - Error thrown by a provider
+ * @param {string} message - Error message
+ * @returns {number} Status, or 0 when unknown
+ */
+function httpStatus(error, message) {
+  const structured = error && (error.status ?? (error.response && error.response.status));
+  if (structured != null) return Number(structured) || 0;
+  const match = message.match(/\b(?:status(?: code)?|returned|http(?:\/[\d.]+)?)[\s:]+([45]\d\d)\b/i);
+  return match ? Number(match[1]) : 0;
+}
+
+// Status and default message per guard rejection code
+export const GUARD_ERROR_CODES = {
+  INPUT_TOO_LONG: { status: 400, message: 'This field is longer than allowed. Please shorten it.' },
+  PROMPT_INJECTION: { status: 400, message: 'This looks like instructions for the AI rather than study material. Please rephrase it.' },
+  UNSAFE_OUTPUT: { status: 422, message: 'The generated content did not pass the safety check and was withheld. Please try a different class or topic.' },
+};
+
+export class GuardError extends Error {
+  /**
+   * @param {string} code - One of GUARD_ERROR_CODES
+   * @param {string} message - Message for the student (defaults to the code's message)
+   * @param {Object} options - { field: name of the rejected request field, category: safety category of blocked output }
+   */
+  constructor(code, message = GUARD_ERROR_CODES[code].message, { field = null, category = null } = {}) {
+    super(message);
+    this.name = 'GuardError';
+    this.code = code;
+    this.status = GUARD_ERROR_CODES[code].status;
+    this.field = field;
+    this.category = category;
+  }
+}
+
+// Status and default message per authentication failure code
+export const AUTH_ERROR_CODES = {
+  UNAUTHENTICATED: { status: 401, message: 'Please sign in to continue.' },
+  INVALID_CREDENTIALS: { status: 401, message: 'Email or password is incorrect.' },
+  FORBIDDEN: { status: 403, message: 'This session belongs to another account.' },
+  ACCOUNT_EXISTS: { status: 409, message: 'An account with this email already exists. Please sign in instead.' },
+  AUTH_NOT_CONFIGURED: { status: 500, message: 'Sign-in is not set up on this server yet.' },
+};
+
+export class AuthError extends Error {
+  /**
+   * @param {string} code - One of AUTH_ERROR_CODES
+   * @param {string} message - Message for the student (defaults to the code's message)
+   */
+  constructor(code, message = AUTH_ERROR_CODES[code].message) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+    this.status = AUTH_ERROR_CODES[code].status;
+  }
+}
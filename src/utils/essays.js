@@ -0,0 +1,25 @@
+/**
+ * Utility functions for reading essay text
+ */
+
+/**
+ * Count the words in a text
+ * @param {string} text - Essay text
+ * @returns {number} Word count
+ */
+export function countWords(text) {
+  const words = String(text || '').trim().match(/\S+/g);
+  return words ? words.length : 0;
+}
+
+/**
+ * Split an essay into paragraphs on blank lines
+ * @param {string} text - Essay text
+ * @returns {Array<string>} Non-empty paragraphs
+ */
+export function splitParagraphs(text) {
+  return String(text || '')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean);
+}
@@ -0,0 +1,169 @@
+/**
+ * Deterministic grading for objective test questions
+ * Open-ended answers are left for the AI grader
+ */
+
+import { describeAnswer, expectedAnswer } from './answers.js';
+
+/**
+ * Normalize free text for exact-match comparison
+ * @param {*} value - Answer text
+ * @returns {string} Lowercased text without punctuation or repeated spaces
+ */
+function normalize(value) {
+  return String(value ?? '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s.-]/gu, '')
+    .replace(/\.$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Whether an answer was left empty
+ * @param {*} answer - Submitted answer
+ * @returns {boolean} True if nothing was answered
+ */
+function isBlank(answer) {
+  if (Array.isArray(answer)) return answer.every(isBlank);
+  return answer === undefined || answer === null || String(answer).trim() === '';
+}
+
+/**
+ * Read a numeric answer such as "9.8", "1,200" or "9.8 m/s"
+ * @param {*} answer - Submitted answer
+ * @returns {number} Parsed number, or NaN
+ */
+function parseNumber(answer) {
+  if (typeof answer === 'number') return answer;
+  return parseFloat(String(answer ?? '').replace(/,/g, ''));
+}
+
+/**
+ * Fraction of list parts that match, compared position by position
+ * @param {Array} expected - Correct parts
+ * @param {*} answer - Submitted parts
+ * @param {Function} same - (expected, given) => boolean
+ * @returns {number} Fraction correct in [0, 1]
+ */
+function partsCorrect(expected, answer, same) {
+  const given = Array.isArray(answer) ? answer : [answer];
+  const correct = expected.filter((part, i) => same(part, given[i])).length;
+  return expected.length > 0 ? correct / expected.length : 0;
+}
+
+// Fraction of credit earned for each objective question type
+const SCORERS = {
+  multiple_choice(q, answer) {
+    // Option text is matched before a digit string is read as an index, so "2" among numeric options is that option
+    const named = typeof answer === 'string' && q.options.some(option => normalize(option) === normalize(answer));
+    const chosen = !named && (Number.isInteger(answer) || /^\d+$/.test(String(answer))) ? q.options[Number(answer)] : answer;
+    // Test questions store the correct option's text, quiz questions its index
+    const correct = q.correctAnswer ?? q.options[q.correct];
+    return normalize(chosen) === normalize(correct) ? 1 : 0;
+  },
+
+  true_false(q, answer) {
+    const chosen = typeof answer === 'boolean' ? answer : String(answer).trim().toLowerCase() === 'true';
+    return chosen === q.correctAnswer ? 1 : 0;
+  },
+
+  numeric(q, answer) {
+    const value = parseNumber(answer);
+    return Number.isFinite(value) && Math.abs(value - q.correctAnswer) <= q.tolerance + 1e-9 ? 1 : 0;
+  },
+
+  fill_blank(q, answer) {
+    return partsCorrect(q.correctAnswer, answer, (expected, given) => normalize(expected) === normalize(given));
+  },
+
+  matching(q, answer) {
+    return partsCorrect(q.pairs.map(pair => pair.right), answer, (expected, given) => expected === given);
+  },
+
+  ordering(q, answer) {
+    return partsCorrect(q.items, answer, (expected, given) => expected === given);
+  },
+};
+
+/**
+ * Question type to grade by
+ * @param {Object} question - Test or quiz question
+ * @returns {string|undefined} The question's type; quiz questions are stored without one and are multiple choice
+ */
+function gradingType(question) {
+  return question.type || (Array.isArray(question.options) ? 'multiple_choice' : undefined);
+}
+
+/**
+ * Whether a question can be graded in code
+ * @param {Object} question - Test or quiz question
+ * @returns {boolean} True for objective question types
+ */
+export function isObjective(question) {
+  return Boolean(SCORERS[gradingType(question)]);
+}
+
+/**
+ * Grade an answer in code. Objective questions are scored against the answer key,
+ * partially for multi-part answers; empty answers score zero without asking the AI.
+ * @param {Object} question - Test or quiz question
+ * @param {*} answer - Student answer
+ * @param {number} questionIndex - Index of the question in the test
+ * @returns {Object|null} Grading result, or null if the answer needs the AI grader
+ */
+export function gradeLocally(question, answer, questionIndex) {
+  const pointsPossible = question.points || 10;
+  const expected = describeAnswer(question, expectedAnswer(question));
+
+  if (isBlank(answer)) {
+    const result = {
+      questionIndex,
+      pointsEarned: 0,
+      pointsPossible,
+      feedback: isObjective(question) ? `No answer given. The correct answer is: ${expected}` : 'No answer given.',
+      gradedBy: 'auto',
+    };
+    if (question.rubric) {
+      result.criteria = question.rubric.map(entry => ({
+        criterion: entry.criterion,
+        pointsEarned: 0,
+        pointsPossible: entry.points,
+        met: false,
+        feedback: '',
+        keyConcepts: entry.keyConcepts,
+      }));
+    }
+    return result;
+  }
+
+  if (!isObjective(question)) return null;
+
+  const fraction = SCORERS[gradingType(question)](question, answer);
+  const pointsEarned = Math.round(pointsPossible * fraction * 10) / 10;
+
+  let feedback = 'Correct.';
+  if (fraction === 0) {
+    feedback = `Incorrect. The correct answer is: ${expected}`;
+  } else if (fraction < 1) {
+    feedback = `Partly correct (${Math.round(fraction * 100)}%). The correct answer is: ${expected}`;
+  }
+
+  return { questionIndex, pointsEarned, pointsPossible, feedback, gradedBy: 'auto' };
+}
+
+/**
+ * Order results by question and recompute the totals
+ * @param {Array<Object>} results - Grading results for every question
+ * @returns {Object} { results, totalScore, totalPossible }
+ */
+export function summarizeGrading(results) {
+  const ordered = [...results].sort((a, b) => a.questionIndex - b.questionIndex);
+  const total = key => Math.round(ordered.reduce((sum, result) => sum + result[key], 0) * 10) / 10;
+
+  return {
+    results: ordered,
+    totalScore: total('pointsEarned'),
+    totalPossible: total('pointsPossible'),
+  };
+}
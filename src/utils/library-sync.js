@@ -0,0 +1,97 @@
+/**
+ * Utility functions for syncing the study library between devices
+ * Each item is resolved on its own: the copy with the later updatedAt wins, and deletes are
+ * kept as tombstones so they also win over older copies that other devices still hold
+ */
+
+import { LIBRARY } from './constants.js';
+
+/**
+ * Whether a change should replace the stored copy of an item (last writer wins)
+ * @param {Object} change - Incoming item or tombstone
+ * @param {Object} current - Stored item or tombstone (optional)
+ * @returns {boolean} True if the change is newer; equal times go to the higher device ID so every device agrees
+ */
+export function isNewerLibraryItem(change, current) {
+  if (!current) return true;
+  if (change.updatedAt !== current.updatedAt) return change.updatedAt > current.updatedAt;
+  return change.deviceId > current.deviceId;
+}
+
+/**
+ * Merge validated changes into the stored items, numbering each accepted write
+ * @param {Map<string, Object>} stored - Stored items and tombstones by ID
+ * @param {Array<Object>} changes - Changes from validateLibraryChanges
+ * @param {number} seq - Sequence number of the last accepted write
+ * @param {number} now - Current time in ms
+ * @returns {Object} { writes: Map of items to store by ID, stamped with seq and the server's syncedAt;
+ *   rejected: [{ id, error }], seq }
+ */
+export function mergeLibraryChanges(stored, changes, seq, now = Date.now()) {
+  const writes = new Map();
+  const rejected = [];
+  let live = [...stored.values()].filter(item => !item.deleted).length;
+
+  for (const change of changes) {
+    // A device whose clock runs ahead must not win every later conflict
+    const item = { ...change, updatedAt: Math.min(change.updatedAt, now + LIBRARY.CLOCK_SKEW_MS) };
+    const current = writes.get(item.id) || stored.get(item.id);
+    if (!isNewerLibraryItem(item, current)) continue;
+
+    const adds = !item.deleted && (!current || current.deleted);
+    if (adds && live >= LIBRARY.MAX_ITEMS) {
+      rejected.push({ id: item.id, error: `Library is full (maximum ${LIBRARY.MAX_ITEMS} items)` });
+      continue;
+    }
+
+    if (!item.deleted && new TextEncoder().encode(JSON.stringify(item)).length > LIBRARY.MAX_ITEM_BYTES) {
+      rejected.push({ id: item.id, error: `Library item is too large to sync (maximum ${LIBRARY.MAX_ITEM_BYTES / 1024} KB)` });
+      continue;
+    }
+
+    if (adds) live++;
+    if (item.deleted && current && !current.deleted) live--;
+
+    seq++;
+    writes.set(item.id, { ...item, seq, syncedAt: now });
+  }
+
+  return { writes, rejected, seq };
+}
+
+/**
+ * Tombstones old enough that every active device should have seen them
+ * Age counts from when the delete reached the server, so a delete sent by a device that was
+ * offline for weeks is still kept long enough for the other devices to sync it
+ * @param {Map<string, Object>} stored - Stored items and tombstones by ID
+ * @param {number} now - Current time in ms
+ * @returns {Array<Object>} Tombstones to drop
+ */
+export function expiredTombstones(stored, now = Date.now()) {
+  const cutoff = now - LIBRARY.TOMBSTONE_DAYS * 24 * 60 * 60 * 1000;
+  return [...stored.values()].filter(item => item.deleted && (item.syncedAt ?? item.updatedAt) < cutoff);
+}
+
+/**
+ * One page of what a device needs to catch up from its cursor, oldest write first
+ * @param {Map<string, Object>} stored - Stored items and tombstones by ID, after merging
+ * @param {number} since - Sequence number the device last synced to (0 for never)
+ * @param {Object} meta - { seq, prunedSeq } - last sequence number and highest one among dropped tombstones
+ * @param {boolean} continueFull - Whether `since` is the cursor of an earlier page of a full sync
+ * @returns {Object} { items, full, cursor, more } - with full set, the pages from here on hold the whole
+ *   live library and anything missing from them is gone; otherwise items are the writes and tombstones
+ *   after `since`. While more is set, the device asks again from cursor for the next page
+ */
+export function libraryChangesSince(stored, since, { seq, prunedSeq }, continueFull = false) {
+  // A device that missed dropped tombstones, or synced before the session was cleared, can't trust a partial update.
+  // Later pages of a full sync skip the tombstone check, since the device drops whatever the pages never listed.
+  const full = !since || since > seq || (!continueFull && since < prunedSeq);
+  const changed = [...stored.values()]
+    .filter(item => (full ? !item.deleted : item.seq > since))
+    .sort((a, b) => a.seq - b.seq);
+
+  // Later pages are partial syncs from the last item sent, so deletes made between pages still arrive
+  const items = changed.slice(0, LIBRARY.PAGE_SIZE);
+  const more = changed.length > items.length;
+  return { items, full, cursor: more ? items[items.length - 1].seq : seq, more };
+}
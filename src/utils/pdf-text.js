@@ -0,0 +1,160 @@
+/**
+ * Utility functions for extracting text from text-based PDF files
+ * Handles uncompressed and FlateDecode content streams; scanned PDFs have no text to extract
+ */
+
+/**
+ * Extract the readable text of a PDF
+ * @param {ArrayBuffer} buffer - Raw PDF bytes
+ * @returns {Promise<string>} Extracted text
+ * @throws {Error} If the file is not a PDF or contains no extractable text
+ */
+export async function extractPdfText(buffer) {
+  const raw = new TextDecoder('latin1').decode(buffer);
+
+  if (!raw.startsWith('%PDF')) {
+    throw new Error('A valid PDF file is required');
+  }
+
+  const pages = [];
+  const streamPattern = /\bstream\r?\n/g;
+  let match;
+
+  while ((match = streamPattern.exec(raw)) !== null) {
+    // The stream dictionary sits between the object header and the stream keyword
+    const dictionary = raw.slice(Math.max(0, raw.lastIndexOf('obj', match.index)), match.index);
+    const start = match.index + match[0].length;
+    const end = raw.indexOf('endstream', start);
+    if (end === -1) break;
+    streamPattern.lastIndex = end;
+
+    // Skip images, fonts and other binary streams
+    if (/\/Subtype\s*\/(Image|Type1C|CIDFontType0C|OpenType)|\/Length1|\/Type\s*\/(XObject|XRef|ObjStm)/.test(dictionary)) {
+      continue;
+    }
+
+    let content = raw.slice(start, end);
+    if (/\/FlateDecode/.test(dictionary)) {
+      content = await inflate(content);
+      if (content === null) continue;
+    } else if (/\/Filter/.test(dictionary)) {
+      continue;
+    }
+
+    const text = extractTextOperators(content);
+    if (text.trim()) pages.push(text.trim());
+  }
+
+  const text = pages.join('\n\n');
+  if (!text.trim()) {
+    throw new Error('No extractable text found in PDF. Scanned documents are not supported');
+  }
+
+  return text;
+}
+
+/**
+ * Decompress a FlateDecode stream
+ * @param {string} binary - Stream bytes as a latin1 string
+ * @returns {Promise<string|null>} Decompressed content, or null if it cannot be inflated
+ */
+async function inflate(binary) {
+  const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+
+  try {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    const decompressed = await new Response(stream).arrayBuffer();
+    return new TextDecoder('latin1').decode(decompressed);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Collect the strings drawn by text operators (Tj, TJ, ', ") in a content stream
+ * @param {string} content - Decompressed content stream
+ * @returns {string} Text with line breaks at text positioning operators
+ */
+function extractTextOperators(content) {
+  let output = '';
+  const tokenPattern = /\((?:\\[\s\S]|[^\\)])*\)|\[(?:\((?:\\[\s\S]|[^\\)])*\)|[^\]])*\]\s*TJ|<[0-9A-Fa-f\s]*>|\b(?:Tj|TJ|Td|TD|ET)\b|\bT\*|'|"/g;
+  let pending = '';
+  let token;
+
+  while ((token = tokenPattern.exec(content)) !== null) {
+    const value = token[0];
+
+    if (value.startsWith('(')) {
+      pending = decodeLiteral(value.slice(1, -1));
+    } else if (value.startsWith('<')) {
+      pending = decodeHex(value.slice(1, -1));
+    } else if (value.startsWith('[')) {
+      output += decodeArray(value.slice(1, value.lastIndexOf(']')));
+    } else if (value === 'Tj') {
+      output += pending;
+      pending = '';
+    } else if (value === "'" || value === '"') {
+      output += '\n' + pending;
+      pending = '';
+    } else {
+      // T*, Td, TD and ET move to a new line or end the text object
+      if (output && !output.endsWith('\n')) output += '\n';
+      pending = '';
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Decode the contents of a TJ array, inserting spaces for wide kerning gaps
+ * @param {string} body - Array contents without brackets
+ * @returns {string} Decoded text
+ */
+function decodeArray(body) {
+  let text = '';
+  const partPattern = /\((?:\\[\s\S]|[^\\)])*\)|<[0-9A-Fa-f\s]*>|-?\d*\.?\d+/g;
+  let part;
+
+  while ((part = partPattern.exec(body)) !== null) {
+    const value = part[0];
+    if (value.startsWith('(')) {
+      text += decodeLiteral(value.slice(1, -1));
+    } else if (value.startsWith('<')) {
+      text += decodeHex(value.slice(1, -1));
+    } else if (parseFloat(value) < -200 && !text.endsWith(' ')) {
+      text += ' ';
+    }
+  }
+
+  return text;
+}
+
+/**
+ * Decode a PDF literal string body
+ * @param {string} body - String contents without parentheses
+ * @returns {string} Decoded text
+ */
+function decodeLiteral(body) {
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+
+  return body
+    .replace(/\\([0-7]{1,3})/g, (_, octal) => String.fromCharCode(parseInt(octal, 8)))
+    .replace(/\\\r?\n/g, '')
+    .replace(/\\(.)/g, (_, char) => escapes[char] ?? char);
+}
+
+/**
+ * Decode a PDF hex string body as single-byte characters
+ * @param {string} body - Hex digits without angle brackets
+ * @returns {string} Decoded text
+ */
+function decodeHex(body) {
+  const hex = body.replace(/\s+/g, '');
+  let text = '';
+  for (let i = 0; i < hex.length; i += 2) {
+    const code = parseInt(hex.slice(i, i + 2).padEnd(2, '0'), 16);
+    if (code >= 32) text += String.fromCharCode(code);
+  }
+  return text;
+}
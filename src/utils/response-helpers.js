@@ -3,6 +3,7 @@
  */
 
 import { CORS_HEADERS } from './constants.js';
+import { AIError, GuardError, AuthError } from './errors.js';
 
 /**
  * Create a JSON response with CORS headers
@@ -24,10 +25,14 @@ export function jsonResponse(data, status = 200, corsHeaders = CORS_HEADERS) {
  * @param {number} status - HTTP status code (default: 500)
  * @param {Object} corsHeaders - CORS headers (optional, uses defaults)
  * @param {string} details - Additional error details (optional)
+ * @param {string} code - Machine-readable error code (optional)
  * @returns {Response} HTTP Response object
  */
-export function errorResponse(message, status = 500, corsHeaders = CORS_HEADERS, details = null) {
+export function errorResponse(message, status = 500, corsHeaders = CORS_HEADERS, details = null, code = null) {
   const errorData = { error: message };
+  if (code) {
+    errorData.code = code;
+  }
   if (details) {
     errorData.details = details;
   }
@@ -36,4 +41,77 @@ export function errorResponse(message, status = 500, corsHeaders = CORS_HEADERS,
     status,
     headers: { 'Content-Type': 'application/json', ...corsHeaders },
   });
-}
\ No newline at end of file
+}
+
+/**
+ * Create the response for an unexpected handler error. Model failures, guard
+ * rejections and authentication failures keep their typed code and friendly
+ * message; anything else is logged and reported generically.
+ * @param {Error} error - Caught error
+ * @param {Object} corsHeaders - CORS headers (optional, uses defaults)
+ * @returns {Response} HTTP Response object
+ */
+export function failureResponse(error, corsHeaders = CORS_HEADERS) {
+  if (error instanceof AuthError) {
+    if (error.code === 'AUTH_NOT_CONFIGURED') {
+      console.error('Auth Error: SESSION_SECRET is missing or shorter than required');
+    }
+    return errorResponse(error.message, error.status, corsHeaders, null, error.code);
+  }
+  if (error instanceof AIError) {
+    return errorResponse(error.message, error.status, corsHeaders, null, error.code);
+  }
+  if (error instanceof GuardError) {
+    const details = error.field ? { field: error.field } : error.category ? { category: error.category } : null;
+    return errorResponse(error.message, error.status, corsHeaders, details, error.code);
+  }
+
+  console.error('Unexpected Error:', error);
+  return errorResponse('Something went wrong on our side. Please try again.', 500, corsHeaders, null, 'INTERNAL_ERROR');
+}
+
+/**
+ * Create a 429 response telling the client when to try again
+ * @param {string} message - Error message
+ * @param {number} retryAfter - Seconds until a request will be accepted
+ * @param {Object} corsHeaders - CORS headers (optional, uses defaults)
+ * @param {string} category - Rate limit category that was exceeded (optional)
+ * @returns {Response} HTTP Response object
+ */
+export function rateLimitResponse(message, retryAfter, corsHeaders = CORS_HEADERS, category = null) {
+  return new Response(JSON.stringify({ error: message, code: 'RATE_LIMITED', category, retryAfter }), {
+    status: 429,
+    headers: {
+      'Content-Type': 'application/json',
+      'Retry-After': String(retryAfter),
+      ...corsHeaders,
+    },
+  });
+}
+
+/**
+ * Create a Server-Sent Events response from a readable stream
+ * @param {ReadableStream} stream - Stream of encoded SSE messages
+ * @param {Object} corsHeaders - CORS headers (optional, uses defaults)
+ * @returns {Response} HTTP Response object
+ */
+export function eventStreamResponse(stream, corsHeaders = CORS_HEADERS) {
+  return new Response(stream, {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      ...corsHeaders,
+    },
+  });
+}
+
+/**
+ * Format a single Server-Sent Event message
+ * @param {string} event - Event name
+ * @param {Object} data - Payload, serialized as JSON
+ * @returns {string} SSE message text
+ */
+export function formatEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
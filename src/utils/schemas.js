@@ -0,0 +1,804 @@
+/**
+ * Schemas for AI-generated content
+ * Each item validator repairs what it safely can and reports what it could not
+ */
+
+import { parseAIResponse } from './json-parser.js';
+import { LEVELS, TEST_QUESTION_TYPES, STUDY_GUIDE_SECTIONS, ESSAY, STUDY_PLAN, CLASS_VALIDATION } from './constants.js';
+
+// Placeholder text for optional fields the model left out
+const FALLBACK_HINT = 'Re-read the question carefully and eliminate options you know are wrong.';
+
+// Marks a blank in a fill_blank question
+const BLANK_PATTERN = /_{3,}/g;
+
+// Numeric answers within this fraction of the correct value count as correct unless a tolerance is given
+const DEFAULT_RELATIVE_TOLERANCE = 0.01;
+
+/**
+ * Non-empty trimmed string, or null
+ * @param {*} value - Value to check
+ * @returns {string|null} Trimmed string or null
+ */
+function text(value) {
+  if (typeof value === 'number') return String(value);
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * Convert a correct-answer reference ("B", "B) ...", 1, "1") to an option index
+ * @param {*} value - Model's correct value
+ * @param {Array<string>} options - Answer options
+ * @returns {number} Option index, or -1 if it cannot be resolved
+ */
+function optionIndex(value, options) {
+  if (Number.isInteger(value)) return value;
+
+  const str = text(value);
+  if (!str) return -1;
+  if (/^\d+$/.test(str)) return parseInt(str, 10);
+
+  const letter = str.match(/^([A-Da-d])(\)|\.|:|$)/);
+  if (letter) return letter[1].toUpperCase().charCodeAt(0) - 65;
+
+  return options.findIndex(option => option.toLowerCase() === str.toLowerCase());
+}
+
+/**
+ * Validate and repair a flashcard
+ * @param {Object} card - Generated flashcard
+ * @returns {Object} { item: Object|null, errors: Array<string>, repaired: boolean }
+ */
+function validateFlashcard(card) {
+  const question = text(card.question);
+  const answer = text(card.answer);
+  const errors = [];
+
+  if (!question) errors.push('"question" must be a non-empty string');
+  if (!answer) errors.push('"answer" must be a non-empty string');
+  if (errors.length) return { item: null, errors, repaired: false };
+
+  return { item: { ...card, question, answer }, errors, repaired: false };
+}
+
+/**
+ * Validate and repair a multiple choice quiz question
+ * @param {Object} q - Generated quiz question
+ * @returns {Object} { item: Object|null, errors: Array<string>, repaired: boolean }
+ */
+function validateQuizQuestion(q) {
+  const errors = [];
+  let repaired = false;
+
+  const question = text(q.question);
+  if (!question) errors.push('"question" must be a non-empty string');
+
+  const options = Array.isArray(q.options) ? q.options.map(text).filter(Boolean) : [];
+  if (options.length !== 4) errors.push(`"options" must contain exactly 4 answers (got ${options.length})`);
+
+  const correct = optionIndex(q.correct, options);
+  if (correct < 0 || correct > 3) errors.push(`"correct" must be an index from 0 to 3 (got ${JSON.stringify(q.correct)})`);
+  else if (correct !== q.correct) repaired = true;
+
+  if (errors.length) return { item: null, errors, repaired: false };
+
+  let hint = text(q.hint);
+  if (!hint) {
+    hint = FALLBACK_HINT;
+    repaired = true;
+  }
+
+  let explanation = text(q.explanation);
+  if (!explanation) {
+    explanation = `The correct answer is ${options[correct]}.`;
+    repaired = true;
+  }
+
+  return { item: { ...q, question, options, correct, hint, explanation }, errors, repaired };
+}
+
+/**
+ * Convert a true/false answer ("True", "f", false) to a boolean
+ * @param {*} value - Model's answer
+ * @returns {boolean|null} Boolean, or null if it cannot be resolved
+ */
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const str = text(value);
+  if (!str) return null;
+  if (/^(true|t|yes)$/i.test(str)) return true;
+  if (/^(false|f|no)$/i.test(str)) return false;
+  return null;
+}
+
+/**
+ * Guess the type of a test question from the fields the model provided
+ * @param {Object} q - Generated test question
+ * @returns {string} Question type
+ */
+function inferTestType(q) {
+  if (Array.isArray(q.pairs) || (q.pairs && typeof q.pairs === 'object')) return 'matching';
+  if (Array.isArray(q.items)) return 'ordering';
+  if (Array.isArray(q.options) && q.options.length >= 2) return 'multiple_choice';
+  if (typeof q.correctAnswer === 'boolean') return 'true_false';
+  if (typeof q.correctAnswer === 'number') return 'numeric';
+  if (typeof q.question === 'string' && q.question.match(BLANK_PATTERN)) return 'fill_blank';
+  return 'short_answer';
+}
+
+/**
+ * Validate the answer fields of each test question type.
+ * Each returns { fields, errors, repaired } where fields replace the type's answer fields.
+ */
+const TEST_TYPE_VALIDATORS = {
+  multiple_choice(q) {
+    const errors = [];
+    let repaired = false;
+
+    const options = Array.isArray(q.options) ? q.options.map(text).filter(Boolean) : [];
+    if (options.length < 2) errors.push('"options" must contain at least 2 answers for multiple_choice');
+
+    // Accept an index or letter and store the option text, which is what grading compares against.
+    // Text is matched first, so a key of "2" among numeric options names that option, not an index
+    let correctAnswer = text(q.correctAnswer);
+    const exact = typeof q.correctAnswer === 'string'
+      ? options.findIndex(option => option.toLowerCase() === correctAnswer.toLowerCase())
+      : -1;
+    const index = exact >= 0 ? exact : optionIndex(q.correctAnswer, options);
+    if (!correctAnswer) {
+      errors.push('"correctAnswer" must be provided');
+    } else if (index < 0 || index >= options.length) {
+      // An answer key that matches no option would mark every answer wrong
+      errors.push(`"correctAnswer" must be one of the options, or its index or letter (got ${JSON.stringify(q.correctAnswer)})`);
+    } else if (options[index] !== correctAnswer) {
+      correctAnswer = options[index];
+      repaired = true;
+    }
+
+    return { fields: { options, correctAnswer }, errors, repaired };
+  },
+
+  short_answer(q) {
+    const correctAnswer = text(q.correctAnswer);
+    return {
+      fields: { correctAnswer },
+      errors: correctAnswer ? [] : ['"correctAnswer" must be provided'],
+      repaired: false,
+    };
+  },
+
+  true_false(q) {
+    const correctAnswer = toBoolean(q.correctAnswer);
+    return {
+      fields: { correctAnswer },
+      errors: correctAnswer === null ? ['"correctAnswer" must be true or false for true_false'] : [],
+      repaired: correctAnswer !== null && correctAnswer !== q.correctAnswer,
+    };
+  },
+
+  fill_blank(q) {
+    const errors = [];
+    let repaired = false;
+
+    const blanks = (String(q.question || '').match(BLANK_PATTERN) || []).length;
+    if (blanks === 0) errors.push('"question" must mark each blank with ___ for fill_blank');
+
+    let correctAnswer = q.correctAnswer;
+    if (!Array.isArray(correctAnswer)) {
+      correctAnswer = [correctAnswer];
+      repaired = true;
+    }
+    correctAnswer = correctAnswer.map(text);
+    if (correctAnswer.length !== blanks || correctAnswer.some(answer => !answer)) {
+      errors.push(`"correctAnswer" must list one answer per blank (${blanks} blanks, got ${correctAnswer.filter(Boolean).length})`);
+    }
+
+    return { fields: { correctAnswer }, errors, repaired };
+  },
+
+  matching(q) {
+    let repaired = false;
+    let pairs = q.pairs;
+
+    // Accept { "left": "right" } maps as well as [{ left, right }] lists
+    if (pairs && !Array.isArray(pairs) && typeof pairs === 'object') {
+      pairs = Object.entries(pairs).map(([left, right]) => ({ left, right }));
+      repaired = true;
+    }
+    pairs = (Array.isArray(pairs) ? pairs : [])
+      .map(pair => ({ left: text(pair && pair.left), right: text(pair && pair.right) }))
+      .filter(pair => pair.left && pair.right);
+
+    const errors = [];
+    if (pairs.length < 2) errors.push('"pairs" must contain at least 2 { "left", "right" } pairs for matching');
+    if (new Set(pairs.map(pair => pair.right)).size !== pairs.length) errors.push('"pairs" must not repeat a right-hand answer');
+
+    return { fields: { pairs }, errors, repaired };
+  },
+
+  ordering(q) {
+    let repaired = false;
+    let items = q.items;
+    if (!Array.isArray(items) && Array.isArray(q.correctAnswer)) {
+      items = q.correctAnswer;
+      repaired = true;
+    }
+    items = (Array.isArray(items) ? items : []).map(text).filter(Boolean);
+
+    const errors = [];
+    if (items.length < 2) errors.push('"items" must list at least 2 steps in the correct order for ordering');
+    if (new Set(items).size !== items.length) errors.push('"items" must not repeat a step');
+
+    return { fields: { items }, errors, repaired };
+  },
+
+  numeric(q) {
+    const errors = [];
+    let repaired = false;
+
+    let correctAnswer = q.correctAnswer;
+    if (typeof correctAnswer !== 'number') {
+      correctAnswer = parseFloat(String(correctAnswer ?? '').replace(/,/g, ''));
+      repaired = true;
+    }
+    if (!Number.isFinite(correctAnswer)) errors.push('"correctAnswer" must be a number for numeric');
+
+    let tolerance = Number(q.tolerance);
+    if (!Number.isFinite(tolerance) || tolerance < 0) {
+      tolerance = Math.abs(correctAnswer) * DEFAULT_RELATIVE_TOLERANCE;
+    }
+
+    return { fields: { correctAnswer, tolerance, unit: text(q.unit) || '' }, errors, repaired };
+  },
+};
+
+// Answer fields owned by each question type, removed when a question is another type
+const TYPE_FIELDS = ['options', 'pairs', 'items', 'tolerance', 'unit', 'rubric'];
+
+/**
+ * Validate and repair the grading rubric of an open-ended question.
+ * Criteria without usable points share what is left of the question's points.
+ * @param {*} rubric - Model's rubric: [{ criterion, points, keyConcepts }] or { criteria: [...] }
+ * @param {number} points - Question points
+ * @returns {Object} { rubric: Array<Object>, repaired: boolean }
+ */
+function validateRubric(rubric, points) {
+  let repaired = false;
+  let list = rubric;
+  if (list && !Array.isArray(list) && Array.isArray(list.criteria)) {
+    list = list.criteria;
+    repaired = true;
+  }
+
+  const criteria = (Array.isArray(list) ? list : [])
+    .filter(entry => entry && typeof entry === 'object')
+    .map(entry => ({
+      criterion: text(entry.criterion || entry.name || entry.description),
+      points: Number(entry.points),
+      keyConcepts: (Array.isArray(entry.keyConcepts) ? entry.keyConcepts : []).map(text).filter(Boolean),
+    }))
+    .filter(entry => entry.criterion);
+
+  if (criteria.length === 0) {
+    return {
+      rubric: [{ criterion: 'Answer is accurate and complete', points, keyConcepts: [] }],
+      repaired: true,
+    };
+  }
+
+  const unscored = criteria.filter(entry => !Number.isFinite(entry.points) || entry.points <= 0);
+  if (unscored.length > 0) {
+    const assigned = criteria.reduce((sum, entry) => sum + (unscored.includes(entry) ? 0 : entry.points), 0);
+    const share = Math.max(points - assigned, unscored.length) / unscored.length;
+    unscored.forEach(entry => { entry.points = Math.round(share * 10) / 10; });
+    repaired = true;
+  }
+
+  return { rubric: criteria, repaired };
+}
+
+/**
+ * Validate and repair a test question
+ * @param {Object} q - Generated test question
+ * @returns {Object} { item: Object|null, errors: Array<string>, repaired: boolean }
+ */
+function validateTestQuestion(q) {
+  const errors = [];
+  let repaired = false;
+
+  const question = text(q.question);
+  if (!question) errors.push('"question" must be a non-empty string');
+
+  let type = q.type;
+  if (!TEST_QUESTION_TYPES.includes(type)) {
+    type = inferTestType(q);
+    repaired = true;
+  }
+
+  const result = TEST_TYPE_VALIDATORS[type](q);
+  errors.push(...result.errors);
+  if (errors.length) return { item: null, errors, repaired: false };
+
+  let points = Number(q.points);
+  if (!Number.isFinite(points) || points <= 0) {
+    points = 10;
+    repaired = true;
+  }
+
+  // Open-ended answers are graded against a rubric whose points make up the question's points
+  const fields = { ...result.fields };
+  if (type === 'short_answer') {
+    const { rubric, repaired: rubricRepaired } = validateRubric(q.rubric, points);
+    fields.rubric = rubric;
+    points = rubric.reduce((sum, entry) => sum + entry.points, 0);
+    repaired = repaired || rubricRepaired || points !== Number(q.points);
+  }
+
+  const item = { ...q, question, type, points };
+  TYPE_FIELDS.forEach(field => delete item[field]);
+  if (!('correctAnswer' in fields)) delete item.correctAnswer;
+
+  return { item: { ...item, ...fields }, errors, repaired: repaired || result.repaired };
+}
+
+// Item schema per content mode
+export const CONTENT_SCHEMAS = {
+  flashcards: { key: 'flashcards', label: 'flashcards', validate: validateFlashcard },
+  quiz: { key: 'questions', label: 'quiz', validate: validateQuizQuestion },
+  test: { key: 'questions', label: 'test', validate: validateTestQuestion },
+};
+
+/**
+ * Validate every generated item, keeping the valid or repairable ones
+ * @param {string} mode - Content mode ('flashcards', 'quiz' or 'test')
+ * @param {Array} items - Generated items
+ * @returns {Object} { items: Array, errors: Array<string>, repaired: number, dropped: number }
+ */
+export function validateItems(mode, items) {
+  const schema = CONTENT_SCHEMAS[mode];
+  const valid = [];
+  const errors = [];
+  let repaired = 0;
+
+  items.forEach((raw, i) => {
+    if (!raw || typeof raw !== 'object') {
+      errors.push(`Item ${i + 1}: must be an object`);
+      return;
+    }
+
+    const result = schema.validate(raw);
+    if (result.item) {
+      valid.push(result.item);
+      if (result.repaired) repaired++;
+    } else {
+      errors.push(...result.errors.map(error => `Item ${i + 1}: ${error}`));
+    }
+  });
+
+  return { items: valid, errors, repaired, dropped: items.length - valid.length };
+}
+
+/**
+ * Validate a single streamed item
+ * @param {string} mode - Content mode
+ * @param {Object} item - Generated item
+ * @returns {Object} { item: Object|null, repaired: boolean } - item is null if it must be dropped
+ */
+export function validateItem(mode, item) {
+  const result = validateItems(mode, [item]);
+  return { item: result.items[0] || null, repaired: result.repaired > 0 };
+}
+
+/**
+ * Tag an item with the difficulty it was generated for and its cognitive level.
+ * The model's own Bloom level is kept when it is one of the targets.
+ * @param {Object} item - Validated item
+ * @param {Object} level - { difficulty, bloomLevels }
+ * @returns {Object} Item with "difficulty" and "bloomLevel"
+ */
+export function tagLevels(item, { difficulty, bloomLevels = [] } = {}) {
+  const allowed = bloomLevels.length > 0 ? bloomLevels : LEVELS.BLOOM;
+  const claimed = text(item.bloomLevel);
+  const bloomLevel = claimed && allowed.includes(claimed.toLowerCase())
+    ? claimed.toLowerCase()
+    : allowed[0];
+
+  return { ...item, difficulty: difficulty || item.difficulty, bloomLevel };
+}
+
+/**
+ * Parse a generation response and validate its items
+ * @param {string} mode - Content mode
+ * @param {Object} response - Provider response
+ * @returns {Object} { items, errors, repaired, dropped, received }
+ * @throws {Error} If the response has no JSON or no items survive validation
+ */
+export function parseContent(mode, response) {
+  const schema = CONTENT_SCHEMAS[mode];
+  const data = parseAIResponse(response, { [schema.key]: 'array' });
+  const result = validateItems(mode, data[schema.key]);
+
+  if (result.items.length === 0) {
+    const error = new Error(`No valid ${schema.label} items in response`);
+    error.validationErrors = result.errors;
+    throw error;
+  }
+
+  return { ...result, received: data[schema.key].length };
+}
+
+/**
+ * Match the model's criterion scores to a question's rubric, by name or else by position
+ * @param {Array<Object>} rubric - Question rubric (optional)
+ * @param {*} scored - Model's criteria: [{ criterion, pointsEarned, feedback }]
+ * @returns {Array<Object>|null} [{ criterion, pointsEarned, pointsPossible, met, feedback, keyConcepts }], or null without both
+ */
+function gradeCriteria(rubric, scored) {
+  if (!Array.isArray(rubric) || !Array.isArray(scored) || scored.length === 0) return null;
+
+  const sameName = (c, entry) => c && text(c.criterion) && text(c.criterion).toLowerCase() === entry.criterion.toLowerCase();
+  const named = rubric.map(entry => scored.findIndex(c => sameName(c, entry)));
+  const unnamed = scored
+    .map((c, i) => i)
+    .filter(i => scored[i] && typeof scored[i] === 'object' && !named.includes(i));
+
+  return rubric.map((entry, k) => {
+    const index = named[k] >= 0 ? named[k] : unnamed.shift();
+    const given = index === undefined ? {} : scored[index];
+    const earned = Number(given.pointsEarned);
+    const pointsEarned = Number.isFinite(earned) ? Math.min(Math.max(earned, 0), entry.points) : 0;
+
+    return {
+      criterion: entry.criterion,
+      pointsEarned,
+      pointsPossible: entry.points,
+      met: pointsEarned >= entry.points,
+      feedback: text(given.feedback) || '',
+      keyConcepts: entry.keyConcepts,
+    };
+  });
+}
+
+/**
+ * Parse and repair a grading response against the graded questions.
+ * Scores are clamped to each question's points (and rubric criteria to theirs) and totals are recomputed.
+ * @param {Object} response - Provider response
+ * @param {Array<Object>} questions - Test questions that were graded
+ * @returns {Object} { results: Array, totalScore: number, totalPossible: number }
+ * @throws {Error} If the response has no JSON or no results array
+ */
+export function parseGrading(response, questions) {
+  const data = parseAIResponse(response, { results: 'array' });
+  const byIndex = new Map();
+
+  data.results.forEach((result, i) => {
+    if (!result || typeof result !== 'object') return;
+    const index = Number.isInteger(result.questionIndex) ? result.questionIndex : i;
+    if (index >= 0 && index < questions.length && !byIndex.has(index)) {
+      byIndex.set(index, result);
+    }
+  });
+
+  if (byIndex.size === 0 && questions.length > 0) {
+    throw new Error('No usable grading results in response');
+  }
+
+  const results = questions.map((q, i) => {
+    const pointsPossible = q.points || 10;
+    const result = byIndex.get(i);
+
+    if (!result) {
+      return { questionIndex: i, pointsEarned: 0, pointsPossible, feedback: 'This answer could not be graded.' };
+    }
+
+    const earned = Number(result.pointsEarned);
+    const graded = {
+      ...result,
+      questionIndex: i,
+      pointsEarned: Number.isFinite(earned) ? Math.min(Math.max(earned, 0), pointsPossible) : 0,
+      pointsPossible,
+      feedback: text(result.feedback) || '',
+    };
+
+    const criteria = gradeCriteria(q.rubric, result.criteria);
+    if (criteria) {
+      graded.criteria = criteria;
+      graded.pointsEarned = Math.min(criteria.reduce((sum, c) => sum + c.pointsEarned, 0), pointsPossible);
+    } else {
+      delete graded.criteria;
+    }
+    return graded;
+  });
+
+  return {
+    results,
+    totalScore: results.reduce((sum, r) => sum + r.pointsEarned, 0),
+    totalPossible: results.reduce((sum, r) => sum + r.pointsPossible, 0),
+  };
+}
+
+/**
+ * Parse and repair the review of an appealed answer
+ * @param {Object} response - Provider response
+ * @param {Object} question - Appealed question
+ * @returns {Object} { pointsEarned, pointsPossible, feedback, reason, criteria? }
+ * @throws {Error} If the response has no JSON, score or reason
+ */
+export function parseRegrade(response, question) {
+  const data = parseAIResponse(response);
+  const pointsPossible = question.points || 10;
+
+  const earned = Number(data.pointsEarned);
+  if (!Number.isFinite(earned)) {
+    throw new Error('"pointsEarned" must be a number');
+  }
+
+  const reason = text(data.reason);
+  if (!reason) {
+    throw new Error('"reason" must explain the decision');
+  }
+
+  const review = {
+    pointsEarned: Math.min(Math.max(earned, 0), pointsPossible),
+    pointsPossible,
+    feedback: text(data.feedback) || reason,
+    reason,
+  };
+
+  const criteria = gradeCriteria(question.rubric, data.criteria);
+  if (criteria) {
+    review.criteria = criteria;
+    review.pointsEarned = Math.min(criteria.reduce((sum, c) => sum + c.pointsEarned, 0), pointsPossible);
+  }
+
+  return review;
+}
+
+// Fields of a study guide entry per section: required text fields, optional text fields, and step lists
+const STUDY_GUIDE_FIELDS = {
+  keyConcepts: { required: ['concept', 'explanation'] },
+  definitions: { required: ['term', 'definition'] },
+  formulas: { required: ['name', 'formula'], optional: ['explanation'] },
+  pitfalls: { required: ['pitfall', 'correction'] },
+  workedExamples: { required: ['problem', 'answer'], steps: true },
+};
+
+/**
+ * Validate and repair one study guide entry
+ * @param {string} section - Section key
+ * @param {Object} entry - Generated entry
+ * @returns {Object} { item: Object|null, errors: Array<string>, repaired: boolean }
+ */
+function validateGuideEntry(section, entry) {
+  const { required, optional = [], steps } = STUDY_GUIDE_FIELDS[section];
+  const item = {};
+  const errors = [];
+  let repaired = false;
+
+  required.forEach(field => {
+    const value = text(entry[field]);
+    if (!value) errors.push(`"${field}" must be a non-empty string`);
+    item[field] = value;
+  });
+  if (errors.length) return { item: null, errors, repaired: false };
+
+  optional.forEach(field => {
+    const value = text(entry[field]);
+    if (value) item[field] = value;
+  });
+
+  if (steps) {
+    // Accept steps as one block of text, one step per line
+    const raw = typeof entry.steps === 'string' ? entry.steps.split('\n') : entry.steps;
+    item.steps = Array.isArray(raw) ? raw.map(text).filter(Boolean) : [];
+    if (!Array.isArray(entry.steps)) repaired = true;
+  }
+
+  if (Array.isArray(entry.sources)) item.sources = entry.sources;
+
+  return { item, errors: [], repaired };
+}
+
+/**
+ * Parse a study guide response and validate every section's entries
+ * @param {Object} response - Provider response
+ * @returns {Object} { title, sections, errors, repaired, dropped, received }
+ * @throws {Error} If the response has no JSON or no key concepts or definitions survive validation
+ */
+export function parseStudyGuide(response) {
+  const data = parseAIResponse(response, { sections: 'object' });
+  const sections = {};
+  const errors = [];
+  let repaired = 0;
+  let received = 0;
+  let valid = 0;
+
+  const given = data.sections || {};
+
+  STUDY_GUIDE_SECTIONS.forEach(section => {
+    const entries = Array.isArray(given[section]) ? given[section] : [];
+    received += entries.length;
+
+    sections[section] = [];
+    entries.forEach((entry, i) => {
+      const result = entry && typeof entry === 'object'
+        ? validateGuideEntry(section, entry)
+        : { item: null, errors: ['must be an object'] };
+
+      if (result.item) {
+        sections[section].push(result.item);
+        valid++;
+        if (result.repaired) repaired++;
+      } else {
+        errors.push(...result.errors.map(error => `${section} entry ${i + 1}: ${error}`));
+      }
+    });
+  });
+
+  if (sections.keyConcepts.length === 0 && sections.definitions.length === 0) {
+    const error = new Error('Study guide has no valid key concepts or definitions');
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  return {
+    title: text(data.title),
+    sections,
+    errors,
+    repaired,
+    dropped: received - valid,
+    received,
+  };
+}
+
+/**
+ * Parse and repair a generated essay prompt
+ * @param {Object} response - Provider response
+ * @returns {Object} { prompt, guidance, rubric, wordRange }
+ * @throws {Error} If the response has no JSON or no prompt
+ */
+export function parseEssayPrompt(response) {
+  const data = parseAIResponse(response);
+
+  const prompt = text(data.prompt);
+  if (!prompt) {
+    throw new Error('"prompt" must be a non-empty string');
+  }
+
+  const { rubric } = validateRubric(data.rubric, ESSAY.POINTS);
+
+  const min = parseInt(data.wordRange && data.wordRange.min, 10);
+  const max = parseInt(data.wordRange && data.wordRange.max, 10);
+  const wordRange = min > 0 && max >= min ? { min, max } : { ...ESSAY.WORD_RANGE };
+
+  return { prompt, guidance: text(data.guidance) || '', rubric, wordRange };
+}
+
+/**
+ * Parse and repair the grading of one essay draft.
+ * Criteria are matched to the essay's rubric and comments to existing paragraphs.
+ * @param {Object} response - Provider response
+ * @param {Object} essay - Essay with its rubric
+ * @param {number} paragraphCount - Paragraphs in the graded draft
+ * @returns {Object} { criteria, totalScore, totalPossible, comments, suggestions, summary }
+ * @throws {Error} If the response has no JSON or scores no criteria
+ */
+export function parseEssayGrading(response, essay, paragraphCount) {
+  const data = parseAIResponse(response, { criteria: 'array' });
+
+  const criteria = gradeCriteria(essay.rubric, data.criteria);
+  if (!criteria) {
+    throw new Error('"criteria" must score every rubric criterion');
+  }
+
+  // Paragraphs are numbered from 1 in the prompt ("P1", 1, "1")
+  const comments = (Array.isArray(data.comments) ? data.comments : [])
+    .filter(entry => entry && typeof entry === 'object')
+    .map(entry => ({
+      paragraph: parseInt(String(entry.paragraph ?? '').replace(/\D/g, ''), 10) - 1,
+      comment: text(entry.comment),
+    }))
+    .filter(entry => entry.comment && entry.paragraph >= 0 && entry.paragraph < paragraphCount);
+
+  const suggestions = (Array.isArray(data.suggestions) ? data.suggestions : [data.suggestions])
+    .map(text)
+    .filter(Boolean);
+
+  return {
+    criteria,
+    totalScore: Math.round(criteria.reduce((sum, c) => sum + c.pointsEarned, 0) * 10) / 10,
+    totalPossible: essay.rubric.reduce((sum, entry) => sum + entry.points, 0),
+    comments,
+    suggestions,
+    summary: text(data.summary) || '',
+  };
+}
+
+/**
+ * Read a study mode name the way a model may write it ("Flashcards", "study guide", "practice quiz")
+ * @param {*} value - Model's mode
+ * @returns {string|null} One of STUDY_PLAN.MODES, or null
+ */
+function planMode(value) {
+  const normalized = (text(value) || '').toLowerCase().replace(/[^a-z]/g, '');
+  if (!normalized) return null;
+  return STUDY_PLAN.MODES.find(mode => normalized.includes(mode.toLowerCase()) || mode.toLowerCase().startsWith(normalized)) || null;
+}
+
+/**
+ * Parse and repair a study plan against the days it may use.
+ * Tasks on unknown dates or with unknown modes are dropped; days are returned in date order.
+ * @param {Object} response - Provider response
+ * @param {Array<string>} dates - YYYY-MM-DD study days
+ * @returns {Object} { days: [{ date, tasks: [{ topic, mode, minutes? }] }], dropped }
+ * @throws {Error} If the response has no JSON or no usable tasks
+ */
+export function parseStudyPlan(response, dates) {
+  const data = parseAIResponse(response, { days: 'array' });
+  const byDate = new Map();
+  let dropped = 0;
+
+  data.days.forEach(day => {
+    if (!day || typeof day !== 'object') return;
+    // Days may be given as a date or as a 1-based day number
+    const date = dates.includes(day.date) ? day.date : dates[parseInt(day.day, 10) - 1];
+    const tasks = Array.isArray(day.tasks) ? day.tasks : [];
+
+    tasks.forEach(task => {
+      const topic = task && text(task.topic);
+      const mode = task && planMode(task.mode);
+      if (!date || !topic || !mode) {
+        dropped++;
+        return;
+      }
+
+      const minutes = parseInt(task.minutes, 10);
+      if (!byDate.has(date)) byDate.set(date, []);
+      byDate.get(date).push({ topic, mode, ...(minutes > 0 ? { minutes } : {}) });
+    });
+  });
+
+  if (byDate.size === 0) {
+    throw new Error('Study plan has no tasks on the given dates');
+  }
+
+  return {
+    days: dates.filter(date => byDate.has(date)).map(date => ({ date, tasks: byDate.get(date) })),
+    dropped,
+  };
+}
+
+/**
+ * Parse and repair a class validation response
+ * @param {Object} response - Provider response
+ * @param {string} className - Class name as the student typed it
+ * @returns {Object} { valid, message, normalizedName, subjectArea, level, units, suggestions }
+ * @throws {Error} If the response has no JSON or no usable "valid" flag
+ */
+export function parseClassValidation(response, className) {
+  const data = parseAIResponse(response);
+
+  const valid = toBoolean(data.valid);
+  if (valid === null) {
+    throw new Error('"valid" must be true or false');
+  }
+
+  const list = (value, limit) => [...new Set((Array.isArray(value) ? value : []).map(text).filter(Boolean))].slice(0, limit);
+  const normalizedName = valid ? text(data.normalizedName) || className.trim() : null;
+
+  // Alternatives that only repeat the input or the normalized name add nothing
+  const repeated = [className.trim().toLowerCase(), (normalizedName || '').toLowerCase()];
+  const suggestions = list(data.didYouMean || data.suggestions, CLASS_VALIDATION.MAX_ALTERNATIVES + 2)
+    .filter(name => !repeated.includes(name.toLowerCase()))
+    .slice(0, CLASS_VALIDATION.MAX_ALTERNATIVES);
+
+  return {
+    valid,
+    message: valid ? 'Valid class!' : text(data.reason) || 'This does not appear to be a valid academic subject.',
+    normalizedName,
+    subjectArea: valid ? text(data.subjectArea) : null,
+    level: valid ? text(data.level) : null,
+    units: valid ? list(data.units, CLASS_VALIDATION.MAX_UNITS) : [],
+    suggestions,
+  };
+}
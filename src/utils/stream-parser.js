@@ -0,0 +1,142 @@
+/**
+ * Utility functions for consuming streamed AI responses
+ */
+
+/**
+ * Read a Workers AI server-sent event stream and yield the text tokens
+ * @param {ReadableStream} stream - Stream returned by env.AI.run with stream: true
+ * @returns {AsyncGenerator<string>} Response text fragments in order
+ */
+export async function* readTextStream(stream) {
+  const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += value;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const text = parseEventLine(line);
+      if (text === null) return;
+      if (text) yield text;
+    }
+  }
+
+  const text = parseEventLine(buffer);
+  if (text) yield text;
+}
+
+/**
+ * Extract the response text from a single SSE line
+ * @param {string} line - Raw line from the event stream
+ * @returns {string|null} Text fragment, '' for non-data lines, null at end of stream
+ */
+function parseEventLine(line) {
+  const trimmed = line.trim();
+  if (!trimmed.startsWith('data:')) return '';
+
+  const data = trimmed.slice(5).trim();
+  if (data === '[DONE]') return null;
+
+  try {
+    return JSON.parse(data).response || '';
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Incrementally extracts complete objects from a JSON array as text arrives,
+ * e.g. each flashcard in {"flashcards": [{...}, {...}]}
+ */
+export class JsonArrayItemExtractor {
+  /**
+   * @param {string} key - Name of the array field holding the items
+   */
+  constructor(key) {
+    this.key = key;
+    this.buffer = '';
+    this.position = 0;
+    this.inArray = false;
+    this.finished = false;
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    this.itemStart = -1;
+  }
+
+  /**
+   * Feed the next fragment of model output
+   * @param {string} text - Text fragment
+   * @returns {Array<Object>} Items completed by this fragment
+   */
+  push(text) {
+    const items = [];
+    if (this.finished) return items;
+
+    this.buffer += text;
+
+    if (!this.inArray) {
+      const match = this.buffer.match(new RegExp(`"${this.key}"\\s*:\\s*\\[`));
+      if (!match) return items;
+      this.inArray = true;
+      this.position = match.index + match[0].length;
+    }
+
+    for (; this.position < this.buffer.length; this.position++) {
+      const char = this.buffer[this.position];
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (char === '\\') {
+          this.escaped = true;
+        } else if (char === '"') {
+          this.inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        this.inString = true;
+      } else if (char === '{' || char === '[') {
+        if (this.depth === 0 && char === '{') {
+          this.itemStart = this.position;
+        }
+        this.depth++;
+      } else if (char === '}' || char === ']') {
+        if (this.depth === 0) {
+          // Closing bracket of the items array itself
+          this.finished = true;
+          break;
+        }
+        this.depth--;
+        if (this.depth === 0 && this.itemStart !== -1) {
+          const item = parseItem(this.buffer.slice(this.itemStart, this.position + 1));
+          if (item) items.push(item);
+          this.itemStart = -1;
+        }
+      }
+    }
+
+    return items;
+  }
+}
+
+/**
+ * Parse a single extracted item, ignoring malformed fragments
+ * @param {string} text - JSON text of one item
+ * @returns {Object|null} Parsed item or null
+ */
+function parseItem(text) {
+  try {
+    const item = JSON.parse(text);
+    return item && typeof item === 'object' ? item : null;
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * Utility functions for model token usage and latency accounting
+ */
+
+/**
+ * Rough token count for text when the provider reports no usage (about 4 characters per token)
+ * @param {string} text - Prompt or response text
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Read token counts from a provider response, estimating them when they are missing
+ * @param {Object} request - Provider request ({ messages })
+ * @param {Object|null} response - Provider response ({ response, usage }), null if the call failed
+ * @returns {Object} { inputTokens, outputTokens, estimated }
+ */
+export function tokenUsage(request, response) {
+  const usage = (response && response.usage) || {};
+  const inputTokens = Number(usage.prompt_tokens ?? usage.input_tokens);
+  const outputTokens = Number(usage.completion_tokens ?? usage.output_tokens);
+
+  if (Number.isFinite(inputTokens) && Number.isFinite(outputTokens)) {
+    return { inputTokens, outputTokens, estimated: false };
+  }
+
+  const output = response
+    ? (typeof response.response === 'string' ? response.response : JSON.stringify(response.response ?? ''))
+    : '';
+  return {
+    inputTokens: estimateTokens(request.messages.map(message => message.content).join('\n')),
+    outputTokens: estimateTokens(output),
+    estimated: true,
+  };
+}
+
+// Running totals before any calls are added
+const EMPTY_USAGE = {
+  calls: 0,
+  errors: 0,
+  estimated: 0,
+  inputTokens: 0,
+  outputTokens: 0,
+  maxOutputTokens: 0,
+  atLimit: 0,
+  tokenLimit: 0,
+  latencyMs: 0,
+  maxLatencyMs: 0,
+};
+
+/**
+ * Add one model call to a running total
+ * @param {Object} totals - Existing totals (may be empty)
+ * @param {Object} record - { inputTokens, outputTokens, latencyMs, maxTokens, estimated, error }
+ * @returns {Object} Updated totals
+ */
+export function addUsage(totals, record) {
+  return mergeUsage(totals, {
+    calls: 1,
+    errors: record.error ? 1 : 0,
+    estimated: record.estimated ? 1 : 0,
+    inputTokens: record.inputTokens,
+    outputTokens: record.outputTokens,
+    maxOutputTokens: record.outputTokens,
+    // Responses that used the whole TOKEN_LIMITS budget were probably cut off
+    atLimit: record.maxTokens && record.outputTokens >= record.maxTokens ? 1 : 0,
+    tokenLimit: record.maxTokens || 0,
+    latencyMs: record.latencyMs,
+    maxLatencyMs: record.latencyMs,
+  });
+}
+
+/**
+ * Merge two running totals
+ * @param {Object} a - Totals (may be empty)
+ * @param {Object} b - Totals
+ * @returns {Object} Combined totals
+ */
+function mergeUsage(a, b) {
+  const merged = { ...a };
+  Object.keys(EMPTY_USAGE).forEach(key => {
+    const combine = key.startsWith('max') || key === 'tokenLimit' ? Math.max : (x, y) => x + y;
+    merged[key] = combine(a[key] || 0, b[key] || 0);
+  });
+  return merged;
+}
+
+/**
+ * Turn running totals into the reported figures
+ * @param {Object} totals - Totals from addUsage / mergeUsage
+ * @returns {Object} { calls, errors, estimated, inputTokens, outputTokens, totalTokens, maxOutputTokens, atLimit, tokenLimit, avgLatencyMs, maxLatencyMs }
+ */
+function reportUsage(totals) {
+  const { latencyMs = 0, ...rest } = totals;
+  return {
+    ...rest,
+    totalTokens: (totals.inputTokens || 0) + (totals.outputTokens || 0),
+    avgLatencyMs: totals.calls ? Math.round(latencyMs / totals.calls) : 0,
+  };
+}
+
+/**
+ * Aggregate stored daily usage per operation, per day and per class
+ * @param {Array<Object>} days - [{ day, entries: { [key]: { operation, className, ...totals } } }]
+ * @returns {Object} { totals, byOperation, byDay, byClass }
+ */
+export function summarizeUsage(days) {
+  let totals = EMPTY_USAGE;
+  const byOperation = {};
+  const byDay = {};
+  const byClass = {};
+
+  days.forEach(({ day, entries }) => {
+    Object.values(entries).forEach(({ operation, className, ...entry }) => {
+      const classKey = className || 'Unknown class';
+      totals = mergeUsage(totals, entry);
+      byOperation[operation] = mergeUsage(byOperation[operation] || {}, entry);
+      byDay[day] = mergeUsage(byDay[day] || {}, entry);
+      byClass[classKey] = mergeUsage(byClass[classKey] || {}, entry);
+    });
+  });
+
+  const report = group => Object.fromEntries(Object.entries(group).map(([key, value]) => [key, reportUsage(value)]));
+
+  return {
+    totals: reportUsage(totals),
+    byOperation: report(byOperation),
+    byDay: report(byDay),
+    byClass: report(byClass),
+  };
+}
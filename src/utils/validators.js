@@ -2,6 +2,10 @@
  * Input validation utilities
  */
 
+import { LEVELS, DEFAULTS, TEST_QUESTION_TYPES, CHAT, ESSAY, STUDY_PLAN, LIBRARY, AUTH } from './constants.js';
+import { countWords } from './essays.js';
+import { parseDate, formatDate, daysBetween } from './dates.js';
+
 /**
  * Validate class name input
  * @param {string} className - Class name to validate
@@ -70,4 +74,307 @@ export function validateAnswers(answers) {
   }
 
   return true;
-}
\ No newline at end of file
+}
+
+/**
+ * Validate uploaded or pasted notes text
+ * @param {string} text - Notes text to validate
+ * @returns {boolean} True if valid
+ * @throws {Error} If validation fails
+ */
+export function validateNotesText(text) {
+  if (typeof text !== 'string') {
+    throw new Error('Notes text is required');
+  }
+
+  if (text.trim().length === 0) {
+    throw new Error('Notes text cannot be empty');
+  }
+
+  return true;
+}
+
+/**
+ * Validate difficulty parameter
+ * @param {string} difficulty - Requested difficulty (optional)
+ * @returns {string} Normalized difficulty, or the default when none was given
+ * @throws {Error} If the difficulty is not a known level
+ */
+export function validateDifficulty(difficulty) {
+  if (difficulty === undefined || difficulty === null || difficulty === '') {
+    return DEFAULTS.DIFFICULTY;
+  }
+
+  const normalized = String(difficulty).trim().toLowerCase();
+  if (!LEVELS.DIFFICULTIES.includes(normalized)) {
+    throw new Error(`Difficulty must be one of: ${LEVELS.DIFFICULTIES.join(', ')}`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Validate cognitive level targets
+ * @param {Array<string>|string} bloomLevels - Requested Bloom's taxonomy levels (optional)
+ * @returns {Array<string>} Normalized, de-duplicated levels in taxonomy order ([] for no preference)
+ * @throws {Error} If a level is not a known Bloom level
+ */
+export function validateBloomLevels(bloomLevels) {
+  if (bloomLevels === undefined || bloomLevels === null || bloomLevels === '') {
+    return [];
+  }
+
+  const requested = (Array.isArray(bloomLevels) ? bloomLevels : [bloomLevels])
+    .map(level => String(level).trim().toLowerCase());
+
+  const unknown = requested.filter(level => !LEVELS.BLOOM.includes(level));
+  if (unknown.length > 0) {
+    throw new Error(`Cognitive levels must be one of: ${LEVELS.BLOOM.join(', ')}`);
+  }
+
+  return LEVELS.BLOOM.filter(level => requested.includes(level));
+}
+
+/**
+ * Validate the test question types to mix
+ * @param {Array<string>|string} questionTypes - Requested question types (optional)
+ * @returns {Array<string>} De-duplicated types ([] for the default mix)
+ * @throws {Error} If a type is not a supported question type
+ */
+export function validateQuestionTypes(questionTypes) {
+  if (questionTypes === undefined || questionTypes === null || questionTypes === '') {
+    return [];
+  }
+
+  const requested = (Array.isArray(questionTypes) ? questionTypes : [questionTypes])
+    .map(type => String(type).trim().toLowerCase());
+
+  const unknown = requested.filter(type => !TEST_QUESTION_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new Error(`Question types must be one of: ${TEST_QUESTION_TYPES.join(', ')}`);
+  }
+
+  return TEST_QUESTION_TYPES.filter(type => requested.includes(type));
+}
+
+/**
+ * Validate a grade appeal justification
+ * @param {string} justification - Student's reason for the appeal
+ * @returns {boolean} True if valid
+ * @throws {Error} If validation fails
+ */
+export function validateJustification(justification) {
+  if (typeof justification !== 'string') {
+    throw new Error('Justification is required');
+  }
+
+  if (justification.trim().length === 0) {
+    throw new Error('Justification cannot be empty');
+  }
+
+  return true;
+}
+
+/**
+ * Validate a chat message from the student
+ * @param {string} message - Message text
+ * @returns {boolean} True if valid
+ * @throws {Error} If validation fails
+ */
+export function validateChatMessage(message) {
+  if (typeof message !== 'string') {
+    throw new Error('Message is required');
+  }
+
+  if (message.trim().length === 0) {
+    throw new Error('Message cannot be empty');
+  }
+
+  if (message.length > CHAT.MAX_MESSAGE_LENGTH) {
+    throw new Error(`Message is too long (maximum ${CHAT.MAX_MESSAGE_LENGTH} characters)`);
+  }
+
+  return true;
+}
+
+/**
+ * Validate an essay submitted for grading
+ * @param {string} text - Essay text
+ * @returns {boolean} True if valid
+ * @throws {Error} If validation fails
+ */
+export function validateEssayText(text) {
+  if (typeof text !== 'string') {
+    throw new Error('Essay text is required');
+  }
+
+  if (text.trim().length === 0) {
+    throw new Error('Essay text cannot be empty');
+  }
+
+  if (countWords(text) > ESSAY.MAX_WORDS) {
+    throw new Error(`Essay is too long (maximum ${ESSAY.MAX_WORDS} words)`);
+  }
+
+  return true;
+}
+
+/**
+ * Validate syllabus text for a study plan
+ * @param {string} syllabus - Syllabus or list of units
+ * @returns {boolean} True if valid
+ * @throws {Error} If validation fails
+ */
+export function validateSyllabus(syllabus) {
+  if (typeof syllabus !== 'string') {
+    throw new Error('Syllabus is required');
+  }
+
+  if (syllabus.trim().length === 0) {
+    throw new Error('Syllabus cannot be empty');
+  }
+
+  if (syllabus.length > STUDY_PLAN.MAX_SYLLABUS_LENGTH) {
+    throw new Error(`Syllabus is too long (maximum ${STUDY_PLAN.MAX_SYLLABUS_LENGTH} characters)`);
+  }
+
+  return true;
+}
+
+/**
+ * Validate the dates of a study plan
+ * @param {string} examDate - YYYY-MM-DD exam date
+ * @param {string} startDate - YYYY-MM-DD first study day (optional, defaults to today in UTC)
+ * @returns {Object} { startDate, examDate }
+ * @throws {Error} If a date is missing or malformed, or the range is empty or too long
+ */
+export function validatePlanDates(examDate, startDate) {
+  if (!examDate) {
+    throw new Error('Exam date is required');
+  }
+
+  if (!parseDate(examDate)) {
+    throw new Error('Exam date must be a date in YYYY-MM-DD format');
+  }
+
+  const start = startDate || formatDate(new Date());
+  if (!parseDate(start)) {
+    throw new Error('Start date must be a date in YYYY-MM-DD format');
+  }
+
+  const days = daysBetween(start, examDate);
+  if (days < 1) {
+    throw new Error('Exam date must be after the start date');
+  }
+
+  if (days > STUDY_PLAN.MAX_DAYS) {
+    throw new Error(`Exam date must be within ${STUDY_PLAN.MAX_DAYS} days of the start date`);
+  }
+
+  return { startDate: start, examDate };
+}
+
+/**
+ * Validate the changes a device sends to library sync
+ * @param {Array<Object>} changes - { id, updatedAt, deviceId, deleted } plus className, mode, topic and content unless deleted
+ * @returns {Array<Object>} Changes reduced to the stored fields
+ * @throws {Error} If the list or a change is malformed
+ */
+export function validateLibraryChanges(changes) {
+  if (changes === undefined || changes === null) {
+    return [];
+  }
+
+  if (!Array.isArray(changes)) {
+    throw new Error('Changes must be an array');
+  }
+
+  if (changes.length > LIBRARY.MAX_CHANGES) {
+    throw new Error(`Too many changes in one sync (maximum ${LIBRARY.MAX_CHANGES})`);
+  }
+
+  return changes.map(change => {
+    if (!change || typeof change !== 'object') {
+      throw new Error('Each change must be an object');
+    }
+
+    const { id, updatedAt, deviceId = '', deleted = false } = change;
+    if (typeof id !== 'string' || !/^[\w-]+$/.test(id) || id.length > LIBRARY.MAX_ID_LENGTH) {
+      throw new Error(`Library item ID is required (letters, digits, - and _, up to ${LIBRARY.MAX_ID_LENGTH} characters)`);
+    }
+
+    if (!Number.isFinite(updatedAt) || updatedAt <= 0) {
+      throw new Error(`Library item ${id} is missing updatedAt`);
+    }
+
+    if (deleted === true) {
+      return { id, updatedAt, deviceId: String(deviceId), deleted: true };
+    }
+
+    const { className, mode, topic = '', content, createdAt = updatedAt } = change;
+    if (!className || typeof className !== 'string') {
+      throw new Error(`Class name is required for library item ${id}`);
+    }
+
+    if (!LIBRARY.MODES.includes(mode)) {
+      throw new Error(`Library item mode must be one of: ${LIBRARY.MODES.join(', ')}`);
+    }
+
+    if (!content || typeof content !== 'object' || Array.isArray(content)) {
+      throw new Error(`Content is required for library item ${id}`);
+    }
+
+    return {
+      id,
+      className: className.trim(),
+      mode,
+      topic: String(topic),
+      content,
+      createdAt: Number.isFinite(createdAt) ? createdAt : updatedAt,
+      updatedAt,
+      deviceId: String(deviceId),
+      deleted: false,
+    };
+  });
+}
+
+/**
+ * Validate an account email address
+ * @param {string} email - Email as entered
+ * @returns {string} Trimmed, lower-cased email
+ * @throws {Error} If the email is missing or malformed
+ */
+export function validateEmail(email) {
+  if (!email || typeof email !== 'string') {
+    throw new Error('Email is required');
+  }
+
+  const normalized = email.trim().toLowerCase();
+  if (normalized.length > AUTH.MAX_EMAIL_LENGTH || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized)) {
+    throw new Error('Email must be a valid email address');
+  }
+
+  return normalized;
+}
+
+/**
+ * Validate a new account password
+ * @param {string} password - Password as entered
+ * @returns {boolean} True if valid
+ * @throws {Error} If the password is missing, too short or too long
+ */
+export function validatePassword(password) {
+  if (!password || typeof password !== 'string') {
+    throw new Error('Password is required');
+  }
+
+  if (password.length < AUTH.MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${AUTH.MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  if (password.length > AUTH.MAX_PASSWORD_LENGTH) {
+    throw new Error(`Password is too long (maximum ${AUTH.MAX_PASSWORD_LENGTH} characters)`);
+  }
+
+  return true;
+}
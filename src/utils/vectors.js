@@ -0,0 +1,38 @@
+/**
+ * Vector math helpers shared by the vector stores
+ */
+
+/**
+ * Cosine similarity between two vectors of equal length
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} Similarity in [-1, 1], 0 if either vector is empty
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Rank stored entries by similarity to a query vector
+ * @param {Array<Object>} entries - [{ chunkIndex: number, vector: Array<number> }]
+ * @param {Array<number>} vector - Query vector
+ * @param {number} topK - Number of results to return
+ * @returns {Array<Object>} [{ chunkIndex: number, score: number }], best first
+ */
+export function rankBySimilarity(entries, vector, topK) {
+  return entries
+    .map(entry => ({ chunkIndex: entry.chunkIndex, score: cosineSimilarity(entry.vector, vector) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+}
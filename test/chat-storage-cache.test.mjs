@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChatStorage } from '../src/chatStorage.js';
+
+// In-memory stand-in for Durable Object storage, with the list options the cache uses
+function memoryStorage() {
+  const data = new Map();
+  return {
+    data,
+    async get(key) { return data.get(key); },
+    async put(key, value) {
+      Object.entries(typeof key === 'string' ? { [key]: value } : key).forEach(([k, v]) => data.set(k, v));
+    },
+    async delete(keys) { [].concat(keys).forEach(key => data.delete(key)); },
+    async list({ prefix = '', end = null, limit = Infinity } = {}) {
+      const keys = [...data.keys()].filter(key => key.startsWith(prefix) && (end === null || key < end)).sort().slice(0, limit);
+      return new Map(keys.map(key => [key, data.get(key)]));
+    },
+  };
+}
+
+const save = (storage, key, entry) => storage.fetch(new Request(`http://internal/cache/${key}`, { method: 'POST', body: JSON.stringify(entry) }));
+const load = async (storage, key) => (await storage.fetch(new Request(`http://internal/cache/${key}`))).json();
+
+test('cached responses that expire unread are removed by a later write', async () => {
+  const state = { storage: memoryStorage() };
+  const cache = new ChatStorage(state, {});
+  const now = Date.now();
+
+  await save(cache, 'old', { value: 1, cachedAt: now - 2000, expiresAt: now - 1000 });
+  await save(cache, 'kept', { value: 2, cachedAt: now, expiresAt: now + 60000 });
+  await save(cache, 'new', { value: 3, cachedAt: now, expiresAt: now + 60000 });
+
+  assert.equal(state.storage.data.has('cache:old'), false);
+  assert.deepEqual([...state.storage.data.keys()].filter(key => key.startsWith('cache:')).sort(), ['cache:kept', 'cache:new']);
+  assert.equal((await load(cache, 'kept')).value, 2);
+});
+
+test('rewriting an entry moves its expiry so the new copy is not pruned early', async () => {
+  const state = { storage: memoryStorage() };
+  const cache = new ChatStorage(state, {});
+  const now = Date.now();
+
+  await save(cache, 'set', { value: 1, cachedAt: now, expiresAt: now + 1 });
+  await save(cache, 'set', { value: 2, cachedAt: now, expiresAt: now + 60000 });
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await save(cache, 'other', { value: 3, cachedAt: now, expiresAt: now + 60000 });
+
+  assert.equal((await load(cache, 'set')).value, 2);
+  assert.equal([...state.storage.data.keys()].filter(key => key.startsWith('cacheExpiry:')).length, 2);
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dedupeItems } from '../src/utils/dedupe.js';
+
+test('repeated questions are removed', () => {
+  const items = [{ question: 'What is osmosis?' }, { question: 'what is Osmosis' }, { question: 'What is diffusion?' }];
+
+  assert.deepEqual(dedupeItems(items).map(item => item.question), ['What is osmosis?', 'What is diffusion?']);
+});
+
+test('questions in non-Latin scripts are compared by their own words', () => {
+  const items = [
+    { question: 'Что такое осмос?' },
+    { question: 'Что такое диффузия?' },
+    { question: 'Τι είναι η όσμωση;' },
+    { question: '什么是渗透？' },
+    { question: '什么是扩散？' },
+    { question: 'что такое осмос' },
+  ];
+
+  assert.equal(dedupeItems(items).length, 5);
+});
+
+test('items without words are not treated as repeats of each other', () => {
+  assert.equal(dedupeItems([{ question: '?' }, { question: '!' }]).length, 2);
+});
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toAIError } from '../src/utils/errors.js';
+
+test('the status attached by the provider decides whether a failure is transient', () => {
+  const overloaded = Object.assign(new Error('Model endpoint returned 503: busy'), { status: 503 });
+  const rejected = Object.assign(new Error('Context length 500 exceeded'), { status: 400 });
+  const fromResponse = Object.assign(new Error('Request failed'), { response: { status: 429 } });
+
+  assert.equal(toAIError(overloaded).code, 'AI_UNAVAILABLE');
+  assert.equal(toAIError(rejected).code, 'AI_REQUEST_FAILED');
+  assert.equal(toAIError(fromResponse).retryable, true);
+});
+
+test('numbers in a message without a status are not read as one', () => {
+  assert.equal(toAIError(new Error('Prompt has 502 tokens over the limit of 4096')).code, 'AI_REQUEST_FAILED');
+  assert.equal(toAIError(new Error('Gateway returned 502')).code, 'AI_UNAVAILABLE');
+  assert.equal(toAIError(new Error('HTTP 429 Too Many Requests')).retryable, true);
+});
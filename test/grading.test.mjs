@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { gradeLocally, isObjective } from '../src/utils/grading.js';
+
+// Quiz questions as the quiz schema stores them: no type, correct option by index
+const quiz = [
+  { question: 'Powerhouse of the cell?', options: ['Nucleus', 'Mitochondria', 'Ribosome', 'Golgi body'], correct: 1 },
+  { question: 'Holds the DNA?', options: ['Nucleus', 'Mitochondria', 'Ribosome', 'Golgi body'], correct: 0 },
+  { question: 'Makes proteins?', options: ['Nucleus', 'Mitochondria', 'Ribosome', 'Golgi body'], correct: 2 },
+];
+
+test('quiz questions are graded in code', () => {
+  const results = quiz.map((question, i) => gradeLocally(question, [1, 3, null][i], i));
+
+  assert.ok(quiz.every(isObjective));
+  assert.deepEqual(results.map(result => result.gradedBy), ['auto', 'auto', 'auto']);
+  assert.deepEqual(results.map(result => result.pointsEarned), [10, 0, 0]);
+  assert.equal(results[1].feedback, 'Incorrect. The correct answer is: Nucleus');
+});
+
+test('quiz answers may name the option instead of its index', () => {
+  assert.equal(gradeLocally(quiz[0], 'mitochondria', 0).pointsEarned, 10);
+});
+
+test('numeric option text is matched before a digit answer is read as an index', () => {
+  const question = { type: 'multiple_choice', question: 'What is 6 / 3?', options: ['1', '2', '3', '4'], correctAnswer: '2', points: 10 };
+
+  assert.equal(gradeLocally(question, '2', 0).pointsEarned, 10);
+  assert.equal(gradeLocally(question, 1, 0).pointsEarned, 10);
+  assert.equal(gradeLocally({ ...question, options: ['2', '3', '4', '5'] }, '2', 0).pointsEarned, 10);
+  assert.equal(gradeLocally(question, '3', 0).pointsEarned, 0);
+});
+
+test('open-ended test questions are left for the AI grader', () => {
+  const question = { type: 'short_answer', question: 'Define osmosis.', correctAnswer: 'Diffusion of water across a membrane' };
+
+  assert.equal(isObjective(question), false);
+  assert.equal(gradeLocally(question, 'Water moving', 0), null);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { expiredTombstones, libraryChangesSince } from '../src/utils/library-sync.js';
+import { LIBRARY } from '../src/utils/constants.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function library(count, deletedEvery = 0) {
+  const stored = new Map();
+  for (let seq = 1; seq <= count; seq++) {
+    const deleted = deletedEvery > 0 && seq % deletedEvery === 0;
+    stored.set(`i${seq}`, { id: `i${seq}`, seq, updatedAt: seq, ...(deleted ? { deleted: true } : {}) });
+  }
+  return stored;
+}
+
+test('syncs are paged by sequence number', () => {
+  const stored = library(LIBRARY.PAGE_SIZE * 2, 4);
+  const meta = { seq: LIBRARY.PAGE_SIZE * 2, prunedSeq: 0 };
+
+  const first = libraryChangesSince(stored, 0, meta);
+  assert.equal(first.full, true);
+  assert.equal(first.items.length, LIBRARY.PAGE_SIZE);
+  assert.ok(first.items.every(item => !item.deleted));
+  assert.equal(first.more, true);
+  assert.equal(first.cursor, first.items[first.items.length - 1].seq);
+
+  const rest = libraryChangesSince(stored, first.cursor, meta);
+  assert.equal(rest.full, false);
+  assert.equal(rest.more, false);
+  assert.equal(rest.cursor, meta.seq);
+  assert.deepEqual(rest.items.map(item => item.seq), Array.from({ length: meta.seq - first.cursor }, (_, i) => first.cursor + i + 1));
+});
+
+test('tombstones expire by when the server received them', () => {
+  const now = Date.now();
+  const stored = new Map([
+    ['late', { id: 'late', deleted: true, updatedAt: now - 60 * DAY, syncedAt: now - DAY }],
+    ['old', { id: 'old', deleted: true, updatedAt: now - 60 * DAY, syncedAt: now - (LIBRARY.TOMBSTONE_DAYS + 1) * DAY }],
+    ['live', { id: 'live', updatedAt: now - 60 * DAY, syncedAt: now - 60 * DAY }],
+  ]);
+
+  assert.deepEqual(expiredTombstones(stored, now).map(item => item.id), ['old']);
+});
+
+test('later pages of a full sync do not start it over when tombstones past the cursor were dropped', () => {
+  const stored = library(LIBRARY.PAGE_SIZE * 2 + 20);
+  const meta = { seq: LIBRARY.PAGE_SIZE * 2 + 30, prunedSeq: LIBRARY.PAGE_SIZE * 2 + 25 };
+
+  const first = libraryChangesSince(stored, 0, meta);
+  assert.equal(first.full, true);
+  assert.equal(first.cursor, LIBRARY.PAGE_SIZE);
+
+  const second = libraryChangesSince(stored, first.cursor, meta, true);
+  assert.equal(second.full, false);
+  assert.equal(second.cursor, LIBRARY.PAGE_SIZE * 2);
+  assert.equal(second.more, true);
+
+  const last = libraryChangesSince(stored, second.cursor, meta, true);
+  assert.equal(last.full, false);
+  assert.equal(last.items.length, 20);
+  assert.equal(last.more, false);
+  assert.equal(last.cursor, meta.seq);
+
+  // A partial sync from a cursor before the dropped tombstones still starts over
+  assert.equal(libraryChangesSince(stored, first.cursor, meta).full, true);
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateItems } from '../src/utils/schemas.js';
+
+const question = correctAnswer => ({
+  type: 'multiple_choice',
+  question: 'Which organelle makes ATP?',
+  options: ['Nucleus', 'Mitochondria', 'Ribosome', 'Golgi body'],
+  correctAnswer,
+  points: 10,
+});
+
+test('multiple choice answer keys given as an index, letter or text resolve to the option text', () => {
+  const { items, dropped } = validateItems('test', [question(1), question('B'), question('mitochondria')]);
+
+  assert.equal(dropped, 0);
+  assert.deepEqual(items.map(item => item.correctAnswer), ['Mitochondria', 'Mitochondria', 'Mitochondria']);
+});
+
+test('multiple choice answer keys that match no option are rejected', () => {
+  const { items, errors } = validateItems('test', [question('Chloroplast'), question(7)]);
+
+  assert.equal(items.length, 0);
+  assert.match(errors[0], /"correctAnswer" must be one of the options/);
+});
+
+test('numeric answer keys name the option with that text before an index', () => {
+  const numeric = (options, correctAnswer) => ({ ...question(correctAnswer), question: 'What is 6 / 3?', options });
+  const { items, dropped } = validateItems('test', [numeric(['1', '2', '3', '4'], '2'), numeric(['2', '3', '4', '5'], '4')]);
+
+  assert.equal(dropped, 0);
+  assert.deepEqual(items.map(item => item.correctAnswer), ['2', '4']);
+});